@@ -5,6 +5,8 @@ import Sites from './Sites.js';
 import Posts from './Posts.js';
 import Config from './Config.js';
 import Logs from './Logs.js';
+import Usage from './Usage.js';
+import Runs from './Runs.js';
 import SiteEdit from './SiteEdit.js';
 import Button from '../components/Button.js';
 import { toast } from '../utils/toast.js';
@@ -68,7 +70,7 @@ export default function App() {
         // Show completion toast if we just finished
         if (status.phase === 'complete' && status.completedAt) {
           const newPosts = status.newPosts || 0;
-          const summarized = status.summaries.processed || 0;
+          const summarized = (status.summaries.processed || 0) - (status.skippedForBudget?.summaries || 0);
           if (newPosts > 0) {
             const summaryInfo = status.summaries.total > 0
               ? ` (${summarized} summarized)`
@@ -77,6 +79,9 @@ export default function App() {
           } else {
             toast.success('Check complete! No new posts found.');
           }
+          if (status.budgetExceeded) {
+            toast.warning('LLM budget reached: summarization and LLM extraction were skipped. See the Usage tab.');
+          }
         }
       }
     } catch (error) {
@@ -136,6 +141,8 @@ export default function App() {
                   { id: 'posts', label: '📰 Posts' },
                   { id: 'sites', label: '🌐 Sites' },
                   { id: 'config', label: '⚙️ Settings' },
+                  { id: 'runs', label: '🕒 Runs' },
+                  { id: 'usage', label: '💰 Usage' },
                   { id: 'logs', label: '📋 Logs' }
                 ].map(tab => html`
                   <${Button}
@@ -216,6 +223,8 @@ export default function App() {
         ${currentTab === 'site-edit' && html`<${SiteEdit} key=${window.location.hash} onNavigate=${navigateToTab} />`}
         ${currentTab === 'config' && html`<${Config} />`}
         ${currentTab === 'logs' && html`<${Logs} />`}
+        ${currentTab === 'runs' && html`<${Runs} />`}
+        ${currentTab === 'usage' && html`<${Usage} />`}
       </main>
     </div>
   `;
@@ -3,6 +3,7 @@ import { useState, useEffect, useRef } from 'https://esm.sh/preact@10.19.3/hooks
 import htm from 'https://esm.sh/htm@3.1.1';
 import Button from '../components/Button.js';
 import Input from '../components/Input.js';
+import Select from '../components/Select.js';
 import { toast } from '../utils/toast.js';
 import { modal } from '../utils/modal.js';
 
@@ -88,9 +89,10 @@ export default function Config() {
         method: 'POST',
         headers: { 'Content-Type': 'application/json' },
         body: JSON.stringify({
-          openai_api_key: config.openai_api_key,
-          openai_base_url: config.openai_base_url,
-          openai_model: config.openai_model
+          llm_provider: provider,
+          [`${provider}_api_key`]: config[`${provider}_api_key`],
+          [`${provider}_base_url`]: config[`${provider}_base_url`],
+          [`${provider}_model`]: config[`${provider}_model`]
         })
       });
 
@@ -140,6 +142,57 @@ export default function Config() {
     }
   };
 
+  const handleRestoreFile = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = ''; // Allow choosing the same file again
+    if (!file) return;
+
+    const confirmed = await modal.confirm(
+      `⚠️ WARNING: This replaces ALL sites, posts and settings with the contents of ${file.name}. A snapshot of the current database is saved to the backup directory first. Are you sure you want to continue?`,
+      {
+        title: 'Restore Database',
+        confirmText: 'Restore Backup',
+        cancelText: 'Cancel',
+        confirmClass: 'modal__btn-danger'
+      }
+    );
+
+    if (!confirmed) return;
+
+    try {
+      const response = await fetch('/api/admin/restore', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/octet-stream' },
+        body: file
+      });
+
+      const data = await response.json();
+
+      if (response.ok) {
+        toast.success(`Restored ${data.sites} sites and ${data.posts} posts from ${file.name}`);
+        loadConfig();
+      } else {
+        toast.error('Failed to restore backup: ' + (data.error || 'Unknown error'));
+      }
+    } catch (error) {
+      console.error('Failed to restore backup:', error);
+      toast.error('Failed to restore backup');
+    }
+  };
+
+  const provider = config.llm_provider || 'openai';
+
+  const providerOptions = [
+    { value: 'openai', label: 'OpenAI-compatible (OpenAI, LM Studio, OpenRouter, ...)' },
+    { value: 'anthropic', label: 'Anthropic (Claude)' },
+    { value: 'ollama', label: 'Ollama (native API)' }
+  ];
+
+  // Connection test needs a key for hosted providers, Ollama only needs a URL
+  const canTestAI = provider === 'ollama'
+    ? !!config.ollama_base_url
+    : !!(config[`${provider}_api_key`] && config[`${provider}_base_url`]);
+
   if (loading) {
     return html`<div class="text-center py-12 text-gray-500">Loading configuration...</div>`;
   }
@@ -161,11 +214,254 @@ export default function Config() {
               required=${true}
             />
             <p class="text-sm text-gray-500">
+              Default schedule for sites without their own schedule (set per site on the Edit Site page).
+              <br />
               Cron expression format: minute hour day month weekday
               <br />
               Examples: <code class="bg-gray-100 px-1">0 9 * * *</code> (9 AM daily),
               <code class="bg-gray-100 px-1">0 */6 * * *</code> (every 6 hours)
             </p>
+
+            <${Input}
+              label="RSS Lookback (days)"
+              type="number"
+              min="0"
+              value=${config.rss_lookback_days ?? ''}
+              onInput=${e => updateField('rss_lookback_days', e.target.value)}
+              placeholder="7"
+              helpText="Feed items older than this are ignored (0 = no limit). Sites can override it, and RSS and JSON Feed sites can backfill their full history once from the Edit Site page."
+            />
+
+            <div class="grid grid-cols-1 md:grid-cols-3 gap-x-4 pt-2">
+              <${Input}
+                label="Parallel Site Fetches"
+                type="number"
+                min="1"
+                value=${config.fetch_concurrency || ''}
+                onInput=${e => updateField('fetch_concurrency', e.target.value)}
+                placeholder="4"
+              />
+              <${Input}
+                label="Parallel Fetches per Host"
+                type="number"
+                min="1"
+                value=${config.fetch_per_host_concurrency || ''}
+                onInput=${e => updateField('fetch_per_host_concurrency', e.target.value)}
+                placeholder="1"
+              />
+              <${Input}
+                label="Parallel Summaries"
+                type="number"
+                min="1"
+                value=${config.summary_concurrency || ''}
+                onInput=${e => updateField('summary_concurrency', e.target.value)}
+                placeholder="2"
+              />
+            </div>
+            <p class="text-sm text-gray-500">
+              How many sites are checked and posts summarized at the same time. Keep the per-host limit low to stay polite to sites that share a domain.
+            </p>
+
+            <div class="grid grid-cols-1 md:grid-cols-4 gap-x-4 pt-2">
+              <${Input}
+                label="Backoff Start (minutes)"
+                type="number"
+                min="0"
+                value=${config.site_backoff_base_minutes || ''}
+                onInput=${e => updateField('site_backoff_base_minutes', e.target.value)}
+                placeholder="30"
+              />
+              <${Input}
+                label="Max Backoff (hours)"
+                type="number"
+                min="0"
+                value=${config.site_backoff_max_hours || ''}
+                onInput=${e => updateField('site_backoff_max_hours', e.target.value)}
+                placeholder="24"
+              />
+              <${Input}
+                label="Auto-disable After Failures"
+                type="number"
+                min="0"
+                value=${config.site_auto_disable_failures || ''}
+                onInput=${e => updateField('site_auto_disable_failures', e.target.value)}
+                placeholder="Never"
+              />
+              <${Input}
+                label="Flag After Empty Checks"
+                type="number"
+                min="0"
+                value=${config.site_empty_runs_threshold || ''}
+                onInput=${e => updateField('site_empty_runs_threshold', e.target.value)}
+                placeholder="3"
+              />
+            </div>
+            <p class="text-sm text-gray-500">
+              Sites that keep failing are checked less often (the delay doubles after each failure) and can be turned off automatically.
+              Sites that keep returning zero posts are flagged on the Sites page, usually a sign of a broken selector.
+            </p>
+          </div>
+        </div>
+
+        <!-- URL Normalization Card -->
+        <div class="bg-white rounded-lg shadow p-6">
+          <h3 class="text-lg font-semibold text-gray-900 mb-4">URL Normalization</h3>
+          <div class="space-y-4">
+            <textarea
+              value=${config.url_strip_params || ''}
+              onInput=${e => updateField('url_strip_params', e.target.value)}
+              class="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500 font-mono text-sm"
+              rows="6"
+              placeholder="utm_*"
+            ></textarea>
+            <p class="text-sm text-gray-500">
+              Query parameters removed from post URLs, one per line. A trailing <code class="bg-gray-100 px-1">*</code> matches
+              every parameter starting with the name. Click-tracking redirects that carry the destination in the link are always unwrapped.
+            </p>
+
+            <div class="flex items-start gap-3">
+              <input
+                type="checkbox"
+                id="url_follow_redirects"
+                checked=${config.url_follow_redirects === '1'}
+                onChange=${e => updateField('url_follow_redirects', e.target.checked ? '1' : '0')}
+                class="mt-1 h-4 w-4 text-blue-600 focus:ring-blue-500 border-gray-300 rounded"
+              />
+              <div class="flex-1">
+                <label for="url_follow_redirects" class="text-sm font-medium text-gray-900 cursor-pointer">
+                  Follow click-tracking redirects
+                </label>
+                <p class="text-sm text-gray-500 mt-1">
+                  Resolve links of known redirectors (Mailchimp, beehiiv, ConvertKit, link shorteners, ...) with a HEAD request when posts are saved.
+                  Fetching a post's full content also records the page's canonical URL.
+                </p>
+              </div>
+            </div>
+
+            <${Input}
+              label="Duplicate Title Similarity"
+              type="number"
+              min="0"
+              max="1"
+              step="0.05"
+              value=${config.duplicate_title_similarity ?? ''}
+              onInput=${e => updateField('duplicate_title_similarity', e.target.value)}
+              placeholder="0.85"
+              helpText="Posts with the same canonical URL or titles at least this similar (0-1) are grouped into one story: shown as 'also seen in' on the Posts page and sent once in the Slack digest. 0 = only match by URL."
+            />
+          </div>
+        </div>
+
+        <!-- Link List Card -->
+        <div class="bg-white rounded-lg shadow p-6">
+          <h3 class="text-lg font-semibold text-gray-900 mb-4">Link List Extraction</h3>
+          <div class="space-y-4">
+            <textarea
+              value=${config.link_list_exclude_patterns || ''}
+              onInput=${e => updateField('link_list_exclude_patterns', e.target.value)}
+              class="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500 font-mono text-sm"
+              rows="8"
+              placeholder="unsubscribe"
+            ></textarea>
+            <p class="text-sm text-gray-500">
+              Links dropped by link list sites and emails (sponsors, unsubscribe and footer links), one case-insensitive
+              regular expression per line, matched against the link text and URL. Lines that aren't valid expressions match literally.
+            </p>
+          </div>
+        </div>
+
+        <!-- Email Mailbox Card -->
+        <div class="bg-white rounded-lg shadow p-6">
+          <h3 class="text-lg font-semibold text-gray-900 mb-4">Email Mailbox (IMAP)</h3>
+          <div class="space-y-4">
+            <div class="grid grid-cols-1 md:grid-cols-3 gap-4">
+              <div class="md:col-span-2">
+                <${Input}
+                  label="IMAP Host"
+                  value=${config.imap_host || ''}
+                  onInput=${e => updateField('imap_host', e.target.value)}
+                  placeholder="imap.gmail.com"
+                />
+              </div>
+              <${Input}
+                label="Port"
+                type="number"
+                min="1"
+                value=${config.imap_port ?? ''}
+                onInput=${e => updateField('imap_port', e.target.value)}
+                placeholder="993"
+              />
+            </div>
+            <div class="grid grid-cols-1 md:grid-cols-2 gap-4">
+              <${Input}
+                label="Username"
+                value=${config.imap_user || ''}
+                onInput=${e => updateField('imap_user', e.target.value)}
+                placeholder="newsletters@example.com"
+              />
+              <${Input}
+                label="Password"
+                type="password"
+                value=${config.imap_password || ''}
+                onInput=${e => updateField('imap_password', e.target.value)}
+                placeholder="App password"
+              />
+            </div>
+            <div class="flex items-start gap-3">
+              <input
+                type="checkbox"
+                id="imap_secure"
+                checked=${config.imap_secure !== '0'}
+                onChange=${e => updateField('imap_secure', e.target.checked ? '1' : '0')}
+                class="mt-1 h-4 w-4 text-blue-600 focus:ring-blue-500 border-gray-300 rounded"
+              />
+              <label for="imap_secure" class="text-sm font-medium text-gray-900 cursor-pointer">
+                Use TLS (port 993)
+              </label>
+            </div>
+            <p class="text-sm text-gray-500">
+              Mailbox polled by Email sites. Each Email site picks its newsletters by folder, sender and subject;
+              processed emails are marked as read.
+            </p>
+
+            <div class="border-t pt-4 space-y-4">
+              <div class="flex items-start gap-3">
+                <input
+                  type="checkbox"
+                  id="inbound_email_enabled"
+                  checked=${config.inbound_email_enabled === '1'}
+                  onChange=${e => updateField('inbound_email_enabled', e.target.checked ? '1' : '0')}
+                  class="mt-1 h-4 w-4 text-blue-600 focus:ring-blue-500 border-gray-300 rounded"
+                />
+                <div class="flex-1">
+                  <label for="inbound_email_enabled" class="text-sm font-medium text-gray-900 cursor-pointer">
+                    Accept forwarded newsletters
+                  </label>
+                  <p class="text-sm text-gray-500 mt-1">
+                    Newsletters posted to <code class="bg-gray-100 px-1">POST /api/inbound/email</code> (raw message) or sent to the SMTP listener
+                    are matched to an Email site by plus-address tag or sender and processed right away.
+                  </p>
+                </div>
+              </div>
+              <div class="grid grid-cols-1 md:grid-cols-2 gap-4">
+                <${Input}
+                  label="Inbound Token"
+                  value=${config.inbound_email_token || ''}
+                  onInput=${e => updateField('inbound_email_token', e.target.value)}
+                  placeholder="No token"
+                  helpText="Required for inbound email: sent as ?token= or X-Inbound-Token header on the HTTP route. The SMTP listener and only accepts mail to addresses carrying it (digest+<token>@your-domain)."
+                />
+                <${Input}
+                  label="SMTP Listener Port"
+                  type="number"
+                  min="1"
+                  value=${config.inbound_smtp_port ?? ''}
+                  onInput=${e => updateField('inbound_smtp_port', e.target.value)}
+                  placeholder="Off"
+                  helpText="Empty = no SMTP listener. Applied when the server restarts."
+                />
+              </div>
+            </div>
           </div>
         </div>
 
@@ -234,6 +530,19 @@ export default function Config() {
                 </p>
               </div>
             </div>
+
+            <${Select}
+              label="Group Digest By"
+              value=${config.slack_digest_group_by || 'site'}
+              onChange=${e => updateField('slack_digest_group_by', e.target.value)}
+              options=${[
+                { value: 'site', label: 'Site' },
+                { value: 'tag', label: 'Tag' },
+              ]}
+            />
+            <p class="text-sm text-gray-500">
+              With Tag, each post is listed under its first tag (alphabetically), posts without tags come last.
+            </p>
           </div>
         </div>
 
@@ -241,45 +550,186 @@ export default function Config() {
         <div class="bg-white rounded-lg shadow p-6">
           <h3 class="text-lg font-semibold text-gray-900 mb-4">AI Extraction and Summarization</h3>
           <div class="space-y-4">
-            <${Input}
-              label="OpenAI API Key"
-              type="password"
-              value=${config.openai_api_key || ''}
-              onInput=${e => updateField('openai_api_key', e.target.value)}
-              placeholder="sk-..."
+            <${Select}
+              label="Provider"
+              value=${provider}
+              onChange=${e => { updateField('llm_provider', e.target.value); setTestResult(null); }}
+              options=${providerOptions}
             />
-            <p class="text-sm text-gray-500">
-              Required for post summarization and LLM-based extraction
-            </p>
 
-            <${Input}
-              label="OpenAI Base URL"
-              type="url"
-              value=${config.openai_base_url || ''}
-              onInput=${e => updateField('openai_base_url', e.target.value)}
-              placeholder="https://api.openai.com/v1"
-            />
-            <p class="text-sm text-gray-500">
-              Base URL for OpenAI-compatible API. Leave empty to use OpenAI API. Use http://host.docker.internal:1234/v1 for local providers like Ollama or LM Studio running on your host machine
-            </p>
+            ${provider === 'openai' && html`
+              <${Input}
+                label="OpenAI API Key"
+                type="password"
+                value=${config.openai_api_key || ''}
+                onInput=${e => updateField('openai_api_key', e.target.value)}
+                placeholder="sk-..."
+              />
+              <p class="text-sm text-gray-500">
+                Required for post summarization and LLM-based extraction
+              </p>
 
-            <${Input}
-              label="Model"
-              value=${config.openai_model || ''}
-              onInput=${e => updateField('openai_model', e.target.value)}
-              placeholder="gpt-3.5-turbo"
-            />
+              <${Input}
+                label="OpenAI Base URL"
+                type="url"
+                value=${config.openai_base_url || ''}
+                onInput=${e => updateField('openai_base_url', e.target.value)}
+                placeholder="https://api.openai.com/v1"
+              />
+              <p class="text-sm text-gray-500">
+                Base URL for OpenAI-compatible API. Leave empty to use OpenAI API. Use http://host.docker.internal:1234/v1 for local providers like LM Studio running on your host machine
+              </p>
+
+              <${Input}
+                label="Model"
+                value=${config.openai_model || ''}
+                onInput=${e => updateField('openai_model', e.target.value)}
+                placeholder="gpt-3.5-turbo"
+              />
+            `}
+
+            ${provider === 'anthropic' && html`
+              <${Input}
+                label="Anthropic API Key"
+                type="password"
+                value=${config.anthropic_api_key || ''}
+                onInput=${e => updateField('anthropic_api_key', e.target.value)}
+                placeholder="sk-ant-..."
+              />
+
+              <${Input}
+                label="Anthropic Base URL"
+                type="url"
+                value=${config.anthropic_base_url || ''}
+                onInput=${e => updateField('anthropic_base_url', e.target.value)}
+                placeholder="https://api.anthropic.com"
+              />
+
+              <${Input}
+                label="Model"
+                value=${config.anthropic_model || ''}
+                onInput=${e => updateField('anthropic_model', e.target.value)}
+                placeholder="claude-3-5-haiku-latest"
+              />
+            `}
+
+            ${provider === 'ollama' && html`
+              <${Input}
+                label="Ollama Base URL"
+                type="url"
+                value=${config.ollama_base_url || ''}
+                onInput=${e => updateField('ollama_base_url', e.target.value)}
+                placeholder="http://localhost:11434"
+              />
+              <p class="text-sm text-gray-500">
+                Uses Ollama's native <code class="bg-gray-100 px-1">/api/chat</code> endpoint. Use http://host.docker.internal:11434 when Ollama runs on your host machine
+              </p>
+
+              <${Input}
+                label="Model"
+                value=${config.ollama_model || ''}
+                onInput=${e => updateField('ollama_model', e.target.value)}
+                placeholder="llama3.1"
+              />
+            `}
             <p class="text-sm text-gray-500">
-              Model to use for summarization and extraction (e.g., gpt-3.5-turbo, gpt-4, or local model names)
+              Default model for all AI calls. Override it per task below.
             </p>
 
+            <!-- Per-purpose Models -->
+            <div class="pt-4 border-t">
+              <h4 class="text-sm font-semibold text-gray-900 mb-2">Model per Task</h4>
+              <div class="grid grid-cols-1 md:grid-cols-3 gap-x-4">
+                <${Input}
+                  label="Summarization"
+                  value=${config[`${provider}_model_summarization`] || ''}
+                  onInput=${e => updateField(`${provider}_model_summarization`, e.target.value)}
+                  placeholder="Default model"
+                />
+                <${Input}
+                  label="HTML Extraction"
+                  value=${config[`${provider}_model_extraction`] || ''}
+                  onInput=${e => updateField(`${provider}_model_extraction`, e.target.value)}
+                  placeholder="Default model"
+                />
+                <${Input}
+                  label="Selector Generation"
+                  value=${config[`${provider}_model_selector_generation`] || ''}
+                  onInput=${e => updateField(`${provider}_model_selector_generation`, e.target.value)}
+                  placeholder="Default model"
+                />
+              </div>
+              <p class="text-sm text-gray-500">
+                Leave empty to use the default model. A cheap model is usually enough for summaries; extraction and selector generation benefit from a stronger one.
+                Overrides are saved per provider, so switching providers uses that provider's own overrides.
+              </p>
+            </div>
+
+            <!-- Retries and Rate Limiting -->
+            <div class="pt-4 border-t">
+              <h4 class="text-sm font-semibold text-gray-900 mb-2">Retries and Rate Limiting</h4>
+              <div class="grid grid-cols-1 md:grid-cols-3 gap-x-4">
+                <${Input}
+                  label="Max Retries per Call"
+                  type="number"
+                  min="0"
+                  value=${config.llm_max_retries || ''}
+                  onInput=${e => updateField('llm_max_retries', e.target.value)}
+                  placeholder="3"
+                />
+                <${Input}
+                  label="Requests per Minute"
+                  type="number"
+                  min="0"
+                  value=${config.llm_requests_per_minute || ''}
+                  onInput=${e => updateField('llm_requests_per_minute', e.target.value)}
+                  placeholder="Unlimited"
+                />
+                <${Input}
+                  label="Summary Attempts"
+                  type="number"
+                  min="1"
+                  value=${config.summary_max_attempts || ''}
+                  onInput=${e => updateField('summary_max_attempts', e.target.value)}
+                  placeholder="5"
+                />
+              </div>
+              <p class="text-sm text-gray-500">
+                Rate limited (429), overloaded (5xx) and dropped requests are retried with exponential backoff, honoring the provider's Retry-After header.
+                Posts whose summary still fails are retried on the next scheduled check, up to the given number of attempts.
+              </p>
+            </div>
+
+            <!-- LLM Extraction -->
+            <div class="pt-4 border-t">
+              <h4 class="text-sm font-semibold text-gray-900 mb-2">HTML LLM Extraction</h4>
+              <div class="flex items-start gap-3">
+                <input
+                  type="checkbox"
+                  id="llm_extraction_diff_mode"
+                  checked=${config.llm_extraction_diff_mode === '1'}
+                  onChange=${e => updateField('llm_extraction_diff_mode', e.target.checked ? '1' : '0')}
+                  class="mt-1 h-4 w-4 text-blue-600 focus:ring-blue-500 border-gray-300 rounded"
+                />
+                <div class="flex-1">
+                  <label for="llm_extraction_diff_mode" class="text-sm font-medium text-gray-900 cursor-pointer">
+                    Only send changed parts of a page
+                  </label>
+                  <p class="text-sm text-gray-500 mt-1">
+                    Unchanged pages always reuse the previous extraction. With this option, pages that changed only a little
+                    (e.g. a new post on an archive page) send just the new part to the LLM, which is much cheaper for slow-changing pages.
+                  </p>
+                </div>
+              </div>
+            </div>
+
             <!-- Test Connection Button -->
             <div class="pt-4 border-t">
               <${Button}
                 type="button"
                 variant="secondary"
                 onClick=${testAIConnection}
-                disabled=${testing || !config.openai_api_key || !config.openai_base_url}
+                disabled=${testing || !canTestAI}
               >
                 ${testing ? 'Testing...' : 'Test AI Connection'}
               </${Button}>
@@ -335,6 +785,89 @@ export default function Config() {
           </div>
         </div>
 
+        <!-- LLM Pricing Card -->
+        <div class="bg-white rounded-lg shadow p-6">
+          <h3 class="text-lg font-semibold text-gray-900 mb-4">LLM Pricing</h3>
+          <div class="space-y-4">
+            <textarea
+              value=${config.llm_pricing || ''}
+              onInput=${e => updateField('llm_pricing', e.target.value)}
+              class="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500 font-mono text-sm"
+              rows="8"
+              placeholder='{ "gpt-4o-mini": { "input": 0.15, "output": 0.6 } }'
+            ></textarea>
+            <p class="text-sm text-gray-500">
+              JSON map of model name to USD price per 1M input/output tokens, used to compute the cost shown in the Usage tab.
+              Models are matched by exact name or longest prefix (e.g. <code class="bg-gray-100 px-1">gpt-4o</code> also covers <code class="bg-gray-100 px-1">gpt-4o-2024-08-06</code>). Unlisted models are recorded with zero cost.
+            </p>
+          </div>
+        </div>
+
+        <!-- LLM Budget Card -->
+        <div class="bg-white rounded-lg shadow p-6">
+          <h3 class="text-lg font-semibold text-gray-900 mb-4">LLM Budget</h3>
+          <div class="space-y-4">
+            <div class="grid grid-cols-1 md:grid-cols-2 gap-x-4">
+              <${Input}
+                label="Daily Token Limit"
+                type="number"
+                min="0"
+                value=${config.llm_budget_daily_tokens || ''}
+                onInput=${e => updateField('llm_budget_daily_tokens', e.target.value)}
+                placeholder="Unlimited"
+              />
+              <${Input}
+                label="Daily Cost Limit (USD)"
+                type="number"
+                min="0"
+                step="0.01"
+                value=${config.llm_budget_daily_cost || ''}
+                onInput=${e => updateField('llm_budget_daily_cost', e.target.value)}
+                placeholder="Unlimited"
+              />
+              <${Input}
+                label="Monthly Token Limit"
+                type="number"
+                min="0"
+                value=${config.llm_budget_monthly_tokens || ''}
+                onInput=${e => updateField('llm_budget_monthly_tokens', e.target.value)}
+                placeholder="Unlimited"
+              />
+              <${Input}
+                label="Monthly Cost Limit (USD)"
+                type="number"
+                min="0"
+                step="0.01"
+                value=${config.llm_budget_monthly_cost || ''}
+                onInput=${e => updateField('llm_budget_monthly_cost', e.target.value)}
+                placeholder="Unlimited"
+              />
+            </div>
+            <p class="text-sm text-gray-500">
+              Leave empty for no limit. Once a limit is reached, scheduled checks skip summarization and HTML LLM extraction
+              until the day or month rolls over. New posts from other sites are still saved, just without a summary.
+            </p>
+
+            <div class="flex items-start gap-3 pt-2">
+              <input
+                type="checkbox"
+                id="llm_budget_slack_alert"
+                checked=${config.llm_budget_slack_alert === '1'}
+                onChange=${e => updateField('llm_budget_slack_alert', e.target.checked ? '1' : '0')}
+                class="mt-1 h-4 w-4 text-blue-600 focus:ring-blue-500 border-gray-300 rounded"
+              />
+              <div class="flex-1">
+                <label for="llm_budget_slack_alert" class="text-sm font-medium text-gray-900 cursor-pointer">
+                  Alert Slack when a budget is reached
+                </label>
+                <p class="text-sm text-gray-500 mt-1">
+                  Sends one message per day/month to the Slack webhook configured above.
+                </p>
+              </div>
+            </div>
+          </div>
+        </div>
+
         <!-- Database Cleanup Card -->
         <div class="bg-white rounded-lg shadow p-6">
           <h3 class="text-lg font-semibold text-gray-900 mb-4">Database Cleanup</h3>
@@ -363,6 +896,54 @@ export default function Config() {
           </div>
         </div>
 
+        <!-- Database Backups Card -->
+        <div class="bg-white rounded-lg shadow p-6">
+          <div class="flex items-center justify-between mb-4">
+            <h3 class="text-lg font-semibold text-gray-900">Database Backups</h3>
+            <a
+              href="/api/admin/backup"
+              class="px-3 py-1 text-sm rounded-md font-medium transition-colors bg-gray-200 text-gray-800 hover:bg-gray-300"
+            >
+              📤 Download Backup
+            </a>
+          </div>
+          <div class="space-y-4">
+            <div class="grid grid-cols-1 md:grid-cols-2 gap-4">
+              <${Input}
+                label="Backup Schedule"
+                value=${config.backup_schedule || ''}
+                onInput=${e => updateField('backup_schedule', e.target.value)}
+                placeholder="0 3 * * * (empty = off)"
+              />
+              <${Input}
+                label="Backup Directory"
+                value=${config.backup_dir || ''}
+                onInput=${e => updateField('backup_dir', e.target.value)}
+                placeholder="backups/ next to data.db"
+              />
+              <${Input}
+                label="Keep Daily Snapshots"
+                type="number"
+                value=${config.backup_keep_daily || ''}
+                onInput=${e => updateField('backup_keep_daily', e.target.value)}
+                placeholder="7"
+                min="1"
+              />
+              <${Input}
+                label="Keep Weekly Snapshots"
+                type="number"
+                value=${config.backup_keep_weekly || ''}
+                onInput=${e => updateField('backup_keep_weekly', e.target.value)}
+                placeholder="4"
+                min="0"
+              />
+            </div>
+            <p class="text-sm text-gray-500">
+              Snapshots are taken while the app keeps running. The newest snapshot of each of the last days and weeks is kept, older ones are deleted.
+            </p>
+          </div>
+        </div>
+
         <!-- Submit Button -->
         <div class="flex justify-end">
           <${Button}
@@ -394,6 +975,18 @@ export default function Config() {
               🗑️ Truncate Posts
             </${Button}>
           </div>
+          <div class="flex items-start justify-between">
+            <div class="flex-1">
+              <h4 class="font-medium text-gray-900">Restore from Backup</h4>
+              <p class="text-sm text-gray-600 mt-1">
+                Replace the whole database with a downloaded backup or snapshot. Backups of older versions of the app are upgraded, backups of newer versions are refused.
+              </p>
+            </div>
+            <label class="ml-4 bg-red-600 hover:bg-red-700 text-white px-4 py-2 rounded cursor-pointer">
+              ♻️ Restore Backup
+              <input type="file" accept=".db,.sqlite,application/vnd.sqlite3" class="hidden" onChange=${handleRestoreFile} />
+            </label>
+          </div>
         </div>
       </div>
     </div>
@@ -13,9 +13,12 @@ const html = htm.bind(h);
 export default function Posts() {
   const [posts, setPosts] = useState([]);
   const [sites, setSites] = useState([]);
+  const [tags, setTags] = useState([]);
   const [config, setConfig] = useState({});
-  const [filter, setFilter] = useState({ site: 'all', search: '', flaggedOnly: false });
+  const [filter, setFilter] = useState({ site: 'all', tag: 'all', search: '', flaggedOnly: false, unreadOnly: false });
   const [loading, setLoading] = useState(true);
+  const [searchResults, setSearchResults] = useState(null); // Ranked full-text matches while searching
+  const [unreadCounts, setUnreadCounts] = useState({ total: 0, sites: {} });
   const [expandedPost, setExpandedPost] = useState(null);
   const [fetchingContent, setFetchingContent] = useState({});
   const [showMarkdown, setShowMarkdown] = useState({});
@@ -23,6 +26,7 @@ export default function Posts() {
   const [batchFetchAndSummarizeProgress, setBatchFetchAndSummarizeProgress] = useState({ current: 0, total: 0 });
   const [deleteConfirm, setDeleteConfirm] = useState(null); // Track which post is in confirm state
   const [channelDropdownOpen, setChannelDropdownOpen] = useState(null); // Track which post has dropdown open
+  const [tagDrafts, setTagDrafts] = useState({}); // Tag input of expanded posts, by post id
 
   const timeAgo = (date) => {
     if (!date) return 'Unknown';
@@ -89,6 +93,43 @@ export default function Posts() {
     loadData();
   }, []);
 
+  // Full-text search as you type (debounced), newest response only
+  useEffect(() => {
+    const query = filter.search.trim();
+    if (!query) {
+      setSearchResults(null);
+      return;
+    }
+
+    let cancelled = false;
+    const timer = setTimeout(async () => {
+      try {
+        const response = await fetch(`/api/posts/search?q=${encodeURIComponent(query)}${postsQuery(filter)}&limit=100`);
+        const data = await response.json();
+        if (cancelled) return;
+        if (response.ok) {
+          setSearchResults(data);
+        } else {
+          toast.error('Search failed: ' + (data.error || 'Unknown error'));
+        }
+      } catch (error) {
+        console.error('Failed to search posts:', error);
+        if (!cancelled) toast.error('Search failed');
+      }
+    }, 300);
+
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+    };
+  }, [filter.search, filter.unreadOnly, filter.tag]);
+
+  // Apply a change to the loaded posts and the search results
+  const updatePosts = (update) => {
+    setPosts(prevPosts => update(prevPosts));
+    setSearchResults(prevResults => prevResults && update(prevResults));
+  };
+
   // Close channel dropdown when clicking outside
   useEffect(() => {
     const handleClickOutside = () => {
@@ -100,12 +141,18 @@ export default function Posts() {
     return () => document.removeEventListener('click', handleClickOutside);
   }, [channelDropdownOpen]);
 
+  // Query parameters of the server-side filters (unread only, tag)
+  const postsQuery = ({ unreadOnly, tag }) =>
+    `${unreadOnly ? '&unread=1' : ''}${tag !== 'all' ? `&tags=${encodeURIComponent(tag)}` : ''}`;
+
   const loadData = async () => {
     try {
       const [postsRes, sitesRes, configRes] = await Promise.all([
         fetch('/api/posts?limit=300'),
         fetch('/api/sites'),
-        fetch('/api/config')
+        fetch('/api/config'),
+        loadUnreadCounts(),
+        loadTags()
       ]);
 
       const postsData = await postsRes.json();
@@ -124,6 +171,76 @@ export default function Posts() {
     }
   };
 
+  const loadUnreadCounts = async () => {
+    try {
+      const response = await fetch('/api/posts/unread-counts');
+      if (response.ok) {
+        setUnreadCounts(await response.json());
+      }
+    } catch (error) {
+      console.error('Failed to load unread counts:', error);
+    }
+  };
+
+  const loadTags = async () => {
+    try {
+      const response = await fetch('/api/tags');
+      if (response.ok) {
+        setTags(await response.json());
+      }
+    } catch (error) {
+      console.error('Failed to load tags:', error);
+    }
+  };
+
+  // Unread only and the tag filter load the matching posts from the server,
+  // posts read (or retagged) meanwhile stay listed until the filter changes again
+  const applyServerFilter = async (changes) => {
+    const newFilter = { ...filter, ...changes };
+    setFilter(newFilter);
+
+    try {
+      const response = await fetch(`/api/posts?limit=300${postsQuery(newFilter)}`);
+      const data = await response.json();
+      setPosts(Array.isArray(data) ? data : []);
+    } catch (error) {
+      console.error('Failed to load posts:', error);
+      toast.error('Failed to load posts');
+    }
+  };
+
+  const handleToggleUnreadOnly = () => applyServerFilter({ unreadOnly: !filter.unreadOnly });
+
+  const handleFilterTag = (tag, e) => {
+    if (e) e.stopPropagation(); // Tag chips sit on the post row
+    applyServerFilter({ tag });
+  };
+
+  const handleSaveTags = async (post, e) => {
+    e.stopPropagation();
+
+    try {
+      const response = await fetch(`/api/posts/${post.id}/tags`, {
+        method: 'PUT',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ tags: tagDrafts[post.id] ?? post.tags.join(', ') })
+      });
+      const data = await response.json();
+
+      if (response.ok) {
+        updatePosts(list => list.map(p => p.id === post.id ? { ...p, tags: data.tags } : p));
+        setTagDrafts({ ...tagDrafts, [post.id]: undefined });
+        loadTags();
+        toast.success('Tags saved');
+      } else {
+        toast.error('Failed to save tags: ' + (data.error || 'Unknown error'));
+      }
+    } catch (error) {
+      console.error('Failed to save tags:', error);
+      toast.error('Failed to save tags');
+    }
+  };
+
   const handleDeletePost = async (postId, postTitle, e) => {
     e.stopPropagation();
 
@@ -145,7 +262,7 @@ export default function Posts() {
 
       if (response.ok) {
         // Remove the post from state
-        setPosts(posts.filter(p => p.id !== postId));
+        updatePosts(list => list.filter(p => p.id !== postId));
         setExpandedPost(null);
         setDeleteConfirm(null);
         toast.success('Post deleted successfully');
@@ -171,7 +288,7 @@ export default function Posts() {
         const data = await response.json();
 
         // Update the post in the posts array with the new data
-        setPosts(posts.map(p => p.id === postId ? data.post : p));
+        updatePosts(list => list.map(p => p.id === postId ? { ...p, ...data.post } : p));
 
         toast.success('Content fetched and summarized successfully');
       } else {
@@ -199,7 +316,7 @@ export default function Posts() {
 
       if (response.ok) {
         // Update the post in state
-        setPosts(posts.map(p => p.id === postId ? { ...p, flagged: newFlagged } : p));
+        updatePosts(list => list.map(p => p.id === postId ? { ...p, flagged: newFlagged } : p));
       } else {
         const data = await response.json();
         toast.error('Failed to update flag: ' + (data.error || 'Unknown error'));
@@ -210,6 +327,75 @@ export default function Posts() {
     }
   };
 
+  const handleSetRead = async (postId, read) => {
+    try {
+      const response = await fetch(`/api/posts/${postId}/read`, {
+        method: 'PUT',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ read })
+      });
+
+      if (response.ok) {
+        const data = await response.json();
+        updatePosts(list => list.map(p => p.id === postId ? { ...p, read_at: data.read_at } : p));
+        loadUnreadCounts();
+      } else {
+        const data = await response.json();
+        toast.error('Failed to update read status: ' + (data.error || 'Unknown error'));
+      }
+    } catch (error) {
+      console.error('Failed to update read status:', error);
+      toast.error('Failed to update read status');
+    }
+  };
+
+  const handleToggleRead = (post, e) => {
+    e.stopPropagation(); // Prevent row expansion
+    handleSetRead(post.id, post.read_at ? 0 : 1);
+  };
+
+  // Expanding a post card marks it as read
+  const handleExpand = (post) => {
+    if (expandedPost === post.id) {
+      setExpandedPost(null);
+      return;
+    }
+    setExpandedPost(post.id);
+    if (!post.read_at) handleSetRead(post.id, 1);
+  };
+
+  // Mark the posts of the selected site (or all posts), or the given posts of a date group, as read
+  // With a tag selected only the listed posts of the tag are marked
+  const handleMarkAllRead = async (groupPosts = null, e) => {
+    if (e) e.stopPropagation();
+    if (!groupPosts && filter.tag !== 'all') groupPosts = filteredPosts.filter(p => !p.read_at);
+    const body = groupPosts
+      ? { ids: groupPosts.map(p => p.id) }
+      : filter.site !== 'all' ? { site_id: parseInt(filter.site) } : {};
+
+    try {
+      const response = await fetch('/api/posts/mark-read', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(body)
+      });
+      const data = await response.json();
+
+      if (response.ok) {
+        const readAt = new Date().toISOString();
+        const isMarked = (p) => body.ids ? body.ids.includes(p.id) : !body.site_id || p.site_id === body.site_id;
+        updatePosts(list => list.map(p => !p.read_at && isMarked(p) ? { ...p, read_at: readAt } : p));
+        loadUnreadCounts();
+        toast.success(`Marked ${data.marked} post${data.marked === 1 ? '' : 's'} as read`);
+      } else {
+        toast.error('Failed to mark posts as read: ' + (data.error || 'Unknown error'));
+      }
+    } catch (error) {
+      console.error('Failed to mark posts as read:', error);
+      toast.error('Failed to mark posts as read');
+    }
+  };
+
   const handleSendToSlack = async (postId, channel = null, e) => {
     if (e) e.stopPropagation(); // Prevent row expansion
 
@@ -224,7 +410,7 @@ export default function Posts() {
       if (response.ok) {
         const data = await response.json();
         // Update the post in state to mark as notified
-        setPosts(posts.map(p => p.id === postId ? { ...p, notified: 1 } : p));
+        updatePosts(list => list.map(p => p.id === postId ? { ...p, notified: 1 } : p));
         const channelMsg = channel ? ` to #${channel.replace(/^#/, '')}` : '';
         toast.success(`Post sent to Slack${channelMsg} successfully`);
         setChannelDropdownOpen(null); // Close dropdown
@@ -264,7 +450,7 @@ export default function Posts() {
 
         if (response.ok) {
           const data = await response.json();
-          setPosts(prevPosts => prevPosts.map(p => p.id === post.id ? data.post : p));
+          updatePosts(list => list.map(p => p.id === post.id ? { ...p, ...data.post } : p));
           successCount++;
         } else {
           failureCount++;
@@ -286,9 +472,9 @@ export default function Posts() {
     }
   };
 
-  const filteredPosts = posts.filter(post => {
+  // While searching, the matches in relevance order instead of the latest posts by date
+  const filteredPosts = (searchResults || posts).filter(post => {
     if (filter.site !== 'all' && post.site_id !== parseInt(filter.site)) return false;
-    if (filter.search && !post.title.toLowerCase().includes(filter.search.toLowerCase())) return false;
     if (filter.flaggedOnly && !post.flagged) return false;
     return true;
   });
@@ -301,10 +487,19 @@ export default function Posts() {
     `;
   }
 
+  const withUnread = (label, count) => count ? `${label} (${count} unread)` : label;
   const siteOptions = [
-    { value: 'all', label: 'All Sites' },
-    ...sites.map(site => ({ value: site.id.toString(), label: site.title }))
+    { value: 'all', label: withUnread('All Sites', unreadCounts.total) },
+    ...sites.map(site => ({ value: site.id.toString(), label: withUnread(site.title, unreadCounts.sites[site.id]) }))
   ];
+  const tagOptions = [
+    { value: 'all', label: 'All Tags' },
+    ...tags.map(tag => ({ value: tag.name, label: `#${tag.name} (${tag.post_count})` }))
+  ];
+  // The selected tag may have no posts anymore
+  if (filter.tag !== 'all' && !tags.some(tag => tag.name === filter.tag)) {
+    tagOptions.push({ value: filter.tag, label: `#${filter.tag}` });
+  }
 
   return html`
     <style>
@@ -312,6 +507,7 @@ export default function Posts() {
       .summary-content ol { list-style-type: decimal; padding-left: 1.5rem; margin: 0.5rem 0; }
       .summary-content li { margin: 0.25rem 0; }
       .summary-content p { margin: 0.5rem 0; }
+      .search-snippet mark { background-color: #fef08a; padding: 0 1px; border-radius: 2px; }
     </style>
     <div class="space-y-4">
       <!-- Header -->
@@ -334,7 +530,7 @@ export default function Posts() {
           <div class="flex-1 min-w-[200px]">
             <input
               type="text"
-              placeholder="Search by title..."
+              placeholder='Search titles, summaries and content ("exact phrase", prefix*, OR, -exclude)'
               value=${filter.search}
               onInput=${e => setFilter({ ...filter, search: e.target.value })}
               class="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
@@ -355,6 +551,22 @@ export default function Posts() {
             </select>
           </div>
 
+          ${(tags.length > 0 || filter.tag !== 'all') && html`
+            <div class="min-w-[160px]">
+              <select
+                value=${filter.tag}
+                onChange=${e => handleFilterTag(e.target.value)}
+                class="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+              >
+                ${tagOptions.map(opt => html`
+                  <option key=${opt.value} value=${opt.value}>
+                    ${opt.label}
+                  </option>
+                `)}
+              </select>
+            </div>
+          `}
+
           <button
             onClick=${() => setFilter({ ...filter, flaggedOnly: !filter.flaggedOnly })}
             class="flex items-center gap-2 px-4 py-2 rounded-md font-medium transition-colors ${
@@ -367,6 +579,27 @@ export default function Posts() {
             <span class="text-lg">⭐</span>
             <span class="text-sm">${filter.flaggedOnly ? 'Flagged Only' : 'Show Flagged'}</span>
           </button>
+
+          <button
+            onClick=${handleToggleUnreadOnly}
+            class="flex items-center gap-2 px-4 py-2 rounded-md font-medium transition-colors ${
+              filter.unreadOnly
+                ? 'bg-blue-600 text-white hover:bg-blue-700'
+                : 'bg-gray-200 text-gray-700 hover:bg-gray-300'
+            }"
+            title="${filter.unreadOnly ? 'Show all posts' : 'Show only unread posts'}"
+          >
+            <span class="text-lg">●</span>
+            <span class="text-sm">${filter.unreadOnly ? 'Unread Only' : 'Show Unread'}</span>
+          </button>
+
+          <button
+            onClick=${() => handleMarkAllRead()}
+            class="px-4 py-2 rounded-md text-sm font-medium bg-gray-200 text-gray-700 hover:bg-gray-300 transition-colors"
+            title="${filter.tag !== 'all' ? 'Mark the listed posts of this tag as read' : filter.site !== 'all' ? 'Mark all posts of this site as read' : 'Mark all posts as read'}"
+          >
+            ✓ Mark All Read
+          </button>
         </div>
       </div>
 
@@ -375,7 +608,9 @@ export default function Posts() {
         <div class="text-center py-12 text-gray-500">
           ${posts.length === 0
             ? 'No posts yet. Add a site and run a check to start collecting posts!'
-            : 'No posts found. Try adjusting your filters.'}
+            : searchResults
+              ? 'No posts match this search.'
+              : 'No posts found. Try adjusting your filters.'}
         </div>
       ` : html`
         <div class="bg-white rounded-lg shadow overflow-hidden">
@@ -388,19 +623,32 @@ export default function Posts() {
                 const currentDateKey = getDateKey(postDate);
                 const prevPost = index > 0 ? filteredPosts[index - 1] : null;
                 const prevDateKey = prevPost ? getDateKey(getPostDate(prevPost)) : null;
-                const showDateDivider = currentDateKey !== prevDateKey;
+                const showDateDivider = !searchResults && currentDateKey !== prevDateKey;
+                const unreadInGroup = showDateDivider
+                  ? filteredPosts.filter(p => !p.read_at && getDateKey(getPostDate(p)) === currentDateKey)
+                  : [];
 
                 return html`
                   ${showDateDivider && html`
                     <tr key="date-${currentDateKey}" class="bg-white border-none">
                       <td class="px-4 pb-2" style="${index > 0 ? 'padding-top: 50px' : 'padding-top: 16px'}">
-                        <div class="text-3xl font-light text-gray-700">
-                          ${formatDateDivider(postDate)}
+                        <div class="flex items-baseline justify-between gap-4">
+                          <div class="text-3xl font-light text-gray-700">
+                            ${formatDateDivider(postDate)}
+                          </div>
+                          ${unreadInGroup.length > 0 && html`
+                            <button
+                              onClick=${(e) => handleMarkAllRead(unreadInGroup, e)}
+                              class="text-sm text-blue-600 hover:underline whitespace-nowrap"
+                            >
+                              Mark ${unreadInGroup.length} as read
+                            </button>
+                          `}
                         </div>
                       </td>
                     </tr>
                   `}
-                  <tr key=${post.id} class="${post.flagged ? 'bg-orange-50 hover:bg-orange-100' : 'hover:bg-gray-50'} transition-colors cursor-pointer" onClick=${() => setExpandedPost(isExpanded ? null : post.id)}>
+                  <tr key=${post.id} class="${post.flagged ? 'bg-orange-50 hover:bg-orange-100' : 'hover:bg-gray-50'} transition-colors cursor-pointer" onClick=${() => handleExpand(post)}>
                     <td class="px-4 py-3">
                       <div class="flex items-start gap-2">
                         <span class="text-gray-400 mt-1">${isExpanded ? '▼' : '▶'}</span>
@@ -415,12 +663,37 @@ export default function Posts() {
                               >
                                 ⭐
                               </button>
-                              <div class="text-lg font-bold text-gray-900">
+                              <button
+                                onClick=${(e) => handleToggleRead(post, e)}
+                                class="text-sm ${post.read_at ? 'text-gray-300 hover:text-gray-500' : 'text-blue-600 hover:text-blue-800'}"
+                                title="${post.read_at ? 'Mark as unread' : 'Mark as read'}"
+                              >
+                                ${post.read_at ? '○' : '●'}
+                              </button>
+                              <div class="text-lg font-bold ${post.read_at ? 'text-gray-500' : 'text-gray-900'}">
                                 ${post.title}
                               </div>
                               <span class="inline-flex items-center px-2 py-0.5 rounded text-xs font-medium bg-gray-100 text-gray-700">
                                 ${site?.title || 'Unknown'}
                               </span>
+                              ${post.also_seen_in && post.also_seen_in.length > 0 && html`
+                                <span
+                                  class="inline-flex items-center px-2 py-0.5 rounded text-xs font-medium bg-indigo-50 text-indigo-700"
+                                  title="The same story was also posted by these sites"
+                                >
+                                  also seen in ${post.also_seen_in.join(', ')}
+                                </span>
+                              `}
+                              ${post.tags?.map(tag => html`
+                                <button
+                                  key=${tag}
+                                  onClick=${(e) => handleFilterTag(tag, e)}
+                                  class="inline-flex items-center px-2 py-0.5 rounded text-xs font-medium bg-teal-50 text-teal-700 hover:bg-teal-100"
+                                  title="Show posts tagged ${tag}"
+                                >
+                                  #${tag}
+                                </button>
+                              `)}
                               ${post.sent_to_slack && html`
                                 <span class="inline-flex items-center px-2 py-0.5 rounded text-xs font-medium bg-green-100 text-green-700">
                                   ✓
@@ -434,7 +707,13 @@ export default function Posts() {
                               <span>${timeAgo(post.date || post.created_at)}</span>
                             </div>
                           </div>
-                          ${post.summary && !isExpanded && html`
+                          ${post.snippet && !isExpanded && html`
+                            <div
+                              class="text-sm text-gray-600 mt-1 search-snippet"
+                              dangerouslySetInnerHTML=${{ __html: post.snippet }}
+                            />
+                          `}
+                          ${post.summary && !post.snippet && !isExpanded && html`
                             <div
                               class="text-xs text-gray-500 mt-1 summary-content"
                               style="white-space: pre-wrap;"
@@ -457,6 +736,11 @@ export default function Posts() {
                                   Published: ${new Date(post.date).toLocaleString()}
                                 </span>
                               `}
+                              ${post.author && html`
+                                <span class="inline-flex items-center px-2 py-1 rounded bg-gray-100 text-gray-700">
+                                  By: ${post.author}
+                                </span>
+                              `}
                               <span class="inline-flex items-center px-2 py-1 rounded bg-gray-100 text-gray-700">
                                 Added: ${new Date(post.created_at).toLocaleString()}
                               </span>
@@ -529,6 +813,26 @@ export default function Posts() {
                             </div>
                           </div>
 
+                          <!-- Tags -->
+                          <div class="flex items-center gap-2" onClick=${(e) => e.stopPropagation()}>
+                            <span class="text-xs font-medium text-gray-500 uppercase">Tags</span>
+                            <input
+                              type="text"
+                              value=${tagDrafts[post.id] ?? (post.tags || []).join(', ')}
+                              onInput=${e => setTagDrafts({ ...tagDrafts, [post.id]: e.target.value })}
+                              onKeyDown=${e => e.key === 'Enter' && handleSaveTags(post, e)}
+                              placeholder="Comma-separated, e.g. ai, research"
+                              class="flex-1 max-w-md px-2 py-1 text-sm border border-gray-300 rounded focus:outline-none focus:ring-2 focus:ring-blue-500"
+                            />
+                            <button
+                              onClick=${(e) => handleSaveTags(post, e)}
+                              disabled=${tagDrafts[post.id] === undefined}
+                              class="bg-gray-200 hover:bg-gray-300 disabled:opacity-50 disabled:cursor-not-allowed text-gray-700 px-3 py-1 rounded text-sm"
+                            >
+                              Save Tags
+                            </button>
+                          </div>
+
                           <!-- URL -->
                           <div class="text-sm">
                             <a
@@ -538,6 +842,16 @@ export default function Posts() {
                             >
                               ${post.url} →
                             </a>
+                            ${post.canonical_url && post.canonical_url !== post.url && html`
+                              <div class="text-xs text-gray-500 mt-2 break-all">
+                                Canonical: <a href=${post.canonical_url} target="_blank" class="text-blue-600 hover:underline">${post.canonical_url}</a>
+                              </div>
+                            `}
+                            ${post.original_url && post.original_url !== post.url && html`
+                              <div class="text-xs text-gray-500 mt-1 break-all">
+                                Original link: ${post.original_url}
+                              </div>
+                            `}
                           </div>
 
                           <!-- Fetch and Summarize Button -->
@@ -0,0 +1,213 @@
+import { h } from 'https://esm.sh/preact@10.19.3';
+import { useState, useEffect } from 'https://esm.sh/preact@10.19.3/hooks';
+import htm from 'https://esm.sh/htm@3.1.1';
+import Button from '../components/Button.js';
+import Select from '../components/Select.js';
+
+const html = htm.bind(h);
+
+const PAGE_SIZE = 50;
+
+export default function Runs() {
+  const [runs, setRuns] = useState([]);
+  const [total, setTotal] = useState(0);
+  const [loading, setLoading] = useState(true);
+  const [trigger, setTrigger] = useState('all');
+  const [offset, setOffset] = useState(0);
+  const [expanded, setExpanded] = useState({}); // run id -> run with sites
+
+  useEffect(() => {
+    loadRuns();
+  }, [trigger, offset]);
+
+  const loadRuns = async () => {
+    try {
+      const params = new URLSearchParams({ limit: PAGE_SIZE, offset });
+      if (trigger !== 'all') params.set('trigger', trigger);
+
+      const response = await fetch(`/api/runs?${params}`);
+      const data = await response.json();
+
+      setRuns(Array.isArray(data.runs) ? data.runs : []);
+      setTotal(data.total || 0);
+    } catch (error) {
+      console.error('Failed to load runs:', error);
+      setRuns([]);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const toggleRun = async (id) => {
+    if (expanded[id]) {
+      const { [id]: _, ...rest } = expanded;
+      setExpanded(rest);
+      return;
+    }
+
+    try {
+      const response = await fetch(`/api/runs/${id}`);
+      const data = await response.json();
+      if (response.ok) {
+        setExpanded({ ...expanded, [id]: data });
+      }
+    } catch (error) {
+      console.error('Failed to load run:', error);
+    }
+  };
+
+  const formatDuration = (ms) => {
+    if (ms === null || ms === undefined) return '–';
+    if (ms < 1000) return `${ms} ms`;
+    const seconds = Math.round(ms / 1000);
+    return seconds < 60 ? `${seconds}s` : `${Math.floor(seconds / 60)}m ${seconds % 60}s`;
+  };
+
+  const getStatusColor = (status) => {
+    switch (status) {
+      case 'completed':
+      case 'success':
+      case 'sent':
+        return 'bg-green-100 text-green-800';
+      case 'failed':
+      case 'error':
+        return 'bg-red-100 text-red-800';
+      case 'running':
+        return 'bg-blue-100 text-blue-800';
+      case 'skipped':
+      case 'interrupted':
+        return 'bg-yellow-100 text-yellow-800';
+      default:
+        return 'bg-gray-100 text-gray-800';
+    }
+  };
+
+  const slackLabels = {
+    sent: 'Slack sent',
+    failed: 'Slack failed',
+    disabled: 'Slack disabled',
+    none: 'Nothing to send'
+  };
+
+  const triggerOptions = [
+    { value: 'all', label: 'All Triggers' },
+    { value: 'scheduled', label: 'Scheduled' },
+    { value: 'manual', label: 'Manual' },
+    { value: 'inbound', label: 'Inbound Email' }
+  ];
+
+  const badge = (text, color) => html`
+    <span class="px-2 inline-flex text-xs leading-5 font-semibold rounded-full ${color}">${text}</span>
+  `;
+
+  if (loading) {
+    return html`<div class="text-center py-12 text-gray-500">Loading runs...</div>`;
+  }
+
+  return html`
+    <div class="space-y-6">
+      <!-- Header -->
+      <div class="flex items-center justify-between">
+        <h2 class="text-2xl font-bold text-gray-900">🕒 Run History</h2>
+        <div class="flex items-center gap-3">
+          <div class="w-48">
+            <${Select}
+              value=${trigger}
+              onChange=${e => { setTrigger(e.target.value); setOffset(0); }}
+              options=${triggerOptions}
+            />
+          </div>
+          <${Button} onClick=${loadRuns} variant="secondary">
+            🔄 Refresh
+          </${Button}>
+        </div>
+      </div>
+
+      ${runs.length === 0 ? html`
+        <div class="bg-white rounded-lg shadow p-12 text-center text-gray-500">
+          No runs recorded yet
+        </div>
+      ` : html`
+        <div class="bg-white rounded-lg shadow divide-y divide-gray-200">
+          ${runs.map(run => html`
+            <div key=${run.id}>
+              <div
+                class="px-6 py-3 flex items-center justify-between text-sm cursor-pointer hover:bg-gray-50"
+                onClick=${() => toggleRun(run.id)}
+              >
+                <div class="flex items-center gap-2">
+                  <span class="text-gray-400">${expanded[run.id] ? '▾' : '▸'}</span>
+                  ${badge(run.status, getStatusColor(run.status))}
+                  ${badge(run.trigger, 'bg-gray-100 text-gray-800')}
+                  <span class="text-gray-900">${new Date(run.started_at).toLocaleString()}</span>
+                  <span class="text-gray-500">· ${formatDuration(run.duration_ms)}</span>
+                </div>
+                <div class="flex items-center gap-4 text-gray-500">
+                  <span>${run.sites_total} sites${run.sites_failed > 0 ? html`, <span class="text-red-600">${run.sites_failed} failed</span>` : ''}</span>
+                  <span>${run.new_posts} new posts</span>
+                  <span>
+                    ${run.summaries_succeeded}/${run.summaries_total} summarized
+                    ${run.summaries_failed > 0 ? `, ${run.summaries_failed} failed` : ''}
+                    ${run.summaries_skipped > 0 ? `, ${run.summaries_skipped} skipped` : ''}
+                  </span>
+                  ${run.slack_status && badge(slackLabels[run.slack_status] || run.slack_status, getStatusColor(run.slack_status))}
+                </div>
+              </div>
+
+              ${expanded[run.id] && html`
+                <div class="px-6 pb-4 bg-gray-50">
+                  ${run.error && html`<p class="text-sm text-red-600 py-2">Error: ${run.error}</p>`}
+                  ${run.slack_error && html`<p class="text-sm text-red-600 py-2">Slack: ${run.slack_error}</p>`}
+                  ${expanded[run.id].sites.length === 0 ? html`
+                    <p class="text-sm text-gray-500 py-2">No sites checked</p>
+                  ` : html`
+                    <table class="min-w-full divide-y divide-gray-200">
+                      <thead>
+                        <tr>
+                          <th class="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Site</th>
+                          <th class="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Status</th>
+                          <th class="px-4 py-2 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">Fetched</th>
+                          <th class="px-4 py-2 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">New</th>
+                          <th class="px-4 py-2 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">Duration</th>
+                        </tr>
+                      </thead>
+                      <tbody class="divide-y divide-gray-200">
+                        ${expanded[run.id].sites.map(site => html`
+                          <tr key=${site.id}>
+                            <td class="px-4 py-2 text-sm text-gray-900">
+                              ${site.site_title || `Site #${site.site_id}`}
+                              ${site.error && html`<div class="text-xs text-red-600">${site.error}</div>`}
+                            </td>
+                            <td class="px-4 py-2 text-sm">${badge(site.status.replace('_', ' '), getStatusColor(site.status))}</td>
+                            <td class="px-4 py-2 text-sm text-gray-500 text-right">${site.posts_fetched}</td>
+                            <td class="px-4 py-2 text-sm text-gray-500 text-right">${site.new_posts}</td>
+                            <td class="px-4 py-2 text-sm text-gray-500 text-right">${formatDuration(site.duration_ms)}</td>
+                          </tr>
+                        `)}
+                      </tbody>
+                    </table>
+                  `}
+                </div>
+              `}
+            </div>
+          `)}
+        </div>
+
+        <!-- Pagination -->
+        ${total > PAGE_SIZE && html`
+          <div class="flex items-center justify-between text-sm text-gray-500">
+            <span>Showing ${offset + 1}–${Math.min(offset + PAGE_SIZE, total)} of ${total}</span>
+            <div class="flex gap-2">
+              <${Button} variant="secondary" disabled=${offset === 0} onClick=${() => setOffset(Math.max(0, offset - PAGE_SIZE))}>
+                ← Newer
+              </${Button}>
+              <${Button} variant="secondary" disabled=${offset + PAGE_SIZE >= total} onClick=${() => setOffset(offset + PAGE_SIZE)}>
+                Older →
+              </${Button}>
+            </div>
+          </div>
+        `}
+      `}
+    </div>
+  `;
+}
@@ -6,6 +6,7 @@ import Button from '../components/Button.js';
 import Input from '../components/Input.js';
 import Select from '../components/Select.js';
 import { toast } from '../utils/toast.js';
+import { modal } from '../utils/modal.js';
 
 const html = htm.bind(h);
 
@@ -29,8 +30,26 @@ export default function SiteEdit({ onNavigate }) {
     type: 'rss',
     is_active: 1,
     extraction_rules: '',
-    extraction_instructions: ''
+    extraction_instructions: '',
+    schedule: '',
+    lookback_days: '',
+    trust_feed_order: 0,
+    email_folder: '',
+    email_from: '',
+    email_subject: '',
+    email_mode: 'single',
+    email_tag: '',
+    category: '',
+    tags: ''
   });
+  const [nextCheckAt, setNextCheckAt] = useState(null);
+  const [backfilledAt, setBackfilledAt] = useState(null);
+  const [backfilling, setBackfilling] = useState(false);
+  const [globalLookbackDays, setGlobalLookbackDays] = useState('7');
+
+  // Feed discovery state
+  const [discovering, setDiscovering] = useState(false);
+  const [discovery, setDiscovery] = useState(null);
 
   // Testing state
   const [testing, setTesting] = useState(false);
@@ -69,8 +88,20 @@ export default function SiteEdit({ onNavigate }) {
           type: 'rss',
           is_active: 1,
           extraction_rules: '',
-          extraction_instructions: ''
+          extraction_instructions: '',
+          schedule: '',
+          lookback_days: '',
+          trust_feed_order: 0,
+          email_folder: '',
+          email_from: '',
+          email_subject: '',
+          email_mode: 'single',
+          email_tag: '',
+          category: '',
+          tags: ''
         });
+        setNextCheckAt(null);
+        setBackfilledAt(null);
       }
     };
 
@@ -93,6 +124,7 @@ export default function SiteEdit({ onNavigate }) {
         const config = await response.json();
         setBasePrompt(config.prompt_html_extract_base || '');
         setSelectorPrompt(config.prompt_selector_generation || '');
+        setGlobalLookbackDays(config.rss_lookback_days || '7');
       } catch (err) {
         console.error('Failed to load config:', err);
       } finally {
@@ -117,8 +149,20 @@ export default function SiteEdit({ onNavigate }) {
         type: site.type,
         is_active: site.is_active,
         extraction_rules: site.extraction_rules || '',
-        extraction_instructions: site.extraction_instructions || ''
+        extraction_instructions: site.extraction_instructions || '',
+        schedule: site.schedule || '',
+        lookback_days: site.lookback_days ?? '',
+        trust_feed_order: site.trust_feed_order || 0,
+        email_folder: site.email_folder || '',
+        email_from: site.email_from || '',
+        email_subject: site.email_subject || '',
+        email_mode: site.email_mode || 'single',
+        email_tag: site.email_tag || '',
+        category: site.category || '',
+        tags: (site.tags || []).join(', ')
       });
+      setNextCheckAt(site.next_check_at);
+      setBackfilledAt(site.backfilled_at);
     } catch (error) {
       console.error('Failed to load site:', error);
       toast.error('Failed to load site');
@@ -350,6 +394,40 @@ export default function SiteEdit({ onNavigate }) {
           setTestError(data.error || 'Unknown error');
           toast.error('Test failed: ' + (data.error || 'Unknown error'));
         }
+      } else if (formData.type === 'json_feed') {
+        const response = await fetch('/api/sites/test-json-feed', {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({
+            url: formData.url,
+            lookback_days: formData.lookback_days,
+            trust_feed_order: !!formData.trust_feed_order
+          })
+        });
+
+        const data = await response.json();
+        if (response.ok) {
+          setTestResults(data);
+          toast.success(`Success! Found ${data.count} posts.`);
+        } else {
+          setTestError(data.error || 'Unknown error');
+          toast.error('Test failed: ' + (data.error || 'Unknown error'));
+        }
+      } else if (formData.type === 'html_links') {
+        const response = await fetch('/api/sites/test-link-list', {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({ url: formData.url })
+        });
+
+        const data = await response.json();
+        if (response.ok) {
+          setTestResults(data);
+          toast.success(`Success! Found ${data.count} links.`);
+        } else {
+          setTestError(data.error || 'Unknown error');
+          toast.error('Test failed: ' + (data.error || 'Unknown error'));
+        }
       } else if (formData.type === 'html_llm') {
         const response = await fetch('/api/sites/test-llm-extraction', {
           method: 'POST',
@@ -403,12 +481,111 @@ export default function SiteEdit({ onNavigate }) {
     }
   };
 
+  const handleBackfill = async () => {
+    if (backfilledAt) {
+      const confirmed = await modal.confirm(
+        `This feed was already backfilled on ${new Date(backfilledAt).toLocaleString()}. Import its history again? Items that are already saved are skipped.`,
+        {
+          title: 'Backfill Again',
+          confirmText: 'Backfill',
+          cancelText: 'Cancel'
+        }
+      );
+      if (!confirmed) return;
+    }
+
+    setBackfilling(true);
+    try {
+      const response = await fetch(`/api/sites/${siteId}/backfill`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ summarize: false, force: !!backfilledAt })
+      });
+      const data = await response.json();
+
+      if (response.ok) {
+        toast.success(`Imported ${data.imported} of ${data.fetched} feed items`);
+        setBackfilledAt(new Date().toISOString());
+      } else {
+        toast.error('Backfill failed: ' + (data.error || 'Unknown error'));
+      }
+    } catch (error) {
+      console.error('Failed to backfill site:', error);
+      toast.error('Backfill failed');
+    } finally {
+      setBackfilling(false);
+    }
+  };
+
+  const handleDiscover = async () => {
+    if (!formData.url) {
+      toast.warning('Please enter a URL first');
+      return;
+    }
+
+    setDiscovering(true);
+    setDiscovery(null);
+    try {
+      const response = await fetch('/api/sites/discover', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ url: formData.url })
+      });
+      const data = await response.json();
+
+      if (!response.ok) {
+        toast.error('Discovery failed: ' + (data.error || 'Unknown error'));
+        return;
+      }
+
+      setDiscovery(data);
+      if (data.feeds.length > 0) {
+        toast.success(`Found ${data.feeds.length} feed${data.feeds.length === 1 ? '' : 's'}`);
+      } else if (data.recommendation.extraction_rules) {
+        toast.info('No feed found, CSS rules were generated with AI');
+      } else {
+        toast.warning('No feed found');
+      }
+    } catch (error) {
+      console.error('Failed to discover feeds:', error);
+      toast.error('Discovery failed: ' + error.message);
+    } finally {
+      setDiscovering(false);
+    }
+  };
+
+  // Pre-fill the form with a discovered feed or the recommendation
+  const applyDiscovery = (choice) => {
+    setFormData({
+      ...formData,
+      type: choice.type,
+      url: choice.url,
+      title: formData.title || choice.title || discovery.title || '',
+      ...(choice.extraction_rules && { extraction_rules: JSON.stringify(choice.extraction_rules) })
+    });
+    setDiscovery(null);
+    toast.success('Form filled from discovery');
+  };
+
   const typeOptions = [
     { value: 'rss', label: 'RSS Feed' },
+    { value: 'json_feed', label: 'JSON Feed' },
     { value: 'html_rules', label: 'HTML with CSS Rules' },
-    { value: 'html_llm', label: 'HTML with LLM' }
+    { value: 'html_llm', label: 'HTML with LLM' },
+    { value: 'html_links', label: 'HTML Link List' },
+    { value: 'email', label: 'Email Newsletter (IMAP)' }
   ];
 
+  const emailModeOptions = [
+    { value: 'single', label: 'One email = one post' },
+    { value: 'html_rules', label: 'Extract posts with CSS Rules' },
+    { value: 'html_llm', label: 'Extract posts with LLM' },
+    { value: 'html_links', label: 'One post per link (link list)' }
+  ];
+
+  // Email sites run the CSS rules, LLM or link list extraction against the email instead of a page
+  const extractionType = formData.type === 'email' ? formData.email_mode : formData.type;
+
   if (loading) {
     return html`<div class="text-center py-12 text-gray-500">Loading site...</div>`;
   }
@@ -449,8 +626,55 @@ export default function SiteEdit({ onNavigate }) {
               onInput=${e => setFormData({ ...formData, url: e.target.value })}
               placeholder="https://example.com/rss"
               required=${true}
+              helpText=${formData.type === 'email' ? "The newsletter's website, used to resolve relative links in the emails." : undefined}
             />
 
+            ${formData.type !== 'email' && html`
+              <div class="space-y-3">
+                <div class="flex items-center justify-between gap-3">
+                  <p class="text-sm text-gray-500">Enter a homepage to find its feeds.</p>
+                  <${Button}
+                    type="button"
+                    variant="secondary"
+                    onClick=${handleDiscover}
+                    disabled=${discovering || !formData.url}
+                  >
+                    ${discovering ? 'Discovering...' : '🔍 Discover'}
+                  </${Button}>
+                </div>
+
+                ${discovery && html`
+                  <div class="bg-gray-50 border border-gray-200 rounded-md p-3 space-y-2">
+                    ${discovery.feeds.length > 0 ? discovery.feeds.map(feed => html`
+                      <div class="flex items-center justify-between gap-3">
+                        <div class="min-w-0">
+                          <div class="text-sm font-medium text-gray-900 truncate">
+                            ${feed.title || feed.url}
+                            ${feed.url === discovery.recommendation.url && html`<span class="ml-2 text-xs text-green-700">recommended</span>`}
+                          </div>
+                          <div class="text-xs text-gray-500 truncate">
+                            ${feed.type === 'json_feed' ? 'JSON Feed' : 'RSS/Atom'} · ${feed.item_count} items
+                            ${feed.latest_item_date && ` · latest ${new Date(feed.latest_item_date).toLocaleDateString()}`}
+                            · ${feed.url}
+                          </div>
+                        </div>
+                        <${Button} type="button" variant="outline" className="text-sm py-1" onClick=${() => applyDiscovery(feed)}>Use</${Button}>
+                      </div>
+                    `) : html`
+                      <div class="flex items-center justify-between gap-3">
+                        <p class="text-sm text-gray-700">
+                          No feed found. ${discovery.recommendation.extraction_rules
+                            ? 'Use HTML with CSS Rules generated by AI.'
+                            : `Try HTML with CSS Rules or LLM${discovery.recommendation.selector_error ? ` (AI selectors failed: ${discovery.recommendation.selector_error})` : ''}.`}
+                        </p>
+                        <${Button} type="button" variant="outline" className="text-sm py-1" onClick=${() => applyDiscovery(discovery.recommendation)}>Use</${Button}>
+                      </div>
+                    `}
+                  </div>
+                `}
+              </div>
+            `}
+
             <${Select}
               label="Type"
               value=${formData.type}
@@ -458,7 +682,139 @@ export default function SiteEdit({ onNavigate }) {
               options=${typeOptions}
             />
 
-            ${formData.type === 'html_rules' && html`
+            <${Input}
+              label="Category"
+              value=${formData.category}
+              onInput=${e => setFormData({ ...formData, category: e.target.value })}
+              placeholder="None"
+              helpText="Folder of the site in OPML exports. Nested folders are separated with ' / ' (e.g. Tech / AI)."
+            />
+
+            <${Input}
+              label="Tags"
+              value=${formData.tags}
+              onInput=${e => setFormData({ ...formData, tags: e.target.value })}
+              placeholder="None"
+              helpText="Comma-separated. New posts of the site get these tags, existing posts keep theirs."
+            />
+
+            <${Input}
+              label="Check Schedule"
+              value=${formData.schedule}
+              onInput=${e => setFormData({ ...formData, schedule: e.target.value })}
+              placeholder="Global schedule"
+              helpText=${html`
+                Cron expression (e.g. <code class="bg-gray-100 px-1">0 * * * *</code> hourly) or interval
+                (<code class="bg-gray-100 px-1">30m</code>, <code class="bg-gray-100 px-1">6h</code>, <code class="bg-gray-100 px-1">1d</code>, <code class="bg-gray-100 px-1">1w</code>).
+                Leave empty to use the global schedule from Settings.
+                ${nextCheckAt && html`<br />Next check: ${new Date(nextCheckAt).toLocaleString()}`}
+              `}
+            />
+
+            ${(formData.type === 'rss' || formData.type === 'json_feed') && html`
+              <div class="space-y-3 border-t pt-4">
+                <${Input}
+                  label="Lookback (days)"
+                  type="number"
+                  min="0"
+                  value=${formData.lookback_days}
+                  onInput=${e => setFormData({ ...formData, lookback_days: e.target.value })}
+                  placeholder=${`Global (${globalLookbackDays})`}
+                  helpText="Feed items older than this are ignored. 0 keeps all items, empty uses the global setting."
+                />
+
+                <div class="flex items-start gap-3">
+                  <input
+                    type="checkbox"
+                    id="trust_feed_order"
+                    checked=${!!formData.trust_feed_order}
+                    onChange=${e => setFormData({ ...formData, trust_feed_order: e.target.checked ? 1 : 0 })}
+                    class="mt-1 h-4 w-4 text-blue-600 focus:ring-blue-500 border-gray-300 rounded"
+                  />
+                  <div class="flex-1">
+                    <label for="trust_feed_order" class="text-sm font-medium text-gray-900 cursor-pointer">
+                      Trust feed order instead of dates
+                    </label>
+                    <p class="text-sm text-gray-500 mt-1">
+                      For feeds with missing or wrong dates: items are taken in feed order (newest first) and dated when first seen. New items listed below older ones count as old for the lookback window.
+                    </p>
+                  </div>
+                </div>
+
+                ${!isNewSite && html`
+                  <div class="flex items-center justify-between gap-3">
+                    <p class="text-sm text-gray-500">
+                      ${backfilledAt
+                        ? `Backfilled on ${new Date(backfilledAt).toLocaleString()}.`
+                        : 'Import every item currently in the feed, regardless of the lookback window.'}
+                    </p>
+                    <${Button}
+                      type="button"
+                      variant="secondary"
+                      onClick=${handleBackfill}
+                      disabled=${backfilling}
+                    >
+                      ${backfilling ? 'Importing...' : '📥 Backfill History'}
+                    </${Button}>
+                  </div>
+                `}
+              </div>
+            `}
+
+            ${formData.type === 'email' && html`
+              <div class="space-y-3 border-t pt-4">
+                <h3 class="text-sm font-semibold text-gray-900">Mailbox Filters</h3>
+                <${Input}
+                  label="Folder"
+                  value=${formData.email_folder}
+                  onInput=${e => setFormData({ ...formData, email_folder: e.target.value })}
+                  placeholder="INBOX"
+                />
+                <${Input}
+                  label="From"
+                  value=${formData.email_from}
+                  onInput=${e => setFormData({ ...formData, email_from: e.target.value })}
+                  placeholder="newsletter@example.com"
+                  helpText="Only emails whose sender contains this text."
+                />
+                <${Input}
+                  label="Subject"
+                  value=${formData.email_subject}
+                  onInput=${e => setFormData({ ...formData, email_subject: e.target.value })}
+                  placeholder="Weekly digest"
+                  helpText="Only emails whose subject contains this text (optional)."
+                />
+                <${Input}
+                  label="Forwarding Tag"
+                  value=${formData.email_tag}
+                  onInput=${e => setFormData({ ...formData, email_tag: e.target.value })}
+                  placeholder=${siteId ? String(siteId) : 'weekly'}
+                  helpText="Newsletters forwarded to a plus address with this tag (e.g. digest+weekly@your-domain, or digest+<token>+weekly@your-domain for the SMTP listener) go to this site."
+                />
+                <${Select}
+                  label="Posts"
+                  value=${formData.email_mode}
+                  onChange=${e => setFormData({ ...formData, email_mode: e.target.value })}
+                  options=${emailModeOptions}
+                />
+                <p class="text-sm text-gray-500">
+                  Emails are read from the mailbox configured in Settings. Only emails within the lookback window are read,
+                  and processed emails are marked as read.
+                </p>
+              </div>
+            `}
+
+            ${extractionType === 'html_links' && html`
+              <div class="space-y-3 border-t pt-4">
+                <h3 class="text-sm font-semibold text-gray-900">Link List</h3>
+                <p class="text-sm text-gray-500">
+                  Every linked item becomes a post, with the text around the link as its content. Tracking redirects
+                  are unwrapped, and sponsor, unsubscribe and footer links are dropped using the exclude patterns in Settings.
+                </p>
+              </div>
+            `}
+
+            ${extractionType === 'html_rules' && html`
               <div class="space-y-3 border-t pt-4">
                 <div class="flex items-center justify-between">
                   <h3 class="text-sm font-semibold text-gray-900">CSS Extraction Rules</h3>
@@ -645,7 +1001,7 @@ export default function SiteEdit({ onNavigate }) {
               </div>
             `}
 
-            ${formData.type === 'html_llm' && html`
+            ${extractionType === 'html_llm' && html`
               <div class="border-t pt-4 space-y-4">
                 <!-- Base Prompt Display -->
                 ${!loadingConfig && basePrompt && html`
@@ -680,7 +1036,7 @@ export default function SiteEdit({ onNavigate }) {
 
                 <div class="bg-yellow-50 border border-yellow-200 rounded p-3">
                   <p class="text-xs text-yellow-800">
-                    ⚠️ <strong>Note:</strong> LLM extraction costs ~$0.01-0.05 per check. Make sure OpenAI API key is configured in Settings tab.
+                    ⚠️ <strong>Note:</strong> LLM extraction costs ~$0.01-0.05 per check (actual spend is tracked in the Usage tab). Make sure OpenAI API key is configured in Settings tab.
                   </p>
                 </div>
               </div>
@@ -702,16 +1058,24 @@ export default function SiteEdit({ onNavigate }) {
         </div>
 
         <!-- Right Column: Testing Tool -->
-        ${(formData.type === 'html_rules' || formData.type === 'html_llm') && html`
+        ${['html_rules', 'html_llm', 'html_links', 'json_feed'].includes(formData.type) && html`
           <div class="bg-white rounded-lg shadow p-6">
             <h3 class="text-lg font-semibold text-gray-900 mb-4">
-              ${formData.type === 'html_rules' ? '🔧 Test CSS Selectors' : '🤖 Test LLM Extraction'}
+              ${{
+                html_rules: '🔧 Test CSS Selectors',
+                html_llm: '🤖 Test LLM Extraction',
+                html_links: '🔗 Test Link List',
+                json_feed: '📰 Test JSON Feed'
+              }[formData.type]}
             </h3>
 
             <p class="text-sm text-gray-600 mb-4">
-              ${formData.type === 'html_rules'
-                ? 'Test your CSS selectors to see what posts will be extracted from the page.'
-                : 'Test the LLM extraction to see what posts will be extracted using AI.'}
+              ${{
+                html_rules: 'Test your CSS selectors to see what posts will be extracted from the page.',
+                html_llm: 'Test the LLM extraction to see what posts will be extracted using AI.',
+                html_links: 'Fetch the page to see which links will become posts with the current exclude patterns.',
+                json_feed: 'Fetch the feed to see which items will be imported with the current lookback settings.'
+              }[formData.type]}
             </p>
 
             <div class="w-full">
@@ -744,9 +1108,9 @@ export default function SiteEdit({ onNavigate }) {
                   <h4 class="text-sm font-semibold text-green-900">
                     ✓ Successfully extracted ${testResults.total || testResults.count} posts
                   </h4>
-                  ${testResults.estimated_cost && html`
+                  ${testResults.tokens_used > 0 && html`
                     <p class="text-xs text-green-700 mt-1">
-                      Estimated cost: $${testResults.estimated_cost.toFixed(3)}
+                      ${testResults.tokens_used.toLocaleString()} tokens${testResults.model ? ` (${testResults.model})` : ''} · Cost: $${(testResults.estimated_cost || 0).toFixed(4)}
                     </p>
                   `}
                 </div>
@@ -773,6 +1137,23 @@ export default function SiteEdit({ onNavigate }) {
                               📅 ${post.date}
                             </div>
                           `}
+                          ${post.authors && post.authors.length > 0 && html`
+                            <div class="text-xs text-gray-500 mb-2">
+                              ✍️ ${post.authors.join(', ')}
+                            </div>
+                          `}
+                          ${post.external_url && post.external_url !== post.url && html`
+                            <div class="text-xs text-gray-500 mb-2 break-all">
+                              🔗 Links to ${post.external_url}
+                            </div>
+                          `}
+                          ${post.tags && post.tags.length > 0 && html`
+                            <div class="flex flex-wrap gap-1 mb-2">
+                              ${post.tags.map(tag => html`
+                                <span key=${tag} class="px-2 py-0.5 text-xs rounded bg-gray-100 text-gray-700">${tag}</span>
+                              `)}
+                            </div>
+                          `}
                           ${post.content && html`
                             <div class="text-sm text-gray-700 mt-2 p-2 bg-gray-50 rounded border border-gray-200">
                               ${post.content.substring(0, 200)}${post.content.length > 200 ? '...' : ''}
@@ -785,7 +1166,10 @@ export default function SiteEdit({ onNavigate }) {
                 ` : html`
                   <div class="bg-yellow-50 border border-yellow-200 rounded-lg p-4">
                     <p class="text-sm text-yellow-800">
-                      ⚠️ No posts were extracted. The selectors might not match any content on the page.
+                      ⚠️ ${{
+                        json_feed: 'No posts were found. The feed may be empty or have no items inside the lookback window.',
+                        html_links: 'No links were found. The page may have no item links, or the exclude patterns drop all of them.'
+                      }[formData.type] || 'No posts were extracted. The selectors might not match any content on the page.'}
                     </p>
                   </div>
                 `}
@@ -11,6 +11,14 @@ export default function Sites({ onNavigate }) {
   const [sites, setSites] = useState([]);
   const [loading, setLoading] = useState(true);
 
+  // OPML import state: the uploaded document and its preview
+  const [opmlImport, setOpmlImport] = useState(null);
+  const [importing, setImporting] = useState(false);
+
+  // JSON bundle state: the uploaded bundle, its diff and the selected sites / config keys
+  const [bundleImport, setBundleImport] = useState(null);
+  const [bundleWithConfig, setBundleWithConfig] = useState(false);
+
   useEffect(() => {
     loadSites();
   }, []);
@@ -71,6 +79,178 @@ export default function Sites({ onNavigate }) {
     }
   };
 
+  const handleOpmlFile = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = ''; // Allow choosing the same file again
+    if (!file) return;
+
+    try {
+      const opml = await file.text();
+      const response = await fetch('/api/sites/opml/preview', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ opml })
+      });
+      const data = await response.json();
+
+      if (!response.ok) {
+        toast.error('Failed to read OPML: ' + (data.error || 'Unknown error'));
+        return;
+      }
+      if (data.feeds.length === 0) {
+        toast.warning('No feeds found in this OPML file');
+        return;
+      }
+
+      setOpmlImport({ opml, fileName: file.name, ...data });
+    } catch (error) {
+      console.error('Failed to preview OPML:', error);
+      toast.error('Failed to read OPML file');
+    }
+  };
+
+  const confirmOpmlImport = async () => {
+    setImporting(true);
+    try {
+      const response = await fetch('/api/sites/opml/import', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          opml: opmlImport.opml,
+          urls: opmlImport.feeds.filter(feed => !feed.exists).map(feed => feed.url)
+        })
+      });
+      const data = await response.json();
+
+      if (response.ok) {
+        toast.success(`Imported ${data.created} sites${data.skipped ? `, ${data.skipped} already existed` : ''}`);
+        setOpmlImport(null);
+        loadSites();
+      } else {
+        toast.error('OPML import failed: ' + (data.error || 'Unknown error'));
+      }
+    } catch (error) {
+      console.error('Failed to import OPML:', error);
+      toast.error('OPML import failed');
+    } finally {
+      setImporting(false);
+    }
+  };
+
+  const handleBundleFile = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = ''; // Allow choosing the same file again
+    if (!file) return;
+
+    try {
+      let bundle;
+      try {
+        bundle = JSON.parse(await file.text());
+      } catch (error) {
+        toast.error('Not a JSON file: ' + error.message);
+        return;
+      }
+
+      const response = await fetch('/api/sites/bundle/preview', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ bundle })
+      });
+      const data = await response.json();
+
+      if (!response.ok) {
+        toast.error(`${data.error || 'Unknown error'}${data.details ? ': ' + data.details.join('; ') : ''}`);
+        return;
+      }
+
+      // Everything that changes is selected by default
+      setBundleImport({
+        bundle,
+        fileName: file.name,
+        ...data,
+        selectedUrls: data.sites.filter(site => site.action !== 'unchanged').map(site => site.url),
+        selectedKeys: data.config.map(change => change.key)
+      });
+    } catch (error) {
+      console.error('Failed to preview bundle:', error);
+      toast.error('Failed to read bundle file');
+    }
+  };
+
+  const toggleBundleSelection = (listName, value) => {
+    const list = bundleImport[listName];
+    setBundleImport({
+      ...bundleImport,
+      [listName]: list.includes(value) ? list.filter(item => item !== value) : [...list, value]
+    });
+  };
+
+  const confirmBundleImport = async () => {
+    setImporting(true);
+    try {
+      const response = await fetch('/api/sites/bundle/import', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          bundle: bundleImport.bundle,
+          urls: bundleImport.selectedUrls,
+          config_keys: bundleImport.selectedKeys
+        })
+      });
+      const data = await response.json();
+
+      if (response.ok) {
+        toast.success(`Created ${data.created} and updated ${data.updated} sites${data.config_updated ? `, ${data.config_updated} settings` : ''}`);
+        setBundleImport(null);
+        loadSites();
+      } else {
+        toast.error('Bundle import failed: ' + (data.error || 'Unknown error'));
+      }
+    } catch (error) {
+      console.error('Failed to import bundle:', error);
+      toast.error('Bundle import failed');
+    } finally {
+      setImporting(false);
+    }
+  };
+
+  // Short display of a site setting or config value in the bundle diff
+  const formatValue = (value) => {
+    if (value === null || value === undefined || value === '') return '(empty)';
+    const text = typeof value === 'string' ? value : JSON.stringify(value);
+    return text.length > 80 ? text.slice(0, 80) + '…' : text;
+  };
+
+  const bundleActionBadges = {
+    create: 'bg-green-100 text-green-800',
+    update: 'bg-yellow-100 text-yellow-800',
+    unchanged: 'bg-gray-100 text-gray-600'
+  };
+
+  const healthBadges = {
+    healthy: { label: 'Healthy', color: 'bg-green-100 text-green-800' },
+    failing: { label: 'Failing', color: 'bg-red-100 text-red-800' },
+    disabled: { label: 'Auto-disabled', color: 'bg-red-100 text-red-800' },
+    empty: { label: 'No posts found', color: 'bg-yellow-100 text-yellow-800' },
+    unknown: { label: 'Not checked', color: 'bg-gray-100 text-gray-800' }
+  };
+
+  const getHealthTooltip = (site) => {
+    const lines = [];
+    if (site.consecutive_failures > 0) {
+      lines.push(`${site.consecutive_failures} failed checks in a row: ${site.last_error}`);
+    }
+    if (site.health === 'empty') {
+      lines.push(`No posts extracted in the last ${site.consecutive_empty_runs} checks - the selector may be broken`);
+    }
+    if (site.health === 'disabled') {
+      lines.push('Turn the site back on to resume checking');
+    }
+    lines.push(`Last success: ${site.last_success_at ? new Date(site.last_success_at).toLocaleString() : 'Never'}`);
+    lines.push(`Last posts found: ${site.last_nonzero_at ? new Date(site.last_nonzero_at).toLocaleString() : 'Never'}`);
+    return lines.join('\n');
+  };
+
   if (loading) {
     return html`<div class="text-center py-12 text-gray-500">Loading sites...</div>`;
   }
@@ -85,6 +265,145 @@ export default function Sites({ onNavigate }) {
         </${Button}>
       </div>
 
+      <!-- Import / Export -->
+      <div class="bg-white rounded-lg shadow px-6 py-4 flex flex-wrap items-center gap-3">
+        <span class="text-sm font-medium text-gray-700 mr-2">OPML</span>
+        <label class="px-3 py-1 text-sm rounded-md font-medium transition-colors bg-gray-200 text-gray-800 hover:bg-gray-300 cursor-pointer">
+          📥 Import
+          <input type="file" accept=".opml,.xml,text/x-opml,text/xml,application/xml" class="hidden" onChange=${handleOpmlFile} />
+        </label>
+        <a href="/api/sites/opml" download="sites.opml" class="px-3 py-1 text-sm rounded-md font-medium transition-colors bg-gray-200 text-gray-800 hover:bg-gray-300">
+          📤 Export
+        </a>
+
+        <span class="text-sm font-medium text-gray-700 ml-6 mr-2" title="All site settings, including CSS rules and LLM instructions">JSON bundle</span>
+        <label class="px-3 py-1 text-sm rounded-md font-medium transition-colors bg-gray-200 text-gray-800 hover:bg-gray-300 cursor-pointer">
+          📥 Import
+          <input type="file" accept=".json,application/json" class="hidden" onChange=${handleBundleFile} />
+        </label>
+        <a
+          href=${`/api/sites/bundle${bundleWithConfig ? '?include_config=1' : ''}`}
+          download="sites-bundle.json"
+          class="px-3 py-1 text-sm rounded-md font-medium transition-colors bg-gray-200 text-gray-800 hover:bg-gray-300"
+        >
+          📤 Export
+        </a>
+        <label class="flex items-center gap-2 text-sm text-gray-600 cursor-pointer" title="Prompts and settings, never API keys, passwords or webhooks">
+          <input
+            type="checkbox"
+            checked=${bundleWithConfig}
+            onChange=${e => setBundleWithConfig(e.target.checked)}
+            class="h-4 w-4 text-blue-600 focus:ring-blue-500 border-gray-300 rounded"
+          />
+          with settings (no credentials, endpoints or paths)
+        </label>
+      </div>
+
+      <!-- Bundle Import Preview -->
+      ${bundleImport && html`
+        <div class="bg-white rounded-lg shadow p-6 space-y-4">
+          <div class="flex items-center justify-between">
+            <div>
+              <h3 class="text-lg font-semibold text-gray-900">Import ${bundleImport.fileName}</h3>
+              <p class="text-sm text-gray-500">
+                Sites are matched by URL. Only the checked sites and settings are applied.
+              </p>
+            </div>
+            <div class="flex items-center gap-3">
+              <${Button} variant="secondary" onClick=${() => setBundleImport(null)} disabled=${importing}>
+                Cancel
+              </${Button}>
+              <${Button}
+                variant="primary"
+                onClick=${confirmBundleImport}
+                disabled=${importing || (bundleImport.selectedUrls.length === 0 && bundleImport.selectedKeys.length === 0)}
+              >
+                ${importing ? 'Applying...' : 'Apply Selected'}
+              </${Button}>
+            </div>
+          </div>
+          <ul class="divide-y divide-gray-200 max-h-96 overflow-y-auto">
+            ${bundleImport.sites.map(site => html`
+              <li key=${site.url} class="py-2 flex items-start gap-3">
+                <input
+                  type="checkbox"
+                  checked=${bundleImport.selectedUrls.includes(site.url)}
+                  disabled=${site.action === 'unchanged'}
+                  onChange=${() => toggleBundleSelection('selectedUrls', site.url)}
+                  class="mt-1 h-4 w-4 text-blue-600 focus:ring-blue-500 border-gray-300 rounded"
+                />
+                <div class="min-w-0 flex-1">
+                  <div class="text-sm font-medium text-gray-900 truncate">
+                    ${site.title}
+                    <span class="ml-2 px-2 inline-flex text-xs leading-5 font-semibold rounded-full ${bundleActionBadges[site.action]}">${site.action}</span>
+                  </div>
+                  <div class="text-xs text-gray-500 truncate">${site.url}</div>
+                  ${site.changes.map(change => html`
+                    <div class="text-xs text-gray-600 font-mono truncate">
+                      ${change.field}: <span class="text-red-700">${formatValue(change.from)}</span> → <span class="text-green-700">${formatValue(change.to)}</span>
+                    </div>
+                  `)}
+                </div>
+              </li>
+            `)}
+            ${bundleImport.config.map(change => html`
+              <li key=${change.key} class="py-2 flex items-start gap-3">
+                <input
+                  type="checkbox"
+                  checked=${bundleImport.selectedKeys.includes(change.key)}
+                  onChange=${() => toggleBundleSelection('selectedKeys', change.key)}
+                  class="mt-1 h-4 w-4 text-blue-600 focus:ring-blue-500 border-gray-300 rounded"
+                />
+                <div class="min-w-0 flex-1 text-xs text-gray-600 font-mono truncate">
+                  <span class="font-sans text-sm font-medium text-gray-900">Setting ${change.key}:</span>
+                  <span class="text-red-700"> ${formatValue(change.from)}</span> → <span class="text-green-700">${formatValue(change.to)}</span>
+                </div>
+              </li>
+            `)}
+          </ul>
+        </div>
+      `}
+
+      <!-- OPML Import Preview -->
+      ${opmlImport && html`
+        <div class="bg-white rounded-lg shadow p-6 space-y-4">
+          <div class="flex items-center justify-between">
+            <div>
+              <h3 class="text-lg font-semibold text-gray-900">Import ${opmlImport.fileName}</h3>
+              <p class="text-sm text-gray-500">
+                ${opmlImport.new_count} of ${opmlImport.feeds.length} feeds will be added as RSS or JSON Feed sites. Folders become site tags.
+              </p>
+            </div>
+            <div class="flex items-center gap-3">
+              <${Button} variant="secondary" onClick=${() => setOpmlImport(null)} disabled=${importing}>
+                Cancel
+              </${Button}>
+              <${Button} variant="primary" onClick=${confirmOpmlImport} disabled=${importing || opmlImport.new_count === 0}>
+                ${importing ? 'Importing...' : `Import ${opmlImport.new_count} Sites`}
+              </${Button}>
+            </div>
+          </div>
+          <ul class="divide-y divide-gray-200 max-h-96 overflow-y-auto">
+            ${opmlImport.feeds.map(feed => html`
+              <li key=${feed.url} class="py-2 flex items-center justify-between gap-3">
+                <div class="min-w-0">
+                  <div class="text-sm font-medium text-gray-900 truncate">${feed.title}</div>
+                  <div class="text-xs text-gray-500 truncate">${feed.url}</div>
+                </div>
+                <div class="flex items-center gap-2 whitespace-nowrap">
+                  ${feed.tags.map(tag => html`
+                    <span key=${tag} class="px-2 inline-flex text-xs leading-5 rounded-full bg-gray-100 text-gray-700">#${tag}</span>
+                  `)}
+                  <span class="px-2 inline-flex text-xs leading-5 font-semibold rounded-full ${feed.exists ? 'bg-gray-100 text-gray-600' : 'bg-green-100 text-green-800'}">
+                    ${feed.exists ? 'Already added' : 'New'}
+                  </span>
+                </div>
+              </li>
+            `)}
+          </ul>
+        </div>
+      `}
+
       <!-- Sites Table -->
       ${sites.length === 0 ? html`
         <div class="bg-white rounded-lg shadow p-12 text-center">
@@ -107,6 +426,9 @@ export default function Sites({ onNavigate }) {
                 <th class="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
                   Status
                 </th>
+                <th class="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                  Health
+                </th>
                 <th class="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
                   Last Checked
                 </th>
@@ -119,7 +441,15 @@ export default function Sites({ onNavigate }) {
               ${sites.map(site => html`
                 <tr key=${site.id}>
                   <td class="px-6 py-4">
-                    <div class="text-sm font-medium text-gray-900">${site.title}</div>
+                    <div class="text-sm font-medium text-gray-900">
+                      ${site.title}
+                      ${site.category && html`
+                        <span class="ml-2 px-2 inline-flex text-xs leading-5 font-semibold rounded-full bg-purple-100 text-purple-800">${site.category}</span>
+                      `}
+                      ${site.tags?.map(tag => html`
+                        <span key=${tag} class="ml-2 px-2 inline-flex text-xs leading-5 rounded-full bg-gray-100 text-gray-700">#${tag}</span>
+                      `)}
+                    </div>
                     <a href=${site.url} target="_blank" rel="noopener noreferrer" class="text-sm text-blue-600 hover:text-blue-800 hover:underline truncate max-w-xs block">
                       ${site.url}
                     </a>
@@ -138,8 +468,21 @@ export default function Sites({ onNavigate }) {
                       ${site.is_active ? '🟢' : '🔴'}
                     </button>
                   </td>
+                  <td class="px-6 py-4 whitespace-nowrap">
+                    <span
+                      class="px-2 inline-flex text-xs leading-5 font-semibold rounded-full ${healthBadges[site.health]?.color || healthBadges.unknown.color}"
+                      title=${getHealthTooltip(site)}
+                    >
+                      ${healthBadges[site.health]?.label || site.health}
+                    </span>
+                  </td>
                   <td class="px-6 py-4 whitespace-nowrap text-sm text-gray-500">
                     ${site.last_checked ? new Date(site.last_checked).toLocaleString() : 'Never'}
+                    ${site.is_active && site.next_check_at ? html`
+                      <div class="text-xs text-gray-400" title=${site.schedule ? `Schedule: ${site.schedule}` : 'Global schedule'}>
+                        Next: ${new Date(site.next_check_at).toLocaleString()}${site.schedule ? ` (${site.schedule})` : ''}
+                      </div>
+                    ` : null}
                   </td>
                   <td class="px-6 py-4 whitespace-nowrap text-right text-sm font-medium">
                     <button
@@ -0,0 +1,192 @@
+import { h } from 'https://esm.sh/preact@10.19.3';
+import { useState, useEffect } from 'https://esm.sh/preact@10.19.3/hooks';
+import htm from 'https://esm.sh/htm@3.1.1';
+import Button from '../components/Button.js';
+import Select from '../components/Select.js';
+
+const html = htm.bind(h);
+
+export default function Usage() {
+  const [usage, setUsage] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [days, setDays] = useState('30');
+
+  useEffect(() => {
+    loadUsage();
+  }, [days]);
+
+  const loadUsage = async () => {
+    try {
+      const response = await fetch(`/api/usage?days=${days}`);
+      const data = await response.json();
+      setUsage(response.ok ? data : null);
+    } catch (error) {
+      console.error('Failed to load usage:', error);
+      setUsage(null);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const formatCost = (cost) => `$${(cost || 0).toFixed(4)}`;
+  const formatTokens = (tokens) => (tokens || 0).toLocaleString();
+
+  const purposeLabels = {
+    summarization: 'Summarization',
+    html_llm_extraction: 'HTML LLM Extraction',
+    test_llm_extraction: 'Test LLM Extraction',
+    selector_generation: 'Selector Generation',
+    test_ai: 'Test AI Connection'
+  };
+
+  const dayOptions = [
+    { value: '1', label: 'Last 24 hours' },
+    { value: '7', label: 'Last 7 days' },
+    { value: '30', label: 'Last 30 days' },
+    { value: '90', label: 'Last 90 days' },
+    { value: '365', label: 'Last year' }
+  ];
+
+  // Shared breakdown table for the by-day/site/purpose/model groupings
+  const renderTable = (title, rows, labelHeader, getLabel) => html`
+    <div class="bg-white rounded-lg shadow overflow-hidden">
+      <h3 class="text-lg font-semibold text-gray-900 px-6 pt-4 pb-2">${title}</h3>
+      ${rows.length === 0 ? html`
+        <p class="px-6 pb-4 text-sm text-gray-500">No usage recorded</p>
+      ` : html`
+        <table class="min-w-full divide-y divide-gray-200">
+          <thead class="bg-gray-50">
+            <tr>
+              <th class="px-6 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">${labelHeader}</th>
+              <th class="px-6 py-2 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">Calls</th>
+              <th class="px-6 py-2 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">Tokens</th>
+              <th class="px-6 py-2 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">Cost</th>
+            </tr>
+          </thead>
+          <tbody class="bg-white divide-y divide-gray-200">
+            ${rows.map((row, index) => html`
+              <tr key=${index}>
+                <td class="px-6 py-2 text-sm text-gray-900">${getLabel(row)}</td>
+                <td class="px-6 py-2 text-sm text-gray-500 text-right">${row.calls}</td>
+                <td class="px-6 py-2 text-sm text-gray-500 text-right">${formatTokens(row.total_tokens)}</td>
+                <td class="px-6 py-2 text-sm text-gray-900 text-right font-medium">${formatCost(row.cost)}</td>
+              </tr>
+            `)}
+          </tbody>
+        </table>
+      `}
+    </div>
+  `;
+
+  if (loading) {
+    return html`<div class="text-center py-12 text-gray-500">Loading usage...</div>`;
+  }
+
+  return html`
+    <div class="space-y-6">
+      <!-- Header -->
+      <div class="flex items-center justify-between">
+        <h2 class="text-2xl font-bold text-gray-900">💰 LLM Usage</h2>
+        <div class="flex items-center gap-3">
+          <div class="w-48">
+            <${Select}
+              value=${days}
+              onChange=${e => setDays(e.target.value)}
+              options=${dayOptions}
+            />
+          </div>
+          <${Button} onClick=${loadUsage} variant="secondary">
+            🔄 Refresh
+          </${Button}>
+        </div>
+      </div>
+
+      ${!usage ? html`
+        <div class="bg-white rounded-lg shadow p-12 text-center text-gray-500">
+          Failed to load usage
+        </div>
+      ` : html`
+        <!-- Totals -->
+        <div class="grid grid-cols-1 md:grid-cols-4 gap-4">
+          ${[
+            { label: 'Total Cost', value: formatCost(usage.totals.cost) },
+            { label: 'Calls', value: usage.totals.calls },
+            { label: 'Prompt Tokens', value: formatTokens(usage.totals.prompt_tokens) },
+            { label: 'Completion Tokens', value: formatTokens(usage.totals.completion_tokens) }
+          ].map(card => html`
+            <div key=${card.label} class="bg-white rounded-lg shadow p-4">
+              <div class="text-xs font-medium text-gray-500 uppercase">${card.label}</div>
+              <div class="text-2xl font-bold text-gray-900 mt-1">${card.value}</div>
+            </div>
+          `)}
+        </div>
+
+        <!-- Budget -->
+        ${usage.budget && html`
+          <div class="bg-white rounded-lg shadow p-4">
+            <div class="flex items-center justify-between mb-2">
+              <h3 class="text-lg font-semibold text-gray-900">Budget</h3>
+              ${usage.budget.exceeded && html`
+                <span class="px-2 inline-flex text-xs leading-5 font-semibold rounded-full bg-red-100 text-red-800">
+                  Limit reached – AI work paused
+                </span>
+              `}
+            </div>
+            <div class="grid grid-cols-1 md:grid-cols-2 gap-4 text-sm">
+              ${['daily', 'monthly'].map(name => {
+                const period = usage.budget[name];
+                return html`
+                  <div key=${name}>
+                    <div class="text-xs font-medium text-gray-500 uppercase">${name === 'daily' ? 'Today' : 'This Month'}</div>
+                    <div class="text-gray-900 mt-1">
+                      ${formatTokens(period.tokens_used)} tokens
+                      ${period.tokens_limit !== null ? ` of ${formatTokens(period.tokens_limit)} (${formatTokens(period.tokens_remaining)} left)` : ''}
+                    </div>
+                    <div class="text-gray-900">
+                      ${formatCost(period.cost_used)}
+                      ${period.cost_limit !== null ? ` of ${formatCost(period.cost_limit)} (${formatCost(period.cost_remaining)} left)` : ''}
+                    </div>
+                  </div>
+                `;
+              })}
+            </div>
+          </div>
+        `}
+
+        <div class="grid grid-cols-1 lg:grid-cols-2 gap-6">
+          ${renderTable('By Purpose', usage.by_purpose, 'Purpose', row => purposeLabels[row.purpose] || row.purpose)}
+          ${renderTable('By Site', usage.by_site, 'Site', row => row.site_title || (row.site_id ? `Site #${row.site_id}` : 'No site'))}
+          ${renderTable('By Day', usage.by_day, 'Day', row => row.day)}
+          ${renderTable('By Model', usage.by_model, 'Model', row => row.model || 'Unknown')}
+        </div>
+
+        <!-- Recent Calls -->
+        <div class="bg-white rounded-lg shadow overflow-hidden">
+          <h3 class="text-lg font-semibold text-gray-900 px-6 pt-4 pb-2">Recent Calls</h3>
+          ${usage.recent.length === 0 ? html`
+            <p class="px-6 pb-4 text-sm text-gray-500">No usage recorded</p>
+          ` : html`
+            <div class="divide-y divide-gray-200">
+              ${usage.recent.map(row => html`
+                <div key=${row.id} class="px-6 py-2 flex items-center justify-between text-sm">
+                  <div class="flex items-center gap-2">
+                    <span class="px-2 inline-flex text-xs leading-5 font-semibold rounded-full bg-blue-100 text-blue-800">
+                      ${purposeLabels[row.purpose] || row.purpose}
+                    </span>
+                    <span class="text-gray-900">${row.model}</span>
+                    ${row.site_title && html`<span class="text-gray-500">· ${row.site_title}</span>`}
+                  </div>
+                  <div class="flex items-center gap-4 text-gray-500">
+                    <span>${formatTokens(row.prompt_tokens)} in / ${formatTokens(row.completion_tokens)} out</span>
+                    <span class="font-medium text-gray-900">${formatCost(row.cost)}</span>
+                    <span class="text-xs">${new Date(row.created_at.replace(' ', 'T') + 'Z').toLocaleString()}</span>
+                  </div>
+                </div>
+              `)}
+            </div>
+          `}
+        </div>
+      `}
+    </div>
+  `;
+}
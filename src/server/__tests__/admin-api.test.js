@@ -0,0 +1,133 @@
+import { suite } from 'uvu';
+import * as assert from 'uvu/assert';
+import sinon from 'sinon';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { PassThrough, Readable } from 'stream';
+import nodeCron from 'node-cron';
+import * as adminAPI from '../api/admin.js';
+import * as db from '../db.js';
+import * as cronManager from '../cron.js';
+import { backupTo } from '../backup.js';
+
+const AdminAPITests = suite('Admin API Tests');
+
+let tmpDir;
+let mockReply;
+
+AdminAPITests.before.each(() => {
+  tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'admin-api-test-'));
+  db.initDb(path.join(tmpDir, 'data.db'));
+  db.setConfig('backup_dir', path.join(tmpDir, 'backups'));
+
+  mockReply = {
+    _code: null,
+    _sent: null,
+    _headers: {},
+    code: function(val) { this._code = val; return this; },
+    header: function(key, val) { this._headers[key] = val; return this; },
+    send: function(val) { this._sent = val; return this; },
+  };
+});
+
+AdminAPITests.after.each(() => {
+  sinon.restore();
+  db.closeDb();
+  fs.rmSync(tmpDir, { recursive: true, force: true });
+});
+
+AdminAPITests.after(() => {
+  db.initDb(':memory:');
+});
+
+async function readStream(stream) {
+  const chunks = [];
+  for await (const chunk of stream) chunks.push(chunk);
+  return Buffer.concat(chunks);
+}
+
+// GET /api/admin/backup
+AdminAPITests('downloadBackup should send a copy of the database as an attachment', async () => {
+  db.createSite({ url: 'https://example.com/rss', title: 'Test Site', type: 'rss' });
+
+  await adminAPI.downloadBackup({}, mockReply);
+
+  assert.is(mockReply._headers['Content-Type'], 'application/vnd.sqlite3');
+  assert.match(mockReply._headers['Content-Disposition'], /attachment; filename="data-\d{4}-\d{2}-\d{2}\.db"/);
+  const file = await readStream(mockReply._sent);
+  assert.is(file.subarray(0, 15).toString(), 'SQLite format 3');
+});
+
+// POST /api/admin/restore
+AdminAPITests('restore should replace the database with the uploaded backup', async () => {
+  const scheduleStub = sinon.stub(nodeCron, 'schedule').returns({ stop: sinon.stub() });
+  db.createSite({ url: 'https://example.com/rss', title: 'In Backup', type: 'rss' });
+  const upload = fs.readFileSync(await backupTo(path.join(tmpDir, 'upload.db')));
+  db.createSite({ url: 'https://example.com/later', title: 'Added Later', type: 'rss' });
+
+  const result = await adminAPI.restore({ body: Readable.from([upload]) }, mockReply);
+
+  assert.is(result.success, true);
+  assert.is(result.sites, 1);
+  assert.ok(fs.existsSync(result.safety_backup));
+  assert.equal(db.getAllSites().map((site) => site.title), ['In Backup']);
+  assert.ok(scheduleStub.called); // Schedules of the restored settings
+});
+
+AdminAPITests('restore should keep checks from starting while the backup uploads', async () => {
+  sinon.stub(nodeCron, 'schedule').returns({ stop: sinon.stub() });
+  db.createSite({ url: 'https://example.com/rss', title: 'In Backup', type: 'rss' });
+  const upload = fs.readFileSync(await backupTo(path.join(tmpDir, 'upload.db')));
+  const body = new PassThrough();
+
+  const restoring = adminAPI.restore({ body }, mockReply);
+  body.write(upload.subarray(0, 1024));
+  await new Promise((resolve) => setImmediate(resolve));
+
+  // A scheduled check comes due halfway through the upload
+  const fetchPosts = sinon.stub().resolves([]);
+  await cronManager.runCheck({ sites: db.getAllSites(), trigger: 'scheduled', fetchPosts });
+  assert.is(fetchPosts.called, false);
+
+  body.end(upload.subarray(1024));
+  const result = await restoring;
+
+  assert.is(result.success, true);
+  const release = cronManager.lockForRestore(); // Released after the restore
+  assert.ok(release);
+  release();
+});
+
+AdminAPITests('restore should refuse while a check is running', async () => {
+  let finishFetch;
+  const site = db.createSite({ url: 'https://example.com/rss', title: 'Test Site', type: 'rss' });
+  const check = cronManager.runCheck({
+    sites: [db.getSite(site.id)],
+    fetchPosts: () => new Promise((resolve) => { finishFetch = resolve; }),
+  });
+
+  await adminAPI.restore({ body: Readable.from([Buffer.from('hello')]) }, mockReply);
+  finishFetch([]);
+  await check;
+
+  assert.is(mockReply._code, 409);
+  assert.is(db.getAllSites().length, 1);
+});
+
+AdminAPITests('restore should reject files that are not backups', async () => {
+  await adminAPI.restore({ body: Readable.from([Buffer.from('hello')]) }, mockReply);
+
+  assert.is(mockReply._code, 400);
+  assert.match(mockReply._sent.error, 'Not an SQLite database');
+  assert.is(db.getAllSites().length, 0);
+});
+
+AdminAPITests('restore should require an uploaded file', async () => {
+  await adminAPI.restore({ body: { file: 'data.db' } }, mockReply);
+
+  assert.is(mockReply._code, 400);
+  assert.is(mockReply._sent.error, 'Upload the database file as application/octet-stream');
+});
+
+AdminAPITests.run();
@@ -0,0 +1,143 @@
+import { suite } from 'uvu';
+import * as assert from 'uvu/assert';
+import Database from 'better-sqlite3';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import * as db from '../db.js';
+import { selectSnapshotsToKeep, createSnapshot, validateBackupFile, restoreBackup, backupTo } from '../backup.js';
+
+const BackupTests = suite('Backup Tests');
+
+let tmpDir;
+
+BackupTests.before.each(() => {
+  tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'backup-test-'));
+  db.initDb(path.join(tmpDir, 'data.db'));
+  db.setConfig('backup_dir', path.join(tmpDir, 'backups'));
+});
+
+BackupTests.after.each(() => {
+  db.closeDb();
+  fs.rmSync(tmpDir, { recursive: true, force: true });
+});
+
+BackupTests.after(() => {
+  db.initDb(':memory:');
+});
+
+// ========== selectSnapshotsToKeep() Tests ==========
+BackupTests('selectSnapshotsToKeep() - should keep the newest snapshot per day and per week', () => {
+  const names = [
+    'data-2024-03-11T03-00-00Z.db', // Monday
+    'data-2024-03-10T15-00-00Z.db', // Sunday, second snapshot that day
+    'data-2024-03-10T03-00-00Z.db',
+    'data-2024-03-09T03-00-00Z.db',
+    'data-2024-03-02T03-00-00Z.db',
+    'data-2024-02-20T03-00-00Z.db',
+    'data-pre-restore-2024-01-01T00-00-00Z.db',
+    'notes.txt',
+  ];
+
+  const keep = selectSnapshotsToKeep(names, { daily: 2, weekly: 3 });
+
+  assert.equal([...keep].sort(), [
+    'data-2024-03-02T03-00-00Z.db', // Week of Feb 26
+    'data-2024-03-10T15-00-00Z.db', // Day, and the week of Mar 4
+    'data-2024-03-11T03-00-00Z.db', // Day, and the week of Mar 11
+  ]);
+});
+
+// ========== createSnapshot() Tests ==========
+BackupTests('createSnapshot() - should copy the database and rotate old snapshots', async () => {
+  db.createSite({ url: 'https://backup.example.com/rss', title: 'Backup Site', type: 'rss' });
+  db.setConfig('backup_keep_daily', '1');
+  db.setConfig('backup_keep_weekly', '0');
+
+  const first = await createSnapshot(new Date('2024-03-10T03:00:00Z'));
+  const second = await createSnapshot(new Date('2024-03-11T03:00:00Z'));
+
+  assert.is(path.basename(first.file), 'data-2024-03-10T03-00-00Z.db');
+  assert.ok(second.size > 0);
+  assert.equal(second.deleted, ['data-2024-03-10T03-00-00Z.db']);
+  assert.equal(fs.readdirSync(path.join(tmpDir, 'backups')), ['data-2024-03-11T03-00-00Z.db']);
+
+  const snapshot = new Database(second.file, { readonly: true });
+  assert.is(snapshot.prepare('SELECT title FROM sites').get().title, 'Backup Site');
+  snapshot.close();
+});
+
+// ========== validateBackupFile() Tests ==========
+BackupTests('validateBackupFile() - should accept backups and report their contents', async () => {
+  db.createSite({ url: 'https://backup.example.com/rss', title: 'Backup Site', type: 'rss' });
+  const file = await backupTo(path.join(tmpDir, 'copy.db'));
+
+  const result = validateBackupFile(file);
+
+  assert.is(result.error, null);
+  assert.ok(result.schema_version > 0);
+  assert.is(result.sites, 1);
+  assert.is(result.posts, 0);
+});
+
+BackupTests('validateBackupFile() - should reject other files and newer schema versions', async () => {
+  const text = path.join(tmpDir, 'notes.db');
+  fs.writeFileSync(text, 'not a database, just some text that is long enough to have a header');
+  assert.match(validateBackupFile(text).error, 'Not an SQLite database');
+
+  const other = new Database(path.join(tmpDir, 'other.db'));
+  other.exec('CREATE TABLE sites (id INTEGER)');
+  other.close();
+  assert.is(validateBackupFile(path.join(tmpDir, 'other.db')).error, 'Not a backup of this app (missing tables: posts, config)');
+
+  const newer = await backupTo(path.join(tmpDir, 'newer.db'));
+  const conn = new Database(newer);
+  conn.prepare("INSERT INTO schema_migrations (version, name) VALUES (999, 'future')").run();
+  conn.close();
+  assert.match(validateBackupFile(newer).error, /Backup schema version 999 is newer than this app supports/);
+});
+
+// ========== restoreBackup() Tests ==========
+BackupTests('restoreBackup() - should swap in the backup and keep a snapshot of the replaced database', async () => {
+  db.createSite({ url: 'https://kept.example.com/rss', title: 'In Backup', type: 'rss' });
+  const file = await backupTo(path.join(tmpDir, 'copy.db'));
+  db.createSite({ url: 'https://later.example.com/rss', title: 'Added Later', type: 'rss' });
+
+  const result = await restoreBackup(file);
+
+  assert.equal(db.getAllSites().map((site) => site.title), ['In Backup']);
+  const safety = new Database(result.safety_backup, { readonly: true });
+  assert.is(safety.prepare('SELECT COUNT(*) AS count FROM sites').get().count, 2);
+  safety.close();
+});
+
+BackupTests('restoreBackup() - should only keep the last safety snapshots', async () => {
+  const dir = path.join(tmpDir, 'backups');
+  fs.mkdirSync(dir, { recursive: true });
+  for (const day of ['01', '02', '03']) {
+    fs.writeFileSync(path.join(dir, `data-pre-restore-2024-01-${day}T00-00-00Z.db`), '');
+  }
+  const file = await backupTo(path.join(tmpDir, 'copy.db'));
+
+  const result = await restoreBackup(file);
+
+  assert.equal(fs.readdirSync(dir).sort(), [
+    'data-pre-restore-2024-01-02T00-00-00Z.db',
+    'data-pre-restore-2024-01-03T00-00-00Z.db',
+    path.basename(result.safety_backup),
+  ]);
+});
+
+BackupTests('restoreBackup() - should migrate a backup of an older schema version', async () => {
+  const legacy = new Database(path.join(tmpDir, 'legacy.db'));
+  legacy.exec(fs.readFileSync(new URL('./fixtures/legacy-schema.sql', import.meta.url), 'utf8'));
+  legacy.close();
+
+  await restoreBackup(path.join(tmpDir, 'legacy.db'));
+
+  assert.equal(db.getAllSites().map((site) => site.title).sort(), ['Legacy Blog', 'Legacy News']);
+  assert.is(db.getPosts({ search: 'marzipan' }).length, 1);
+  assert.is(db.getLastMigration().from, 0);
+});
+
+BackupTests.run();
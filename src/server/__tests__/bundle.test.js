@@ -0,0 +1,170 @@
+import { suite } from 'uvu';
+import * as assert from 'uvu/assert';
+import { buildBundle, validateBundle, diffBundle, toSiteData, BUNDLE_FORMAT, BUNDLE_VERSION } from '../bundle.js';
+
+const BundleTests = suite('Site Bundle Tests');
+
+const RULES = [{ name: 'Rule 1', container: 'article', title: 'h2', url: 'a', date: '', content: '' }];
+
+const SITE = {
+  id: 7,
+  url: 'https://example.com/blog',
+  title: 'Example Blog',
+  type: 'html_rules',
+  category: 'Tech',
+  is_active: 1,
+  extraction_rules: JSON.stringify(RULES),
+  extraction_instructions: null,
+  schedule: '6h',
+  lookback_days: null,
+  trust_feed_order: 0,
+  email_folder: null,
+  email_from: null,
+  email_subject: null,
+  email_mode: 'single',
+  email_tag: null,
+  tags: ['AI', 'news'],
+  last_checked: '2024-01-01T00:00:00Z',
+  http_etag: '"abc"',
+  consecutive_failures: 2,
+};
+
+function bundleOf(sites, extra = {}) {
+  return { format: BUNDLE_FORMAT, version: BUNDLE_VERSION, sites, ...extra };
+}
+
+// ========== buildBundle() Tests ==========
+BundleTests('buildBundle() - should export site settings without instance state', () => {
+  const bundle = buildBundle([SITE]);
+
+  assert.is(bundle.format, BUNDLE_FORMAT);
+  assert.is(bundle.version, BUNDLE_VERSION);
+  assert.is(bundle.config, undefined);
+  assert.equal(bundle.sites[0].extraction_rules, RULES);
+  assert.is(bundle.sites[0].schedule, '6h');
+  assert.equal(bundle.sites[0].tags, ['AI', 'news']);
+  assert.is(bundle.sites[0].id, undefined);
+  assert.is(bundle.sites[0].http_etag, undefined);
+  assert.is(bundle.sites[0].consecutive_failures, undefined);
+});
+
+BundleTests('buildBundle() - should include config without secrets and instance settings', () => {
+  const bundle = buildBundle([], {
+    config: {
+      prompt_summarization: 'Summarize',
+      openai_api_key: 'sk-secret',
+      anthropic_api_key: 'secret',
+      slack_webhook_url: 'https://hooks.slack.com/x',
+      imap_password: 'secret',
+      inbound_email_token: 'secret',
+      openai_base_url: 'https://api.openai.com/v1',
+      ollama_base_url: 'http://localhost:11434',
+      imap_host: 'imap.example.com',
+      imap_user: 'me@example.com',
+      backup_dir: '/srv/backups',
+      inbound_smtp_port: '2525',
+      openai_model: 'gpt-4o-mini',
+    },
+  });
+
+  assert.equal(bundle.config, { prompt_summarization: 'Summarize', openai_model: 'gpt-4o-mini' });
+});
+
+// ========== validateBundle() Tests ==========
+BundleTests('validateBundle() - should accept exported bundles', () => {
+  assert.equal(validateBundle(buildBundle([SITE], { config: { schedule: '0 9 * * *' } })), []);
+});
+
+BundleTests('validateBundle() - should reject other documents and newer versions', () => {
+  assert.equal(validateBundle([]), ['Bundle must be a JSON object']);
+  assert.match(validateBundle({ sites: [] })[0], 'Not a site bundle');
+  assert.match(validateBundle(bundleOf([], { version: BUNDLE_VERSION + 1 }))[0], 'Unsupported bundle version');
+});
+
+BundleTests('validateBundle() - should report invalid sites and config', () => {
+  const errors = validateBundle(
+    bundleOf(
+      [
+        { url: 'https://a.com', title: 'A', type: 'ftp' },
+        { url: 'https://a.com', title: '' },
+        { title: 'No URL' },
+        { url: 'https://b.com', title: 'B', schedule: 'sometimes', lookback_days: -1, email_mode: 'magic' },
+        { url: 'https://c.com', title: 'C', tags: 'ai' },
+      ],
+      { config: { openai_api_key: 'sk', openai_base_url: 'https://attacker.example.com/v1', llm_pricing: '{not json' } },
+    ),
+  );
+
+  assert.equal(errors.slice(0, 10), [
+    'Site 1 (https://a.com): invalid type ftp',
+    'Site 2 (https://a.com): duplicate url',
+    'Site 2 (https://a.com): title is required',
+    'Site 3: url is required',
+    'Site 4 (https://b.com): invalid email mode magic',
+    'Site 4 (https://b.com): invalid schedule sometimes',
+    'Site 4 (https://b.com): invalid lookback days -1',
+    'Site 5 (https://c.com): tags must be an array of names',
+    "Config openai_api_key: instance settings (credentials, endpoints, paths) can't be imported",
+    "Config openai_base_url: instance settings (credentials, endpoints, paths) can't be imported",
+  ]);
+  assert.match(errors[10], 'Config llm_pricing: invalid JSON');
+});
+
+BundleTests('validateBundle() - should require text settings to be strings', () => {
+  const errors = validateBundle(
+    bundleOf([
+      { url: 'https://a.com', title: 'A', category: { name: 'Tech' }, extraction_instructions: ['Skip ads'], email_tag: 7 },
+      { url: 'https://b.com', title: 'B', email_folder: null, email_from: 'news@b.com', schedule: ['6h'] },
+    ]),
+  );
+
+  assert.equal(errors, [
+    'Site 1 (https://a.com): category must be a string',
+    'Site 1 (https://a.com): extraction_instructions must be a string',
+    'Site 1 (https://a.com): email_tag must be a string',
+    'Site 2 (https://b.com): schedule must be a string',
+  ]);
+});
+
+BundleTests('validateBundle() - should reject schedules the scheduler would refuse', () => {
+  assert.equal(validateBundle(bundleOf([], { config: { schedule: '0 0 31 2 *', backup_schedule: 'nightly' } })), [
+    'Config schedule: invalid cron expression 0 0 31 2 *',
+    'Config backup_schedule: invalid cron expression nightly',
+  ]);
+  assert.equal(validateBundle(bundleOf([], { config: { schedule: '0 9 * * *', backup_schedule: '' } })), []);
+});
+
+// ========== diffBundle() / toSiteData() Tests ==========
+BundleTests('diffBundle() - should match sites by URL and list changed settings', () => {
+  const bundle = bundleOf(
+    [
+      { ...buildBundle([SITE]).sites[0] },
+      { url: 'https://example.com/news', title: 'News', type: 'rss' },
+      { url: 'https://example.com/other', title: 'Other', type: 'html_rules', extraction_rules: [{ ...RULES[0], title: 'h3' }], schedule: '', tags: ['news', 'ai'] },
+    ],
+    { config: { prompt_summarization: 'New prompt', openai_model: 'gpt-4o' } },
+  );
+  const existing = [
+    SITE,
+    { ...SITE, id: 8, url: 'https://example.com/other', title: 'Other', schedule: null },
+  ];
+
+  const diff = diffBundle(bundle, existing, { prompt_summarization: 'Old prompt', openai_model: 'gpt-4o' });
+
+  assert.equal(diff.sites.map((site) => site.action), ['unchanged', 'create', 'update']);
+  // Empty and null schedules are the same, rules are compared as JSON and tags in any order and case
+  assert.equal(diff.sites[2].changes, [{ field: 'extraction_rules', from: RULES, to: [{ ...RULES[0], title: 'h3' }] }]);
+  assert.equal(diff.config, [{ key: 'prompt_summarization', from: 'Old prompt', to: 'New prompt' }]);
+});
+
+BundleTests('toSiteData() - should store rules as JSON and only keep settings present in the bundle', () => {
+  assert.equal(toSiteData({ url: 'https://a.com', title: 'A', extraction_rules: RULES, is_active: true, schedule: '' }), {
+    url: 'https://a.com',
+    title: 'A',
+    is_active: 1,
+    extraction_rules: JSON.stringify(RULES),
+    schedule: null,
+  });
+});
+
+BundleTests.run();
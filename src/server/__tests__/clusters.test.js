@@ -0,0 +1,58 @@
+import { suite } from 'uvu';
+import * as assert from 'uvu/assert';
+import { titleSimilarity, findDuplicate, dedupeByCluster } from '../clusters.js';
+
+const ClustersTests = suite('Story Cluster Tests');
+
+// ========== titleSimilarity() Tests ==========
+ClustersTests('titleSimilarity() - should ignore case, punctuation and accents', () => {
+  assert.is(titleSimilarity('OpenAI releases GPT-5 for everyone', 'openai Releases GPT 5 for everyone!'), 1);
+  assert.is(titleSimilarity('Café culture in modern Paris', 'Cafe culture in modern paris'), 1);
+});
+
+ClustersTests('titleSimilarity() - should score partial overlaps', () => {
+  const similarity = titleSimilarity('Rust 2.0 released with async traits', 'Rust 2.0 released with async traits and more');
+  assert.ok(similarity > 0.85 && similarity < 1);
+  assert.ok(titleSimilarity('Rust 2.0 released with async traits', 'Python 4 drops the GIL completely') < 0.2);
+});
+
+ClustersTests('titleSimilarity() - should only match short titles when identical', () => {
+  assert.is(titleSimilarity('Weekly links', 'Weekly links'), 1);
+  assert.is(titleSimilarity('Weekly links', 'Weekly links #2'), 0);
+  assert.is(titleSimilarity('', 'Anything at all here'), 0);
+});
+
+// ========== findDuplicate() Tests ==========
+ClustersTests('findDuplicate() - should prefer URL matches over similar titles', () => {
+  const candidates = [
+    { id: 1, url: 'https://a.com/x', canonical_url: 'https://a.com/x', title: 'Completely different words here' },
+    { id: 2, url: 'https://b.com/y', canonical_url: 'https://b.com/story', title: 'The big story of the week' },
+  ];
+
+  assert.is(findDuplicate({ url: 'https://b.com/story', title: 'Other' }, candidates, 0.85).id, 2);
+  assert.is(findDuplicate({ url: 'https://c.com/z', title: 'The big story of the week!' }, candidates, 0.85).id, 2);
+  // Threshold 0 only matches by URL
+  assert.is(findDuplicate({ url: 'https://c.com/z', title: 'The big story of the week' }, candidates, 0), null);
+  assert.is(findDuplicate({ url: 'https://c.com/z', title: 'Nothing alike at all, really' }, candidates, 0.85), null);
+});
+
+// ========== dedupeByCluster() Tests ==========
+ClustersTests('dedupeByCluster() - should keep the first post per cluster and collect the other sites', () => {
+  const posts = [
+    { id: 1, cluster_id: 1, site_title: 'Feed', title: 'Story' },
+    { id: 2, cluster_id: null, site_title: 'Feed', title: 'Other' },
+    { id: 3, cluster_id: 1, site_title: 'Newsletter A', title: 'Story!' },
+    { id: 4, cluster_id: 1, site_title: 'Newsletter B', title: 'Story?' },
+    { id: 5, cluster_id: 1, site_title: 'Feed', title: 'Story again' },
+  ];
+
+  const result = dedupeByCluster(posts);
+
+  assert.equal(result.map((post) => post.id), [1, 2]);
+  assert.equal(result[0].also_seen_in, ['Newsletter A', 'Newsletter B']);
+  assert.equal(result[1].also_seen_in, []);
+  // The input isn't modified
+  assert.is(posts[0].also_seen_in, undefined);
+});
+
+ClustersTests.run();
@@ -1,6 +1,7 @@
 import { suite } from 'uvu';
 import * as assert from 'uvu/assert';
 import sinon from 'sinon';
+import http from 'http';
 import * as configAPI from '../api/config.js';
 import * as db from '../db.js';
 
@@ -88,6 +89,21 @@ ConfigAPITests('update should handle schedule updates and trigger cron reschedul
   assert.equal(db.getConfig('schedule'), '0 10 * * *');
 });
 
+ConfigAPITests('update should reject an invalid backup schedule', async () => {
+  await configAPI.update({ body: { backup_schedule: 'nightly', key1: 'unsaved' } }, mockReply);
+
+  assert.is(mockReply._code, 400);
+  assert.is(mockReply._sent.error, 'Invalid backup schedule: nightly');
+  assert.is.not(db.getConfig('key1'), 'unsaved');
+});
+
+ConfigAPITests('update should reject a global schedule that never comes due', async () => {
+  await configAPI.update({ body: { schedule: '0 0 31 2 *' } }, mockReply);
+
+  assert.is(mockReply._code, 400);
+  assert.is(mockReply._sent.error, 'Invalid schedule: 0 0 31 2 *');
+});
+
 ConfigAPITests('update should handle empty body', async () => {
   const reqBody = {};
 
@@ -124,10 +140,82 @@ ConfigAPITests('testAI should return 400 when both key and URL missing', async (
   assert.equal(mockReply._sent.error, 'API key and base URL are required');
 });
 
-// Note: Testing successful OpenAI API connection would require either:
-// 1. A real API key (not practical for automated tests)
-// 2. Complex mocking of the OpenAI module (difficult with ES modules)
-// 3. An integration test with a mock OpenAI server
-// We've covered validation and error handling, which is the most critical part.
+ConfigAPITests('testAI should return 400 for unknown provider', async () => {
+  await configAPI.testAI({ body: { llm_provider: 'nope' } }, mockReply);
+
+  assert.equal(mockReply._code, 400);
+  assert.equal(mockReply._sent.error, 'Unknown LLM provider: nope');
+});
+
+ConfigAPITests('testAI should not require an API key for Ollama', async () => {
+  await configAPI.testAI({ body: { llm_provider: 'ollama' } }, mockReply);
+
+  assert.equal(mockReply._code, 400);
+  assert.equal(mockReply._sent.error, 'Base URL is required');
+});
+
+// Local stub server answering both the Anthropic and Ollama chat endpoints
+async function withStubLLMServer(fn) {
+  const paths = [];
+  const server = http.createServer((req, res) => {
+    paths.push(req.url);
+    req.resume();
+    req.on('end', () => {
+      const body = req.url === '/v1/messages'
+        ? {
+          model: 'claude-3-5-haiku-20241022',
+          content: [{ type: 'text', text: 'Connection successful!' }],
+          usage: { input_tokens: 10, output_tokens: 4 },
+        }
+        : {
+          model: 'llama3.1',
+          message: { role: 'assistant', content: ' Connection successful! ' },
+          prompt_eval_count: 10,
+          eval_count: 4,
+        };
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify(body));
+    });
+  });
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+
+  try {
+    await fn(`http://127.0.0.1:${server.address().port}`, paths);
+  } finally {
+    await new Promise((resolve) => server.close(resolve));
+  }
+}
+
+ConfigAPITests('testAI should test the selected Anthropic provider', async () => {
+  await withStubLLMServer(async (baseURL, paths) => {
+    const result = await configAPI.testAI({
+      body: {
+        llm_provider: 'anthropic',
+        anthropic_api_key: 'ant-key',
+        anthropic_base_url: baseURL,
+        anthropic_model: 'claude-3-5-haiku-latest',
+      },
+    }, mockReply);
+
+    assert.is(result.success, true);
+    assert.is(result.provider, 'anthropic');
+    assert.is(result.response, 'Connection successful!');
+    assert.is(result.usage.total_tokens, 14);
+    assert.equal(paths, ['/v1/messages']);
+  });
+});
+
+ConfigAPITests('testAI should test the selected Ollama provider', async () => {
+  await withStubLLMServer(async (baseURL, paths) => {
+    const result = await configAPI.testAI({
+      body: { llm_provider: 'ollama', ollama_base_url: baseURL },
+    }, mockReply);
+
+    assert.is(result.success, true);
+    assert.is(result.response, 'Connection successful!');
+    assert.is(result.usage.model, 'llama3.1');
+    assert.equal(paths, ['/api/chat']);
+  });
+});
 
 ConfigAPITests.run();
@@ -5,6 +5,9 @@ import * as db from '../db.js';
 import * as cron from '../cron.js';
 import nodeCron from 'node-cron';
 import Parser from 'rss-parser';
+import axios from 'axios';
+import { OpenAIClient } from '../openai-client.js';
+import { logger } from '../utils.js';
 
 const CronTests = suite('Cron Tests');
 
@@ -12,6 +15,7 @@ let cronScheduleStub;
 let cronValidateStub;
 let mockTask;
 let parserStub;
+let axiosGetStub;
 
 CronTests.before(() => {
   // Initialize test database once
@@ -33,19 +37,36 @@ CronTests.before.each(() => {
   // Stub node-cron functions
   if (cronValidateStub) cronValidateStub.restore();
   if (cronScheduleStub) cronScheduleStub.restore();
-  if (parserStub) parserStub.restore();
 
   cronValidateStub = sinon.stub(nodeCron, 'validate');
   cronScheduleStub = sinon.stub(nodeCron, 'schedule').returns(mockTask);
 
-  // Stub RSS parser to avoid real network calls
+  // Scheduled backups have their own tests below
+  db.setConfig('backup_schedule', '');
+
+  // Stub feed downloads to avoid real network calls. Cron fetches feeds conditionally with
+  // axios and parses the body; the stubbed body is the feed URL so parserStub gets the URL.
   const mockFeed = { items: [] }; // Empty feed by default
-  parserStub = sinon.stub(Parser.prototype, 'parseURL').resolves(mockFeed);
+  axiosGetStub = sinon.stub(axios, 'get').callsFake(async (url) => ({ status: 200, headers: {}, data: url }));
+  parserStub = sinon.stub().resolves(mockFeed);
+  sinon.stub(Parser.prototype, 'parseString').callsFake((xml) => parserStub(xml));
 });
 
 CronTests.after.each(() => {
   // Clean up all stubs
   sinon.restore();
+
+  // Reset budget so it doesn't leak into other tests
+  db.getDb().prepare('DELETE FROM llm_usage').run();
+  db.setConfig('llm_budget_daily_tokens', '');
+  db.setConfig('llm_budget_slack_alert', '0');
+  db.setConfig('llm_budget_last_alert', '');
+  db.setConfig('slack_webhook_url', '');
+  db.setConfig('openai_api_key', '');
+  db.setConfig('summary_max_attempts', '5');
+  db.setConfig('enable_cron_slack_digest', '0');
+  db.setConfig('site_auto_disable_failures', '');
+  db.setConfig('llm_extraction_diff_mode', '0');
 });
 
 // ========== runCheck() Integration Tests ==========
@@ -147,6 +168,51 @@ CronTests('initCron() - should initialize cron with schedule from config', () =>
   assert.ok(cronScheduleStub.calledOnce);
 });
 
+CronTests('initCron() - should start scheduled backups from config', () => {
+  cronValidateStub.returns(true);
+  db.setConfig('schedule', '');
+  db.setConfig('backup_schedule', '0 3 * * *');
+
+  cron.initCron();
+
+  assert.ok(cronScheduleStub.calledOnceWith('0 3 * * *'));
+});
+
+CronTests('initCron() - should mark runs left running by a restart as interrupted', () => {
+  cronValidateStub.returns(true);
+  const unfinished = db.createRun({ trigger: 'scheduled' });
+  const finished = db.createRun({ trigger: 'manual' });
+  db.updateRun(finished.id, { status: 'completed', completed_at: '2024-01-01T00:00:00Z' });
+
+  cron.initCron();
+
+  const interrupted = db.getRun(unfinished.id);
+  assert.is(interrupted.status, 'interrupted');
+  assert.ok(interrupted.completed_at);
+  assert.is(interrupted.error, 'Interrupted by a server restart');
+  assert.is(db.getRun(finished.id).status, 'completed');
+});
+
+// ========== updateBackupSchedule() Tests ==========
+CronTests('updateBackupSchedule() - should replace the backup job and turn it off when empty', () => {
+  cronValidateStub.returns(true);
+
+  cron.updateBackupSchedule('0 3 * * *');
+  cron.updateBackupSchedule('0 4 * * *');
+  assert.ok(cronScheduleStub.calledTwice);
+  assert.ok(mockTask.stop.calledOnce);
+
+  cron.updateBackupSchedule('');
+  assert.ok(cronScheduleStub.calledTwice);
+  assert.ok(mockTask.stop.calledTwice);
+});
+
+CronTests('updateBackupSchedule() - should reject an invalid cron expression', () => {
+  cronValidateStub.returns(false);
+
+  assert.throws(() => cron.updateBackupSchedule('nightly'), /Invalid cron expression: nightly/);
+});
+
 CronTests('initCron() - should handle missing schedule gracefully', () => {
   // Clear schedule from config
   db.setConfig('schedule', '');
@@ -368,4 +434,634 @@ CronTests('runCheck() - should process multiple active sites', async () => {
   assert.ok(updatedSite3.last_checked);
 });
 
+// ========== LLM Budget Tests ==========
+CronTests('runCheck() - should skip html_llm sites when budget is exceeded', async () => {
+  db.setConfig('llm_budget_daily_tokens', '100');
+  db.createLLMUsage({ purpose: 'summarization', model: 'gpt-4o-mini', prompt_tokens: 150 });
+
+  const llmSite = db.createSite({
+    url: 'https://example.com/blog',
+    title: 'LLM Site',
+    type: 'html_llm',
+    is_active: 1,
+  });
+  const rssSite = db.createSite({
+    url: 'https://example.com/feed',
+    title: 'RSS Site',
+    type: 'rss',
+    is_active: 1,
+  });
+
+  await cron.runCheck();
+
+  const status = cron.getStatus();
+  assert.is(status.budgetExceeded, true);
+  assert.is(status.skippedForBudget.sites, 1);
+  assert.is(status.sites.processed, 2);
+  assert.is(status.budget.daily.tokens_remaining, 0);
+
+  // LLM site untouched, RSS site still checked
+  assert.is(db.getSite(llmSite.id).last_checked, null);
+  assert.ok(db.getSite(rssSite.id).last_checked);
+});
+
+CronTests('runCheck() - should alert Slack once per budget period', async () => {
+  const axiosStub = sinon.stub(axios, 'post').resolves({ data: 'ok' });
+  db.setConfig('slack_webhook_url', 'https://hooks.slack.com/test');
+  db.setConfig('llm_budget_slack_alert', '1');
+  db.setConfig('llm_budget_daily_tokens', '100');
+  db.createLLMUsage({ purpose: 'summarization', model: 'gpt-4o-mini', prompt_tokens: 150 });
+  db.createSite({
+    url: 'https://example.com/blog',
+    title: 'LLM Site',
+    type: 'html_llm',
+    is_active: 1,
+  });
+
+  await cron.runCheck();
+  await cron.runCheck();
+
+  assert.ok(axiosStub.calledOnce);
+  assert.ok(axiosStub.firstCall.args[1].text.includes('daily token budget'));
+  assert.ok(db.getConfig('llm_budget_last_alert').startsWith('daily:'));
+});
+
+// ========== Summary Retry Queue Tests ==========
+function createQueuedPost() {
+  const site = db.createSite({
+    url: 'https://example.com/queue',
+    title: 'Queue Site',
+    type: 'rss',
+    is_active: 1,
+  });
+  return db.createPost({
+    site_id: site.id,
+    url: 'https://example.com/queue/post',
+    title: 'Queued Post',
+    content: 'x'.repeat(200),
+    needs_summary: 1,
+  });
+}
+
+CronTests('runCheck() - should keep failed summaries queued for the next run', async () => {
+  // No API key configured, so summarization fails
+  const post = createQueuedPost();
+
+  await cron.runCheck();
+
+  const updated = db.getPost(post.id);
+  assert.is(updated.summary, null);
+  assert.is(updated.needs_summary, 1);
+  assert.is(updated.summary_attempts, 1);
+});
+
+CronTests('runCheck() - should summarize posts queued by earlier runs', async () => {
+  const post = createQueuedPost();
+  db.setConfig('openai_api_key', 'test-key');
+  sinon.stub(OpenAIClient.prototype, 'createChatCompletion').resolves('Retried summary');
+
+  await cron.runCheck();
+
+  const updated = db.getPost(post.id);
+  assert.is(updated.summary, 'Retried summary');
+  assert.is(updated.needs_summary, 0);
+});
+
+CronTests('runCheck() - should stop retrying after summary_max_attempts', async () => {
+  db.setConfig('summary_max_attempts', '2');
+  const post = createQueuedPost();
+
+  await cron.runCheck();
+  assert.is(db.getPost(post.id).needs_summary, 1);
+
+  await cron.runCheck();
+  const updated = db.getPost(post.id);
+  assert.is(updated.needs_summary, 0);
+  assert.is(updated.summary_attempts, 2);
+});
+
+// ========== Concurrency Tests ==========
+CronTests('runCheck() - should fetch sites in parallel and keep the Slack digest in site order', async () => {
+  const axiosStub = sinon.stub(axios, 'post').resolves({ data: 'ok' });
+  db.setConfig('slack_webhook_url', 'https://hooks.slack.com/test');
+  db.setConfig('enable_cron_slack_digest', '1');
+
+  // First site is the slowest to respond
+  const delays = { 'https://slow.example.com/feed': 40, 'https://fast.example.com/feed': 0, 'https://medium.example.com/feed': 15 };
+  let active = 0;
+  let maxActive = 0;
+  parserStub.callsFake(async (url) => {
+    active++;
+    maxActive = Math.max(maxActive, active);
+    await new Promise((resolve) => setTimeout(resolve, delays[url]));
+    active--;
+    return { items: [{ title: `Post from ${new URL(url).hostname}`, link: `${url}/1`, isoDate: new Date().toISOString() }] };
+  });
+
+  for (const url of Object.keys(delays)) {
+    db.createSite({ url, title: url, type: 'rss', is_active: 1 });
+  }
+
+  await cron.runCheck();
+
+  assert.ok(maxActive > 1);
+  assert.is(cron.getStatus().sites.processed, 3);
+  assert.is(cron.getStatus().newPosts, 3);
+
+  const digest = JSON.stringify(axiosStub.firstCall.args[1]);
+  const positions = ['slow', 'fast', 'medium'].map((name) => digest.indexOf(`Post from ${name}.example.com`));
+  assert.ok(positions.every((pos) => pos >= 0));
+  assert.equal([...positions].sort((a, b) => a - b), positions);
+});
+
+CronTests('runCheck() - should send one Slack digest entry per story', async () => {
+  const axiosStub = sinon.stub(axios, 'post').resolves({ data: 'ok' });
+  db.setConfig('slack_webhook_url', 'https://hooks.slack.com/test');
+  db.setConfig('enable_cron_slack_digest', '1');
+
+  const items = {
+    'https://feed.example.com/rss': [{ title: 'Big launch of the new database engine', link: 'https://db.example.com/launch' }],
+    'https://news.example.com/rss': [
+      { title: 'Big launch of the new database engine today', link: 'https://out.reddit.com/?url=https%3A%2F%2Fdb.example.com%2Flaunch%3Futm_source%3Dnews' },
+      { title: 'Another unrelated item in the newsletter', link: 'https://other.example.com/item' },
+    ],
+  };
+  parserStub.callsFake(async (url) => ({ items: items[url].map((item) => ({ ...item, isoDate: new Date().toISOString() })) }));
+  db.createSite({ url: 'https://feed.example.com/rss', title: 'Feed', type: 'rss', is_active: 1 });
+  db.createSite({ url: 'https://news.example.com/rss', title: 'News', type: 'rss', is_active: 1 });
+
+  await cron.runCheck();
+
+  assert.is(cron.getStatus().newPosts, 3);
+  const digest = axiosStub.firstCall.args[1].text;
+  assert.is(digest.split('Big launch').length - 1, 1);
+  assert.match(digest, /Also seen in (News|Feed)/);
+  assert.match(digest, /Another unrelated item/);
+  // All posts count as notified, so the story isn't sent again when another source picks it up
+  assert.ok(db.getPosts({}).every((post) => post.notified === 1));
+});
+
+CronTests('runCheck() - should limit parallel fetches against the same host', async () => {
+  db.setConfig('fetch_per_host_concurrency', '1');
+
+  let active = 0;
+  let maxActive = 0;
+  parserStub.callsFake(async () => {
+    active++;
+    maxActive = Math.max(maxActive, active);
+    await new Promise((resolve) => setTimeout(resolve, 5));
+    active--;
+    return { items: [] };
+  });
+
+  for (let i = 0; i < 3; i++) {
+    db.createSite({ url: `https://same.example.com/feed${i}`, title: `Feed ${i}`, type: 'rss', is_active: 1 });
+  }
+
+  await cron.runCheck();
+
+  assert.is(maxActive, 1);
+  assert.is(cron.getStatus().sites.processed, 3);
+});
+
+// ========== Per-site Schedule Tests ==========
+CronTests('runScheduledCheck() - should only check sites that are due', async () => {
+  cronValidateStub.callThrough();
+  const now = new Date();
+
+  const dueSite = db.createSite({
+    url: 'https://due.example.com/feed',
+    title: 'Due Site',
+    type: 'rss',
+    schedule: '1h',
+    next_check_at: new Date(now.getTime() - 60000).toISOString(),
+  });
+  const laterSite = db.createSite({
+    url: 'https://later.example.com/feed',
+    title: 'Later Site',
+    type: 'rss',
+    schedule: '1h',
+    next_check_at: new Date(now.getTime() + 60000).toISOString(),
+  });
+
+  await cron.runScheduledCheck(now);
+
+  const checked = db.getSite(dueSite.id);
+  assert.ok(checked.last_checked);
+  // Rescheduled one interval after the check
+  assert.ok(new Date(checked.next_check_at) > new Date(now.getTime() + 59 * 60000));
+
+  assert.is(db.getSite(laterSite.id).last_checked, null);
+  assert.is(parserStub.callCount, 1);
+});
+
+CronTests('runScheduledCheck() - should schedule new sites without checking them', async () => {
+  cronValidateStub.callThrough();
+  db.setConfig('schedule', '0 9 * * *');
+  const site = db.createSite({ url: 'https://new.example.com/feed', title: 'New Site', type: 'rss' });
+
+  await cron.runScheduledCheck();
+
+  const updated = db.getSite(site.id);
+  assert.is(updated.last_checked, null);
+  assert.ok(updated.next_check_at);
+  assert.is(new Date(updated.next_check_at).getHours(), 9);
+  assert.ok(parserStub.notCalled);
+});
+
+CronTests('runScheduledCheck() - should not recompute schedules that never come due every tick', async () => {
+  cronValidateStub.callThrough();
+  const site = db.createSite({ url: 'https://never.example.com/feed', title: 'Never Due', type: 'rss' });
+  db.getDb().prepare("UPDATE sites SET schedule = '0 0 31 2 *' WHERE id = ?").run(site.id); // Saved before validation
+  const warnStub = sinon.stub(logger, 'warn');
+
+  await cron.runScheduledCheck();
+  await cron.runScheduledCheck();
+
+  assert.is(db.getSite(site.id).next_check_at, null);
+  assert.is(warnStub.callCount, 1);
+
+  // A new schedule is picked up
+  db.updateSite(site.id, { schedule: '1h' });
+  await cron.runScheduledCheck();
+  assert.ok(db.getSite(site.id).next_check_at);
+});
+
+CronTests('updateSchedule() - should run the scheduler every minute and reset global schedule sites', () => {
+  cronValidateStub.returns(true);
+  const globalSite = db.createSite({
+    url: 'https://global.example.com/feed',
+    title: 'Global Site',
+    type: 'rss',
+    next_check_at: new Date().toISOString(),
+  });
+  const ownSite = db.createSite({
+    url: 'https://own.example.com/feed',
+    title: 'Own Schedule Site',
+    type: 'rss',
+    schedule: '1h',
+    next_check_at: new Date().toISOString(),
+  });
+
+  cron.updateSchedule('0 10 * * *');
+
+  assert.is(cronScheduleStub.firstCall.args[0], '* * * * *');
+  assert.is(db.getSite(globalSite.id).next_check_at, null);
+  assert.ok(db.getSite(ownSite.id).next_check_at);
+});
+
+// ========== Run History Tests ==========
+CronTests('runCheck() - should record the run with per-site outcomes', async () => {
+  const axiosStub = sinon.stub(axios, 'post').resolves({ data: 'ok' });
+  db.setConfig('slack_webhook_url', 'https://hooks.slack.com/test');
+  db.setConfig('enable_cron_slack_digest', '1');
+  parserStub.callsFake(async (url) => {
+    if (url.includes('broken')) throw new Error('Status code 500');
+    return { items: [{ title: 'History Post', link: 'https://history.example.com/1', isoDate: new Date().toISOString() }] };
+  });
+
+  db.createSite({ url: 'https://history.example.com/feed', title: 'History Site', type: 'rss', is_active: 1 });
+  db.createSite({ url: 'https://broken.example.com/feed', title: 'Broken Site', type: 'rss', is_active: 1 });
+
+  await cron.runCheck();
+
+  const run = db.getRun(cron.getStatus().runId);
+  assert.is(run.trigger, 'manual');
+  assert.is(run.status, 'completed');
+  assert.ok(run.completed_at);
+  assert.is(run.sites_total, 2);
+  assert.is(run.sites_failed, 1);
+  assert.is(run.new_posts, 1);
+  assert.is(run.slack_status, 'sent');
+  assert.ok(axiosStub.calledOnce);
+
+  const sites = db.getRunSites(run.id);
+  const ok = sites.find((site) => site.site_title === 'History Site');
+  assert.is(ok.status, 'success');
+  assert.is(ok.posts_fetched, 1);
+  assert.is(ok.new_posts, 1);
+  assert.ok(ok.duration_ms >= 0);
+
+  const failed = sites.find((site) => site.site_title === 'Broken Site');
+  assert.is(failed.status, 'error');
+  assert.match(failed.error, /Status code 500/);
+});
+
+CronTests('runCheck() - should record summarization counts and failed Slack delivery', async () => {
+  const post = createQueuedPost();
+  db.setConfig('openai_api_key', 'test-key');
+  sinon.stub(OpenAIClient.prototype, 'createChatCompletion').resolves('Run summary');
+
+  db.setConfig('enable_cron_slack_digest', '1');
+  db.setConfig('slack_webhook_url', 'https://hooks.slack.com/test');
+  sinon.stub(axios, 'post').rejects(new Error('Slack is down'));
+  parserStub.resolves({
+    items: [{ title: 'Slack Post', link: 'https://example.com/queue/slack', isoDate: new Date().toISOString() }],
+  });
+
+  await cron.runCheck();
+
+  const run = db.getRun(cron.getStatus().runId);
+  assert.is(run.summaries_total, 1);
+  assert.is(run.summaries_succeeded, 1);
+  assert.is(run.summaries_failed, 0);
+  assert.is(run.slack_status, 'failed');
+  assert.match(run.slack_error, /Slack is down/);
+  assert.is(db.getPost(post.id).summary, 'Run summary');
+});
+
+CronTests('runScheduledCheck() - should record scheduled runs', async () => {
+  cronValidateStub.callThrough();
+  db.createSite({
+    url: 'https://scheduled.example.com/feed',
+    title: 'Scheduled Site',
+    type: 'rss',
+    schedule: '1h',
+    next_check_at: new Date(Date.now() - 60000).toISOString(),
+  });
+
+  await cron.runScheduledCheck();
+
+  const run = db.getRun(cron.getStatus().runId);
+  assert.is(run.trigger, 'scheduled');
+  assert.is(run.slack_status, 'none');
+  assert.is(db.getRunSites(run.id).length, 1);
+});
+
+// ========== Site Health Tests ==========
+CronTests('runCheck() - should track failures, back off and auto-disable failing sites', async () => {
+  db.setConfig('site_auto_disable_failures', '2');
+  parserStub.rejects(new Error('Status code 503'));
+  const site = db.createSite({ url: 'https://down.example.com/feed', title: 'Down Site', type: 'rss', schedule: '15m' });
+
+  const before = Date.now();
+  await cron.runCheck();
+
+  let updated = db.getSite(site.id);
+  assert.is(updated.consecutive_failures, 1);
+  assert.is(updated.last_error, 'Status code 503');
+  assert.is(updated.is_active, 1);
+  // Backed off to 30 minutes instead of the 15 minute schedule
+  assert.ok(new Date(updated.next_check_at).getTime() >= before + 30 * 60000);
+
+  await cron.runCheck();
+
+  updated = db.getSite(site.id);
+  assert.is(updated.consecutive_failures, 2);
+  assert.is(updated.is_active, 0);
+  assert.is(updated.auto_disabled, 1);
+});
+
+CronTests('runCheck() - should track successful and empty checks', async () => {
+  const site = db.createSite({ url: 'https://quiet.example.com/feed', title: 'Quiet Site', type: 'rss' });
+  db.updateSite(site.id, { consecutive_failures: 3, last_error: 'boom' });
+
+  await cron.runCheck();
+
+  let updated = db.getSite(site.id);
+  assert.is(updated.consecutive_failures, 0);
+  assert.is(updated.last_error, null);
+  assert.ok(updated.last_success_at);
+  assert.is(updated.consecutive_empty_runs, 1);
+  assert.is(updated.last_nonzero_at, null);
+
+  parserStub.resolves({
+    items: [{ title: 'Finally', link: 'https://quiet.example.com/1', isoDate: new Date().toISOString() }],
+  });
+  // The stubbed feed body doesn't change between runs, forget its hash
+  db.updateSite(site.id, { content_hash: null });
+  await cron.runCheck();
+
+  updated = db.getSite(site.id);
+  assert.is(updated.consecutive_empty_runs, 0);
+  assert.ok(updated.last_nonzero_at);
+});
+
+// ========== Conditional Request Tests ==========
+CronTests('runCheck() - should send stored validators and skip feeds that were not modified', async () => {
+  axiosGetStub.callsFake(async (url, options) => {
+    if (options.headers['If-None-Match'] === '"v1"') {
+      return { status: 304, headers: {}, data: '' };
+    }
+    return { status: 200, headers: { etag: '"v1"', 'last-modified': 'Wed, 01 Jan 2025 00:00:00 GMT' }, data: url };
+  });
+  parserStub.resolves({
+    items: [{ title: 'Cached Post', link: 'https://etag.example.com/1', isoDate: new Date().toISOString() }],
+  });
+  const site = db.createSite({ url: 'https://etag.example.com/feed', title: 'ETag Site', type: 'rss' });
+
+  await cron.runCheck();
+
+  let updated = db.getSite(site.id);
+  assert.is(updated.http_etag, '"v1"');
+  assert.is(updated.http_last_modified, 'Wed, 01 Jan 2025 00:00:00 GMT');
+  assert.ok(updated.content_hash);
+  assert.is(parserStub.callCount, 1);
+
+  await cron.runCheck();
+
+  const secondCall = axiosGetStub.secondCall.args[1];
+  assert.is(secondCall.headers['If-None-Match'], '"v1"');
+  assert.is(secondCall.headers['If-Modified-Since'], 'Wed, 01 Jan 2025 00:00:00 GMT');
+  assert.is(parserStub.callCount, 1); // 304, nothing parsed
+
+  updated = db.getSite(site.id);
+  assert.is(updated.consecutive_empty_runs, 0); // Not modified isn't an empty extraction
+  assert.is(db.getRunSites(cron.getStatus().runId)[0].status, 'not_modified');
+});
+
+CronTests('runCheck() - should only remember validators once the posts are stored', async () => {
+  axiosGetStub.callsFake(async (url, options) => {
+    if (options.headers['If-None-Match'] === '"v1"') {
+      return { status: 304, headers: {}, data: '' };
+    }
+    return { status: 200, headers: { etag: '"v1"' }, data: url };
+  });
+  parserStub.resolves({
+    items: [{ title: 'Unsaved Post', link: 'https://unsaved.example.com/1', isoDate: new Date().toISOString() }],
+  });
+  const site = db.createSite({ url: 'https://unsaved.example.com/feed', title: 'Unsaved Site', type: 'rss' });
+  db.getDb().exec("CREATE TEMP TRIGGER fail_posts BEFORE INSERT ON posts BEGIN SELECT RAISE(ABORT, 'disk full'); END");
+
+  try {
+    await cron.runCheck();
+  } finally {
+    db.getDb().exec('DROP TRIGGER fail_posts');
+  }
+
+  let updated = db.getSite(site.id);
+  assert.is(updated.http_etag, null);
+  assert.is(updated.content_hash, null);
+
+  // The feed is fetched in full again and its post imported
+  await cron.runCheck();
+
+  assert.is(axiosGetStub.secondCall.args[1].headers['If-None-Match'], undefined);
+  assert.equal(db.getPosts({ site_id: site.id }).map((post) => post.title), ['Unsaved Post']);
+  updated = db.getSite(site.id);
+  assert.is(updated.http_etag, '"v1"');
+});
+
+CronTests('runCheck() - should not call the LLM again for unchanged html_llm pages', async () => {
+  db.setConfig('openai_api_key', 'test-key');
+  const llmStub = sinon
+    .stub(OpenAIClient.prototype, 'createChatCompletion')
+    .resolves(JSON.stringify([{ title: 'LLM Post', url: 'https://llm.example.com/1' }]));
+  // No validators, and a script nonce that changes on every request
+  let requestCount = 0;
+  axiosGetStub.callsFake(async () => ({
+    status: 200,
+    headers: {},
+    data: `<html><script nonce="${++requestCount}">x()</script><body><a href="/1">LLM Post</a></body></html>`,
+  }));
+  db.createSite({ url: 'https://llm.example.com/blog', title: 'LLM Site', type: 'html_llm' });
+
+  await cron.runCheck();
+  await cron.runCheck();
+
+  assert.is(requestCount, 2);
+  // The page was fetched twice but only extracted once
+  const extractionCalls = llmStub.getCalls().filter((call) => call.args[1].purpose === 'html_llm_extraction');
+  assert.is(extractionCalls.length, 1);
+});
+
+CronTests('runCheck() - should save the linked article, author and tags of JSON Feed items', async () => {
+  axiosGetStub.callsFake(async () => ({
+    status: 200,
+    headers: {},
+    data: JSON.stringify({
+      version: 'https://jsonfeed.org/version/1.1',
+      items: [
+        {
+          id: '1',
+          url: 'https://links.example.com/1',
+          external_url: 'https://elsewhere.com/article',
+          title: 'Linked article',
+          date_published: new Date().toISOString(),
+          authors: [{ name: 'Jane' }],
+          tags: ['AI'],
+        },
+      ],
+    }),
+  }));
+  const site = db.createSite({ url: 'https://links.example.com/feed.json', title: 'Link Blog', type: 'json_feed' });
+
+  await cron.runCheck();
+
+  const [post] = db.getPosts({ site_id: site.id });
+  assert.is(post.canonical_url, 'https://elsewhere.com/article');
+  assert.is(post.author, 'Jane');
+  assert.equal(post.tags, ['AI']);
+});
+
+// ========== LLM Extraction Cache Tests ==========
+function llmArchivePage(ids) {
+  const items = ids.map((id) => `<li><a href="/posts/${id}">Post ${id}</a><p>Summary of post number ${id} with some text</p></li>`);
+  return `<html><body><header>Archive</header><ul>${items.join('')}</ul><footer>Footer</footer></body></html>`;
+}
+
+CronTests('runCheck() - should reuse cached extractions when a page returns to an earlier version', async () => {
+  db.setConfig('openai_api_key', 'test-key');
+  const llmStub = sinon.stub(OpenAIClient.prototype, 'createChatCompletion').callsFake(async (messages) => {
+    const ids = [...messages[1].content.matchAll(/\/posts\/(\d+)/g)].map((match) => match[1]);
+    return JSON.stringify(ids.map((id) => ({ title: `Post ${id}`, url: `/posts/${id}` })));
+  });
+  const pages = [llmArchivePage([2, 1]), llmArchivePage([3, 2, 1]), llmArchivePage([2, 1])];
+  axiosGetStub.callsFake(async () => ({ status: 200, headers: {}, data: pages.shift() }));
+  db.createSite({ url: 'https://cache.example.com/archive', title: 'Cache Site', type: 'html_llm' });
+
+  await cron.runCheck();
+  await cron.runCheck();
+  await cron.runCheck();
+
+  const extractionCalls = llmStub.getCalls().filter((call) => call.args[1].purpose === 'html_llm_extraction');
+  assert.is(extractionCalls.length, 2);
+});
+
+CronTests('runCheck() - should only send the changed part of the page in diff mode', async () => {
+  db.setConfig('openai_api_key', 'test-key');
+  db.setConfig('llm_extraction_diff_mode', '1');
+  const llmStub = sinon.stub(OpenAIClient.prototype, 'createChatCompletion').callsFake(async (messages) => {
+    const ids = [...messages[1].content.matchAll(/\/posts\/(\d+)/g)].map((match) => match[1]);
+    return JSON.stringify(ids.map((id) => ({ title: `Post ${id}`, url: `/posts/${id}` })));
+  });
+  const pages = [llmArchivePage([8, 7, 6, 5, 4, 3, 2, 1]), llmArchivePage([9, 8, 7, 6, 5, 4, 3, 2])];
+  axiosGetStub.callsFake(async () => ({ status: 200, headers: {}, data: pages.shift() }));
+  const site = db.createSite({ url: 'https://diff.example.com/archive', title: 'Diff Site', type: 'html_llm' });
+
+  await cron.runCheck();
+  await cron.runCheck();
+
+  const extractionCalls = llmStub.getCalls().filter((call) => call.args[1].purpose === 'html_llm_extraction');
+  assert.is(extractionCalls.length, 2);
+
+  const diffRequest = extractionCalls[1].args[0];
+  assert.ok(diffRequest[0].content.includes('Only the parts of the page that changed'));
+  assert.ok(diffRequest[1].content.includes('/posts/9'));
+  assert.not.ok(diffRequest[1].content.includes('/posts/4'));
+
+  // The new post was saved, posts from the first run are not duplicated
+  const posts = db.getPosts({ site_id: site.id });
+  assert.is(posts.length, 9);
+  assert.ok(posts.some((post) => post.url === 'https://diff.example.com/posts/9'));
+});
+
+CronTests('runCheck() - should forget cached posts whose block left the page in diff mode', async () => {
+  db.setConfig('openai_api_key', 'test-key');
+  db.setConfig('llm_extraction_diff_mode', '1');
+  sinon.stub(OpenAIClient.prototype, 'createChatCompletion').callsFake(async (messages) => {
+    const ids = [...messages[1].content.matchAll(/\/posts\/(\d+)/g)].map((match) => match[1]);
+    return JSON.stringify(ids.map((id) => ({ title: `Post ${id}`, url: `/posts/${id}` })));
+  });
+  // Post 1 drops off the bottom of the page while posts 9 and 10 are added
+  const pages = [
+    llmArchivePage([8, 7, 6, 5, 4, 3, 2, 1]),
+    llmArchivePage([9, 8, 7, 6, 5, 4, 3, 2]),
+    llmArchivePage([10, 9, 8, 7, 6, 5, 4, 3, 2]),
+  ];
+  axiosGetStub.callsFake(async () => ({ status: 200, headers: {}, data: pages.shift() }));
+  const site = db.createSite({ url: 'https://prune.example.com/archive', title: 'Prune Site', type: 'html_llm' });
+
+  await cron.runCheck();
+  await cron.runCheck();
+  await cron.runCheck();
+
+  const cached = db.getDb().prepare('SELECT posts FROM llm_extractions WHERE site_id = ? ORDER BY id DESC').get(site.id);
+  const urls = JSON.parse(cached.posts).map((post) => post.url);
+  assert.is(urls.length, 9);
+  assert.ok(urls.includes('https://prune.example.com/posts/10'));
+  assert.not.ok(urls.includes('https://prune.example.com/posts/1'));
+});
+
+CronTests('runCheck() - should diff within the part of the page the LLM sees and not store the HTML', async () => {
+  db.setConfig('openai_api_key', 'test-key');
+  db.setConfig('llm_extraction_diff_mode', '1');
+  const llmStub = sinon.stub(OpenAIClient.prototype, 'createChatCompletion').callsFake(async (messages) => {
+    const ids = [...messages[1].content.matchAll(/\/posts\/(\d+)/g)].map((match) => match[1]);
+    return JSON.stringify(ids.map((id) => ({ title: `Post ${id}`, url: `/posts/${id}` })));
+  });
+  // Everything after the filler is beyond the 10000 chars sent to the LLM
+  const filler = Array.from({ length: 600 }, (_, index) => `<p>Filler paragraph ${index}</p>`).join('');
+  const pages = [
+    llmArchivePage([8, 7, 6, 5, 4, 3, 2, 1]).replace('<footer>', `${filler}<footer>`),
+    llmArchivePage([9, 8, 7, 6, 5, 4, 3, 2]).replace('<footer>', `${filler}<a href="/posts/99">Post 99</a><footer>`),
+  ];
+  axiosGetStub.callsFake(async () => ({ status: 200, headers: {}, data: pages.shift() }));
+  const site = db.createSite({ url: 'https://window.example.com/archive', title: 'Window Site', type: 'html_llm' });
+
+  await cron.runCheck();
+  await cron.runCheck();
+
+  const extractionCalls = llmStub.getCalls().filter((call) => call.args[1].purpose === 'html_llm_extraction');
+  const diffRequest = extractionCalls[1].args[0];
+  assert.ok(diffRequest[0].content.includes('Only the parts of the page that changed'));
+  assert.ok(diffRequest[1].content.includes('/posts/9'));
+  assert.not.ok(diffRequest[1].content.includes('/posts/99'));
+
+  // Only block hashes of the page are kept for the next diff
+  const cached = db.getDb().prepare('SELECT * FROM llm_extractions WHERE site_id = ? ORDER BY id DESC').get(site.id);
+  assert.is(cached.html, undefined);
+  assert.ok(JSON.parse(cached.blocks).length > 0);
+});
+
 CronTests.run();
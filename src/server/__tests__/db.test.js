@@ -11,9 +11,16 @@ import {
   updateSite,
   deleteSite,
   getPosts,
+  searchPosts,
   getPost,
   createPost,
+  isClusterNotified,
   updatePost,
+  markPostsRead,
+  getUnreadCounts,
+  setPostTags,
+  setSiteTags,
+  getTags,
   deletePost,
   truncatePosts,
   cleanupOldContent,
@@ -21,6 +28,9 @@ import {
   getConfig,
   setConfig,
   getLogs,
+  createLLMUsage,
+  getLLMUsage,
+  getLLMUsageSummary,
   closeDb,
 } from '../db.js';
 
@@ -178,6 +188,11 @@ DbTests('seedDefaultConfig() - should seed all default config keys', () => {
     'openai_api_key',
     'openai_base_url',
     'openai_model',
+    'llm_provider',
+    'anthropic_api_key',
+    'ollama_base_url',
+    'openai_model_summarization',
+    'anthropic_model_summarization',
     'slack_webhook_url',
     'prompt_summarization',
     'prompt_html_extract_base',
@@ -247,7 +262,7 @@ DbTests('getActiveSites() - should return empty array when no active sites', ()
 });
 
 // ========== getPosts() Advanced Filters Tests ==========
-DbTests('getPosts() - should filter by search parameter (LIKE query)', () => {
+DbTests('getPosts() - should filter by search parameter (full-text query)', () => {
   // Create a test site and posts
   const site = createSite({ url: 'https://test.com/rss', title: 'Test Site', type: 'rss' });
 
@@ -318,6 +333,53 @@ DbTests('getPosts() - should return empty array when no matches', () => {
   assert.ok(Array.isArray(results));
 });
 
+// ========== searchPosts() Tests ==========
+DbTests('searchPosts() - should rank title matches first and search summaries and content', () => {
+  const site = createSite({ url: 'https://fts.com/rss', title: 'FTS Site', type: 'rss' });
+
+  const inContent = createPost({ site_id: site.id, url: 'https://fts.com/1', title: 'Weekly notes', content: '<p>A word on <b>zeppelins</b> &amp; more</p>' });
+  const inTitle = createPost({ site_id: site.id, url: 'https://fts.com/2', title: 'Zeppelins are back' });
+  const inSummary = createPost({ site_id: site.id, url: 'https://fts.com/3', title: 'Airships today' });
+  updatePost(inSummary.id, { summary: 'Why the zeppelin returned' });
+
+  const results = searchPosts('zeppelin*');
+
+  assert.equal(results.map((post) => post.id), [inTitle.id, inSummary.id, inContent.id]);
+  assert.is(results[0].site_title, 'FTS Site');
+  assert.is(results[0].snippet, '<mark>Zeppelins</mark> are back');
+  // Snippets are text: tags removed, entities decoded and the rest escaped
+  assert.is(results[2].snippet, 'A word on <mark>zeppelins</mark> &amp; more');
+});
+
+DbTests('searchPosts() - should support phrases, exclusions and the site filter', () => {
+  const site = createSite({ url: 'https://fts2.com/rss', title: 'FTS Site 2', type: 'rss' });
+  const other = createSite({ url: 'https://fts3.com/rss', title: 'FTS Site 3', type: 'rss' });
+
+  const phrase = createPost({ site_id: site.id, url: 'https://fts2.com/1', title: 'Quantum error correction milestone' });
+  createPost({ site_id: site.id, url: 'https://fts2.com/2', title: 'Error budgets for quantum teams' });
+  createPost({ site_id: other.id, url: 'https://fts3.com/1', title: 'Quantum error correction explained' });
+
+  assert.equal(searchPosts('"quantum error" -explained').map((post) => post.id), [phrase.id]);
+  assert.is(searchPosts('quantum', { site_id: other.id }).length, 1);
+  assert.equal(searchPosts('"unbalanced quote c++'), []);
+  assert.equal(searchPosts('NOT'), []);
+});
+
+DbTests('searchPosts() - should stay in sync with post updates and deletes', () => {
+  const site = createSite({ url: 'https://fts4.com/rss', title: 'FTS Site 4', type: 'rss' });
+  const post = createPost({ site_id: site.id, url: 'https://fts4.com/1', title: 'Plain title' });
+
+  assert.is(searchPosts('marzipan').length, 0);
+  updatePost(post.id, { content_full: 'A long article about marzipan.' });
+  assert.is(searchPosts('marzipan').length, 1);
+
+  updatePost(post.id, { content_full: 'Rewritten without it.' });
+  assert.is(searchPosts('marzipan').length, 0);
+
+  deletePost(post.id);
+  assert.is(searchPosts('rewritten').length, 0);
+});
+
 // ========== getPost() Tests ==========
 DbTests('getPost() - should retrieve single post with site_title join', () => {
   const site = createSite({ url: 'https://getpost.com/rss', title: 'GetPost Site', type: 'rss' });
@@ -392,6 +454,72 @@ DbTests('createPost() - should use default values (date, notified)', () => {
 
   assert.ok(post.date);
   assert.is(post.notified, 0);
+  // Original and canonical URL default to the URL
+  assert.is(post.original_url, 'https://defaults.com/post');
+  assert.is(post.canonical_url, 'https://defaults.com/post');
+});
+
+DbTests('updatePost() - should keep the original URL and update the canonical URL', () => {
+  const site = createSite({ url: 'https://canonical.com/rss', title: 'Canonical Site', type: 'rss' });
+  const post = createPost({
+    site_id: site.id,
+    url: 'https://canonical.com/post',
+    original_url: 'https://click.example.net/?url=https%3A%2F%2Fcanonical.com%2Fpost',
+    title: 'Post with a canonical URL',
+  });
+
+  const updated = updatePost(post.id, { canonical_url: 'https://canonical.com/posts/1' });
+
+  assert.is(updated.url, 'https://canonical.com/post');
+  assert.is(updated.original_url, 'https://click.example.net/?url=https%3A%2F%2Fcanonical.com%2Fpost');
+  assert.is(updated.canonical_url, 'https://canonical.com/posts/1');
+});
+
+DbTests('createPost() - should link posts of the same story across sites', () => {
+  const feed = createSite({ url: 'https://cluster-feed.com/rss', title: 'Cluster Feed', type: 'rss' });
+  const newsletter = createSite({ url: 'https://cluster-news.com', title: 'Cluster Newsletter', type: 'email' });
+  const digest = createSite({ url: 'https://cluster-digest.com', title: 'Cluster Digest', type: 'html_links' });
+
+  const original = createPost({ site_id: feed.id, url: 'https://cluster.com/story', title: 'A clustered story about databases' });
+  const sameUrl = createPost({ site_id: newsletter.id, url: 'https://cluster.com/story', title: 'Must read: databases' });
+  const similarTitle = createPost({
+    site_id: digest.id,
+    url: 'https://mirror.cluster.com/story',
+    title: 'A clustered story about databases!',
+  });
+  const unrelated = createPost({ site_id: digest.id, url: 'https://cluster.com/other', title: 'Something else entirely, nothing alike' });
+
+  assert.is(original.cluster_id, null); // Alone when it was saved
+  assert.is(sameUrl.cluster_id, original.id);
+  assert.is(similarTitle.cluster_id, original.id);
+  assert.is(unrelated.cluster_id, null);
+
+  assert.equal(getPost(original.id).also_seen_in.sort(), ['Cluster Digest', 'Cluster Newsletter']);
+  assert.equal(getPost(similarTitle.id).also_seen_in.sort(), ['Cluster Feed', 'Cluster Newsletter']);
+  assert.equal(getPost(unrelated.id).also_seen_in, []);
+
+  assert.is(isClusterNotified(original.id), false);
+  updatePost(sameUrl.id, { notified: 1 });
+  assert.is(isClusterNotified(original.id), true);
+  assert.is(isClusterNotified(null), false);
+});
+
+DbTests('createPost() - should not link recurring titles of one site', () => {
+  const newsletter = createSite({ url: 'https://weekly-js.com/rss', title: 'Weekly JS', type: 'rss' });
+
+  const issue712 = createPost({
+    site_id: newsletter.id,
+    url: 'https://weekly-js.com/issues/712',
+    title: 'JavaScript Weekly Issue 712: new releases and tools',
+  });
+  const issue713 = createPost({
+    site_id: newsletter.id,
+    url: 'https://weekly-js.com/issues/713',
+    title: 'JavaScript Weekly Issue 713: new releases and tools',
+  });
+
+  assert.is(issue712.cluster_id, null);
+  assert.is(issue713.cluster_id, null);
 });
 
 // ========== updatePost() Tests ==========
@@ -521,6 +649,81 @@ DbTests('updatePost() - should update other fields without affecting flagged sta
   assert.is(updated.summary, 'New Summary');
 });
 
+// ========== Read state Tests ==========
+DbTests('markPostsRead() - should mark unread posts of a site or the given posts as read', () => {
+  const site = createSite({ url: 'https://readstate.com/rss', title: 'Read State Site', type: 'rss' });
+  const other = createSite({ url: 'https://readstate2.com/rss', title: 'Read State Site 2', type: 'rss' });
+  const posts = [1, 2, 3].map((n) => createPost({ site_id: site.id, url: `https://readstate.com/${n}`, title: `Read ${n}` }));
+  createPost({ site_id: other.id, url: 'https://readstate2.com/1', title: 'Other read' });
+
+  assert.is(posts[0].read_at, null);
+  assert.is(getUnreadCounts().sites[site.id], 3);
+
+  assert.is(markPostsRead({ ids: [posts[0].id] }), 1);
+  assert.equal(getPosts({ site_id: site.id, unread: true }).map((post) => post.title).sort(), ['Read 2', 'Read 3']);
+
+  assert.is(markPostsRead({ site_id: site.id }), 2);
+  assert.is(getUnreadCounts().sites[site.id], undefined);
+  assert.is(getUnreadCounts().sites[other.id], 1);
+  assert.is(markPostsRead({ ids: [] }), 0);
+
+  // Already read posts keep their read time
+  const readAt = getPost(posts[0].id).read_at;
+  updatePost(posts[1].id, { read_at: null });
+  markPostsRead({ site_id: site.id });
+  assert.is(getPost(posts[0].id).read_at, readAt);
+  assert.ok(getPost(posts[1].id).read_at);
+});
+
+// ========== Tags Tests ==========
+DbTests('createPost() - should give new posts the tags of their site', () => {
+  const site = createSite({ url: 'https://tagged.com/rss', title: 'Tagged Site', type: 'rss', tags: ['Rust', 'news'] });
+  assert.equal(site.tags, ['news', 'Rust']);
+
+  const post = createPost({ site_id: site.id, url: 'https://tagged.com/1', title: 'Tagged 1' });
+  assert.equal(post.tags, ['news', 'Rust']);
+
+  // Changing the site's tags leaves existing posts alone
+  setSiteTags(site.id, ['web']);
+  assert.equal(getPost(post.id).tags, ['news', 'Rust']);
+  assert.equal(createPost({ site_id: site.id, url: 'https://tagged.com/2', title: 'Tagged 2' }).tags, ['web']);
+});
+
+DbTests('createPost() - should not keep the post when tagging it fails', () => {
+  const site = createSite({ url: 'https://failtag.com/rss', title: 'Fail Tag Site', type: 'rss', tags: ['news'] });
+  getDb().exec("CREATE TEMP TRIGGER fail_post_tags BEFORE INSERT ON post_tags BEGIN SELECT RAISE(ABORT, 'tagging failed'); END");
+
+  try {
+    assert.throws(() => createPost({ site_id: site.id, url: 'https://failtag.com/1', title: 'Untagged' }), /tagging failed/);
+  } finally {
+    getDb().exec('DROP TRIGGER fail_post_tags');
+  }
+
+  assert.equal(getPosts({ site_id: site.id }), []);
+  // Not taken for a duplicate when it comes around again
+  assert.equal(createPost({ site_id: site.id, url: 'https://failtag.com/1', title: 'Untagged' }).tags, ['news']);
+});
+
+DbTests('getPosts() - should filter by tags, posts having all of them', () => {
+  const site = createSite({ url: 'https://tagfilter.com/rss', title: 'Tag Filter Site', type: 'rss' });
+  const both = createPost({ site_id: site.id, url: 'https://tagfilter.com/1', title: 'Both tags' });
+  const one = createPost({ site_id: site.id, url: 'https://tagfilter.com/2', title: 'One tag' });
+
+  setPostTags(both.id, 'zig, Compilers');
+  setPostTags(one.id, ['zig']);
+
+  assert.equal(getPosts({ tags: ['ZIG'] }).map((post) => post.title).sort(), ['Both tags', 'One tag']);
+  assert.equal(getPosts({ tags: ['zig', 'compilers'] }).map((post) => post.title), ['Both tags']);
+
+  const zig = getTags().find((tag) => tag.name === 'zig');
+  assert.is(zig.post_count, 2);
+
+  // Tags no post or site has anymore are removed
+  setPostTags(both.id, []);
+  assert.is(getTags().find((tag) => tag.name === 'Compilers'), undefined);
+  assert.equal(getPost(both.id).tags, []);
+});
+
 // ========== cleanupOldContent() Tests ==========
 DbTests('cleanupOldContent() - should clear content for old posts', () => {
   const site = createSite({ url: 'https://cleanup.com/rss', title: 'Cleanup Site', type: 'rss' });
@@ -692,6 +895,31 @@ DbTests('getLogs() - should retrieve logs directly', () => {
   assert.ok(logs[0].message);
 });
 
+// ========== LLM usage Tests ==========
+DbTests('createLLMUsage() - should default total_tokens to prompt + completion', () => {
+  const row = createLLMUsage({
+    purpose: 'summarization',
+    model: 'gpt-4o-mini',
+    prompt_tokens: 120,
+    completion_tokens: 30,
+    cost: 0.001,
+  });
+
+  assert.ok(row.id);
+  assert.is(row.total_tokens, 150);
+  assert.is(row.site_id, null);
+  assert.is(row.post_id, null);
+});
+
+DbTests('getLLMUsageSummary() - should return zero totals when filters match nothing', () => {
+  const summary = getLLMUsageSummary({ purpose: 'does_not_exist' });
+
+  assert.is(summary.totals.calls, 0);
+  assert.is(summary.totals.cost, 0);
+  assert.equal(summary.by_day, []);
+  assert.equal(getLLMUsage({ purpose: 'does_not_exist' }), []);
+});
+
 // ========== closeDb() Tests ==========
 DbTests('closeDb() - should close connection and set db to null', () => {
   closeDb();
@@ -0,0 +1,148 @@
+import { suite } from 'uvu';
+import * as assert from 'uvu/assert';
+import sinon from 'sinon';
+import axios from 'axios';
+import * as db from '../db.js';
+import { OpenAIClient } from '../openai-client.js';
+import { detectFeedType, findFeedLinks, discoverSite } from '../discovery.js';
+
+const DiscoveryTests = suite('Feed Discovery Tests');
+
+const HOMEPAGE = `
+<html><head>
+  <title>Example Blog</title>
+  <link rel="alternate" type="application/rss+xml" title="Posts" href="/feed.xml">
+  <link rel="alternate" type="application/rss+xml" title="Comments" href="https://example.com/comments/feed.xml">
+  <link rel="alternate" type="application/feed+json" href="feed.json">
+  <link rel="alternate" hreflang="fr" href="https://example.com/fr/">
+</head><body><h1>Example Blog</h1></body></html>
+`;
+
+const RSS = `<?xml version="1.0" encoding="UTF-8"?>
+<rss version="2.0"><channel>
+  <title>Example Blog Posts</title>
+  <item><title>First</title><link>https://example.com/first</link><pubDate>Mon, 01 Jan 2024 10:00:00 GMT</pubDate></item>
+  <item><title>Second</title><link>https://example.com/second</link><pubDate>Wed, 03 Jan 2024 10:00:00 GMT</pubDate></item>
+</channel></rss>`;
+
+const EMPTY_RSS = '<?xml version="1.0"?><rss version="2.0"><channel><title>Comments</title></channel></rss>';
+
+const JSON_FEED = JSON.stringify({
+  version: 'https://jsonfeed.org/version/1.1',
+  title: 'Example JSON',
+  items: [{ id: '1', url: 'https://example.com/first', date_published: '2024-01-01T10:00:00Z' }],
+});
+
+// Stub axios.get with a response body per URL, other URLs return 404
+function stubPages(pages) {
+  return sinon.stub(axios, 'get').callsFake(async (url) => {
+    if (pages[url] === undefined) throw new Error('Request failed with status code 404');
+    return { data: pages[url] };
+  });
+}
+
+DiscoveryTests.before(() => {
+  try {
+    db.initDb(':memory:');
+  } catch (e) {
+    // Already initialized
+  }
+});
+
+DiscoveryTests.after.each(() => {
+  sinon.restore();
+});
+
+// ========== detectFeedType() / findFeedLinks() Tests ==========
+DiscoveryTests('detectFeedType() - should recognize RSS, Atom and JSON Feed bodies', () => {
+  assert.is(detectFeedType(RSS), 'rss');
+  assert.is(detectFeedType('<?xml version="1.0"?>\n<!-- generator -->\n<feed xmlns="http://www.w3.org/2005/Atom"></feed>'), 'rss');
+  assert.is(detectFeedType(JSON_FEED), 'json_feed');
+  assert.is(detectFeedType(HOMEPAGE), null);
+  assert.is(detectFeedType('{"items": "not a feed"}'), null);
+});
+
+DiscoveryTests('findFeedLinks() - should resolve declared feeds against the page URL', () => {
+  assert.equal(findFeedLinks(HOMEPAGE, 'https://example.com/blog/'), [
+    { url: 'https://example.com/feed.xml', type: 'rss', title: 'Posts' },
+    { url: 'https://example.com/comments/feed.xml', type: 'rss', title: 'Comments' },
+    { url: 'https://example.com/blog/feed.json', type: 'json_feed', title: null },
+  ]);
+});
+
+// ========== discoverSite() Tests ==========
+DiscoveryTests('discoverSite() - should list declared feeds with item counts and recommend the first with items', async () => {
+  const get = stubPages({
+    'https://example.com/blog/': HOMEPAGE,
+    'https://example.com/feed.xml': RSS,
+    'https://example.com/comments/feed.xml': EMPTY_RSS,
+    'https://example.com/blog/feed.json': JSON_FEED,
+  });
+
+  const result = await discoverSite('https://example.com/blog/');
+
+  assert.is(result.title, 'Example Blog');
+  assert.equal(
+    result.feeds.map((feed) => [feed.url, feed.type, feed.item_count, feed.source]),
+    [
+      ['https://example.com/feed.xml', 'rss', 2, 'link'],
+      ['https://example.com/comments/feed.xml', 'rss', 0, 'link'],
+      ['https://example.com/blog/feed.json', 'json_feed', 1, 'link'],
+    ],
+  );
+  assert.is(result.feeds[0].latest_item_date, '2024-01-03T10:00:00.000Z');
+  assert.equal(result.recommendation, { type: 'rss', url: 'https://example.com/feed.xml', title: 'Example Blog' });
+  // Common paths aren't probed when the page declares feeds
+  assert.is(get.callCount, 4);
+});
+
+DiscoveryTests('discoverSite() - should probe common feed paths when none is declared', async () => {
+  stubPages({
+    'https://example.com/': '<html><head><title>Plain Site</title></head><body></body></html>',
+    'https://example.com/rss': '<html><body>Not a feed</body></html>',
+    'https://example.com/index.xml': RSS,
+  });
+
+  const result = await discoverSite('https://example.com/');
+
+  assert.equal(result.feeds.map((feed) => [feed.url, feed.source]), [['https://example.com/index.xml', 'path']]);
+  assert.equal(result.recommendation, { type: 'rss', url: 'https://example.com/index.xml', title: 'Plain Site' });
+});
+
+DiscoveryTests('discoverSite() - should recognize a feed URL', async () => {
+  const get = stubPages({ 'https://example.com/feed.json': JSON_FEED });
+
+  const result = await discoverSite('https://example.com/feed.json');
+
+  assert.equal(result.recommendation, { type: 'json_feed', url: 'https://example.com/feed.json', title: 'Example JSON' });
+  assert.is(result.feeds[0].source, 'self');
+  assert.is(get.callCount, 1);
+});
+
+DiscoveryTests('discoverSite() - should recommend CSS rules generated by the LLM without a feed', async () => {
+  stubPages({ 'https://example.com/': '<html><head><title>No Feed</title></head><body><article><h2><a href="/a">A</a></h2></article></body></html>' });
+  const llm = sinon
+    .stub(OpenAIClient.prototype, 'createChatCompletion')
+    .resolves('```json\n{"postContainer": "article", "title": "h2", "link": "h2 a", "date": "", "content": ""}\n```');
+  db.setConfig('openai_api_key', 'test-key');
+
+  const result = await discoverSite('https://example.com/', { generateSelectors: true });
+
+  assert.equal(result.feeds, []);
+  assert.is(result.recommendation.type, 'html_rules');
+  assert.equal(result.recommendation.extraction_rules, [
+    { name: 'AI Generated Rule 1', container: 'article', title: 'h2', url: 'h2 a', date: '', content: '' },
+  ]);
+  assert.is(llm.callCount, 1);
+
+  // LLM errors leave the rules empty
+  llm.rejects(new Error('Connection error'));
+  const failed = await discoverSite('https://example.com/', { generateSelectors: true });
+
+  assert.is(failed.recommendation.extraction_rules, null);
+  assert.is(failed.recommendation.selector_error, 'Connection error');
+
+  db.setConfig('openai_api_key', '');
+});
+
+DiscoveryTests.run();
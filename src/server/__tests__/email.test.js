@@ -0,0 +1,328 @@
+import { suite } from 'uvu';
+import * as assert from 'uvu/assert';
+import net from 'net';
+import * as db from '../db.js';
+import { fetchEmailNewsletters, fetchSiteContent } from '../extractors.js';
+import * as cron from '../cron.js';
+import { createEmailSite } from './fixtures/sites.js';
+
+const EmailTests = suite('Email Tests');
+
+// Local IMAP stand-in: one mailbox folder with LOGIN, SELECT, UID SEARCH / FETCH / STORE
+let server;
+let port;
+let mailbox;
+let commands = [];
+
+function message(uid, { from, subject, html, text = '', date = new Date().toUTCString(), messageId }) {
+  const headers = [
+    `From: ${from}`,
+    `Subject: ${subject}`,
+    `Date: ${date}`,
+    ...(messageId ? [`Message-ID: <${messageId}>`] : []),
+    'MIME-Version: 1.0',
+    `Content-Type: ${html ? 'text/html' : 'text/plain'}; charset=utf-8`,
+  ];
+  return { uid, from, subject, date: new Date(date), flags: [], source: `${headers.join('\r\n')}\r\n\r\n${html || text}` };
+}
+
+// Split an IMAP command into atoms and quoted strings
+function tokenize(line) {
+  return [...line.matchAll(/"((?:[^"\\]|\\.)*)"|\(([^)]*)\)|(\S+)/g)].map((m) => m[1] ?? m[2] ?? m[3]);
+}
+
+function inRange(uid, range) {
+  return range.split(',').some((part) => {
+    const [start, end = start] = part.split(':');
+    const last = Math.max(...mailbox.messages.map((m) => m.uid), 0);
+    const from = start === '*' ? last : parseInt(start);
+    const to = end === '*' ? last : parseInt(end);
+    return uid >= Math.min(from, to) && uid <= Math.max(from, to);
+  });
+}
+
+function search(args) {
+  let matches = mailbox.messages;
+  for (let i = 0; i < args.length; i += 2) {
+    const key = args[i].toUpperCase();
+    const value = args[i + 1];
+    if (key === 'UID') matches = matches.filter((m) => inRange(m.uid, value));
+    if (key === 'FROM') matches = matches.filter((m) => m.from.toLowerCase().includes(value.toLowerCase()));
+    if (key === 'SUBJECT') matches = matches.filter((m) => m.subject.toLowerCase().includes(value.toLowerCase()));
+    if (key === 'SINCE') matches = matches.filter((m) => m.date >= new Date(value));
+  }
+  return matches;
+}
+
+function handle(socket, line) {
+  const [tag, command, ...args] = tokenize(line);
+  commands.push(line);
+  const ok = (text = 'completed') => socket.write(`${tag} OK ${text}\r\n`);
+
+  switch (command.toUpperCase()) {
+    case 'CAPABILITY':
+      socket.write('* CAPABILITY IMAP4rev1\r\n');
+      return ok();
+    case 'LOGIN':
+      if (args[0] !== 'news@example.com' || args[1] !== 'secret') {
+        return socket.write(`${tag} NO [AUTHENTICATIONFAILED] Invalid credentials\r\n`);
+      }
+      return ok();
+    case 'LIST':
+    case 'LSUB':
+      if (args[1]) socket.write(`* ${command.toUpperCase()} (\\HasNoChildren) "/" "${mailbox.name}"\r\n`);
+      return ok();
+    case 'SELECT':
+    case 'EXAMINE':
+      if (args[0] !== mailbox.name) return socket.write(`${tag} NO Mailbox does not exist\r\n`);
+      socket.write(`* ${mailbox.messages.length} EXISTS\r\n* FLAGS (\\Seen)\r\n`);
+      socket.write(`* OK [UIDVALIDITY ${mailbox.uidValidity}] UIDs valid\r\n`);
+      return ok('[READ-WRITE] SELECT completed');
+    case 'UID': {
+      const [subcommand, range, ...rest] = args;
+      if (subcommand.toUpperCase() === 'SEARCH') {
+        const uids = search([range, ...rest]).map((m) => m.uid);
+        socket.write(`* SEARCH${uids.map((uid) => ` ${uid}`).join('')}\r\n`);
+        return ok();
+      }
+      const matches = mailbox.messages.filter((m) => inRange(m.uid, range));
+      if (subcommand.toUpperCase() === 'FETCH') {
+        for (const m of matches) {
+          const seq = mailbox.messages.indexOf(m) + 1;
+          socket.write(`* ${seq} FETCH (UID ${m.uid} BODY[] {${Buffer.byteLength(m.source)}}\r\n${m.source})\r\n`);
+        }
+        return ok();
+      }
+      if (subcommand.toUpperCase() === 'STORE') {
+        matches.forEach((m) => m.flags.push(...rest[1].split(' ')));
+        return ok();
+      }
+      return socket.write(`${tag} BAD Unknown command\r\n`);
+    }
+    case 'LOGOUT':
+      socket.write('* BYE Logging out\r\n');
+      ok();
+      return socket.end();
+    default:
+      return ok();
+  }
+}
+
+EmailTests.before(async () => {
+  try {
+    db.initDb(':memory:');
+  } catch (e) {
+    // Already initialized
+  }
+
+  server = net.createServer((socket) => {
+    socket.write('* OK [CAPABILITY IMAP4rev1] IMAP stand-in ready\r\n');
+    let buffer = '';
+    socket.on('data', (chunk) => {
+      buffer += chunk.toString();
+      let index;
+      while ((index = buffer.indexOf('\r\n')) >= 0) {
+        const line = buffer.slice(0, index);
+        buffer = buffer.slice(index + 2);
+        handle(socket, line);
+      }
+    });
+  });
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  port = server.address().port;
+});
+
+EmailTests.after(async () => {
+  await new Promise((resolve) => server.close(resolve));
+});
+
+EmailTests.before.each(() => {
+  commands = [];
+  mailbox = { name: 'INBOX', uidValidity: 1, messages: [] };
+  db.getAllSites().forEach((site) => db.deleteSite(site.id));
+
+  db.setConfig('imap_host', '127.0.0.1');
+  db.setConfig('imap_port', String(port));
+  db.setConfig('imap_secure', '0');
+  db.setConfig('imap_user', 'news@example.com');
+  db.setConfig('imap_password', 'secret');
+});
+
+EmailTests.after.each(() => {
+  db.setConfig('imap_host', '');
+  db.setConfig('imap_port', '993');
+  db.setConfig('imap_secure', '1');
+  db.setConfig('imap_user', '');
+  db.setConfig('imap_password', '');
+});
+
+/**
+ * Read a site's new emails and save the UID cursor as a check does once the posts are stored
+ */
+async function readEmails(site, fetchInfo = {}) {
+  const posts = await fetchEmailNewsletters(site, { fetchInfo });
+  db.updateSite(site.id, fetchInfo.state);
+  return posts;
+}
+
+EmailTests('fetchEmailNewsletters() - should turn each matching email into one post', async () => {
+  mailbox.messages = [
+    message(1, {
+      from: 'Weekly <weekly@example.com>',
+      subject: 'Issue #1',
+      messageId: 'issue1@example.com',
+      html: '<p><a href="https://weekly.example.com/issues/1?utm_source=email">View in browser</a></p><h1>Hello</h1><p>First issue</p>',
+    }),
+    message(2, { from: 'someone@else.com', subject: 'Unrelated', text: 'Not a newsletter' }),
+    message(3, { from: 'weekly@example.com', subject: 'Issue #2', messageId: 'issue2@example.com', text: 'Plain text issue' }),
+  ];
+  const site = createEmailSite();
+
+  const posts = await readEmails(site);
+
+  assert.equal(posts.map((post) => post.title), ['Issue #1', 'Issue #2']);
+  // Web version link (tracking removed), else the message itself
+  assert.is(posts[0].url, 'https://weekly.example.com/issues/1');
+  assert.is(posts[1].url, 'mid:issue2%40example.com');
+  assert.match(posts[0].content, /# Hello/);
+  assert.is(posts[1].content, 'Plain text issue');
+
+  // Handled messages are flagged and remembered
+  assert.equal(mailbox.messages.map((m) => m.flags.includes('\\Seen')), [true, false, true]);
+  const updated = db.getSite(site.id);
+  assert.is(updated.email_uidvalidity, '1');
+  assert.is(updated.email_last_uid, 3);
+});
+
+EmailTests('fetchEmailNewsletters() - should only read emails newer than the last processed one', async () => {
+  mailbox.messages = [message(1, { from: 'weekly@example.com', subject: 'Issue #1', messageId: 'a@x', text: 'One' })];
+  const site = createEmailSite();
+  await readEmails(site);
+
+  const fetchInfo = {};
+  const nothingNew = await readEmails(db.getSite(site.id), fetchInfo);
+  assert.equal(nothingNew, []);
+  assert.is(fetchInfo.notModified, true);
+
+  mailbox.messages.push(message(2, { from: 'weekly@example.com', subject: 'Issue #2', messageId: 'b@x', text: 'Two' }));
+  const posts = await readEmails(db.getSite(site.id));
+  assert.equal(posts.map((post) => post.title), ['Issue #2']);
+  assert.ok(commands.some((line) => /UID SEARCH UID 2:\*/.test(line)));
+});
+
+EmailTests('fetchEmailNewsletters() - should start over when the folder UIDVALIDITY changes', async () => {
+  mailbox.messages = [message(1, { from: 'weekly@example.com', subject: 'Issue #1', messageId: 'a@x', text: 'One' })];
+  const site = createEmailSite();
+  await readEmails(site);
+
+  mailbox.uidValidity = 2;
+  const posts = await readEmails(db.getSite(site.id));
+
+  assert.is(posts.length, 1);
+  assert.is(db.getSite(site.id).email_uidvalidity, '2');
+});
+
+EmailTests('runCheck() - should keep the UID cursor until the posts are stored', async () => {
+  mailbox.messages = [message(1, { from: 'weekly@example.com', subject: 'Issue #1', messageId: 'a@x', text: 'One' })];
+  const site = createEmailSite();
+  db.getDb().exec("CREATE TEMP TRIGGER fail_posts BEFORE INSERT ON posts BEGIN SELECT RAISE(ABORT, 'disk full'); END");
+
+  try {
+    await cron.runCheck({ sites: [site] });
+  } finally {
+    db.getDb().exec('DROP TRIGGER fail_posts');
+  }
+  assert.is(db.getSite(site.id).email_last_uid, null);
+
+  await cron.runCheck({ sites: [db.getSite(site.id)] });
+
+  assert.equal(db.getPosts({ site_id: site.id }).map((post) => post.title), ['Issue #1']);
+  assert.is(db.getSite(site.id).email_last_uid, 1);
+});
+
+EmailTests('fetchEmailNewsletters() - should apply folder and subject filters', async () => {
+  mailbox.name = 'Newsletters';
+  mailbox.messages = [
+    message(1, { from: 'weekly@example.com', subject: 'Weekly digest', messageId: 'a@x', text: 'Digest' }),
+    message(2, { from: 'weekly@example.com', subject: 'Your receipt', messageId: 'b@x', text: 'Receipt' }),
+  ];
+  const site = createEmailSite({ email_folder: 'Newsletters', email_subject: 'digest' });
+
+  const posts = await fetchEmailNewsletters(site);
+
+  assert.equal(posts.map((post) => post.title), ['Weekly digest']);
+});
+
+EmailTests('fetchEmailNewsletters() - should run CSS rules against the email HTML', async () => {
+  mailbox.messages = [
+    message(1, {
+      from: 'weekly@example.com',
+      subject: 'Links of the week',
+      messageId: 'links@x',
+      html: `
+        <div class="item"><a class="title" href="/first">First link</a><p class="blurb">About the first link</p></div>
+        <div class="item"><a class="title" href="https://other.com/second">Second link</a><p class="blurb">About the second</p></div>
+      `,
+    }),
+  ];
+  const site = createEmailSite({
+    email_mode: 'html_rules',
+    extraction_rules: JSON.stringify([
+      { name: 'Links', container: '.item', title: '.title', url: '.title', content: '.blurb' },
+    ]),
+  });
+
+  const posts = await fetchEmailNewsletters(site);
+
+  assert.equal(posts.map((post) => post.title), ['First link', 'Second link']);
+  assert.is(posts[0].url, 'https://weekly.example.com/first');
+  assert.is(posts[1].url, 'https://other.com/second');
+  // Nothing was fetched over HTTP, the rules ran on the email
+  assert.is(mailbox.messages[0].flags.includes('\\Seen'), true);
+});
+
+EmailTests('fetchEmailNewsletters() - should split digest emails into one post per link', async () => {
+  mailbox.messages = [
+    message(1, {
+      from: 'weekly@example.com',
+      subject: 'Digest #3',
+      messageId: 'digest3@x',
+      date: 'Mon, 06 Jan 2025 08:00:00 +0000',
+      html: `
+        <h2><a href="https://out.reddit.com/?url=https%3A%2F%2Fexample.com%2Fstory">An interesting story</a></h2>
+        <p>What the story is about, long enough to be the blurb.</p>
+        <p><a href="https://weekly.example.com/unsubscribe">Unsubscribe from this newsletter</a></p>
+      `,
+    }),
+  ];
+  const site = createEmailSite({ email_mode: 'html_links' });
+
+  const posts = await fetchEmailNewsletters(site);
+
+  assert.equal(posts.map((post) => post.url), ['https://example.com/story']);
+  assert.is(posts[0].content, 'What the story is about, long enough to be the blurb.');
+  // Posts are dated like the email
+  assert.is(posts[0].date, '2025-01-06T08:00:00.000Z');
+});
+
+EmailTests('fetchSiteContent() - should route email sites and surface mailbox errors', async () => {
+  const site = createEmailSite();
+  db.setConfig('imap_password', 'wrong');
+
+  try {
+    await fetchSiteContent(site, { throwErrors: true });
+    assert.unreachable('Should have thrown error');
+  } catch (error) {
+    assert.is(error.message, 'IMAP connection failed: Invalid credentials');
+  }
+
+  db.setConfig('imap_host', '');
+  try {
+    await fetchSiteContent(site, { throwErrors: true });
+    assert.unreachable('Should have thrown error');
+  } catch (error) {
+    assert.is(error.message, 'IMAP mailbox is not configured');
+  }
+});
+
+EmailTests.run();
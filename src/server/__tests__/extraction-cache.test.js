@@ -0,0 +1,101 @@
+import { suite } from 'uvu';
+import * as assert from 'uvu/assert';
+import {
+  getPromptHash,
+  getExtractionCacheKey,
+  splitBlocks,
+  getBlockHashes,
+  getChangedRegion,
+  findSourceBlock,
+  mergeExtractedPosts,
+} from '../extraction-cache.js';
+
+const ExtractionCacheTests = suite('Extraction Cache Tests');
+
+// Archive page with one <li> per post
+function archivePage(ids) {
+  const items = ids.map((id) => `<li><a href="/posts/${id}">Post ${id}</a><p>Summary of post number ${id} with some text</p></li>`);
+  return `<html><body><header>Newsletter archive</header><ul>${items.join('')}</ul><footer>Footer</footer></body></html>`;
+}
+
+// ========== Cache key Tests ==========
+ExtractionCacheTests('getExtractionCacheKey() - should change with html, prompt and model', () => {
+  const base = { provider: 'openai', model: 'gpt-4o-mini', prompt: 'Extract posts', html: '<p>a</p>' };
+  const key = getExtractionCacheKey(base);
+
+  assert.is(getExtractionCacheKey({ ...base }), key);
+  assert.is.not(getExtractionCacheKey({ ...base, html: '<p>b</p>' }), key);
+  assert.is.not(getExtractionCacheKey({ ...base, prompt: 'Extract articles' }), key);
+  assert.is.not(getExtractionCacheKey({ ...base, model: 'gpt-4o' }), key);
+  assert.is.not(getPromptHash(base), getPromptHash({ ...base, provider: 'ollama' }));
+});
+
+// ========== splitBlocks() Tests ==========
+ExtractionCacheTests('splitBlocks() - should split at block-level tags', () => {
+  assert.equal(splitBlocks('<div>a</div><p>b <b>bold</b></p>'), ['<div>a', '</div>', '<p>b <b>bold</b>', '</p>']);
+});
+
+ExtractionCacheTests('getBlockHashes() - should hash each block instead of keeping the HTML', () => {
+  const hashes = getBlockHashes('<div>a</div><p>b</p>');
+
+  assert.is(hashes.length, 4);
+  assert.ok(hashes.every((hash) => /^[0-9a-f]{16}$/.test(hash)));
+  assert.is.not(hashes[0], hashes[2]);
+});
+
+// ========== getChangedRegion() Tests ==========
+ExtractionCacheTests('getChangedRegion() - should return only new posts with context', () => {
+  const previous = archivePage([10, 9, 8, 7, 6, 5, 4, 3, 2, 1]);
+  // New post on top, oldest one dropped off the bottom
+  const current = archivePage([11, 10, 9, 8, 7, 6, 5, 4, 3, 2]);
+
+  const region = getChangedRegion(getBlockHashes(previous), current);
+
+  assert.ok(region.includes('/posts/11'));
+  assert.not.ok(region.includes('/posts/5'));
+  assert.ok(region.length < current.length / 2);
+});
+
+ExtractionCacheTests('getChangedRegion() - should return empty string when nothing was added', () => {
+  const previous = archivePage([3, 2, 1]);
+
+  assert.is(getChangedRegion(getBlockHashes(previous), previous), '');
+  assert.is(getChangedRegion(getBlockHashes(previous), archivePage([3, 2])), '');
+});
+
+ExtractionCacheTests('getChangedRegion() - should fall back to a full extraction when most of the page changed', () => {
+  assert.is(getChangedRegion(getBlockHashes(archivePage([3, 2, 1])), archivePage([6, 5, 4])), null);
+  assert.is(getChangedRegion([], archivePage([1])), null);
+});
+
+// ========== findSourceBlock() / mergeExtractedPosts() Tests ==========
+ExtractionCacheTests('findSourceBlock() - should find the block linking to the post', () => {
+  const blocks = splitBlocks(archivePage([12, 1]));
+  const hashes = getBlockHashes(archivePage([12, 1]));
+
+  assert.is(findSourceBlock(blocks, ['/posts/1', 'https://a.com/posts/1']), hashes[blocks.findIndex((block) => block.includes('"/posts/1"'))]);
+  assert.is(findSourceBlock(blocks, ['https://a.com/posts/12']), null);
+  assert.is(findSourceBlock(blocks, ['/posts/3']), null);
+});
+
+ExtractionCacheTests('mergeExtractedPosts() - should put new posts first and drop duplicates', () => {
+  const merged = mergeExtractedPosts(
+    [{ url: 'https://a.com/3', title: 'Three' }, { url: 'https://a.com/2', title: 'Two (updated)' }],
+    [{ url: 'https://a.com/2', title: 'Two', source_block: 'b2' }, { url: 'https://a.com/1', title: 'One', source_block: 'b1' }],
+    ['b3', 'b2', 'b1'],
+  );
+
+  assert.equal(merged.map((post) => post.title), ['Three', 'Two (updated)', 'One']);
+});
+
+ExtractionCacheTests('mergeExtractedPosts() - should drop previous posts whose block left the page', () => {
+  const merged = mergeExtractedPosts(
+    [{ url: 'https://a.com/3', title: 'Three' }],
+    [{ url: 'https://a.com/2', title: 'Two', source_block: 'b2' }, { url: 'https://a.com/1', title: 'One', source_block: 'b1' }, { url: 'https://a.com/0', title: 'Zero' }],
+    ['b3', 'b2'],
+  );
+
+  assert.equal(merged.map((post) => post.title), ['Three', 'Two']);
+});
+
+ExtractionCacheTests.run();
@@ -36,19 +36,20 @@ ExtractorTests.after.each(() => {
 
 // ========== fetchRSSFeed() Tests ==========
 ExtractorTests('fetchRSSFeed() - should parse valid RSS feed', async () => {
+  const now = new Date().toISOString();
   const mockFeed = {
     items: [
       {
         title: 'Test Post 1',
         link: 'https://example.com/post1',
         content: 'Test content 1',
-        pubDate: new Date().toISOString(),
+        pubDate: now,
       },
       {
         title: 'Test Post 2',
         link: 'https://example.com/post2',
         contentSnippet: 'Test snippet 2',
-        isoDate: new Date().toISOString(),
+        isoDate: now,
       },
     ],
   };
@@ -174,6 +175,156 @@ ExtractorTests('fetchRSSFeed() - should return empty array for empty feed', asyn
   assert.ok(Array.isArray(posts));
 });
 
+// ========== RSS lookback / feed order Tests ==========
+function daysAgo(days) {
+  return new Date(Date.now() - days * 24 * 60 * 60 * 1000).toISOString();
+}
+
+function stubFeed(items) {
+  const parser = new Parser();
+  parserStub = sinon.stub(parser, 'parseURL').resolves({ items });
+  sinon.replace(Parser.prototype, 'parseURL', parserStub);
+}
+
+ExtractorTests('fetchRSSFeed() - should apply the configured lookback window', async () => {
+  stubFeed([
+    { title: 'Recent', link: 'https://example.com/recent', pubDate: daysAgo(1) },
+    { title: 'Two weeks', link: 'https://example.com/two-weeks', pubDate: daysAgo(14) },
+    { title: 'Old', link: 'https://example.com/old', pubDate: daysAgo(60) },
+  ]);
+
+  const defaultPosts = await extractors.fetchRSSFeed('https://example.com/feed');
+  assert.equal(defaultPosts.map((post) => post.title), ['Recent']);
+
+  const monthPosts = await extractors.fetchRSSFeed('https://example.com/feed', { lookbackDays: 30 });
+  assert.equal(monthPosts.map((post) => post.title), ['Recent', 'Two weeks']);
+
+  const allPosts = await extractors.fetchRSSFeed('https://example.com/feed', { lookbackDays: 0 });
+  assert.is(allPosts.length, 3);
+});
+
+ExtractorTests('fetchRSSFeed() - should keep feed order and ignore broken dates when trusting feed order', async () => {
+  stubFeed([
+    { title: 'Newest', link: 'https://example.com/3', pubDate: 'Thu, 01 Jan 1970 00:00:00 GMT' },
+    { title: 'Middle', link: 'https://example.com/2', pubDate: 'not a date' },
+    { title: 'Oldest', link: 'https://example.com/1', pubDate: daysAgo(-30) },
+  ]);
+
+  const posts = await extractors.fetchRSSFeed('https://example.com/feed', { trustFeedOrder: true });
+
+  assert.equal(posts.map((post) => post.title), ['Newest', 'Middle', 'Oldest']);
+  // Dates follow the feed order
+  assert.ok(posts[0].date > posts[1].date && posts[1].date > posts[2].date);
+});
+
+ExtractorTests('fetchRSSFeed() - should keep first-seen dates and apply the lookback by feed position', async () => {
+  const site = db.createSite({ url: 'https://example.com/ordered-feed', title: 'Ordered', type: 'rss', trust_feed_order: true });
+  const firstSeen = daysAgo(30);
+  db.createPost({ site_id: site.id, url: 'https://example.com/seen', title: 'Seen', date: firstSeen });
+  stubFeed([
+    { title: 'Newest', link: 'https://example.com/new', pubDate: 'not a date' },
+    { title: 'Seen', link: 'https://example.com/seen', pubDate: 'not a date' },
+    { title: 'Below seen', link: 'https://example.com/older', pubDate: 'not a date' },
+  ]);
+
+  const all = await extractors.fetchRSSFeed('https://example.com/feed', { trustFeedOrder: true, lookbackDays: 0, siteId: site.id });
+  assert.is(all[1].date, firstSeen);
+  assert.ok(all[2].date < all[1].date);
+
+  // Items listed below a post first seen 30 days ago are older than the lookback window
+  const recent = await extractors.fetchRSSFeed('https://example.com/feed', { trustFeedOrder: true, lookbackDays: 7, siteId: site.id });
+  assert.equal(recent.map((post) => post.title), ['Newest']);
+
+  db.deleteSite(site.id);
+});
+
+ExtractorTests('getRSSLookbackDays() - should prefer the site setting over the global one', () => {
+  db.setConfig('rss_lookback_days', '14');
+
+  assert.is(extractors.getRSSLookbackDays({ lookback_days: null }), 14);
+  assert.is(extractors.getRSSLookbackDays({ lookback_days: 3 }), 3);
+  assert.is(extractors.getRSSLookbackDays({ lookback_days: 0 }), 0);
+
+  db.setConfig('rss_lookback_days', '7');
+});
+
+// ========== fetchJSONFeed() Tests ==========
+ExtractorTests('fetchJSONFeed() - should parse JSON Feed 1.1 items', async () => {
+  axiosStub = sinon.stub(axios, 'get').resolves({
+    data: JSON.stringify({
+      version: 'https://jsonfeed.org/version/1.1',
+      title: 'Example Blog',
+      authors: [{ name: 'Feed Author' }],
+      items: [
+        {
+          id: '2',
+          url: 'https://example.com/linked?utm_source=feed',
+          external_url: 'https://elsewhere.com/article',
+          title: 'Linked Post (5 min read)',
+          content_html: '<p>HTML content</p>',
+          content_text: 'Text content',
+          date_published: daysAgo(1),
+          authors: [{ name: 'Jane' }, { name: 'John' }],
+          tags: ['ai', 'news'],
+        },
+        {
+          id: '1',
+          content_text: 'A short microblog post without a title',
+          date_published: daysAgo(2),
+          external_url: 'https://elsewhere.com/only-external',
+        },
+      ],
+    }),
+  });
+
+  const posts = await extractors.fetchJSONFeed('https://example.com/feed.json');
+
+  assert.is(posts.length, 2);
+  assert.is(posts[0].title, 'Linked Post');
+  assert.is(posts[0].url, 'https://example.com/linked');
+  assert.is(posts[0].canonical_url, 'https://elsewhere.com/article');
+  assert.is(posts[0].content, '<p>HTML content</p>');
+  assert.is(posts[0].author, 'Jane, John');
+  assert.equal(posts[0].tags, ['ai', 'news']);
+
+  // Title from the text, URL from external_url, authors from the feed
+  assert.is(posts[1].title, 'A short microblog post without a title');
+  assert.is(posts[1].url, 'https://elsewhere.com/only-external');
+  assert.is(posts[1].content, 'A short microblog post without a title');
+  assert.is(posts[1].author, 'Feed Author');
+  assert.equal(posts[1].tags, []);
+});
+
+ExtractorTests('fetchJSONFeed() - should apply lookback window and feed order mode', async () => {
+  axiosStub = sinon.stub(axios, 'get').resolves({
+    data: JSON.stringify({
+      version: 'https://jsonfeed.org/version/1.1',
+      items: [
+        { id: '1', url: 'https://example.com/old', title: 'Old', date_published: daysAgo(60) },
+        { id: '2', url: 'https://example.com/recent', title: 'Recent', date_modified: daysAgo(1) },
+        { id: '3', url: 'https://example.com/undated', title: 'Undated' },
+      ],
+    }),
+  });
+
+  const posts = await extractors.fetchJSONFeed('https://example.com/feed.json', { lookbackDays: 7 });
+  assert.equal(posts.map((post) => post.title).sort(), ['Recent', 'Undated']);
+
+  const ordered = await extractors.fetchJSONFeed('https://example.com/feed.json', { trustFeedOrder: true });
+  assert.equal(ordered.map((post) => post.title), ['Old', 'Recent', 'Undated']);
+});
+
+ExtractorTests('fetchJSONFeed() - should reject documents without items', async () => {
+  axiosStub = sinon.stub(axios, 'get').resolves({ data: '{"version":"https://jsonfeed.org/version/1.1"}' });
+
+  try {
+    await extractors.fetchJSONFeed('https://example.com/feed.json');
+    assert.unreachable('Should have thrown error');
+  } catch (error) {
+    assert.is(error.message, 'Invalid JSON Feed: missing items');
+  }
+});
+
 // ========== fetchHTMLWithLLM() Tests ==========
 ExtractorTests('fetchHTMLWithLLM() - should extract posts successfully', async () => {
   axiosStub = sinon.stub(axios, 'get').resolves({
@@ -475,6 +626,47 @@ ExtractorTests('fetchSiteContent() - should route to fetchRSSFeed for type=rss',
   assert.is(posts[0].title, 'RSS Post');
 });
 
+ExtractorTests('fetchSiteContent() - should route to fetchJSONFeed for type=json_feed', async () => {
+  axiosStub = sinon.stub(axios, 'get').resolves({
+    data: {
+      version: 'https://jsonfeed.org/version/1',
+      items: [{ id: '1', url: 'https://example.com/json', title: 'JSON Post', date_published: new Date().toISOString() }],
+    },
+  });
+
+  const posts = await extractors.fetchSiteContent({
+    id: 1,
+    title: 'JSON Site',
+    url: 'https://example.com/feed.json',
+    type: 'json_feed',
+  });
+
+  assert.is(posts.length, 1);
+  assert.is(posts[0].title, 'JSON Post');
+});
+
+ExtractorTests('fetchSiteContent() - should route to fetchHTMLWithLinkList for type=html_links', async () => {
+  axiosStub = sinon.stub(axios, 'get').resolves({
+    data: `
+      <h2><a href="https://out.reddit.com/?url=https%3A%2F%2Fexample.com%2Fstory%3Futm_source%3Ddigest">A story worth reading</a></h2>
+      <p>Why this story matters, in a sentence or two of newsletter prose.</p>
+      <p><a href="https://example.com/unsubscribe">Unsubscribe from this list</a></p>
+    `,
+  });
+
+  const posts = await extractors.fetchSiteContent({
+    id: 1,
+    title: 'Digest',
+    url: 'https://digest.example.com',
+    type: 'html_links',
+  });
+
+  assert.is(posts.length, 1);
+  assert.is(posts[0].title, 'A story worth reading');
+  assert.is(posts[0].url, 'https://example.com/story');
+  assert.is(posts[0].content, 'Why this story matters, in a sentence or two of newsletter prose.');
+});
+
 ExtractorTests('fetchSiteContent() - should route to fetchHTMLWithLLM for type=html_llm', async () => {
   axiosStub = sinon.stub(axios, 'get').resolves({
     data: '<html><body><h1>Test</h1></body></html>',
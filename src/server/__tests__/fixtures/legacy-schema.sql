@@ -0,0 +1,53 @@
+-- A database from before versioned migrations: date is still part of the posts unique constraint,
+-- some of the ad-hoc columns were already added, later tables don't exist yet
+CREATE TABLE sites (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  url TEXT NOT NULL UNIQUE,
+  title TEXT NOT NULL,
+  type TEXT DEFAULT 'rss',
+  extraction_rules TEXT,
+  extraction_instructions TEXT,
+  last_checked TEXT,
+  created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+  is_active INTEGER DEFAULT 1
+);
+
+CREATE TABLE posts (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  site_id INTEGER NOT NULL,
+  date TEXT,
+  url TEXT NOT NULL,
+  title TEXT NOT NULL,
+  content TEXT,
+  summary TEXT,
+  notified INTEGER DEFAULT 0,
+  created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+  content_full TEXT,
+  flagged INTEGER DEFAULT 0,
+  UNIQUE(url, title, date),
+  FOREIGN KEY (site_id) REFERENCES sites(id) ON DELETE CASCADE
+);
+
+CREATE TABLE config (
+  key TEXT PRIMARY KEY,
+  value TEXT NOT NULL
+);
+
+CREATE TABLE logs (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  level TEXT NOT NULL,
+  message TEXT NOT NULL,
+  details TEXT,
+  created_at TEXT DEFAULT CURRENT_TIMESTAMP
+);
+
+INSERT INTO sites (id, url, title, type) VALUES
+  (1, 'https://legacy.example.com/feed', 'Legacy Blog', 'rss'),
+  (2, 'https://legacy.example.com/news', 'Legacy News', 'html_rules');
+
+INSERT INTO posts (id, site_id, date, url, title, content, summary, flagged) VALUES
+  (1, 1, '2023-01-01', 'https://legacy.example.com/zeppelins', 'The return of the zeppelin', 'Airships are back', 'Zeppelins', 1),
+  (2, 1, '2023-01-02', 'https://legacy.example.com/zeppelins', 'The return of the zeppelin', 'Airships are back', NULL, 0),
+  (3, 2, '2023-01-03', 'https://legacy.example.com/marzipan', 'Marzipan season', 'Almond paste', NULL, 0);
+
+INSERT INTO config (key, value) VALUES ('schedule', '0 7 * * *');
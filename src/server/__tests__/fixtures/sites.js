@@ -0,0 +1,14 @@
+import * as db from '../../db.js';
+
+/**
+ * Email site sent newsletters from weekly@example.com, the URL follows email_tag so several can exist
+ */
+export function createEmailSite(data = {}) {
+  return db.createSite({
+    url: `https://${data.email_tag || 'weekly'}.example.com`,
+    title: 'Weekly',
+    type: 'email',
+    email_from: 'weekly@example.com',
+    ...data,
+  });
+}
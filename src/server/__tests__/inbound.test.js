@@ -0,0 +1,236 @@
+import { suite } from 'uvu';
+import * as assert from 'uvu/assert';
+import net from 'net';
+import * as db from '../db.js';
+import * as inboundAPI from '../api/inbound.js';
+import { isInboundToken, matchInboundSite, receiveInboundEmail, startSMTPServer, stopSMTPServer } from '../inbound.js';
+import { parseEmail } from '../email.js';
+import { createEmailSite } from './fixtures/sites.js';
+
+const InboundTests = suite('Inbound Email Tests');
+
+let mockReply;
+
+function rawEmail({ from = 'weekly@example.com', to = 'digest@example.org', subject = 'Issue #1', body = 'Short issue' } = {}) {
+  return [
+    `From: ${from}`,
+    `To: ${to}`,
+    `Subject: ${subject}`,
+    `Message-ID: <${subject.replace(/\W/g, '')}@example.com>`,
+    `Date: ${new Date().toUTCString()}`,
+    'Content-Type: text/plain; charset=utf-8',
+    '',
+    body,
+  ].join('\r\n');
+}
+
+async function waitForPosts(siteId) {
+  for (let i = 0; i < 100; i++) {
+    const posts = db.getPosts({ site_id: siteId });
+    if (posts.length > 0) return posts;
+    await new Promise((resolve) => setTimeout(resolve, 20));
+  }
+  return [];
+}
+
+/**
+ * Minimal SMTP client: runs the dialog and returns the server reply to each step
+ */
+function sendSMTP(port, { from, to, data }) {
+  const steps = ['EHLO test', `MAIL FROM:<${from}>`, `RCPT TO:<${to}>`, 'DATA', `${data}\r\n.`, 'QUIT'];
+  return new Promise((resolve, reject) => {
+    const replies = [];
+    const socket = net.connect(port, '127.0.0.1');
+    let buffer = '';
+    socket.on('data', (chunk) => {
+      buffer += chunk.toString();
+      // A reply is complete when its last line has a space after the code
+      const lines = buffer.split('\r\n');
+      buffer = lines.pop();
+      for (const line of lines) {
+        if (!/^\d{3} /.test(line)) continue;
+        replies.push(line);
+        const step = steps[replies.length - 1];
+        if (step) socket.write(`${step}\r\n`);
+      }
+    });
+    socket.on('end', () => resolve(replies));
+    socket.on('error', reject);
+  });
+}
+
+InboundTests.before(() => {
+  try {
+    db.initDb(':memory:');
+  } catch (e) {
+    // Already initialized
+  }
+});
+
+InboundTests.before.each(() => {
+  db.getAllSites().forEach((site) => db.deleteSite(site.id));
+  db.setConfig('inbound_email_enabled', '1');
+  db.setConfig('inbound_email_token', '');
+
+  mockReply = {
+    _code: 200,
+    _sent: null,
+    code(statusCode) {
+      this._code = statusCode;
+      return this;
+    },
+    send(data) {
+      this._sent = data;
+      return this;
+    },
+  };
+});
+
+InboundTests.after.each(() => {
+  db.setConfig('inbound_email_enabled', '0');
+  db.setConfig('inbound_email_token', '');
+});
+
+InboundTests('matchInboundSite() - should prefer plus-address tags over the sender', async () => {
+  const bySender = createEmailSite({ email_tag: 'other' });
+  const byTag = createEmailSite({ email_tag: 'Weekly', email_from: 'nobody@example.com' });
+  const email = await parseEmail(rawEmail({ to: 'digest+weekly@example.org' }));
+
+  assert.is(matchInboundSite(email).id, byTag.id);
+  // Envelope recipients count too, next to the inbound token
+  const plain = await parseEmail(rawEmail());
+  assert.is(matchInboundSite(plain, ['digest+t0k3n+weekly@example.org']).id, byTag.id);
+  assert.is(matchInboundSite(plain).id, bySender.id);
+  // Site ids are guessable, they don't work as tags
+  assert.is(matchInboundSite(plain, [`digest+${byTag.id}@example.org`]).id, bySender.id);
+});
+
+InboundTests('matchInboundSite() - should apply subject filters and ignore other sites', async () => {
+  createEmailSite({ email_subject: 'digest' });
+  db.createSite({ url: 'https://weekly.example.com/feed', title: 'Feed', type: 'rss' });
+  createEmailSite({ email_tag: 'paused', is_active: 0 });
+
+  assert.is(matchInboundSite(await parseEmail(rawEmail({ subject: 'Your receipt' }))), null);
+  assert.is(matchInboundSite(await parseEmail(rawEmail({ subject: 'Weekly Digest' }))).type, 'email');
+  // Inactive sites never match
+  assert.is(matchInboundSite(await parseEmail(rawEmail({ to: 'digest+paused@example.org', from: 'x@y.z' }))), null);
+});
+
+InboundTests('receiveInboundEmail() - should run the pipeline for the matched site', async () => {
+  const site = createEmailSite();
+
+  const { site: matched, processing } = await receiveInboundEmail(rawEmail({ subject: 'Pipeline issue' }));
+  await processing;
+
+  assert.is(matched.id, site.id);
+  const posts = db.getPosts({ site_id: site.id });
+  assert.is(posts.length, 1);
+  assert.is(posts[0].title, 'Pipeline issue');
+  assert.is(posts[0].url, 'mid:Pipelineissue%40example.com');
+
+  const { runs } = db.getRuns({ trigger: 'inbound' });
+  assert.ok(runs.length >= 1);
+  assert.is(db.getRunSites(runs[0].id)[0].site_id, site.id);
+});
+
+InboundTests('isInboundToken() - should only accept the configured token', () => {
+  assert.is(isInboundToken('s3cret', 's3cret'), true);
+  assert.is(isInboundToken('s3cre', 's3cret'), false);
+  assert.is(isInboundToken(undefined, 's3cret'), false);
+  assert.is(isInboundToken('', ''), false);
+});
+
+InboundTests('receiveEmail - should accept raw messages and process them in the background', async () => {
+  const site = createEmailSite();
+  db.setConfig('inbound_email_token', 's3cret');
+
+  await inboundAPI.receiveEmail({ body: rawEmail({ subject: 'API issue' }), headers: {}, query: { token: 's3cret' } }, mockReply);
+
+  assert.is(mockReply._code, 202);
+  assert.equal(mockReply._sent, { accepted: true, site_id: site.id, site_title: 'Weekly', subject: 'API issue' });
+  const posts = await waitForPosts(site.id);
+  assert.is(posts[0].title, 'API issue');
+});
+
+InboundTests('receiveEmail - should check the enabled flag, token and match', async () => {
+  const site = createEmailSite();
+
+  db.setConfig('inbound_email_enabled', '0');
+  await inboundAPI.receiveEmail({ body: rawEmail(), headers: {}, query: {} }, mockReply);
+  assert.is(mockReply._code, 403);
+
+  // Never open to anyone, like the SMTP listener
+  db.setConfig('inbound_email_enabled', '1');
+  await inboundAPI.receiveEmail({ body: rawEmail(), headers: {}, query: {} }, mockReply);
+  assert.is(mockReply._code, 503);
+  assert.is(db.getPosts({ site_id: site.id }).length, 0);
+
+  db.setConfig('inbound_email_token', 's3cret');
+  await inboundAPI.receiveEmail({ body: rawEmail(), headers: {}, query: { token: 'wrong' } }, mockReply);
+  assert.is(mockReply._code, 401);
+  assert.equal(mockReply._sent, { error: 'Invalid inbound email token' });
+  await inboundAPI.receiveEmail({ body: rawEmail(), headers: {}, query: {} }, mockReply);
+  assert.is(mockReply._code, 401);
+
+  await inboundAPI.receiveEmail(
+    { body: rawEmail({ from: 'stranger@example.net' }), headers: { 'x-inbound-token': 's3cret' }, query: {} },
+    mockReply,
+  );
+  assert.is(mockReply._code, 404);
+  assert.equal(mockReply._sent, { error: 'No email site matches this message' });
+
+  await inboundAPI.receiveEmail({ body: '', headers: {}, query: { token: 's3cret' } }, mockReply);
+  assert.is(mockReply._code, 400);
+});
+
+InboundTests('startSMTPServer() - should receive forwarded newsletters over SMTP', async () => {
+  const site = createEmailSite({ email_tag: 'smtp', email_from: 'nobody@example.com' });
+  db.setConfig('inbound_email_enabled', '1');
+  db.setConfig('inbound_email_token', 'S3cret');
+  const server = await startSMTPServer(0);
+  const port = server.server.address().port;
+
+  try {
+    const replies = await sendSMTP(port, {
+      from: 'me@example.org',
+      to: 'digest+s3cret+smtp@example.org',
+      data: rawEmail({ from: 'me@example.org', subject: 'Fwd: SMTP issue' }),
+    });
+    assert.match(replies[5], /^250 /); // Message accepted (after greeting, EHLO, MAIL, RCPT, DATA)
+
+    const rejected = await sendSMTP(port, {
+      from: 'me@example.org',
+      to: 'digest+s3cret@example.org',
+      data: rawEmail({ from: 'me@example.org', subject: 'Unknown' }),
+    });
+    assert.match(rejected[5], /^550 /);
+
+    // Recipients without the token are refused before any data is read
+    const spoofed = await sendSMTP(port, {
+      from: 'weekly@example.com',
+      to: 'digest+smtp@example.org',
+      data: rawEmail({ subject: 'Spoofed issue' }),
+    });
+    assert.match(spoofed[3], /^550 /);
+
+    const posts = await waitForPosts(site.id);
+    assert.is(posts[0].title, 'Fwd: SMTP issue');
+  } finally {
+    await stopSMTPServer();
+  }
+});
+
+InboundTests('startSMTPServer() - should stay off unless enabled with a port', async () => {
+  db.setConfig('inbound_email_enabled', '0');
+  assert.is(await startSMTPServer(2525), null);
+
+  db.setConfig('inbound_email_enabled', '1');
+  db.setConfig('inbound_email_token', 's3cret');
+  assert.is(await startSMTPServer(NaN), null);
+
+  // No login, so never without a token
+  db.setConfig('inbound_email_token', '');
+  assert.is(await startSMTPServer(2525), null);
+});
+
+InboundTests.run();
@@ -0,0 +1,89 @@
+import { suite } from 'uvu';
+import * as assert from 'uvu/assert';
+import { extractLinkList, parseExcludePatterns } from '../link-list.js';
+
+const LinkListTests = suite('Link List Tests');
+
+// Digest newsletter: heading + blurb items, list items with inline blurbs, sponsor block and footer
+const DIGEST = `
+<html><head><title>Weekly Digest</title><style>a { color: red; }</style></head><body>
+  <p><a href="https://digest.example.com/issues/42">View this email in your browser</a></p>
+  <h3><a href="https://tracking.example.net/CL0/https:%2F%2Fexample.com%2Ffirst-story/1/abc">The first story of the week</a></h3>
+  <p>A paragraph explaining why the first story is interesting and worth a click.</p>
+  <ul>
+    <li><a href="/second-story">Second story with an inline blurb</a> — short take on the second story.</li>
+    <li><a href="https://example.org/third?utm_source=digest">Third story from another site</a></li>
+  </ul>
+  <div class="sponsor"><a href="https://ads.example.com/x">Sponsored: try our product today</a></div>
+  <p><a href="https://digest.example.com/second-story">Second story with an inline blurb</a></p>
+  <p>
+    <a href="https://digest.example.com/unsubscribe?id=1">Unsubscribe</a> |
+    <a href="https://digest.example.com/preferences">Manage your preferences</a> |
+    <a href="mailto:editor@example.com">Reply to the editor directly</a>
+  </p>
+</body></html>
+`;
+
+const DEFAULT_PATTERNS = parseExcludePatterns('unsubscribe\nsponsor\nmanage (your )?preferences\nview (this email )?in (your )?browser');
+
+// ========== extractLinkList() Tests ==========
+LinkListTests('extractLinkList() - should return one item per link with its blurb', () => {
+  const items = extractLinkList(DIGEST, 'https://digest.example.com', { excludePatterns: DEFAULT_PATTERNS });
+
+  assert.equal(
+    items.map((item) => item.title),
+    ['The first story of the week', 'Second story with an inline blurb', 'Third story from another site'],
+  );
+  // Heading links take the paragraph after them, list items their own text
+  assert.is(items[0].content, 'A paragraph explaining why the first story is interesting and worth a click.');
+  assert.is(items[1].content, '— short take on the second story.');
+  assert.is(items[2].content, '');
+});
+
+LinkListTests('extractLinkList() - should unwrap redirects, resolve relative links and drop repeats', () => {
+  const items = extractLinkList(DIGEST, 'https://digest.example.com', { excludePatterns: DEFAULT_PATTERNS });
+
+  assert.is(items[0].url, 'https://example.com/first-story');
+  assert.is(items[1].url, 'https://digest.example.com/second-story');
+  // The repeated second story link at the bottom is only returned once
+  assert.is(items.filter((item) => item.url === items[1].url).length, 1);
+});
+
+LinkListTests('extractLinkList() - should only drop links matching exclude patterns', () => {
+  const items = extractLinkList(DIGEST, 'https://digest.example.com');
+  const titles = items.map((item) => item.title);
+
+  assert.ok(titles.includes('Sponsored: try our product today'));
+  assert.ok(titles.includes('Manage your preferences'));
+  // Short links and mailto: links are never items
+  assert.not.ok(titles.includes('Unsubscribe'));
+  assert.not.ok(titles.includes('Reply to the editor directly'));
+});
+
+LinkListTests('extractLinkList() - should not use blocks holding several items as blurb', () => {
+  const html = `
+    <div>
+      <a href="https://example.com/a">First link in a shared block</a>
+      <a href="https://example.com/b">Second link in a shared block</a>
+      Some text shared by both links
+    </div>
+  `;
+
+  const items = extractLinkList(html, 'https://example.com');
+
+  assert.is(items.length, 2);
+  assert.equal(items.map((item) => item.content), ['', '']);
+});
+
+// ========== parseExcludePatterns() Tests ==========
+LinkListTests('parseExcludePatterns() - should build case-insensitive regexes, literal when invalid', () => {
+  const patterns = parseExcludePatterns('  Sponsor  \n\nad(s|vert\n');
+
+  assert.is(patterns.length, 2);
+  assert.ok(patterns[0].test('SPONSORED'));
+  assert.ok(patterns[1].test('read ad(s|vert here'));
+  assert.not.ok(patterns[1].test('ads'));
+  assert.equal(parseExcludePatterns(''), []);
+});
+
+LinkListTests.run();
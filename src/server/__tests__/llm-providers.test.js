@@ -0,0 +1,224 @@
+import { suite } from 'uvu';
+import * as assert from 'uvu/assert';
+import http from 'http';
+import {
+  OpenAICompatibleProvider,
+  AnthropicProvider,
+  OllamaProvider,
+  createProvider,
+} from '../llm-providers.js';
+
+const LLMProvidersTests = suite('LLM Providers Tests');
+
+// Local stub HTTP server standing in for the provider APIs
+let server;
+let baseURL;
+let requests = [];
+let respond = () => ({ status: 404, body: { error: 'not found' } });
+
+LLMProvidersTests.before(async () => {
+  server = http.createServer((req, res) => {
+    let raw = '';
+    req.on('data', (chunk) => (raw += chunk));
+    req.on('end', () => {
+      const request = {
+        method: req.method,
+        path: req.url,
+        headers: req.headers,
+        body: raw ? JSON.parse(raw) : null,
+      };
+      requests.push(request);
+
+      const { status = 200, headers = {}, body } = respond(request);
+      res.writeHead(status, { 'Content-Type': 'application/json', ...headers });
+      res.end(JSON.stringify(body));
+    });
+  });
+
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  baseURL = `http://127.0.0.1:${server.address().port}`;
+});
+
+LLMProvidersTests.after(async () => {
+  await new Promise((resolve) => server.close(resolve));
+});
+
+LLMProvidersTests.before.each(() => {
+  requests = [];
+});
+
+// ========== OpenAI-compatible ==========
+LLMProvidersTests('OpenAICompatibleProvider - should call /chat/completions and normalize usage', async () => {
+  respond = () => ({
+    body: {
+      id: 'chatcmpl-1',
+      model: 'gpt-4o-mini-2024-07-18',
+      choices: [{ index: 0, message: { role: 'assistant', content: 'Hello' }, finish_reason: 'stop' }],
+      usage: { prompt_tokens: 12, completion_tokens: 3, total_tokens: 15 },
+    },
+  });
+
+  const provider = new OpenAICompatibleProvider({ apiKey: 'sk-test', baseURL: `${baseURL}/v1` });
+  const result = await provider.chat(
+    [{ role: 'user', content: 'Hi' }],
+    { model: 'gpt-4o-mini', temperature: 0.3, max_tokens: 50 },
+  );
+
+  assert.equal(result, {
+    content: 'Hello',
+    model: 'gpt-4o-mini-2024-07-18',
+    prompt_tokens: 12,
+    completion_tokens: 3,
+  });
+  assert.is(requests[0].path, '/v1/chat/completions');
+  assert.is(requests[0].headers.authorization, 'Bearer sk-test');
+  assert.is(requests[0].body.model, 'gpt-4o-mini');
+  assert.is(requests[0].body.max_tokens, 50);
+});
+
+// ========== Anthropic ==========
+LLMProvidersTests('AnthropicProvider - should send system prompt separately and normalize usage', async () => {
+  respond = () => ({
+    body: {
+      id: 'msg_1',
+      type: 'message',
+      role: 'assistant',
+      model: 'claude-3-5-haiku-20241022',
+      content: [{ type: 'text', text: 'Connection successful!' }],
+      usage: { input_tokens: 20, output_tokens: 5 },
+    },
+  });
+
+  const provider = new AnthropicProvider({ apiKey: 'ant-key', baseURL: `${baseURL}/` });
+  const result = await provider.chat(
+    [
+      { role: 'system', content: 'You are a helpful assistant.' },
+      { role: 'user', content: 'Hi' },
+    ],
+    { model: 'claude-3-5-haiku-latest', temperature: 0.3 },
+  );
+
+  assert.equal(result, {
+    content: 'Connection successful!',
+    model: 'claude-3-5-haiku-20241022',
+    prompt_tokens: 20,
+    completion_tokens: 5,
+  });
+
+  const request = requests[0];
+  assert.is(request.path, '/v1/messages');
+  assert.is(request.headers['x-api-key'], 'ant-key');
+  assert.is(request.headers['anthropic-version'], '2023-06-01');
+  assert.is(request.body.system, 'You are a helpful assistant.');
+  assert.equal(request.body.messages, [{ role: 'user', content: 'Hi' }]);
+  assert.is(request.body.max_tokens, 4096);
+});
+
+LLMProvidersTests('AnthropicProvider - should surface API error messages', async () => {
+  respond = () => ({
+    status: 401,
+    body: { type: 'error', error: { type: 'authentication_error', message: 'invalid x-api-key' } },
+  });
+
+  const provider = new AnthropicProvider({ apiKey: 'bad', baseURL });
+
+  try {
+    await provider.chat([{ role: 'user', content: 'Hi' }], { model: 'claude-3-5-haiku-latest' });
+    assert.unreachable('Should have thrown error');
+  } catch (error) {
+    assert.is(error.message, 'Anthropic API error (401): invalid x-api-key');
+    assert.is(error.status, 401);
+  }
+});
+
+LLMProvidersTests('AnthropicProvider - should keep response headers for Retry-After handling', async () => {
+  respond = () => ({
+    status: 429,
+    headers: { 'retry-after': '12' },
+    body: { type: 'error', error: { type: 'rate_limit_error', message: 'Rate limited' } },
+  });
+
+  const provider = new AnthropicProvider({ apiKey: 'ant-key', baseURL });
+
+  try {
+    await provider.chat([{ role: 'user', content: 'Hi' }], { model: 'claude-3-5-haiku-latest' });
+    assert.unreachable('Should have thrown error');
+  } catch (error) {
+    assert.is(error.status, 429);
+    assert.is(error.headers['retry-after'], '12');
+  }
+});
+
+LLMProvidersTests('OpenAICompatibleProvider - should fail fast on 429 and expose Retry-After', async () => {
+  respond = () => ({
+    status: 429,
+    headers: { 'retry-after': '3' },
+    body: { error: { message: 'Rate limit reached', type: 'requests' } },
+  });
+
+  const provider = new OpenAICompatibleProvider({ apiKey: 'sk-test', baseURL: `${baseURL}/v1` });
+
+  try {
+    await provider.chat([{ role: 'user', content: 'Hi' }], { model: 'gpt-4o-mini' });
+    assert.unreachable('Should have thrown error');
+  } catch (error) {
+    assert.is(error.status, 429);
+    assert.is(error.headers['retry-after'], '3');
+  }
+
+  // SDK-level retries are disabled, OpenAIClient owns the retry policy
+  assert.is(requests.length, 1);
+});
+
+// ========== Ollama ==========
+LLMProvidersTests('OllamaProvider - should call native /api/chat without streaming', async () => {
+  respond = () => ({
+    body: {
+      model: 'llama3.1',
+      message: { role: 'assistant', content: 'Hello from Ollama' },
+      done: true,
+      prompt_eval_count: 30,
+      eval_count: 8,
+    },
+  });
+
+  // OpenAI-style /v1 suffix is stripped
+  const provider = new OllamaProvider({ baseURL: `${baseURL}/v1` });
+  const result = await provider.chat(
+    [{ role: 'user', content: 'Hi' }],
+    { model: 'llama3.1', temperature: 0.3, max_tokens: 200 },
+  );
+
+  assert.equal(result, {
+    content: 'Hello from Ollama',
+    model: 'llama3.1',
+    prompt_tokens: 30,
+    completion_tokens: 8,
+  });
+  assert.is(requests[0].path, '/api/chat');
+  assert.is(requests[0].body.stream, false);
+  assert.equal(requests[0].body.options, { temperature: 0.3, num_predict: 200 });
+});
+
+LLMProvidersTests('OllamaProvider - should surface missing model errors', async () => {
+  respond = () => ({ status: 404, body: { error: 'model "nope" not found, try pulling it first' } });
+
+  const provider = new OllamaProvider({ baseURL });
+
+  try {
+    await provider.chat([{ role: 'user', content: 'Hi' }], { model: 'nope' });
+    assert.unreachable('Should have thrown error');
+  } catch (error) {
+    assert.match(error.message, /Ollama API error \(404\): model "nope" not found/);
+  }
+});
+
+// ========== createProvider() ==========
+LLMProvidersTests('createProvider() - should build the adapter by name', () => {
+  assert.instance(createProvider('openai', { apiKey: 'k', baseURL }), OpenAICompatibleProvider);
+  assert.instance(createProvider('anthropic', { apiKey: 'k', baseURL }), AnthropicProvider);
+  assert.instance(createProvider('ollama', { baseURL }), OllamaProvider);
+  assert.throws(() => createProvider('nope', {}), /Unknown LLM provider: nope/);
+});
+
+LLMProvidersTests.run();
@@ -0,0 +1,153 @@
+import { suite } from 'uvu';
+import * as assert from 'uvu/assert';
+import Database from 'better-sqlite3';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { migrate, getSchemaVersion, getColumns } from '../migrate.js';
+import migrations from '../migrations/index.js';
+
+const MigrateTests = suite('Schema Migration Tests');
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const LEGACY_SCHEMA = fs.readFileSync(path.join(__dirname, 'fixtures/legacy-schema.sql'), 'utf8');
+const LATEST = migrations[migrations.length - 1].version;
+
+let tmpDir;
+
+function openLegacyDb() {
+  const db = new Database(path.join(tmpDir, 'data.db'));
+  db.pragma('foreign_keys = ON');
+  db.exec(LEGACY_SCHEMA);
+  return db;
+}
+
+MigrateTests.before.each(() => {
+  tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'migrate-test-'));
+});
+
+MigrateTests.after.each(() => {
+  fs.rmSync(tmpDir, { recursive: true, force: true });
+});
+
+MigrateTests('migrate() - should create the latest schema in a new database without a backup', () => {
+  const db = new Database(':memory:');
+  const result = migrate(db, migrations);
+
+  assert.is(result.from, 0);
+  assert.is(result.to, LATEST);
+  assert.is(result.applied.length, migrations.length);
+  assert.is(result.applied[0], '001_initial_schema');
+  assert.is(result.backup_path, null);
+  assert.is(getSchemaVersion(db), LATEST);
+  assert.ok(getColumns(db, 'posts').includes('read_at'));
+  db.close();
+});
+
+MigrateTests('migrate() - should only create the original tables in the initial schema', () => {
+  const db = new Database(':memory:');
+  migrate(db, migrations.slice(0, 1));
+
+  const tables = db.prepare("SELECT name FROM sqlite_master WHERE type = 'table' AND name NOT LIKE 'sqlite_%' ORDER BY name").all();
+  assert.equal(tables.map((table) => table.name), ['config', 'logs', 'posts', 'schema_migrations', 'sites']);
+  db.close();
+});
+
+MigrateTests('migrate() - should migrate a legacy database forward and back it up first', () => {
+  const db = openLegacyDb();
+  const result = migrate(db, migrations);
+
+  assert.is(result.from, 0);
+  assert.is(result.to, LATEST);
+
+  // Columns the legacy database already had are kept, missing ones added
+  assert.ok(getColumns(db, 'sites').includes('email_tag'));
+  assert.ok(getColumns(db, 'posts').includes('cluster_id'));
+  const zeppelin = db.prepare('SELECT * FROM posts WHERE id = 1').get();
+  assert.is(zeppelin.flagged, 1);
+  assert.is(zeppelin.canonical_url, 'https://legacy.example.com/zeppelins');
+
+  // The posts table was rebuilt with the url + title constraint, keeping the first duplicate
+  assert.equal(db.prepare('SELECT id FROM posts ORDER BY id').all().map((row) => row.id), [1, 3]);
+  assert.throws(() => {
+    db.prepare("INSERT INTO posts (site_id, date, url, title) VALUES (1, '2024-01-01', ?, ?)")
+      .run('https://legacy.example.com/marzipan', 'Marzipan season');
+  }, /UNIQUE constraint failed/);
+
+  // Search index and its triggers survive the rebuild
+  db.prepare("INSERT INTO posts (site_id, url, title) VALUES (2, 'https://legacy.example.com/new', 'Zeppelin news')").run();
+  const matches = db.prepare("SELECT rowid FROM posts_fts WHERE posts_fts MATCH 'zeppelin' ORDER BY rowid").all();
+  assert.equal(matches.map((row) => row.rowid), [1, 4]);
+  assert.is(db.prepare("SELECT value FROM config WHERE key = 'schedule'").get().value, '0 7 * * *');
+
+  // The backup is the database as it was before migrating
+  assert.match(path.basename(result.backup_path), /^data\.db\.pre-migration-v0-/);
+  const backup = new Database(result.backup_path, { readonly: true });
+  assert.is(backup.prepare('SELECT COUNT(*) AS count FROM posts').get().count, 3);
+  assert.is(getSchemaVersion(backup), 0);
+  backup.close();
+  db.close();
+});
+
+MigrateTests('migrate() - should only run pending migrations', () => {
+  const db = openLegacyDb();
+  migrate(db, migrations);
+
+  const again = migrate(db, migrations);
+  assert.equal(again, { from: LATEST, to: LATEST, applied: [], backup_path: null });
+
+  const next = { version: LATEST + 1, name: 'site_notes', up: (conn) => conn.exec('ALTER TABLE sites ADD COLUMN notes TEXT') };
+  const result = migrate(db, [...migrations, next]);
+  assert.equal(result.applied, [`${String(LATEST + 1).padStart(3, '0')}_site_notes`]);
+  assert.ok(getColumns(db, 'sites').includes('notes'));
+  assert.is(fs.readdirSync(tmpDir).filter((file) => file.includes('pre-migration')).length, 2);
+  db.close();
+});
+
+MigrateTests('migrate() - should roll back a failing migration and not record it', () => {
+  const db = openLegacyDb();
+  migrate(db, migrations);
+
+  const broken = {
+    version: LATEST + 1,
+    name: 'broken',
+    up(conn) {
+      conn.exec('ALTER TABLE sites ADD COLUMN notes TEXT');
+      conn.exec('UPDATE missing_table SET x = 1');
+    },
+  };
+
+  assert.throws(() => migrate(db, [...migrations, broken]), /Migration \d+_broken failed: no such table: missing_table/);
+  assert.not.ok(getColumns(db, 'sites').includes('notes'));
+  assert.is(getSchemaVersion(db), LATEST);
+  db.close();
+});
+
+MigrateTests('migrate() - should move per-task model overrides to the selected provider', () => {
+  const db = new Database(':memory:');
+  const beforeOverrides = migrations.slice(0, migrations.findIndex((migration) => migration.name === 'provider_model_overrides'));
+  migrate(db, beforeOverrides);
+  const insert = db.prepare('INSERT INTO config (key, value) VALUES (?, ?)');
+  insert.run('llm_provider', 'anthropic');
+  insert.run('llm_model_summarization', 'claude-3-5-haiku-latest');
+  insert.run('llm_model_extraction', '');
+
+  migrate(db, migrations);
+
+  const config = Object.fromEntries(db.prepare('SELECT key, value FROM config').all().map((row) => [row.key, row.value]));
+  assert.equal(config, { llm_provider: 'anthropic', anthropic_model_summarization: 'claude-3-5-haiku-latest' });
+  db.close();
+});
+
+MigrateTests('migrate() - should reject unordered migrations and newer databases', () => {
+  const db = new Database(':memory:');
+
+  assert.throws(() => migrate(db, [migrations[1], migrations[0]]), /001_initial_schema is out of order/);
+
+  migrate(db, migrations);
+  assert.throws(() => migrate(db, migrations.slice(0, 3)), /schema version \d+ is newer than the latest known migration \(3\)/);
+  db.close();
+});
+
+MigrateTests.run();
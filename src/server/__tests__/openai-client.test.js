@@ -0,0 +1,384 @@
+import { suite } from 'uvu';
+import * as assert from 'uvu/assert';
+import sinon from 'sinon';
+import * as db from '../db.js';
+import {
+  OpenAIClient,
+  calculateCost,
+  getBudgetStatus,
+  isRetryableError,
+  getRetryDelay,
+  RateLimiter,
+  llmRateLimiter,
+} from '../openai-client.js';
+import { APIConnectionError, APIConnectionTimeoutError } from 'openai';
+import { OllamaProvider } from '../llm-providers.js';
+
+const OpenAIClientTests = suite('OpenAI Client Tests');
+
+OpenAIClientTests.before(() => {
+  try {
+    db.initDb(':memory:');
+  } catch (e) {
+    // Already initialized
+  }
+});
+
+OpenAIClientTests.before.each(() => {
+  db.getDb().prepare('DELETE FROM llm_usage').run();
+  db.setConfig('openai_api_key', 'test-key');
+  db.setConfig('openai_model', 'gpt-4o-mini');
+  db.setConfig('llm_pricing', JSON.stringify({
+    'gpt-4o-mini': { input: 0.15, output: 0.6 },
+    'gpt-4o': { input: 2.5, output: 10 },
+  }));
+});
+
+OpenAIClientTests.after.each(() => {
+  sinon.restore();
+  db.setConfig('llm_provider', 'openai');
+  db.setConfig('openai_model_summarization', '');
+  db.setConfig('openai_model_selector_generation', '');
+  db.setConfig('ollama_model_summarization', '');
+  db.setConfig('llm_max_retries', '3');
+  db.setConfig('llm_requests_per_minute', '');
+  llmRateLimiter.reset();
+  for (const period of ['daily', 'monthly']) {
+    db.setConfig(`llm_budget_${period}_tokens`, '');
+    db.setConfig(`llm_budget_${period}_cost`, '');
+  }
+});
+
+// ========== calculateCost() Tests ==========
+OpenAIClientTests('calculateCost() - should price tokens per 1M from config', () => {
+  const cost = calculateCost('gpt-4o', 1_000_000, 500_000);
+
+  assert.is(cost, 2.5 + 5);
+});
+
+OpenAIClientTests('calculateCost() - should match dated model names by longest prefix', () => {
+  const cost = calculateCost('gpt-4o-mini-2024-07-18', 1_000_000, 0);
+
+  assert.is(cost, 0.15);
+});
+
+OpenAIClientTests('calculateCost() - should return 0 for unknown models', () => {
+  assert.is(calculateCost('llama3', 1000, 1000), 0);
+  assert.is(calculateCost(null, 1000, 1000), 0);
+});
+
+OpenAIClientTests('calculateCost() - should return 0 when pricing config is invalid JSON', () => {
+  db.setConfig('llm_pricing', 'not json');
+
+  assert.is(calculateCost('gpt-4o', 1000, 1000), 0);
+});
+
+// ========== createChatCompletion() Tests ==========
+OpenAIClientTests('createChatCompletion() - should return content and record usage', async () => {
+  const client = new OpenAIClient();
+  const chatStub = sinon.stub(client.provider, 'chat').resolves({
+    content: 'Hello',
+    model: 'gpt-4o-mini-2024-07-18',
+    prompt_tokens: 1000,
+    completion_tokens: 200,
+  });
+
+  const content = await client.createChatCompletion(
+    [{ role: 'user', content: 'Hi' }],
+    { purpose: 'summarization' },
+  );
+
+  assert.is(content, 'Hello');
+  assert.ok(chatStub.calledOnce);
+
+  const rows = db.getLLMUsage();
+  assert.is(rows.length, 1);
+  assert.is(rows[0].purpose, 'summarization');
+  assert.is(rows[0].model, 'gpt-4o-mini-2024-07-18');
+  assert.is(rows[0].prompt_tokens, 1000);
+  assert.is(rows[0].completion_tokens, 200);
+  assert.is(rows[0].total_tokens, 1200);
+  assert.ok(Math.abs(rows[0].cost - (0.00015 + 0.00012)) < 1e-9);
+  assert.is(client.lastUsage.id, rows[0].id);
+});
+
+OpenAIClientTests('createChatCompletion() - should record zero cost for unpriced models', async () => {
+  const client = new OpenAIClient();
+  sinon.stub(client.provider, 'chat').resolves({
+    content: 'Hi there',
+    model: 'gpt-4o-mini',
+    prompt_tokens: 0,
+    completion_tokens: 0,
+  });
+
+  await client.createChatCompletion([{ role: 'user', content: 'Hi' }], { purpose: 'test_ai' });
+
+  const rows = db.getLLMUsage();
+  assert.is(rows.length, 1);
+  assert.is(rows[0].model, 'gpt-4o-mini');
+  assert.is(rows[0].total_tokens, 0);
+  assert.is(rows[0].cost, 0);
+});
+
+OpenAIClientTests('createChatCompletion() - should not record usage when the call fails', async () => {
+  const client = new OpenAIClient();
+  sinon.stub(client.provider, 'chat').rejects(new Error('API error'));
+
+  try {
+    await client.createChatCompletion([{ role: 'user', content: 'Hi' }]);
+    assert.unreachable('Should have thrown error');
+  } catch (error) {
+    assert.is(error.message, 'API error');
+  }
+
+  assert.is(db.getLLMUsage().length, 0);
+});
+
+OpenAIClientTests('constructor - should prefer overrides over saved config', () => {
+  const client = new OpenAIClient({ apiKey: 'override-key', model: 'gpt-4o' });
+
+  assert.is(client.model, 'gpt-4o');
+});
+
+OpenAIClientTests('constructor - should use the provider selected in config', () => {
+  db.setConfig('llm_provider', 'ollama');
+  db.setConfig('ollama_model', 'mistral');
+
+  const client = new OpenAIClient();
+
+  assert.is(client.providerName, 'ollama');
+  assert.is(client.model, 'mistral');
+  assert.instance(client.provider, OllamaProvider);
+});
+
+OpenAIClientTests('constructor - should require an API key for Anthropic', () => {
+  db.setConfig('llm_provider', 'anthropic');
+  db.setConfig('anthropic_api_key', '');
+
+  assert.throws(() => new OpenAIClient(), /Anthropic API key not configured/);
+});
+
+OpenAIClientTests('constructor - should reject unknown providers', () => {
+  assert.throws(() => new OpenAIClient({ provider: 'nope' }), /Unknown LLM provider: nope/);
+});
+
+OpenAIClientTests('createChatCompletion() - should use the per-purpose model when configured', async () => {
+  db.setConfig('openai_model_summarization', 'gpt-4o-mini');
+  db.setConfig('openai_model_selector_generation', 'gpt-4o');
+
+  const client = new OpenAIClient({ model: 'gpt-3.5-turbo' });
+  const chatStub = sinon.stub(client.provider, 'chat').callsFake(async (messages, options) => ({
+    content: 'ok',
+    model: options.model,
+    prompt_tokens: 1,
+    completion_tokens: 1,
+  }));
+
+  await client.createChatCompletion([], { purpose: 'summarization' });
+  await client.createChatCompletion([], { purpose: 'selector_generation' });
+  await client.createChatCompletion([], { purpose: 'test_ai' });
+
+  assert.is(chatStub.getCall(0).args[1].model, 'gpt-4o-mini');
+  assert.is(chatStub.getCall(1).args[1].model, 'gpt-4o');
+  assert.is(chatStub.getCall(2).args[1].model, 'gpt-3.5-turbo');
+});
+
+OpenAIClientTests('getModelForPurpose() - should only use overrides of the active provider', () => {
+  db.setConfig('openai_model_summarization', 'gpt-4o-mini');
+  db.setConfig('llm_provider', 'ollama');
+
+  const client = new OpenAIClient({ model: 'llama3.1' });
+  assert.is(client.getModelForPurpose('summarization'), 'llama3.1');
+
+  db.setConfig('ollama_model_summarization', 'qwen2.5');
+  assert.is(client.getModelForPurpose('summarization'), 'qwen2.5');
+});
+
+// ========== getBudgetStatus() Tests ==========
+OpenAIClientTests('getBudgetStatus() - should be unlimited when no budget is configured', () => {
+  db.createLLMUsage({ purpose: 'summarization', model: 'gpt-4o', prompt_tokens: 5000, cost: 10 });
+
+  const budget = getBudgetStatus();
+
+  assert.is(budget.exceeded, false);
+  assert.equal(budget.reasons, []);
+  assert.is(budget.daily.tokens_used, 5000);
+  assert.is(budget.daily.tokens_limit, null);
+  assert.is(budget.monthly.cost_remaining, null);
+});
+
+OpenAIClientTests('getBudgetStatus() - should report remaining budget per period', () => {
+  db.setConfig('llm_budget_daily_tokens', '10000');
+  db.setConfig('llm_budget_monthly_cost', '5');
+  db.createLLMUsage({ purpose: 'summarization', model: 'gpt-4o', prompt_tokens: 4000, cost: 1.5 });
+
+  const budget = getBudgetStatus();
+
+  assert.is(budget.exceeded, false);
+  assert.is(budget.daily.tokens_remaining, 6000);
+  assert.is(budget.monthly.cost_remaining, 3.5);
+});
+
+OpenAIClientTests('getBudgetStatus() - should be exceeded once usage reaches a limit', () => {
+  db.setConfig('llm_budget_monthly_tokens', '1000');
+  db.createLLMUsage({ purpose: 'summarization', model: 'gpt-4o', prompt_tokens: 1000 });
+
+  const now = new Date();
+  const budget = getBudgetStatus(now);
+
+  assert.is(budget.exceeded, true);
+  assert.is(budget.daily.exceeded, false);
+  assert.is(budget.monthly.exceeded, true);
+  assert.is(budget.monthly.tokens_remaining, 0);
+  assert.ok(budget.monthly.period.startsWith('monthly:'));
+  assert.ok(budget.reasons[0].includes('monthly token budget'));
+});
+
+// ========== Retry / Rate Limit Tests ==========
+function httpError(status, headers = {}) {
+  const error = new Error(`HTTP ${status}`);
+  error.status = status;
+  error.headers = headers;
+  return error;
+}
+
+OpenAIClientTests('isRetryableError() - should retry rate limits, server and network errors only', () => {
+  assert.ok(isRetryableError(httpError(429)));
+  assert.ok(isRetryableError(httpError(503)));
+  assert.ok(isRetryableError(httpError(529)));
+  assert.ok(isRetryableError(Object.assign(new Error('socket hang up'), { code: 'ECONNRESET' })));
+  assert.ok(isRetryableError(new APIConnectionError({ message: 'Connection error.' })));
+  assert.ok(isRetryableError(new APIConnectionTimeoutError()));
+  assert.not.ok(isRetryableError(httpError(401)));
+  assert.not.ok(isRetryableError(httpError(400)));
+  assert.not.ok(isRetryableError(new Error('OpenAI-compatible API key not configured')));
+});
+
+OpenAIClientTests('getRetryDelay() - should honor Retry-After seconds, dates and retry-after-ms', () => {
+  assert.is(getRetryDelay(httpError(429, { 'retry-after': '7' }), 0), 7000);
+  assert.is(getRetryDelay(httpError(429, { 'retry-after-ms': '1500' }), 0), 1500);
+
+  const date = new Date(Date.now() + 10000).toUTCString();
+  const delay = getRetryDelay(httpError(429, { 'retry-after': date }), 0);
+  assert.ok(delay > 8000 && delay <= 10000);
+
+  // Capped so one misbehaving server can't stall the cron run
+  assert.is(getRetryDelay(httpError(429, { 'retry-after': '3600' }), 0), 60000);
+});
+
+OpenAIClientTests('getRetryDelay() - should back off exponentially without Retry-After', () => {
+  const first = getRetryDelay(httpError(503), 0);
+  const third = getRetryDelay(httpError(503), 2);
+
+  assert.ok(first >= 1000 && first < 1250);
+  assert.ok(third >= 4000 && third < 4250);
+});
+
+OpenAIClientTests('createChatCompletion() - should retry a 429 after the Retry-After delay', async () => {
+  const client = new OpenAIClient();
+  const sleepStub = sinon.stub(client, 'sleep').resolves();
+  const chatStub = sinon.stub(client.provider, 'chat');
+  chatStub.onFirstCall().rejects(httpError(429, { 'retry-after': '2' }));
+  chatStub.onSecondCall().resolves({ content: 'Hello', model: 'gpt-4o-mini', prompt_tokens: 10, completion_tokens: 2 });
+
+  const content = await client.createChatCompletion([{ role: 'user', content: 'Hi' }], { purpose: 'summarization' });
+
+  assert.is(content, 'Hello');
+  assert.is(chatStub.callCount, 2);
+  assert.ok(sleepStub.calledOnceWith(2000));
+  assert.is(db.getLLMUsage().length, 1);
+});
+
+OpenAIClientTests('createChatCompletion() - should retry when the SDK reports a connection error', async () => {
+  const client = new OpenAIClient();
+  const sleepStub = sinon.stub(client, 'sleep').resolves();
+  const chatStub = sinon.stub(client.provider, 'chat');
+  chatStub.onFirstCall().rejects(new APIConnectionError({ message: 'Connection error.' }));
+  chatStub.onSecondCall().resolves({ content: 'Hello', model: 'gpt-4o-mini', prompt_tokens: 10, completion_tokens: 2 });
+
+  const content = await client.createChatCompletion([{ role: 'user', content: 'Hi' }]);
+
+  assert.is(content, 'Hello');
+  assert.is(chatStub.callCount, 2);
+  assert.ok(sleepStub.calledOnce);
+});
+
+OpenAIClientTests('createChatCompletion() - should not retry non-retryable errors', async () => {
+  const client = new OpenAIClient();
+  const sleepStub = sinon.stub(client, 'sleep').resolves();
+  const chatStub = sinon.stub(client.provider, 'chat').rejects(httpError(401));
+
+  try {
+    await client.createChatCompletion([{ role: 'user', content: 'Hi' }]);
+    assert.unreachable('Should have thrown error');
+  } catch (error) {
+    assert.is(error.status, 401);
+  }
+
+  assert.is(chatStub.callCount, 1);
+  assert.ok(sleepStub.notCalled);
+});
+
+OpenAIClientTests('createChatCompletion() - should give up after llm_max_retries', async () => {
+  db.setConfig('llm_max_retries', '2');
+
+  const client = new OpenAIClient();
+  const sleepStub = sinon.stub(client, 'sleep').resolves();
+  const chatStub = sinon.stub(client.provider, 'chat').rejects(httpError(503));
+
+  try {
+    await client.createChatCompletion([{ role: 'user', content: 'Hi' }]);
+    assert.unreachable('Should have thrown error');
+  } catch (error) {
+    assert.is(error.status, 503);
+  }
+
+  assert.is(chatStub.callCount, 3);
+  assert.is(sleepStub.callCount, 2);
+});
+
+OpenAIClientTests('RateLimiter - should wait for a free slot once the per-minute limit is used', async () => {
+  const clock = sinon.useFakeTimers({ now: Date.now(), toFake: ['Date'] });
+  const limiter = new RateLimiter();
+  const sleep = sinon.stub().callsFake(async (ms) => clock.tick(ms));
+
+  await limiter.acquire(2, sleep);
+  clock.tick(10000);
+  await limiter.acquire(2, sleep);
+  assert.ok(sleep.notCalled);
+
+  // Third request has to wait until the first one leaves the 60s window
+  await limiter.acquire(2, sleep);
+  assert.ok(sleep.calledOnceWith(50000));
+});
+
+OpenAIClientTests('RateLimiter - should not limit when no limit is configured', async () => {
+  const limiter = new RateLimiter();
+  const sleep = sinon.stub().resolves();
+
+  for (let i = 0; i < 100; i++) {
+    await limiter.acquire(null, sleep);
+  }
+
+  assert.ok(sleep.notCalled);
+  assert.is(limiter.timestamps.length, 0);
+});
+
+OpenAIClientTests('createChatCompletion() - should apply llm_requests_per_minute across clients', async () => {
+  db.setConfig('llm_requests_per_minute', '1');
+  const acquireSpy = sinon.spy(llmRateLimiter, 'acquire');
+
+  for (let i = 0; i < 2; i++) {
+    const client = new OpenAIClient();
+    sinon.stub(client, 'sleep').callsFake(async () => llmRateLimiter.reset());
+    sinon.stub(client.provider, 'chat').resolves({ content: 'ok', model: 'gpt-4o-mini', prompt_tokens: 1, completion_tokens: 1 });
+    await client.createChatCompletion([{ role: 'user', content: 'Hi' }]);
+
+    // Second client shares the limiter and has to wait for the first request's slot
+    if (i === 1) assert.ok(client.sleep.calledOnce);
+  }
+
+  assert.is(acquireSpy.firstCall.args[0], 1);
+});
+
+OpenAIClientTests.run();
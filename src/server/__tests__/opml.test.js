@@ -0,0 +1,69 @@
+import { suite } from 'uvu';
+import * as assert from 'uvu/assert';
+import { parseOpml, buildOpml } from '../opml.js';
+
+const OpmlTests = suite('OPML Tests');
+
+// Feed reader export: nested folders, a duplicate feed and an outline with only text
+const READER_EXPORT = `<?xml version="1.0" encoding="UTF-8"?>
+<opml version="1.0">
+  <head><title>Reader subscriptions</title></head>
+  <body>
+    <outline text="Unfiled feed" type="rss" xmlUrl="https://unfiled.example.com/feed"/>
+    <outline text="Tech" title="Tech">
+      <outline text="Blog &amp; News" title="Blog &amp; News" type="rss" xmlUrl="https://blog.example.com/rss.xml" htmlUrl="https://blog.example.com/"/>
+      <outline text="AI">
+        <outline text="Research" type="rss" xmlUrl="https://research.example.com/atom.xml"/>
+      </outline>
+    </outline>
+    <outline text="Duplicates">
+      <outline text="Same blog again" type="rss" xmlUrl="https://blog.example.com/rss.xml"/>
+    </outline>
+  </body>
+</opml>`;
+
+// ========== parseOpml() Tests ==========
+OpmlTests('parseOpml() - should return feeds with their folders as tags', () => {
+  assert.equal(parseOpml(READER_EXPORT), [
+    { url: 'https://unfiled.example.com/feed', title: 'Unfiled feed', html_url: null, type: 'rss', tags: [] },
+    { url: 'https://blog.example.com/rss.xml', title: 'Blog & News', html_url: 'https://blog.example.com/', type: 'rss', tags: ['Tech'] },
+    { url: 'https://research.example.com/atom.xml', title: 'Research', html_url: null, type: 'rss', tags: ['Tech', 'AI'] },
+  ]);
+});
+
+OpmlTests('parseOpml() - should detect JSON Feeds and read the category attribute', () => {
+  const feeds = parseOpml(`<opml version="2.0"><body>
+    <outline text="Tagged" type="rss" version="JSONFeed" xmlUrl="https://a.example.com/feed" category="/Tech/AI,/News"/>
+    <outline text="By URL" type="rss" xmlUrl="https://b.example.com/feed.json"/>
+  </body></opml>`);
+
+  assert.equal(feeds.map((feed) => [feed.type, feed.tags]), [
+    ['json_feed', ['Tech', 'AI', 'News']],
+    ['json_feed', []],
+  ]);
+});
+
+OpmlTests('parseOpml() - should reject documents that are not OPML', () => {
+  assert.throws(() => parseOpml('<html><body>Not OPML</body></html>'), /Invalid OPML/);
+});
+
+// ========== buildOpml() Tests ==========
+OpmlTests('buildOpml() - should export feeds and links in tag folders', () => {
+  const opml = buildOpml([
+    { url: 'https://blog.example.com/rss.xml', title: 'Blog & News', type: 'rss', tags: ['Tech'] },
+    { url: 'https://research.example.com/feed', title: 'Research', type: 'json_feed', tags: ['AI', 'Tech'] },
+    { url: 'https://example.com/news?a=1&b=2', title: 'Scraped "News"', type: 'html_rules', tags: [] },
+  ]);
+
+  assert.ok(opml.includes('<outline type="rss" text="Blog &amp; News" title="Blog &amp; News" xmlUrl="https://blog.example.com/rss.xml" category="/Tech"/>'));
+  assert.ok(opml.includes('<outline type="rss" text="Research" title="Research" xmlUrl="https://research.example.com/feed" version="JSONFeed" category="/AI,/Tech"/>'));
+  assert.ok(opml.includes('<outline type="link" text="Scraped &quot;News&quot;" title="Scraped &quot;News&quot;" url="https://example.com/news?a=1&amp;b=2"/>'));
+
+  // Feeds round-trip with their type and tags, links are not subscriptions
+  assert.equal(parseOpml(opml), [
+    { url: 'https://blog.example.com/rss.xml', title: 'Blog & News', html_url: null, type: 'rss', tags: ['Tech'] },
+    { url: 'https://research.example.com/feed', title: 'Research', html_url: null, type: 'json_feed', tags: ['AI', 'Tech'] },
+  ]);
+});
+
+OpmlTests.run();
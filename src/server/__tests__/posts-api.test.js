@@ -109,6 +109,25 @@ PostsAPITests('getAll should filter by search parameter', async () => {
   assert.ok(result.every(post => post.title.includes('JavaScript') || post.content.includes('JavaScript')));
 });
 
+PostsAPITests('search should return ranked matches with snippets', async () => {
+  const site = db.createSite({ url: 'https://example.com/rss', title: 'Test Site', type: 'rss' });
+
+  db.createPost({ url: 'https://example.com/post1', title: 'Weekly links', site_id: site.id, content: 'Notes about kubernetes operators' });
+  db.createPost({ url: 'https://example.com/post2', title: 'Kubernetes 2.0', site_id: site.id, content: 'Release notes' });
+
+  const result = await postsAPI.search({ query: { q: 'kubernetes' } }, mockReply);
+
+  assert.equal(result.map((post) => post.title), ['Kubernetes 2.0', 'Weekly links']);
+  assert.is(result[1].snippet, 'Notes about <mark>kubernetes</mark> operators');
+});
+
+PostsAPITests('search should require a query', async () => {
+  await postsAPI.search({ query: { q: '  ' } }, mockReply);
+
+  assert.is(mockReply._code, 400);
+  assert.equal(mockReply._sent, { error: 'Search query is required' });
+});
+
 PostsAPITests('getAll should respect limit parameter', async () => {
   const site = db.createSite({ url: 'https://example.com/rss', title: 'Test Site', type: 'rss' });
 
@@ -270,6 +289,69 @@ PostsAPITests('toggleFlag should return 400 for missing flagged value', async ()
   assert.equal(mockReply._sent.error, 'Flagged must be 0 or 1');
 });
 
+// ========== Read state tests ==========
+PostsAPITests('getAll should filter unread posts', async () => {
+  const site = db.createSite({ url: 'https://example.com/rss', title: 'Test Site', type: 'rss' });
+  const read = db.createPost({ url: 'https://example.com/post1', title: 'Read Post', site_id: site.id });
+  db.createPost({ url: 'https://example.com/post2', title: 'Unread Post', site_id: site.id });
+  db.updatePost(read.id, { read_at: new Date().toISOString() });
+
+  const result = await postsAPI.getAll({ query: { unread: '1' } }, mockReply);
+
+  assert.equal(result.map((post) => post.title), ['Unread Post']);
+});
+
+PostsAPITests('setRead should mark a post as read and unread', async () => {
+  const site = db.createSite({ url: 'https://example.com/rss', title: 'Test Site', type: 'rss' });
+  const post = db.createPost({ url: 'https://example.com/post1', title: 'Test Post', site_id: site.id });
+
+  const read = await postsAPI.setRead({ params: { id: String(post.id) }, body: { read: 1 } }, mockReply);
+  assert.is(read.read, 1);
+  assert.is(db.getPost(post.id).read_at, read.read_at);
+
+  // Reading again keeps the first read time
+  const again = await postsAPI.setRead({ params: { id: String(post.id) }, body: { read: 1 } }, mockReply);
+  assert.is(again.read_at, read.read_at);
+
+  await postsAPI.setRead({ params: { id: String(post.id) }, body: { read: 0 } }, mockReply);
+  assert.is(db.getPost(post.id).read_at, null);
+});
+
+PostsAPITests('setRead should validate the read value and the post', async () => {
+  await postsAPI.setRead({ params: { id: '999' }, body: { read: 1 } }, mockReply);
+  assert.is(mockReply._code, 404);
+
+  const site = db.createSite({ url: 'https://example.com/rss', title: 'Test Site', type: 'rss' });
+  const post = db.createPost({ url: 'https://example.com/post1', title: 'Test Post', site_id: site.id });
+  await postsAPI.setRead({ params: { id: String(post.id) }, body: { read: true } }, mockReply);
+  assert.is(mockReply._code, 400);
+  assert.is(mockReply._sent.error, 'Read must be 0 or 1');
+});
+
+PostsAPITests('markAllRead should mark the posts of a site as read and update unread counts', async () => {
+  const site1 = db.createSite({ url: 'https://site1.com/rss', title: 'Site 1', type: 'rss' });
+  const site2 = db.createSite({ url: 'https://site2.com/rss', title: 'Site 2', type: 'rss' });
+  db.createPost({ url: 'https://site1.com/post1', title: 'Site 1 Post 1', site_id: site1.id });
+  db.createPost({ url: 'https://site1.com/post2', title: 'Site 1 Post 2', site_id: site1.id });
+  const post = db.createPost({ url: 'https://site2.com/post1', title: 'Site 2 Post 1', site_id: site2.id });
+  db.createPost({ url: 'https://site2.com/post2', title: 'Site 2 Post 2', site_id: site2.id });
+
+  assert.equal(await postsAPI.unreadCounts({}, mockReply), { total: 4, sites: { [site1.id]: 2, [site2.id]: 2 } });
+
+  const result = await postsAPI.markAllRead({ body: { site_id: String(site1.id) } }, mockReply);
+  assert.equal(result, { success: true, marked: 2 });
+
+  await postsAPI.markAllRead({ body: { ids: [post.id] } }, mockReply);
+  assert.equal(await postsAPI.unreadCounts({}, mockReply), { total: 1, sites: { [site2.id]: 1 } });
+});
+
+PostsAPITests('markAllRead should reject invalid ids', async () => {
+  await postsAPI.markAllRead({ body: { ids: '1,2' } }, mockReply);
+
+  assert.is(mockReply._code, 400);
+  assert.is(mockReply._sent.error, 'ids must be an array of post ids');
+});
+
 // ========== POST /api/posts/:id/notify tests ==========
 PostsAPITests('notify should send post to Slack successfully', async () => {
   const site = db.createSite({ url: 'https://example.com/rss', title: 'Test Site', type: 'rss' });
@@ -553,4 +635,34 @@ PostsAPITests('notify should normalize channel names with spaces and # prefix',
   assert.equal(payload.channel, '#weekly-digest');
 });
 
+PostsAPITests('setTags should replace the tags of a post', async () => {
+  const site = db.createSite({ url: 'https://example.com/rss', title: 'Test Site', type: 'rss', tags: ['news'] });
+  const post = db.createPost({ url: 'https://example.com/post1', title: 'Test Post', site_id: site.id });
+
+  const result = await postsAPI.setTags({ params: { id: String(post.id) }, body: { tags: 'ai, Research, AI' } }, mockReply);
+
+  assert.equal(result.tags, ['ai', 'Research']);
+  assert.equal(db.getPost(post.id).tags, ['ai', 'Research']);
+});
+
+PostsAPITests('setTags should validate the tags and the post', async () => {
+  await postsAPI.setTags({ params: { id: '999' }, body: { tags: ['ai'] } }, mockReply);
+  assert.is(mockReply._code, 404);
+
+  await postsAPI.setTags({ params: { id: '999' }, body: { tags: [1] } }, mockReply);
+  assert.is(mockReply._code, 400);
+  assert.is(mockReply._sent.error, 'Tags must be a list of names');
+});
+
+PostsAPITests('getAll should filter posts by tags', async () => {
+  const site = db.createSite({ url: 'https://example.com/rss', title: 'Test Site', type: 'rss' });
+  const post1 = db.createPost({ url: 'https://example.com/post1', title: 'Post 1', site_id: site.id });
+  db.createPost({ url: 'https://example.com/post2', title: 'Post 2', site_id: site.id });
+  db.setPostTags(post1.id, ['ai', 'research']);
+
+  const result = await postsAPI.getAll({ query: { tags: 'research,AI' } }, mockReply);
+
+  assert.equal(result.map((post) => post.title), ['Post 1']);
+});
+
 PostsAPITests.run();
@@ -0,0 +1,93 @@
+import { suite } from 'uvu';
+import * as assert from 'uvu/assert';
+import * as runsAPI from '../api/runs.js';
+import * as db from '../db.js';
+
+const RunsAPITests = suite('Runs API Tests');
+
+let mockReply;
+
+RunsAPITests.before(() => {
+  try {
+    db.initDb(':memory:');
+  } catch (e) {
+    // Already initialized
+  }
+});
+
+RunsAPITests.before.each(() => {
+  db.getDb().prepare('DELETE FROM runs').run();
+
+  mockReply = {
+    _code: null,
+    _sent: null,
+    code: function(val) { this._code = val; return this; },
+    send: function(val) { this._sent = val; return this; },
+  };
+});
+
+RunsAPITests('getAll should return runs newest first with total', async () => {
+  db.createRun({ trigger: 'scheduled' });
+  db.createRun({ trigger: 'manual' });
+  db.createRun({ trigger: 'scheduled' });
+
+  const result = await runsAPI.getAll({ query: {} }, mockReply);
+
+  assert.is(result.total, 3);
+  assert.is(result.runs.length, 3);
+  assert.ok(result.runs[0].id > result.runs[1].id);
+  assert.is(result.runs[0].status, 'running');
+});
+
+RunsAPITests('getAll should filter by trigger and paginate', async () => {
+  db.createRun({ trigger: 'scheduled' });
+  db.createRun({ trigger: 'manual' });
+  db.createRun({ trigger: 'scheduled' });
+
+  const scheduled = await runsAPI.getAll({ query: { trigger: 'scheduled' } }, mockReply);
+  assert.is(scheduled.total, 2);
+  assert.ok(scheduled.runs.every((run) => run.trigger === 'scheduled'));
+
+  const page = await runsAPI.getAll({ query: { limit: '1', offset: '1' } }, mockReply);
+  assert.is(page.total, 3);
+  assert.is(page.runs.length, 1);
+  assert.is(page.runs[0].trigger, 'manual');
+});
+
+RunsAPITests('getOne should return the run with per-site outcomes', async () => {
+  const site = db.createSite({ url: 'https://runs-test.com', title: 'Runs Site', type: 'rss' });
+  const run = db.createRun({ trigger: 'manual', sites_total: 1 });
+  db.createRunSite({
+    run_id: run.id,
+    site_id: site.id,
+    site_title: site.title,
+    status: 'error',
+    error: 'Request failed with status code 500',
+    duration_ms: 120,
+  });
+  db.updateRun(run.id, { status: 'completed', sites_failed: 1, slack_status: 'none' });
+
+  const result = await runsAPI.getOne({ params: { id: String(run.id) } }, mockReply);
+
+  assert.is(result.status, 'completed');
+  assert.is(result.sites_failed, 1);
+  assert.is(result.sites.length, 1);
+  assert.is(result.sites[0].site_title, 'Runs Site');
+  assert.is(result.sites[0].status, 'error');
+  assert.is(result.sites[0].duration_ms, 120);
+
+  // Site rows survive deleting the site
+  db.deleteSite(site.id);
+  const afterDelete = await runsAPI.getOne({ params: { id: String(run.id) } }, mockReply);
+  assert.is(afterDelete.sites[0].site_id, null);
+  assert.is(afterDelete.sites[0].site_title, 'Runs Site');
+});
+
+RunsAPITests('getOne should return 404 for unknown run', async () => {
+  await runsAPI.getOne({ params: { id: '99999' } }, mockReply);
+
+  assert.is(mockReply._code, 404);
+  assert.equal(mockReply._sent, { error: 'Run not found' });
+});
+
+RunsAPITests.run();
@@ -0,0 +1,100 @@
+import { suite } from 'uvu';
+import * as assert from 'uvu/assert';
+import * as db from '../db.js';
+import {
+  parseInterval,
+  isValidSchedule,
+  getSiteSchedule,
+  getNextRunTime,
+  getNextCheckAt,
+} from '../schedule.js';
+
+const ScheduleTests = suite('Schedule Tests');
+
+ScheduleTests.before(() => {
+  try {
+    db.initDb(':memory:');
+  } catch (e) {
+    // Already initialized
+  }
+});
+
+ScheduleTests.after.each(() => {
+  db.setConfig('schedule', '0 9 * * *');
+});
+
+// ========== parseInterval() Tests ==========
+ScheduleTests('parseInterval() - should parse minute/hour/day/week intervals', () => {
+  assert.is(parseInterval('30m'), 30 * 60 * 1000);
+  assert.is(parseInterval('6h'), 6 * 60 * 60 * 1000);
+  assert.is(parseInterval(' 1d '), 24 * 60 * 60 * 1000);
+  assert.is(parseInterval('2W'), 14 * 24 * 60 * 60 * 1000);
+});
+
+ScheduleTests('parseInterval() - should return null for anything else', () => {
+  assert.is(parseInterval('0 9 * * *'), null);
+  assert.is(parseInterval('0h'), null);
+  assert.is(parseInterval('6 hours'), null);
+  assert.is(parseInterval(''), null);
+  assert.is(parseInterval(null), null);
+});
+
+// ========== isValidSchedule() Tests ==========
+ScheduleTests('isValidSchedule() - should accept intervals and cron expressions', () => {
+  assert.ok(isValidSchedule('12h'));
+  assert.ok(isValidSchedule('0 * * * *'));
+  assert.ok(isValidSchedule('0 9 * * mon'));
+  assert.not.ok(isValidSchedule('every day'));
+  assert.not.ok(isValidSchedule('61 * * * *'));
+  assert.not.ok(isValidSchedule(''));
+});
+
+ScheduleTests('isValidSchedule() - should reject cron expressions that never come due', () => {
+  assert.not.ok(isValidSchedule('0 0 31 2 *'));
+  assert.ok(isValidSchedule('0 0 29 2 *')); // Leap years
+});
+
+// ========== getNextRunTime() Tests ==========
+ScheduleTests('getNextRunTime() - should add intervals to the reference time', () => {
+  const from = new Date(2025, 0, 15, 10, 20, 30);
+
+  assert.equal(getNextRunTime('6h', from), new Date(2025, 0, 15, 16, 20, 30));
+});
+
+ScheduleTests('getNextRunTime() - should find the next matching minute of a cron expression', () => {
+  const from = new Date(2025, 0, 15, 10, 20, 30); // Wednesday
+
+  assert.equal(getNextRunTime('0 * * * *', from), new Date(2025, 0, 15, 11, 0, 0));
+  assert.equal(getNextRunTime('0 9 * * *', from), new Date(2025, 0, 16, 9, 0, 0));
+  assert.equal(getNextRunTime('30 8 * * 1', from), new Date(2025, 0, 20, 8, 30, 0));
+});
+
+ScheduleTests('getNextRunTime() - should never return the reference minute itself', () => {
+  const from = new Date(2025, 0, 15, 9, 0, 0);
+
+  assert.equal(getNextRunTime('0 9 * * *', from), new Date(2025, 0, 16, 9, 0, 0));
+});
+
+ScheduleTests('getNextRunTime() - should return null for invalid schedules', () => {
+  assert.is(getNextRunTime('nope'), null);
+  assert.is(getNextRunTime(''), null);
+  assert.is(getNextRunTime('0 0 31 2 *'), null);
+});
+
+// ========== getSiteSchedule() / getNextCheckAt() Tests ==========
+ScheduleTests('getSiteSchedule() - should fall back to the global schedule', () => {
+  db.setConfig('schedule', '0 6 * * *');
+
+  assert.is(getSiteSchedule({ schedule: '1h' }), '1h');
+  assert.is(getSiteSchedule({ schedule: '' }), '0 6 * * *');
+  assert.is(getSiteSchedule({ schedule: null }), '0 6 * * *');
+});
+
+ScheduleTests('getNextCheckAt() - should return an ISO timestamp', () => {
+  const from = new Date('2025-01-15T10:00:00.000Z');
+
+  assert.is(getNextCheckAt({ schedule: '30m' }, from), '2025-01-15T10:30:00.000Z');
+  assert.is(getNextCheckAt({ schedule: 'bogus' }, from), null);
+});
+
+ScheduleTests.run();
@@ -0,0 +1,32 @@
+import { suite } from 'uvu';
+import * as assert from 'uvu/assert';
+import { toFtsQuery, highlightSnippet, HIGHLIGHT_START, HIGHLIGHT_END } from '../search.js';
+
+const SearchTests = suite('Search Query Tests');
+
+// ========== toFtsQuery() Tests ==========
+SearchTests('toFtsQuery() - should quote terms and phrases and keep prefixes', () => {
+  assert.is(toFtsQuery('rust async'), '"rust" AND "async"');
+  assert.is(toFtsQuery('"open source" licen*'), '"open source" AND "licen"*');
+  assert.is(toFtsQuery('c++ foo-bar "say ""hi"'), '"c++" AND "foo-bar" AND "say" AND "hi"');
+});
+
+SearchTests('toFtsQuery() - should keep operators and exclusions between terms only', () => {
+  assert.is(toFtsQuery('rust OR go NOT java'), '"rust" OR "go" NOT "java"');
+  assert.is(toFtsQuery('rust -"web assembly"'), '"rust" NOT "web assembly"');
+  assert.is(toFtsQuery('OR rust AND'), '"rust"');
+  assert.is(toFtsQuery('-rust'), '');
+  assert.is(toFtsQuery('  "" '), '');
+  assert.is(toFtsQuery(undefined), '');
+});
+
+// ========== highlightSnippet() Tests ==========
+SearchTests('highlightSnippet() - should mark matches in escaped text without tags', () => {
+  assert.is(
+    highlightSnippet(`ef="https://x.com">${HIGHLIGHT_START}Rust${HIGHLIGHT_END} &lt;3 <script>x</script> a > b <a href="y`),
+    '<mark>Rust</mark> &lt;3 x a &gt; b',
+  );
+  assert.is(highlightSnippet(null), null);
+});
+
+SearchTests.run();
@@ -0,0 +1,120 @@
+import { suite } from 'uvu';
+import * as assert from 'uvu/assert';
+import * as db from '../db.js';
+import {
+  getBackoffDelay,
+  getSuccessUpdates,
+  getFailureUpdates,
+  getSiteHealth,
+} from '../site-health.js';
+
+const SiteHealthTests = suite('Site Health Tests');
+
+const MINUTE = 60 * 1000;
+
+SiteHealthTests.before(() => {
+  try {
+    db.initDb(':memory:');
+  } catch (e) {
+    // Already initialized
+  }
+});
+
+SiteHealthTests.after.each(() => {
+  db.setConfig('site_backoff_base_minutes', '30');
+  db.setConfig('site_backoff_max_hours', '24');
+  db.setConfig('site_auto_disable_failures', '');
+  db.setConfig('site_empty_runs_threshold', '3');
+});
+
+// ========== getBackoffDelay() Tests ==========
+SiteHealthTests('getBackoffDelay() - should double with each failure up to the max', () => {
+  assert.is(getBackoffDelay(0), 0);
+  assert.is(getBackoffDelay(1), 30 * MINUTE);
+  assert.is(getBackoffDelay(2), 60 * MINUTE);
+  assert.is(getBackoffDelay(4), 240 * MINUTE);
+  assert.is(getBackoffDelay(20), 24 * 60 * MINUTE);
+});
+
+SiteHealthTests('getBackoffDelay() - should use configured base and cap', () => {
+  db.setConfig('site_backoff_base_minutes', '5');
+  db.setConfig('site_backoff_max_hours', '1');
+
+  assert.is(getBackoffDelay(1), 5 * MINUTE);
+  assert.is(getBackoffDelay(3), 20 * MINUTE);
+  assert.is(getBackoffDelay(10), 60 * MINUTE);
+});
+
+// ========== getFailureUpdates() Tests ==========
+SiteHealthTests('getFailureUpdates() - should count failures and back off the next check', () => {
+  const now = new Date('2025-01-01T12:00:00Z');
+  const site = { schedule: '15m', consecutive_failures: 2 };
+
+  const updates = getFailureUpdates(site, new Error('Status code 503'), now);
+
+  assert.is(updates.consecutive_failures, 3);
+  assert.is(updates.last_error, 'Status code 503');
+  assert.is(updates.next_check_at, new Date(now.getTime() + 120 * MINUTE).toISOString());
+  assert.is(updates.is_active, undefined);
+});
+
+SiteHealthTests('getFailureUpdates() - should never check sooner than the schedule', () => {
+  const now = new Date('2025-01-01T12:00:00Z');
+
+  const updates = getFailureUpdates({ schedule: '1d' }, new Error('boom'), now);
+
+  assert.is(updates.next_check_at, new Date(now.getTime() + 24 * 60 * MINUTE).toISOString());
+});
+
+SiteHealthTests('getFailureUpdates() - should auto-disable after the configured failures', () => {
+  db.setConfig('site_auto_disable_failures', '3');
+
+  const second = getFailureUpdates({ schedule: '1h', consecutive_failures: 1 }, new Error('boom'));
+  assert.is(second.is_active, undefined);
+
+  const third = getFailureUpdates({ schedule: '1h', consecutive_failures: 2 }, new Error('boom'));
+  assert.is(third.is_active, 0);
+  assert.is(third.auto_disabled, 1);
+});
+
+// ========== getSuccessUpdates() Tests ==========
+SiteHealthTests('getSuccessUpdates() - should reset failures and track posts found', () => {
+  const now = new Date('2025-01-01T12:00:00Z');
+  const site = { schedule: '1h', consecutive_failures: 4, last_error: 'boom', consecutive_empty_runs: 2 };
+
+  const updates = getSuccessUpdates(site, 5, now);
+
+  assert.equal(updates, {
+    consecutive_failures: 0,
+    last_error: null,
+    last_success_at: now.toISOString(),
+    consecutive_empty_runs: 0,
+    next_check_at: new Date(now.getTime() + 60 * MINUTE).toISOString(),
+    last_nonzero_at: now.toISOString(),
+  });
+});
+
+SiteHealthTests('getSuccessUpdates() - should count checks that found no posts', () => {
+  const updates = getSuccessUpdates({ schedule: '1h', consecutive_empty_runs: 2 }, 0);
+
+  assert.is(updates.consecutive_empty_runs, 3);
+  assert.is(updates.last_nonzero_at, undefined);
+});
+
+// ========== getSiteHealth() Tests ==========
+SiteHealthTests('getSiteHealth() - should classify sites', () => {
+  assert.is(getSiteHealth({ last_checked: null }), 'unknown');
+  assert.is(getSiteHealth({ last_checked: '2025-01-01T00:00:00Z', consecutive_failures: 0 }), 'healthy');
+  assert.is(getSiteHealth({ last_checked: '2025-01-01T00:00:00Z', consecutive_failures: 2 }), 'failing');
+  assert.is(getSiteHealth({ is_active: 0, auto_disabled: 1, consecutive_failures: 5 }), 'disabled');
+  assert.is(getSiteHealth({ last_checked: '2025-01-01T00:00:00Z', consecutive_empty_runs: 3 }), 'empty');
+  assert.is(getSiteHealth({ last_checked: '2025-01-01T00:00:00Z', consecutive_empty_runs: 2 }), 'healthy');
+});
+
+SiteHealthTests('getSiteHealth() - should not flag empty sites when the threshold is 0', () => {
+  db.setConfig('site_empty_runs_threshold', '0');
+
+  assert.is(getSiteHealth({ last_checked: '2025-01-01T00:00:00Z', consecutive_empty_runs: 10 }), 'healthy');
+});
+
+SiteHealthTests.run();
@@ -5,6 +5,8 @@ import axios from 'axios';
 import * as sitesAPI from '../api/sites.js';
 import * as db from '../db.js';
 import * as extractors from '../extractors.js';
+import Parser from 'rss-parser';
+import nodeCron from 'node-cron';
 
 const SitesAPITests = suite('Sites API Tests');
 
@@ -70,7 +72,59 @@ SitesAPITests('create should fail without required fields', async () => {
   assert.equal(mockReply._sent.error, 'URL and title are required');
 });
 
+SitesAPITests('create and update should set the default tags of a site', async () => {
+  const site = await sitesAPI.create({ body: { url: 'https://example.com/rss', title: 'Tagged', tags: 'ai, news' } }, mockReply);
+  assert.equal(site.tags, ['ai', 'news']);
+
+  const updated = await sitesAPI.update({ params: { id: site.id }, body: { tags: ['Research'] } }, mockReply);
+  assert.equal(updated.tags, ['Research']);
+
+  await sitesAPI.update({ params: { id: site.id }, body: { tags: { name: 'ai' } } }, mockReply);
+  assert.is(mockReply._code, 400);
+  assert.is(mockReply._sent.error, 'Tags must be a list of names');
+});
+
 // ========== getOne() Tests ==========
+SitesAPITests('create should store schedule and next check time', async () => {
+  const reqBody = { url: 'https://example.com/hourly', title: 'Hourly', type: 'rss', schedule: '1h' };
+
+  const result = await sitesAPI.create({ body: reqBody }, mockReply);
+
+  assert.is(result.schedule, '1h');
+  const minutesAhead = (new Date(result.next_check_at) - Date.now()) / 60000;
+  assert.ok(minutesAhead > 59 && minutesAhead <= 60);
+});
+
+SitesAPITests('create should reject invalid schedules', async () => {
+  const reqBody = { url: 'https://example.com/bad', title: 'Bad', schedule: 'every day' };
+
+  await sitesAPI.create({ body: reqBody }, mockReply);
+
+  assert.is(mockReply._code, 400);
+  assert.is(mockReply._sent.error, 'Invalid schedule: every day');
+});
+
+SitesAPITests('update should reschedule only when the schedule changes', async () => {
+  const site = db.createSite({
+    url: 'https://example.com/sched',
+    title: 'Sched',
+    type: 'rss',
+    schedule: '1d',
+    next_check_at: '2030-01-01T00:00:00.000Z',
+  });
+
+  let result = await sitesAPI.update({ params: { id: site.id }, body: { title: 'Renamed', schedule: '1d' } }, mockReply);
+  assert.is(result.next_check_at, '2030-01-01T00:00:00.000Z');
+
+  result = await sitesAPI.update({ params: { id: site.id }, body: { schedule: '30m' } }, mockReply);
+  assert.is(result.schedule, '30m');
+  assert.ok(new Date(result.next_check_at) < new Date(Date.now() + 31 * 60000));
+
+  // Empty schedule falls back to the global one
+  result = await sitesAPI.update({ params: { id: site.id }, body: { schedule: '' } }, mockReply);
+  assert.is(result.schedule, null);
+});
+
 SitesAPITests('getOne should return site by id', async () => {
   const site = db.createSite({ url: 'https://example.com/rss', title: 'Test Site', type: 'rss' });
 
@@ -149,6 +203,353 @@ SitesAPITests('toggleActive should toggle inactive to active', async () => {
   assert.equal(result.is_active, 1);
 });
 
+SitesAPITests('toggleActive should reset health of auto-disabled sites', async () => {
+  const site = db.createSite({ url: 'https://example.com/rss', title: 'Test Site', type: 'rss', is_active: 0 });
+  db.updateSite(site.id, { consecutive_failures: 5, auto_disabled: 1, last_error: 'boom' });
+
+  const before = await sitesAPI.getOne({ params: { id: String(site.id) } }, mockReply);
+  assert.is(before.health, 'disabled');
+
+  await sitesAPI.toggleActive({ params: { id: String(site.id) } }, mockReply);
+
+  const after = await sitesAPI.getOne({ params: { id: String(site.id) } }, mockReply);
+  assert.is(after.is_active, 1);
+  assert.is(after.consecutive_failures, 0);
+  assert.is(after.auto_disabled, 0);
+  assert.is(after.last_error, 'boom'); // Kept for reference until the next check
+  assert.is(after.health, 'unknown');
+});
+
+SitesAPITests('create and update should store lookback and feed order settings', async () => {
+  const created = await sitesAPI.create({
+    body: { url: 'https://example.com/rss', title: 'Feed', type: 'rss', lookback_days: '30', trust_feed_order: true },
+  }, mockReply);
+
+  assert.is(created.lookback_days, 30);
+  assert.is(created.trust_feed_order, 1);
+
+  const updated = await sitesAPI.update({
+    params: { id: String(created.id) },
+    body: { lookback_days: '', trust_feed_order: 0 },
+  }, mockReply);
+
+  assert.is(updated.lookback_days, null);
+  assert.is(updated.trust_feed_order, 0);
+});
+
+SitesAPITests('create should reject invalid lookback days', async () => {
+  await sitesAPI.create({ body: { url: 'https://example.com/rss', title: 'Feed', lookback_days: '-3' } }, mockReply);
+
+  assert.is(mockReply._code, 400);
+  assert.equal(mockReply._sent, { error: 'Invalid lookback days: -3' });
+});
+
+SitesAPITests('create should save email site filters and reject unknown email modes', async () => {
+  const site = await sitesAPI.create({
+    body: {
+      url: 'https://weekly.example.com',
+      title: 'Weekly',
+      type: 'email',
+      email_from: ' weekly@example.com ',
+      email_folder: 'Newsletters',
+      email_mode: 'html_llm',
+    },
+  }, mockReply);
+
+  assert.is(site.email_from, 'weekly@example.com');
+  assert.is(site.email_folder, 'Newsletters');
+  assert.is(site.email_mode, 'html_llm');
+
+  await sitesAPI.create({ body: { url: 'https://other.example.com', title: 'Other', type: 'email', email_mode: 'pdf' } }, mockReply);
+  assert.is(mockReply._code, 400);
+  assert.equal(mockReply._sent, { error: 'Invalid email mode: pdf' });
+});
+
+SitesAPITests('update should forget processed emails when the folder changes', async () => {
+  const site = db.createSite({ url: 'https://weekly.example.com', title: 'Weekly', type: 'email' });
+  db.updateSite(site.id, { email_uidvalidity: '1', email_last_uid: 42 });
+
+  await sitesAPI.update({ params: { id: String(site.id) }, body: { email_folder: 'INBOX' } }, mockReply);
+  assert.is(db.getSite(site.id).email_last_uid, 42);
+
+  await sitesAPI.update({ params: { id: String(site.id) }, body: { email_folder: 'Archive' } }, mockReply);
+  assert.is(db.getSite(site.id).email_last_uid, null);
+  assert.is(db.getSite(site.id).email_uidvalidity, null);
+});
+
+SitesAPITests('backfill should import the full feed history once', async () => {
+  const site = db.createSite({ url: 'https://example.com/backfill.xml', title: 'Backfill Feed', type: 'rss' });
+  const longAgo = new Date(Date.now() - 400 * 24 * 60 * 60 * 1000).toISOString();
+  sinon.stub(Parser.prototype, 'parseURL').resolves({
+    items: [
+      { title: 'New', link: 'https://example.com/new', pubDate: new Date().toISOString(), content: 'x'.repeat(200) },
+      { title: 'Ancient', link: 'https://example.com/ancient', pubDate: longAgo, content: 'short' },
+    ],
+  });
+
+  const result = await sitesAPI.backfill({ params: { id: String(site.id) }, body: { summarize: true } }, mockReply);
+
+  assert.equal(result, { success: true, fetched: 2, imported: 2 });
+  const posts = db.getPosts({ site_id: site.id });
+  assert.is(posts.length, 2);
+  assert.is(posts.find((post) => post.title === 'New').needs_summary, 1);
+  assert.is(posts.find((post) => post.title === 'Ancient').needs_summary, 0);
+  assert.ok(db.getSite(site.id).backfilled_at);
+
+  // Running it again needs force, and then only skips duplicates
+  await sitesAPI.backfill({ params: { id: String(site.id) } }, mockReply);
+  assert.is(mockReply._code, 409);
+  assert.match(mockReply._sent.error, 'already backfilled');
+
+  const again = await sitesAPI.backfill({ params: { id: String(site.id) }, body: { force: true } }, mockReply);
+  assert.is(again.imported, 0);
+});
+
+SitesAPITests('backfill should resolve tracking redirects like a check', async () => {
+  const site = db.createSite({ url: 'https://example.com/tracked.xml', title: 'Tracked Feed', type: 'rss' });
+  sinon.stub(Parser.prototype, 'parseURL').resolves({
+    items: [{ title: 'Tracked', link: 'https://t.co/xyz', pubDate: new Date().toISOString() }],
+  });
+  sinon.stub(axios, 'head').resolves({ status: 301, headers: { location: 'https://example.com/story?utm_source=x' } });
+  db.setConfig('url_follow_redirects', '1');
+
+  try {
+    await sitesAPI.backfill({ params: { id: String(site.id) } }, mockReply);
+  } finally {
+    db.setConfig('url_follow_redirects', '0');
+  }
+
+  const [post] = db.getPosts({ site_id: site.id });
+  assert.is(post.url, 'https://example.com/story');
+  assert.is(post.original_url, 'https://t.co/xyz');
+});
+
+SitesAPITests('backfill should reject non-feed sites', async () => {
+  const site = db.createSite({ url: 'https://example.com/blog', title: 'Blog', type: 'html_llm' });
+
+  await sitesAPI.backfill({ params: { id: String(site.id) } }, mockReply);
+
+  assert.is(mockReply._code, 400);
+  assert.equal(mockReply._sent, { error: 'Backfill is only available for RSS and JSON feeds' });
+});
+
+SitesAPITests('testJSONFeed should preview feed items', async () => {
+  sinon.stub(axios, 'get').resolves({
+    data: JSON.stringify({
+      version: 'https://jsonfeed.org/version/1.1',
+      items: [{ id: '1', url: 'https://example.com/a', title: 'A', date_published: new Date().toISOString() }],
+    }),
+  });
+
+  const result = await sitesAPI.testJSONFeed({ body: { url: 'https://example.com/feed.json', lookback_days: '' } }, mockReply);
+
+  assert.is(result.success, true);
+  assert.is(result.count, 1);
+  assert.is(result.posts[0].title, 'A');
+});
+
+SitesAPITests('testJSONFeed should require a URL', async () => {
+  await sitesAPI.testJSONFeed({ body: {} }, mockReply);
+
+  assert.is(mockReply._code, 400);
+  assert.equal(mockReply._sent, { error: 'URL is required' });
+});
+
+SitesAPITests('testLinkList should preview the links of a page', async () => {
+  sinon.stub(axios, 'get').resolves({
+    data: '<p><a href="https://example.com/a">A story about something</a> and a blurb</p><p><a href="/unsubscribe">Unsubscribe from all emails</a></p>',
+  });
+
+  const result = await sitesAPI.testLinkList({ body: { url: 'https://digest.example.com' } }, mockReply);
+
+  assert.is(result.success, true);
+  assert.is(result.count, 1);
+  assert.equal(result.posts[0].title, 'A story about something');
+  assert.equal(result.posts[0].content, 'and a blurb');
+});
+
+SitesAPITests('testLinkList should require a URL', async () => {
+  await sitesAPI.testLinkList({ body: {} }, mockReply);
+
+  assert.is(mockReply._code, 400);
+  assert.equal(mockReply._sent, { error: 'URL is required' });
+});
+
+SitesAPITests('discover should return the feeds of a page', async () => {
+  sinon.stub(axios, 'get').callsFake(async (url) => {
+    if (url === 'https://blog.example.com') {
+      return { data: '<html><head><link rel="alternate" type="application/rss+xml" href="/rss.xml"></head></html>' };
+    }
+    return { data: '<?xml version="1.0"?><rss version="2.0"><channel><title>Blog</title><item><title>A</title></item></channel></rss>' };
+  });
+
+  const result = await sitesAPI.discover({ body: { url: 'https://blog.example.com' } }, mockReply);
+
+  assert.is(result.feeds.length, 1);
+  assert.equal(result.recommendation, { type: 'rss', url: 'https://blog.example.com/rss.xml', title: 'Blog' });
+});
+
+SitesAPITests('discover should require a URL', async () => {
+  await sitesAPI.discover({ body: {} }, mockReply);
+
+  assert.is(mockReply._code, 400);
+  assert.equal(mockReply._sent, { error: 'URL is required' });
+});
+
+// ========== OPML Tests ==========
+const OPML = `<?xml version="1.0"?>
+<opml version="2.0"><body>
+  <outline text="News">
+    <outline text="Existing" type="rss" xmlUrl="https://existing.example.com/rss"/>
+    <outline text="Fresh" type="rss" xmlUrl="https://fresh.example.com/rss"/>
+  </outline>
+  <outline text="Other" type="rss" xmlUrl="https://other.example.com/rss"/>
+</body></opml>`;
+
+SitesAPITests('previewOpml should list feeds and flag existing sites', async () => {
+  db.createSite({ url: 'https://existing.example.com/rss', title: 'Existing', type: 'rss' });
+
+  const result = await sitesAPI.previewOpml({ body: { opml: OPML } }, mockReply);
+
+  assert.equal(result.feeds.map((feed) => [feed.url, feed.tags, feed.exists]), [
+    ['https://existing.example.com/rss', ['News'], true],
+    ['https://fresh.example.com/rss', ['News'], false],
+    ['https://other.example.com/rss', [], false],
+  ]);
+  assert.is(result.new_count, 2);
+});
+
+SitesAPITests('previewOpml should reject invalid documents', async () => {
+  await sitesAPI.previewOpml({ body: { opml: '<html></html>' } }, mockReply);
+
+  assert.is(mockReply._code, 400);
+  assert.match(mockReply._sent.error, 'Invalid OPML');
+});
+
+SitesAPITests('importOpml should create feed sites and skip existing URLs', async () => {
+  db.createSite({ url: 'https://existing.example.com/rss', title: 'Existing', type: 'rss' });
+
+  const result = await sitesAPI.importOpml({ body: { opml: OPML } }, mockReply);
+
+  assert.is(result.created, 2);
+  assert.is(result.skipped, 1);
+  const fresh = db.getAllSites().find((site) => site.url === 'https://fresh.example.com/rss');
+  assert.is(fresh.type, 'rss');
+  assert.is(fresh.title, 'Fresh');
+  assert.equal(fresh.tags, ['News']);
+  assert.is(fresh.category, null);
+  assert.ok(fresh.next_check_at);
+});
+
+SitesAPITests('importOpml should create JSON Feed sites for JSON Feed outlines', async () => {
+  const opml = '<opml version="2.0"><body><outline text="Links" type="rss" version="JSONFeed" xmlUrl="https://links.example.com/feed"/></body></opml>';
+
+  await sitesAPI.importOpml({ body: { opml } }, mockReply);
+
+  assert.is(db.getAllSites().find((site) => site.url === 'https://links.example.com/feed').type, 'json_feed');
+});
+
+SitesAPITests('importOpml should only import the selected URLs', async () => {
+  const result = await sitesAPI.importOpml(
+    { body: { opml: OPML, urls: ['https://other.example.com/rss'] } },
+    mockReply,
+  );
+
+  assert.is(result.created, 1);
+  assert.equal(db.getAllSites().map((site) => site.url), ['https://other.example.com/rss']);
+});
+
+SitesAPITests('exportOpml should send all sites as an OPML attachment', async () => {
+  db.createSite({ url: 'https://feed.example.com/rss', title: 'Feed', type: 'rss', tags: ['News'] });
+  mockReply.headers = {};
+  mockReply.header = function(name, value) { this.headers[name] = value; return this; };
+
+  await sitesAPI.exportOpml({}, mockReply);
+
+  assert.is(mockReply.headers['Content-Type'], 'text/x-opml; charset=utf-8');
+  assert.match(mockReply.headers['Content-Disposition'], 'sites.opml');
+  assert.match(mockReply._sent, '<outline text="News" title="News">');
+  assert.match(mockReply._sent, 'xmlUrl="https://feed.example.com/rss"');
+});
+
+// ========== Site Bundle Tests ==========
+SitesAPITests('exportBundle should send sites and, on request, config without secrets', async () => {
+  db.createSite({ url: 'https://scraped.example.com', title: 'Scraped', type: 'html_rules', extraction_rules: '[{"container":"article"}]' });
+  db.setConfig('openai_api_key', 'sk-secret');
+  mockReply.headers = {};
+  mockReply.header = function(name, value) { this.headers[name] = value; return this; };
+
+  await sitesAPI.exportBundle({ query: { include_config: '1' } }, mockReply);
+  const bundle = JSON.parse(mockReply._sent);
+
+  assert.match(mockReply.headers['Content-Disposition'], 'sites-bundle.json');
+  assert.equal(bundle.sites[0].extraction_rules, [{ container: 'article' }]);
+  assert.ok(bundle.config.prompt_summarization);
+  assert.is(bundle.config.openai_api_key, undefined);
+
+  db.setConfig('openai_api_key', '');
+});
+
+SitesAPITests('previewBundle should reject invalid bundles with details', async () => {
+  await sitesAPI.previewBundle({ body: { bundle: { format: 'newsletter-digester-sites', version: 1, sites: [{ title: 'x' }] } } }, mockReply);
+
+  assert.is(mockReply._code, 400);
+  assert.equal(mockReply._sent, { error: 'Invalid bundle', details: ['Site 1: url is required'] });
+});
+
+SitesAPITests('importBundle should create and update the selected sites and config', async () => {
+  const existing = db.createSite({ url: 'https://scraped.example.com', title: 'Scraped', type: 'html_rules', is_active: 0 });
+  db.createSite({ url: 'https://kept.example.com', title: 'Kept', type: 'rss' });
+  const before = db.getConfig('prompt_summarization');
+  const bundle = {
+    format: 'newsletter-digester-sites',
+    version: 1,
+    sites: [
+      { url: 'https://scraped.example.com', title: 'Scraped', type: 'html_rules', is_active: 1, extraction_rules: [{ container: 'li' }] },
+      { url: 'https://kept.example.com', title: 'Renamed', type: 'rss' },
+      { url: 'https://new.example.com/feed', title: 'New', type: 'rss', schedule: '6h' },
+    ],
+    config: { prompt_summarization: 'Shared prompt' },
+  };
+
+  const preview = await sitesAPI.previewBundle({ body: { bundle } }, mockReply);
+  assert.equal(preview.sites.map((site) => site.action), ['update', 'update', 'create']);
+
+  const result = await sitesAPI.importBundle(
+    { body: { bundle, urls: ['https://scraped.example.com', 'https://new.example.com/feed'], config_keys: [] } },
+    mockReply,
+  );
+
+  assert.equal(result, { created: 1, updated: 1, config_updated: 0 });
+  const updated = db.getSite(existing.id);
+  assert.is(updated.is_active, 1);
+  assert.is(updated.extraction_rules, '[{"container":"li"}]');
+  assert.is(db.getAllSites().find((site) => site.url === 'https://kept.example.com').title, 'Kept');
+  const created = db.getAllSites().find((site) => site.url === 'https://new.example.com/feed');
+  assert.is(created.schedule, '6h');
+  assert.ok(created.next_check_at);
+  assert.is(db.getConfig('prompt_summarization'), before);
+
+  // Without a selection everything that changed is applied
+  const all = await sitesAPI.importBundle({ body: { bundle } }, mockReply);
+
+  assert.equal(all, { created: 0, updated: 1, config_updated: 1 });
+  assert.is(db.getConfig('prompt_summarization'), 'Shared prompt');
+  db.setConfig('prompt_summarization', before);
+});
+
+SitesAPITests('importBundle should reschedule backups when the bundle changes backup_schedule', async () => {
+  const scheduleStub = sinon.stub(nodeCron, 'schedule').returns({ stop: sinon.stub() });
+  const before = db.getConfig('backup_schedule');
+  const bundle = { format: 'newsletter-digester-sites', version: 1, sites: [], config: { backup_schedule: '30 2 * * *' } };
+
+  await sitesAPI.importBundle({ body: { bundle } }, mockReply);
+
+  assert.is(db.getConfig('backup_schedule'), '30 2 * * *');
+  assert.ok(scheduleStub.calledWith('30 2 * * *'));
+  db.setConfig('backup_schedule', before);
+});
+
 SitesAPITests('toggleActive should return 404 for non-existent site', async () => {
   await sitesAPI.toggleActive({ params: { id: '999' } }, mockReply);
 
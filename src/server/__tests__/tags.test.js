@@ -0,0 +1,35 @@
+import { suite } from 'uvu';
+import * as assert from 'uvu/assert';
+import { normalizeTags, isValidTags, groupPostsByTag } from '../tags.js';
+
+const TagsTests = suite('Tags Tests');
+
+// ========== normalizeTags() Tests ==========
+TagsTests('normalizeTags() - should trim, drop empty names and dedupe case-insensitively', () => {
+  assert.equal(normalizeTags(' AI ,  machine   learning,, ai, Research '), ['AI', 'machine learning', 'Research']);
+  assert.equal(normalizeTags(['news', 'News', ' ', 42, 'x'.repeat(60)]), ['news', 'x'.repeat(50)]);
+  assert.equal(normalizeTags(undefined), []);
+});
+
+TagsTests('isValidTags() - should accept strings and arrays of names only', () => {
+  assert.ok(isValidTags('ai, news'));
+  assert.ok(isValidTags([]));
+  assert.not.ok(isValidTags(['ai', 1]));
+  assert.not.ok(isValidTags(null));
+});
+
+// ========== groupPostsByTag() Tests ==========
+TagsTests('groupPostsByTag() - should list each post under its first tag and untagged posts last', () => {
+  const posts = [
+    { id: 1, tags: [] },
+    { id: 2, tags: ['rust', 'web'] },
+    { id: 3, tags: ['AI'] },
+    { id: 4, tags: ['rust'] },
+  ];
+
+  const groups = groupPostsByTag(posts).map(({ tag, posts: tagPosts }) => [tag, tagPosts.map((post) => post.id)]);
+
+  assert.equal(groups, [['AI', [3]], ['rust', [2, 4]], [null, [1]]]);
+});
+
+TagsTests.run();
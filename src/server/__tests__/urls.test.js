@@ -0,0 +1,138 @@
+import { suite } from 'uvu';
+import * as assert from 'uvu/assert';
+import sinon from 'sinon';
+import axios from 'axios';
+import * as db from '../db.js';
+import {
+  unwrapRedirectUrl,
+  isKnownRedirector,
+  parseStripParams,
+  normalizeUrl,
+  followRedirects,
+  resolvePostUrls,
+} from '../urls.js';
+
+const UrlsTests = suite('URL Normalization Tests');
+
+let defaultStripParams;
+
+UrlsTests.before(() => {
+  try {
+    db.initDb(':memory:');
+  } catch (e) {
+    // Already initialized
+  }
+  defaultStripParams = db.getConfig('url_strip_params');
+});
+
+UrlsTests.after.each(() => {
+  sinon.restore();
+  db.setConfig('url_follow_redirects', '0');
+  db.setConfig('url_strip_params', defaultStripParams);
+});
+
+// Substack click-tracking link for a URL (the signature after the dot isn't checked)
+function substackRedirect(url) {
+  return `https://substack.com/redirect/2/${Buffer.from(JSON.stringify({ e: url, p: 1 })).toString('base64url')}.sig`;
+}
+
+// ========== unwrapRedirectUrl() Tests ==========
+UrlsTests('unwrapRedirectUrl() - should unwrap query parameter, path and Substack redirects', () => {
+  assert.is(
+    unwrapRedirectUrl('https://www.google.com/url?q=https%3A%2F%2Fexample.com%2Fpost%3Fid%3D1&sa=D'),
+    'https://example.com/post?id=1',
+  );
+  assert.is(
+    unwrapRedirectUrl('https://tracking.tldrnewsletter.com/CL0/https:%2F%2Fexample.com%2Farticle/1/0100abc/xyz='),
+    'https://example.com/article',
+  );
+  assert.is(unwrapRedirectUrl(substackRedirect('https://example.com/sub')), 'https://example.com/sub');
+  // Nested redirects
+  assert.is(
+    unwrapRedirectUrl('https://out.reddit.com/?url=https%3A%2F%2Fl.facebook.com%2Fl.php%3Fu%3Dhttps%253A%252F%252Fexample.com%252Fa'),
+    'https://example.com/a',
+  );
+});
+
+UrlsTests('unwrapRedirectUrl() - should keep other URLs unchanged', () => {
+  assert.is(unwrapRedirectUrl('https://example.com/search?q=newsletters'), 'https://example.com/search?q=newsletters');
+  // URL parameters are only unwrapped on known redirect pages
+  assert.is(
+    unwrapRedirectUrl('https://example.com/share?url=https%3A%2F%2Fother.com%2Fpost'),
+    'https://example.com/share?url=https%3A%2F%2Fother.com%2Fpost',
+  );
+  assert.is(unwrapRedirectUrl('https://www.google.com/search?q=https%3A%2F%2Fexample.com'), 'https://www.google.com/search?q=https%3A%2F%2Fexample.com');
+  assert.is(unwrapRedirectUrl('https://example.com/post'), 'https://example.com/post');
+  assert.is(unwrapRedirectUrl('not a url'), 'not a url');
+});
+
+UrlsTests('isKnownRedirector() - should match tracking hosts (and paths)', () => {
+  assert.ok(isKnownRedirector('https://example.us5.list-manage.com/track/click?u=1&id=2&e=3'));
+  assert.ok(isKnownRedirector('https://link.mail.beehiiv.com/ss/c/abc/def'));
+  assert.ok(isKnownRedirector('https://t.co/xyz'));
+  assert.not.ok(isKnownRedirector('https://example.substack.com/p/a-post'));
+  assert.not.ok(isKnownRedirector('https://example.com/track/click'));
+  assert.not.ok(isKnownRedirector('not a url'));
+});
+
+// ========== normalizeUrl() Tests ==========
+UrlsTests('normalizeUrl() - should strip configured parameters, with prefix matches', () => {
+  const stripParams = parseStripParams('utm_*\nfbclid, MC_CID');
+
+  assert.is(
+    normalizeUrl('https://example.com/a?id=1&utm_source=x&UTM_Medium=y&fbclid=z&mc_cid=1', { stripParams }),
+    'https://example.com/a?id=1',
+  );
+  assert.is(normalizeUrl('https://example.com/a?ref=x', { stripParams: [] }), 'https://example.com/a?ref=x');
+});
+
+UrlsTests('normalizeUrl() - should use the url_strip_params config and unwrap redirects', () => {
+  db.setConfig('url_strip_params', 'utm_*\nref');
+
+  assert.is(
+    normalizeUrl(substackRedirect('https://example.com/sub?utm_source=substack&ref=a&page=2')),
+    'https://example.com/sub?page=2',
+  );
+  assert.is(normalizeUrl('not-a-valid-url'), 'not-a-valid-url');
+  assert.is(normalizeUrl(null), null);
+});
+
+// ========== followRedirects() / resolvePostUrls() Tests ==========
+UrlsTests('followRedirects() - should follow known redirectors until the destination', async () => {
+  const head = sinon.stub(axios, 'head');
+  head.onFirstCall().resolves({ status: 301, headers: { location: 'https://bit.ly/abc' } });
+  head.onSecondCall().resolves({ status: 302, headers: { location: 'https://example.com/final?utm_source=x' } });
+
+  const url = await followRedirects('https://example.us5.list-manage.com/track/click?u=1&id=2');
+
+  // Parameters are stripped later by normalizeUrl()
+  assert.is(url, 'https://example.com/final?utm_source=x');
+  assert.is(head.callCount, 2);
+});
+
+UrlsTests('followRedirects() - should keep the URL reached when a request fails', async () => {
+  sinon.stub(axios, 'head').rejects(new Error('Request failed with status code 405'));
+
+  assert.is(await followRedirects('https://t.co/xyz'), 'https://t.co/xyz');
+});
+
+UrlsTests('resolvePostUrls() - should only follow redirects when enabled', async () => {
+  const head = sinon.stub(axios, 'head').resolves({ status: 301, headers: { location: 'https://example.com/story?utm_source=x' } });
+  const posts = [
+    { title: 'Tracked', url: 'https://t.co/xyz', original_url: 'https://t.co/xyz' },
+    { title: 'Direct', url: 'https://example.com/direct' },
+  ];
+
+  assert.is(await resolvePostUrls(posts), posts);
+  assert.is(head.callCount, 0);
+
+  db.setConfig('url_follow_redirects', '1');
+  const resolved = await resolvePostUrls(posts);
+
+  assert.is(resolved[0].url, 'https://example.com/story');
+  assert.is(resolved[0].original_url, 'https://t.co/xyz');
+  assert.is(resolved[1], posts[1]);
+  assert.is(head.callCount, 1);
+});
+
+UrlsTests.run();
@@ -0,0 +1,112 @@
+import { suite } from 'uvu';
+import * as assert from 'uvu/assert';
+import * as usageAPI from '../api/usage.js';
+import * as db from '../db.js';
+
+const UsageAPITests = suite('Usage API Tests');
+
+let mockReply;
+
+UsageAPITests.before(() => {
+  try {
+    db.initDb(':memory:');
+  } catch (e) {
+    // Already initialized
+  }
+});
+
+UsageAPITests.before.each(() => {
+  db.getDb().prepare('DELETE FROM llm_usage').run();
+
+  mockReply = {
+    _code: null,
+    _sent: null,
+    code: function(val) { this._code = val; return this; },
+    send: function(val) { this._sent = val; return this; },
+  };
+});
+
+UsageAPITests('getSummary should aggregate usage by purpose, site and day', async () => {
+  const site = db.createSite({ url: 'https://usage-test.com', title: 'Usage Site', type: 'html_llm' });
+
+  db.createLLMUsage({ purpose: 'summarization', model: 'gpt-4o-mini', prompt_tokens: 100, completion_tokens: 50, cost: 0.01, site_id: site.id });
+  db.createLLMUsage({ purpose: 'summarization', model: 'gpt-4o-mini', prompt_tokens: 200, completion_tokens: 50, cost: 0.02, site_id: site.id });
+  db.createLLMUsage({ purpose: 'html_llm_extraction', model: 'gpt-4o', prompt_tokens: 1000, completion_tokens: 500, cost: 0.5, site_id: site.id });
+  db.createLLMUsage({ purpose: 'test_ai', model: 'gpt-4o', prompt_tokens: 10, completion_tokens: 5, cost: 0.001 });
+
+  const result = await usageAPI.getSummary({ query: {} }, mockReply);
+
+  assert.is(result.days, 30);
+  assert.is(result.totals.calls, 4);
+  assert.is(result.totals.total_tokens, 1915);
+  assert.ok(Math.abs(result.totals.cost - 0.531) < 1e-9);
+
+  const summarization = result.by_purpose.find((row) => row.purpose === 'summarization');
+  assert.is(summarization.calls, 2);
+  assert.is(summarization.prompt_tokens, 300);
+
+  const siteRow = result.by_site.find((row) => row.site_id === site.id);
+  assert.is(siteRow.site_title, 'Usage Site');
+  assert.is(siteRow.calls, 3);
+
+  assert.is(result.by_day.length, 1);
+  assert.is(result.by_model.length, 2);
+  assert.is(result.recent.length, 4);
+
+  db.deleteSite(site.id);
+});
+
+UsageAPITests('getSummary should filter by purpose', async () => {
+  db.createLLMUsage({ purpose: 'summarization', model: 'gpt-4o-mini', prompt_tokens: 100, completion_tokens: 50 });
+  db.createLLMUsage({ purpose: 'selector_generation', model: 'gpt-4o', prompt_tokens: 100, completion_tokens: 50 });
+
+  const result = await usageAPI.getSummary({ query: { purpose: 'selector_generation' } }, mockReply);
+
+  assert.is(result.totals.calls, 1);
+  assert.is(result.recent[0].purpose, 'selector_generation');
+});
+
+UsageAPITests('getSummary should exclude usage older than the requested window', async () => {
+  db.createLLMUsage({ purpose: 'summarization', model: 'gpt-4o-mini', prompt_tokens: 100 });
+  db.getDb()
+    .prepare("INSERT INTO llm_usage (purpose, model, total_tokens, created_at) VALUES ('summarization', 'gpt-4o-mini', 999, datetime('now', '-10 days'))")
+    .run();
+
+  const result = await usageAPI.getSummary({ query: { days: '7' } }, mockReply);
+
+  assert.is(result.totals.calls, 1);
+  assert.is(result.totals.total_tokens, 100);
+});
+
+UsageAPITests('getSummary should reject invalid windows', async () => {
+  for (const days of ['abc', '0', '-3', '1.5', '999999999']) {
+    mockReply._code = null;
+    await usageAPI.getSummary({ query: { days } }, mockReply);
+
+    assert.is(mockReply._code, 400);
+    assert.equal(mockReply._sent, { error: 'days must be a whole number from 1 to 3650' });
+  }
+});
+
+UsageAPITests('getSummary should reject invalid limits', async () => {
+  for (const limit of ['abc', '-1', '0', '501']) {
+    mockReply._code = null;
+    await usageAPI.getSummary({ query: { limit } }, mockReply);
+
+    assert.is(mockReply._code, 400);
+    assert.equal(mockReply._sent, { error: 'limit must be a whole number from 1 to 500' });
+  }
+});
+
+UsageAPITests('getSummary should keep usage when the site is deleted', async () => {
+  const site = db.createSite({ url: 'https://usage-deleted.com', title: 'Deleted Site', type: 'rss' });
+  db.createLLMUsage({ purpose: 'summarization', model: 'gpt-4o-mini', prompt_tokens: 100, site_id: site.id });
+
+  db.deleteSite(site.id);
+
+  const result = await usageAPI.getSummary({ query: {} }, mockReply);
+  assert.is(result.totals.calls, 1);
+  assert.is(result.recent[0].site_id, null);
+});
+
+UsageAPITests.run();
@@ -1,7 +1,16 @@
 import { suite } from 'uvu';
 import * as assert from 'uvu/assert';
 import sinon from 'sinon';
-import { toAbsoluteUrl, timeAgo, logger, sendToSlack, sendPostToSlack } from '../utils.js';
+import {
+  toAbsoluteUrl,
+  getCanonicalLink,
+  timeAgo,
+  logger,
+  sendToSlack,
+  sendPostToSlack,
+  sendSlackAlert,
+  runWithConcurrency,
+} from '../utils.js';
 import * as db from '../db.js';
 import axios from 'axios';
 
@@ -45,6 +54,12 @@ UtilsTests('toAbsoluteUrl should handle empty URLs', () => {
   assert.is(result, '');
 });
 
+UtilsTests('getCanonicalLink should resolve the rel=canonical link', () => {
+  const html = '<html><head><link rel="canonical" href="/posts/1"></head><body></body></html>';
+  assert.is(getCanonicalLink(html, 'https://example.com/p?id=1'), 'https://example.com/posts/1');
+  assert.is(getCanonicalLink('<p>No head</p>', 'https://example.com'), null);
+});
+
 UtilsTests('timeAgo should calculate time correctly', () => {
   const now = new Date();
 
@@ -432,6 +447,23 @@ UtilsTests('sendToSlack() - should send multiple posts as digest', async () => {
   assert.is(payload.mrkdwn, true);
 });
 
+UtilsTests('sendToSlack() - should group a digest by tag', async () => {
+  const axiosStub = sinon.stub(axios, 'post').resolves({ data: 'ok' });
+
+  const posts = [
+    { id: 1, title: 'Post 1', url: 'https://example.com/post1', site_title: 'Site A', tags: [] },
+    { id: 2, title: 'Post 2', url: 'https://example.com/post2', site_title: 'Site B', tags: ['rust', 'web'] },
+    { id: 3, title: 'Post 3', url: 'https://example.com/post3', site_title: 'Site A', tags: ['rust'] },
+  ];
+
+  await sendToSlack(posts, { webhookUrl: 'https://hooks.slack.com/test', groupBy: 'tag' });
+
+  const { text } = axiosStub.firstCall.args[1];
+  assert.ok(text.includes('*rust* (2)\n• <https://example.com/post2|Post 2> — Site B\n• <https://example.com/post3|Post 3> — Site A'));
+  assert.ok(text.indexOf('*Untagged* (1)') > text.indexOf('*rust*'));
+  assert.not.ok(text.includes('*web*'));
+});
+
 UtilsTests('sendToSlack() - should not add bot name/icon if not provided', async () => {
   const axiosStub = sinon.stub(axios, 'post').resolves({ data: 'ok' });
 
@@ -496,4 +528,92 @@ UtilsTests('sendToSlack() - should throw if posts array is empty', async () => {
   }
 });
 
+UtilsTests('sendSlackAlert() - should post plain text with bot name and icon', async () => {
+  const axiosStub = sinon.stub(axios, 'post').resolves({ data: 'ok' });
+
+  const result = await sendSlackAlert('Budget reached', {
+    webhookUrl: 'https://hooks.slack.com/test',
+    botName: 'Custom Bot',
+    botIcon: ':warning:',
+  });
+
+  assert.is(result, true);
+  const payload = axiosStub.firstCall.args[1];
+  assert.is(payload.text, 'Budget reached');
+  assert.is(payload.username, 'Custom Bot');
+  assert.is(payload.icon_emoji, ':warning:');
+});
+
+UtilsTests('sendSlackAlert() - should throw if no webhook URL', async () => {
+  try {
+    await sendSlackAlert('Budget reached', {});
+    assert.unreachable('Should have thrown error');
+  } catch (error) {
+    assert.ok(error.message.includes('Slack webhook URL not provided'));
+  }
+});
+
+// ========== runWithConcurrency() Tests ==========
+const delay = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+UtilsTests('runWithConcurrency() - should keep input order regardless of completion order', async () => {
+  const results = await runWithConcurrency([30, 5, 15], async (ms, index) => {
+    await delay(ms);
+    return `${index}:${ms}`;
+  }, { concurrency: 3 });
+
+  assert.equal(results, ['0:30', '1:5', '2:15']);
+});
+
+UtilsTests('runWithConcurrency() - should not exceed the global concurrency', async () => {
+  let active = 0;
+  let maxActive = 0;
+
+  await runWithConcurrency([1, 2, 3, 4, 5, 6], async () => {
+    active++;
+    maxActive = Math.max(maxActive, active);
+    await delay(5);
+    active--;
+  }, { concurrency: 2 });
+
+  assert.is(maxActive, 2);
+});
+
+UtilsTests('runWithConcurrency() - should respect the per-key limit while running other keys', async () => {
+  const items = ['a.com', 'a.com', 'a.com', 'b.com', 'c.com'];
+  const activeByKey = {};
+  let maxSameKey = 0;
+  let maxActive = 0;
+  let active = 0;
+
+  await runWithConcurrency(items, async (host) => {
+    active++;
+    activeByKey[host] = (activeByKey[host] || 0) + 1;
+    maxActive = Math.max(maxActive, active);
+    maxSameKey = Math.max(maxSameKey, activeByKey[host]);
+    await delay(5);
+    activeByKey[host]--;
+    active--;
+  }, { concurrency: 4, perKeyConcurrency: 1, getKey: (host) => host });
+
+  assert.is(maxSameKey, 1);
+  assert.is(maxActive, 3); // One per distinct host
+});
+
+UtilsTests('runWithConcurrency() - should resolve empty input', async () => {
+  assert.equal(await runWithConcurrency([], async () => 1, { concurrency: 2 }), []);
+});
+
+UtilsTests('runWithConcurrency() - should reject with the first worker error', async () => {
+  try {
+    await runWithConcurrency([1, 2, 3], async (n) => {
+      if (n === 2) throw new Error('boom');
+      return n;
+    }, { concurrency: 2 });
+    assert.unreachable('Should have thrown error');
+  } catch (error) {
+    assert.is(error.message, 'boom');
+  }
+});
+
 UtilsTests.run();
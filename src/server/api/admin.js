@@ -0,0 +1,116 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { Transform } from 'stream';
+import { pipeline } from 'stream/promises';
+import * as db from '../db.js';
+import { logger } from '../utils.js';
+import { backupTo, validateBackupFile, restoreBackup, MAX_RESTORE_SIZE } from '../backup.js';
+
+function tempFile(prefix) {
+  return path.join(os.tmpdir(), `${prefix}-${process.pid}-${Date.now()}.db`);
+}
+
+/**
+ * Write an uploaded file to disk as it arrives, without holding it in memory
+ * @returns {Promise<number>} - size in bytes, rejects with statusCode 413 above MAX_RESTORE_SIZE
+ */
+async function saveUpload(stream, file) {
+  let size = 0;
+  const limit = new Transform({
+    transform(chunk, encoding, callback) {
+      size += chunk.length;
+      if (size > MAX_RESTORE_SIZE) {
+        return callback(Object.assign(new Error('Backup file is too large'), { statusCode: 413 }));
+      }
+      callback(null, chunk);
+    },
+  });
+
+  await pipeline(stream, limit, fs.createWriteStream(file));
+  return size;
+}
+
+/**
+ * GET /api/admin/backup - Download a consistent copy of the database
+ */
+export async function downloadBackup(req, reply) {
+  const file = tempFile('backup');
+  try {
+    await backupTo(file);
+
+    const stamp = new Date().toISOString().slice(0, 10);
+    const stream = fs.createReadStream(file);
+    stream.on('close', () => fs.rm(file, { force: true }, () => {}));
+
+    reply.header('Content-Type', 'application/vnd.sqlite3');
+    reply.header('Content-Disposition', `attachment; filename="data-${stamp}.db"`);
+    return reply.send(stream);
+  } catch (error) {
+    fs.rmSync(file, { force: true });
+    logger.error('Failed to create backup', { error: error.message });
+    return reply.code(500).send({ error: 'Failed to create backup' });
+  }
+}
+
+/**
+ * POST /api/admin/restore - Replace the database with an uploaded backup
+ * Body: the database file (Content-Type: application/octet-stream), streamed to a temp file
+ * The backup is validated (SQLite file of this app, schema version not newer than the app) before the swap
+ */
+export async function restore(req, reply) {
+  const file = tempFile('restore');
+  let releaseLock = null;
+  try {
+    if (typeof req.body?.pipe !== 'function') {
+      return reply.code(400).send({ error: 'Upload the database file as application/octet-stream' });
+    }
+
+    // Held until the swap is done, checks starting during a long upload would use the replaced database
+    const cronManager = await import('../cron.js');
+    releaseLock = cronManager.lockForRestore();
+    if (!releaseLock) {
+      return reply.code(409).send({ error: 'A check or restore is running, restore when it has finished' });
+    }
+
+    try {
+      if ((await saveUpload(req.body, file)) === 0) {
+        return reply.code(400).send({ error: 'Upload the database file as application/octet-stream' });
+      }
+    } catch (error) {
+      if (error.statusCode !== 413) throw error;
+      return reply.code(413).send({ error: `Backup file is larger than ${MAX_RESTORE_SIZE / 1024 / 1024} MB` });
+    }
+
+    const backup = validateBackupFile(file);
+    if (backup.error) {
+      return reply.code(400).send({ error: backup.error });
+    }
+
+    const { safety_backup } = await restoreBackup(file);
+    logger.info('Database restored from backup', { schema_version: backup.schema_version, safety_backup });
+
+    // The restored settings may have other schedules
+    try {
+      const schedule = db.getConfig('schedule');
+      if (schedule) cronManager.updateSchedule(schedule);
+      cronManager.updateBackupSchedule(db.getConfig('backup_schedule'));
+    } catch (error) {
+      logger.error('Failed to reschedule after restore', { error: error.message });
+    }
+
+    return {
+      success: true,
+      schema_version: backup.schema_version,
+      sites: backup.sites,
+      posts: backup.posts,
+      safety_backup,
+    };
+  } catch (error) {
+    logger.error('Failed to restore backup', { error: error.message });
+    return reply.code(500).send({ error: `Failed to restore backup: ${error.message}` });
+  } finally {
+    if (releaseLock) releaseLock();
+    fs.rmSync(file, { force: true });
+  }
+}
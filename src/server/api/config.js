@@ -1,6 +1,9 @@
+import cron from 'node-cron';
 import * as db from '../db.js';
 import { logger } from '../utils.js';
-import OpenAI from 'openai';
+import { OpenAIClient } from '../openai-client.js';
+import { LLM_PROVIDERS } from '../llm-providers.js';
+import { isValidSchedule } from '../schedule.js';
 
 /**
  * GET /api/config - Get all config
@@ -22,6 +25,24 @@ export async function update(req, reply) {
   try {
     const updates = req.body; // { key: value, key2: value2, ... }
 
+    // Pricing table must be valid JSON, it is parsed on every LLM call
+    if (updates.llm_pricing !== undefined) {
+      try {
+        JSON.parse(updates.llm_pricing);
+      } catch (e) {
+        return reply.code(400).send({ error: `Invalid LLM pricing JSON: ${e.message}` });
+      }
+    }
+
+    // The global schedule is a cron expression that comes due (see isValidSchedule)
+    if (updates.schedule && (!cron.validate(updates.schedule) || !isValidSchedule(updates.schedule))) {
+      return reply.code(400).send({ error: `Invalid schedule: ${updates.schedule}` });
+    }
+
+    if (updates.backup_schedule && !cron.validate(updates.backup_schedule)) {
+      return reply.code(400).send({ error: `Invalid backup schedule: ${updates.backup_schedule}` });
+    }
+
     // Update each config value
     for (const [key, value] of Object.entries(updates)) {
       db.setConfig(key, value);
@@ -35,6 +56,11 @@ export async function update(req, reply) {
       logger.info('Cron schedule updated', { schedule: updates.schedule });
     }
 
+    if (updates.backup_schedule !== undefined) {
+      const cronManager = await import('../cron.js');
+      cronManager.updateBackupSchedule(updates.backup_schedule);
+    }
+
     return { success: true, message: 'Config updated' };
   } catch (error) {
     logger.error('Failed to update config', { error: error.message });
@@ -44,37 +70,45 @@ export async function update(req, reply) {
 
 /**
  * POST /api/config/test-ai - Test AI connection
+ * Tests the provider in llm_provider (default openai) with the unsaved settings from the form
  */
 export async function testAI(req, reply) {
   try {
-    const { openai_api_key, openai_base_url, openai_model } = req.body;
+    const providerName = req.body.llm_provider || 'openai';
+    const provider = LLM_PROVIDERS[providerName];
+    if (!provider) {
+      return reply.code(400).send({ error: `Unknown LLM provider: ${providerName}` });
+    }
+
+    const prefix = provider.configPrefix;
+    const apiKey = req.body[`${prefix}_api_key`];
+    const baseURL = req.body[`${prefix}_base_url`];
+    const model = req.body[`${prefix}_model`] || provider.defaultModel;
 
     // Validate required fields
-    if (!openai_api_key || !openai_base_url) {
+    if (provider.requiresApiKey && (!apiKey || !baseURL)) {
       return reply.code(400).send({ error: 'API key and base URL are required' });
     }
+    if (!baseURL) {
+      return reply.code(400).send({ error: 'Base URL is required' });
+    }
 
-    // Create OpenAI client with provided credentials
-    const openai = new OpenAI({
-      apiKey: openai_api_key,
-      baseURL: openai_base_url || 'https://api.openai.com/v1',
-    });
+    // Create client with provided credentials
+    const llmClient = new OpenAIClient({ provider: providerName, apiKey, baseURL, model });
 
     // Send a simple test message
-    const response = await openai.chat.completions.create({
-      model: openai_model || 'gpt-3.5-turbo',
-      messages: [
+    const content = await llmClient.createChatCompletion(
+      [
         { role: 'system', content: 'You are a helpful assistant.' },
         { role: 'user', content: 'Say "Connection successful!" if you can read this.' },
       ],
-      temperature: 0.3,
-      max_tokens: 50,
-    });
+      { max_tokens: 50, purpose: 'test_ai' },
+    );
 
-    const aiResponse = response.choices[0].message.content.trim();
+    const aiResponse = content.trim();
 
-    logger.info('AI connection test successful', { model: openai_model });
-    return { success: true, response: aiResponse };
+    logger.info('AI connection test successful', { provider: providerName, model });
+    return { success: true, provider: providerName, response: aiResponse, usage: llmClient.lastUsage };
   } catch (error) {
     logger.error('AI connection test failed', { error: error.message });
     return reply.code(500).send({ error: error.message || 'Connection test failed' });
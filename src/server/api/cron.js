@@ -9,7 +9,7 @@ export async function runNow(req, reply) {
     const cronManager = await import('../cron.js');
 
     // Run in background to avoid timeout
-    cronManager.runCheck().catch((err) => {
+    cronManager.runCheck({ trigger: 'manual' }).catch((err) => {
       logger.error('Manual check failed', { error: err.message });
     });
 
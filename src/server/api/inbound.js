@@ -0,0 +1,44 @@
+import * as db from '../db.js';
+import { logger } from '../utils.js';
+import { receiveInboundEmail, isInboundToken } from '../inbound.js';
+
+/**
+ * POST /api/inbound/email - Receive a forwarded newsletter as a raw RFC 822 message
+ * Body: the raw message (Content-Type message/rfc822 or text/plain)
+ * Query: token (or X-Inbound-Token header) - the inbound_email_token, the route is refused (503) until one is set,
+ *   to (optional) - recipient address, for plus-address matching
+ * The matched site is processed in the background, the response doesn't wait for summaries
+ */
+export async function receiveEmail(req, reply) {
+  try {
+    if (db.getConfig('inbound_email_enabled') !== '1') {
+      return reply.code(403).send({ error: 'Inbound email is disabled' });
+    }
+
+    // Like the SMTP listener, never open to anyone
+    if (!db.getConfig('inbound_email_token')) {
+      return reply.code(503).send({ error: 'Inbound email needs an inbound token, set one in Settings' });
+    }
+
+    if (!isInboundToken(req.headers['x-inbound-token'] || req.query.token)) {
+      return reply.code(401).send({ error: 'Invalid inbound email token' });
+    }
+
+    if (typeof req.body !== 'string' || !req.body.trim()) {
+      return reply.code(400).send({ error: 'Raw email message is required' });
+    }
+
+    const { email, site } = await receiveInboundEmail(req.body, {
+      recipients: req.query.to ? [req.query.to] : [],
+    });
+
+    if (!site) {
+      return reply.code(404).send({ error: 'No email site matches this message' });
+    }
+
+    return reply.code(202).send({ accepted: true, site_id: site.id, site_title: site.title, subject: email.subject });
+  } catch (error) {
+    logger.error('Failed to receive inbound email', { error: error.message });
+    return reply.code(500).send({ error: 'Failed to receive inbound email' });
+  }
+}
@@ -1,17 +1,22 @@
 import * as db from '../db.js';
 import { logger, fetchUrlAsMarkdown, sendToSlack } from '../utils.js';
 import { summarizePost } from '../extractors.js';
+import { normalizeUrl } from '../urls.js';
+import { normalizeTags, isValidTags } from '../tags.js';
 
 /**
  * GET /api/posts - Get all posts with optional filters
+ * Query: site_id, search, unread (1 = unread posts only), tags (comma-separated, posts having all of them), limit
  */
 export async function getAll(req, reply) {
   try {
-    const { site_id, search, limit = 200 } = req.query;
+    const { site_id, search, unread, tags, limit = 200 } = req.query;
 
     const posts = db.getPosts({
       site_id: site_id ? parseInt(site_id) : undefined,
       search,
+      unread: unread === '1' || unread === 'true',
+      tags: normalizeTags(tags),
       limit: parseInt(limit),
     });
 
@@ -22,6 +27,67 @@ export async function getAll(req, reply) {
   }
 }
 
+/**
+ * GET /api/posts/search - Full-text search of titles, summaries and content, best matches first
+ * Query: q ("exact phrase", prefix*, AND / OR / NOT, -excluded), site_id, unread, tags, limit
+ */
+export async function search(req, reply) {
+  try {
+    const { q, site_id, unread, tags, limit = 50 } = req.query;
+
+    if (!q || !q.trim()) {
+      return reply.code(400).send({ error: 'Search query is required' });
+    }
+
+    return db.searchPosts(q, {
+      site_id: site_id ? parseInt(site_id) : undefined,
+      unread: unread === '1' || unread === 'true',
+      tags: normalizeTags(tags),
+      limit: parseInt(limit),
+    });
+  } catch (error) {
+    logger.error('Failed to search posts', { error: error.message });
+    return reply.code(500).send({ error: 'Failed to search posts' });
+  }
+}
+
+/**
+ * GET /api/posts/unread-counts - Number of unread posts, in total and per site
+ */
+export async function unreadCounts(req, reply) {
+  try {
+    return db.getUnreadCounts();
+  } catch (error) {
+    logger.error('Failed to get unread counts', { error: error.message });
+    return reply.code(500).send({ error: 'Failed to fetch unread counts' });
+  }
+}
+
+/**
+ * POST /api/posts/mark-read - Mark all unread posts as read
+ * Body: { site_id: optional, ids: optional post ids (e.g. one date group) }
+ */
+export async function markAllRead(req, reply) {
+  try {
+    const { site_id, ids } = req.body || {};
+
+    if (ids !== undefined && (!Array.isArray(ids) || !ids.every(Number.isInteger))) {
+      return reply.code(400).send({ error: 'ids must be an array of post ids' });
+    }
+
+    const marked = db.markPostsRead({
+      site_id: site_id ? parseInt(site_id) : undefined,
+      ids,
+    });
+    logger.info('Posts marked as read', { site_id, marked });
+
+    return { success: true, marked };
+  } catch (error) {
+    logger.error('Failed to mark posts as read', { error: error.message });
+    return reply.code(500).send({ error: 'Failed to mark posts as read' });
+  }
+}
+
 /**
  * GET /api/posts/:id - Get single post
  */
@@ -85,19 +151,25 @@ export async function fetchAndSummarize(req, reply) {
     logger.info('Fetching and summarizing post', { postId, url: post.url });
 
     // Fetch URL and convert to markdown
-    const { markdown } = await fetchUrlAsMarkdown(post.url);
+    const { markdown, canonicalUrl } = await fetchUrlAsMarkdown(post.url);
 
     if (!markdown || markdown.trim().length === 0) {
       return reply.code(400).send({ error: 'Failed to extract content from URL' });
     }
 
     // Summarize the markdown content
-    const summary = await summarizePost(markdown);
+    const summary = await summarizePost(markdown, {
+      post_id: post.id,
+      site_id: post.site_id,
+    });
 
-    // Update the post with content_full and new summary
+    // Update the post with content_full, new summary and the URL the page declares as canonical
     db.updatePost(postId, {
       content_full: markdown,
+      canonical_url: normalizeUrl(canonicalUrl),
       summary: summary,
+      // A successful manual summary also takes the post off the cron retry queue
+      ...(summary ? { needs_summary: 0 } : {}),
     });
 
     logger.info('Successfully fetched and summarized post, updated database', { postId });
@@ -145,6 +217,62 @@ export async function toggleFlag(req, reply) {
   }
 }
 
+/**
+ * PUT /api/posts/:id/read - Mark a post as read (1) or unread (0)
+ */
+export async function setRead(req, reply) {
+  try {
+    const postId = req.params.id;
+    const { read } = req.body;
+
+    if (read !== 0 && read !== 1) {
+      return reply.code(400).send({ error: 'Read must be 0 or 1' });
+    }
+
+    const post = db.getPost(postId);
+    if (!post) {
+      return reply.code(404).send({ error: 'Post not found' });
+    }
+
+    // Keep the time a post was first read
+    const readAt = read ? post.read_at || new Date().toISOString() : null;
+    db.updatePost(postId, { read_at: readAt });
+
+    return { success: true, read, read_at: readAt };
+  } catch (error) {
+    logger.error('Failed to update post read status', { error: error.message });
+    return reply.code(500).send({ error: 'Failed to update read status' });
+  }
+}
+
+/**
+ * PUT /api/posts/:id/tags - Replace the tags of a post
+ * Body: { tags: ['name', ...] or 'name, name' }
+ */
+export async function setTags(req, reply) {
+  try {
+    const postId = req.params.id;
+    const { tags } = req.body || {};
+
+    if (!isValidTags(tags)) {
+      return reply.code(400).send({ error: 'Tags must be a list of names' });
+    }
+
+    const post = db.getPost(postId);
+    if (!post) {
+      return reply.code(404).send({ error: 'Post not found' });
+    }
+
+    const updated = db.setPostTags(postId, tags);
+    logger.info('Post tags updated', { postId, tags: updated.tags });
+
+    return { success: true, tags: updated.tags };
+  } catch (error) {
+    logger.error('Failed to update post tags', { error: error.message });
+    return reply.code(500).send({ error: 'Failed to update tags' });
+  }
+}
+
 /**
  * POST /api/posts/:id/notify - Send a single post to Slack
  * Body: { channel: 'optional-channel-name' }
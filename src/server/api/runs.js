@@ -0,0 +1,40 @@
+import * as db from '../db.js';
+import { logger } from '../utils.js';
+
+/**
+ * GET /api/runs - Get cron run history, newest first
+ * Query: trigger (scheduled | manual | inbound), status, limit (default 50), offset
+ */
+export async function getAll(req, reply) {
+  try {
+    const { trigger, status, limit = 50, offset = 0 } = req.query;
+
+    const result = db.getRuns({
+      trigger,
+      status,
+      limit: parseInt(limit),
+      offset: parseInt(offset),
+    });
+
+    return result;
+  } catch (error) {
+    logger.error('Failed to get runs', { error: error.message });
+    return reply.code(500).send({ error: 'Failed to fetch runs' });
+  }
+}
+
+/**
+ * GET /api/runs/:id - Get a single run with its per-site outcomes
+ */
+export async function getOne(req, reply) {
+  try {
+    const run = db.getRun(req.params.id);
+    if (!run) {
+      return reply.code(404).send({ error: 'Run not found' });
+    }
+    return { ...run, sites: db.getRunSites(run.id) };
+  } catch (error) {
+    logger.error('Failed to get run', { error: error.message });
+    return reply.code(500).send({ error: 'Failed to fetch run' });
+  }
+}
@@ -1,5 +1,29 @@
 import * as db from '../db.js';
 import { logger } from '../utils.js';
+import { isValidSchedule, getNextCheckAt } from '../schedule.js';
+import { getSiteHealth, getReactivationUpdates } from '../site-health.js';
+import { EMAIL_MODES } from '../email.js';
+import { parseOpml, buildOpml } from '../opml.js';
+import { buildBundle, validateBundle, diffBundle, toSiteData } from '../bundle.js';
+import { isValidTags } from '../tags.js';
+import { resolvePostUrls } from '../urls.js';
+
+/**
+ * Add the computed health status to a site
+ */
+function withHealth(site) {
+  return { ...site, health: getSiteHealth(site) };
+}
+
+/**
+ * Normalize a lookback_days input: '' / null = use the global setting
+ * @returns {number|null|undefined} - undefined when invalid
+ */
+function parseLookbackDays(value) {
+  if (value === null || value === '') return null;
+  const days = Number(value);
+  return Number.isInteger(days) && days >= 0 ? days : undefined;
+}
 
 /**
  * GET /api/sites - Get all sites
@@ -7,7 +31,7 @@ import { logger } from '../utils.js';
 export async function getAll(req, reply) {
   try {
     const sites = db.getAllSites();
-    return sites;
+    return sites.map(withHealth);
   } catch (error) {
     logger.error('Failed to get sites', { error: error.message });
     return reply.code(500).send({ error: 'Failed to fetch sites' });
@@ -19,12 +43,46 @@ export async function getAll(req, reply) {
  */
 export async function create(req, reply) {
   try {
-    const { url, title, type, extraction_rules, extraction_instructions, is_active } = req.body;
+    const {
+      url,
+      title,
+      type,
+      extraction_rules,
+      extraction_instructions,
+      is_active,
+      schedule,
+      lookback_days,
+      trust_feed_order,
+      email_folder,
+      email_from,
+      email_subject,
+      email_mode,
+      email_tag,
+      category,
+      tags,
+    } = req.body;
 
     if (!url || !title) {
       return reply.code(400).send({ error: 'URL and title are required' });
     }
 
+    if (schedule && !isValidSchedule(schedule)) {
+      return reply.code(400).send({ error: `Invalid schedule: ${schedule}` });
+    }
+
+    const lookbackDays = lookback_days === undefined ? null : parseLookbackDays(lookback_days);
+    if (lookbackDays === undefined) {
+      return reply.code(400).send({ error: `Invalid lookback days: ${lookback_days}` });
+    }
+
+    if (email_mode && !EMAIL_MODES.includes(email_mode)) {
+      return reply.code(400).send({ error: `Invalid email mode: ${email_mode}` });
+    }
+
+    if (tags !== undefined && !isValidTags(tags)) {
+      return reply.code(400).send({ error: 'Tags must be a list of names' });
+    }
+
     const site = db.createSite({
       url,
       title,
@@ -34,6 +92,17 @@ export async function create(req, reply) {
         : null,
       extraction_instructions,
       is_active: is_active !== undefined ? is_active : 1,
+      schedule: schedule ? schedule.trim() : null,
+      next_check_at: getNextCheckAt({ schedule }),
+      lookback_days: lookbackDays,
+      trust_feed_order: trust_feed_order ? 1 : 0,
+      email_folder: email_folder ? email_folder.trim() : null,
+      email_from: email_from ? email_from.trim() : null,
+      email_subject: email_subject ? email_subject.trim() : null,
+      email_mode,
+      email_tag: email_tag ? email_tag.trim() : null,
+      category: category ? category.trim() : null,
+      tags,
     });
 
     logger.info('Site created', { id: site.id, title: site.title });
@@ -53,7 +122,7 @@ export async function getOne(req, reply) {
     if (!site) {
       return reply.code(404).send({ error: 'Site not found' });
     }
-    return site;
+    return withHealth(site);
   } catch (error) {
     logger.error('Failed to get site', { error: error.message });
     return reply.code(500).send({ error: 'Failed to fetch site' });
@@ -65,10 +134,68 @@ export async function getOne(req, reply) {
  */
 export async function update(req, reply) {
   try {
-    const { url, title, type, extraction_rules, extraction_instructions, is_active } = req.body;
+    const {
+      url,
+      title,
+      type,
+      extraction_rules,
+      extraction_instructions,
+      is_active,
+      schedule,
+      lookback_days,
+      trust_feed_order,
+      email_folder,
+      email_from,
+      email_subject,
+      email_mode,
+      email_tag,
+      category,
+      tags,
+    } = req.body;
+
+    if (schedule && !isValidSchedule(schedule)) {
+      return reply.code(400).send({ error: `Invalid schedule: ${schedule}` });
+    }
+
+    if (tags !== undefined && !isValidTags(tags)) {
+      return reply.code(400).send({ error: 'Tags must be a list of names' });
+    }
 
     const updateData = {};
-    if (url !== undefined) updateData.url = url;
+    if (lookback_days !== undefined) {
+      updateData.lookback_days = parseLookbackDays(lookback_days);
+      if (updateData.lookback_days === undefined) {
+        return reply.code(400).send({ error: `Invalid lookback days: ${lookback_days}` });
+      }
+    }
+    if (trust_feed_order !== undefined) updateData.trust_feed_order = trust_feed_order ? 1 : 0;
+    if (email_mode !== undefined) {
+      if (!EMAIL_MODES.includes(email_mode)) {
+        return reply.code(400).send({ error: `Invalid email mode: ${email_mode}` });
+      }
+      updateData.email_mode = email_mode;
+    }
+    if (email_from !== undefined) updateData.email_from = email_from ? email_from.trim() : null;
+    if (email_subject !== undefined) updateData.email_subject = email_subject ? email_subject.trim() : null;
+    if (email_tag !== undefined) updateData.email_tag = email_tag ? email_tag.trim() : null;
+    if (category !== undefined) updateData.category = category ? category.trim() : null;
+    if (tags !== undefined) updateData.tags = tags;
+    if (email_folder !== undefined) {
+      updateData.email_folder = email_folder ? email_folder.trim() : null;
+      // Processed UIDs belong to the old folder
+      const existing = db.getSite(req.params.id);
+      if (existing && (existing.email_folder || 'INBOX') !== (updateData.email_folder || 'INBOX')) {
+        Object.assign(updateData, { email_uidvalidity: null, email_last_uid: null });
+      }
+    }
+    if (url !== undefined) {
+      updateData.url = url;
+      // Validators and content hash belong to the old URL
+      const existing = db.getSite(req.params.id);
+      if (existing && existing.url !== url) {
+        Object.assign(updateData, { http_etag: null, http_last_modified: null, content_hash: null });
+      }
+    }
     if (title !== undefined) updateData.title = title;
     if (type !== undefined) updateData.type = type;
     if (extraction_rules !== undefined) {
@@ -79,7 +206,21 @@ export async function update(req, reply) {
     }
     if (extraction_instructions !== undefined)
       updateData.extraction_instructions = extraction_instructions;
-    if (is_active !== undefined) updateData.is_active = is_active;
+    if (is_active !== undefined) {
+      updateData.is_active = is_active;
+      // Turning a site back on gives it a fresh start
+      if (is_active) Object.assign(updateData, getReactivationUpdates());
+    }
+    if (schedule !== undefined) {
+      // Empty schedule falls back to the global one
+      updateData.schedule = schedule ? schedule.trim() : null;
+
+      // Only reschedule when the schedule actually changed, saving other fields keeps the pending check
+      const existing = db.getSite(req.params.id);
+      if (existing && (existing.schedule || null) !== updateData.schedule) {
+        updateData.next_check_at = getNextCheckAt({ schedule: updateData.schedule });
+      }
+    }
 
     const site = db.updateSite(req.params.id, updateData);
     logger.info('Site updated', { id: site.id, title: site.title });
@@ -104,6 +245,209 @@ export async function remove(req, reply) {
   }
 }
 
+/**
+ * GET /api/sites/opml - Export all sites as an OPML file
+ */
+export async function exportOpml(req, reply) {
+  try {
+    const opml = buildOpml(db.getAllSites());
+
+    return reply
+      .header('Content-Type', 'text/x-opml; charset=utf-8')
+      .header('Content-Disposition', 'attachment; filename="sites.opml"')
+      .send(opml);
+  } catch (error) {
+    logger.error('Failed to export OPML', { error: error.message });
+    return reply.code(500).send({ error: 'Failed to export OPML' });
+  }
+}
+
+/**
+ * POST /api/sites/opml/preview - List the feeds of an OPML file and which ones already exist
+ * Body: opml - OPML document
+ */
+export async function previewOpml(req, reply) {
+  try {
+    const { opml } = req.body;
+
+    if (!opml) {
+      return reply.code(400).send({ error: 'OPML is required' });
+    }
+
+    let feeds;
+    try {
+      feeds = parseOpml(opml);
+    } catch (error) {
+      return reply.code(400).send({ error: error.message });
+    }
+
+    const existingUrls = new Set(db.getAllSites().map((site) => site.url));
+    const preview = feeds.map((feed) => ({ ...feed, exists: existingUrls.has(feed.url) }));
+
+    return {
+      feeds: preview,
+      new_count: preview.filter((feed) => !feed.exists).length,
+    };
+  } catch (error) {
+    logger.error('Failed to preview OPML', { error: error.message });
+    return reply.code(500).send({ error: 'Failed to preview OPML' });
+  }
+}
+
+/**
+ * POST /api/sites/opml/import - Create an RSS or JSON Feed site per feed of an OPML file (see parseOpml)
+ * Feeds whose URL is already a site are skipped, OPML folders become site tags
+ * Body: opml - OPML document, urls (optional) - only import these feed URLs (from the preview)
+ */
+export async function importOpml(req, reply) {
+  try {
+    const { opml, urls } = req.body;
+
+    if (!opml) {
+      return reply.code(400).send({ error: 'OPML is required' });
+    }
+
+    let feeds;
+    try {
+      feeds = parseOpml(opml);
+    } catch (error) {
+      return reply.code(400).send({ error: error.message });
+    }
+    if (Array.isArray(urls)) {
+      const selected = new Set(urls);
+      feeds = feeds.filter((feed) => selected.has(feed.url));
+    }
+
+    const created = [];
+    let skipped = 0;
+    for (const feed of feeds) {
+      try {
+        created.push(
+          db.createSite({
+            url: feed.url,
+            title: feed.title,
+            type: feed.type,
+            tags: feed.tags,
+            next_check_at: getNextCheckAt({}),
+          }),
+        );
+      } catch (error) {
+        // Already a site (UNIQUE url)
+        if (error.code !== 'SQLITE_CONSTRAINT_UNIQUE') throw error;
+        skipped++;
+      }
+    }
+
+    logger.info('OPML imported', { created: created.length, skipped });
+    return { created: created.length, skipped, sites: created };
+  } catch (error) {
+    logger.error('Failed to import OPML', { error: error.message });
+    return reply.code(500).send({ error: 'Failed to import OPML' });
+  }
+}
+
+/**
+ * GET /api/sites/bundle - Export all sites as a JSON bundle
+ * Query: include_config=1 - add the config (prompts and settings, without credentials, endpoints and paths)
+ */
+export async function exportBundle(req, reply) {
+  try {
+    const includeConfig = req.query?.include_config === '1' || req.query?.include_config === 'true';
+    const bundle = buildBundle(db.getAllSites(), { config: includeConfig ? db.getAllConfig() : null });
+
+    return reply
+      .header('Content-Type', 'application/json; charset=utf-8')
+      .header('Content-Disposition', 'attachment; filename="sites-bundle.json"')
+      .send(JSON.stringify(bundle, null, 2));
+  } catch (error) {
+    logger.error('Failed to export site bundle', { error: error.message });
+    return reply.code(500).send({ error: 'Failed to export site bundle' });
+  }
+}
+
+/**
+ * POST /api/sites/bundle/preview - Validate a JSON bundle and diff it against the existing sites (by URL) and config
+ * Body: bundle
+ */
+export async function previewBundle(req, reply) {
+  try {
+    const { bundle } = req.body;
+
+    const errors = validateBundle(bundle);
+    if (errors.length > 0) {
+      return reply.code(400).send({ error: 'Invalid bundle', details: errors });
+    }
+
+    return diffBundle(bundle, db.getAllSites(), db.getAllConfig());
+  } catch (error) {
+    logger.error('Failed to preview site bundle', { error: error.message });
+    return reply.code(500).send({ error: 'Failed to preview site bundle' });
+  }
+}
+
+/**
+ * POST /api/sites/bundle/import - Create and update sites (and config) from a JSON bundle
+ * Body: bundle, urls (optional) - only apply these sites, config_keys (optional) - only apply these config keys
+ */
+export async function importBundle(req, reply) {
+  try {
+    const { bundle, urls, config_keys } = req.body;
+
+    const errors = validateBundle(bundle);
+    if (errors.length > 0) {
+      return reply.code(400).send({ error: 'Invalid bundle', details: errors });
+    }
+
+    const existingSites = db.getAllSites();
+    const diff = diffBundle(bundle, existingSites, db.getAllConfig());
+    const selectedUrls = Array.isArray(urls) ? new Set(urls) : null;
+    const selectedKeys = Array.isArray(config_keys) ? new Set(config_keys) : null;
+    const byUrl = new Map(existingSites.map((site) => [site.url, site]));
+
+    let created = 0;
+    let updated = 0;
+    for (const [index, change] of diff.sites.entries()) {
+      if (change.action === 'unchanged' || (selectedUrls && !selectedUrls.has(change.url))) continue;
+      const data = toSiteData(bundle.sites[index]);
+
+      if (change.action === 'create') {
+        db.createSite({ ...data, next_check_at: getNextCheckAt({ schedule: data.schedule }) });
+        created++;
+        continue;
+      }
+
+      const existing = byUrl.get(change.url);
+      const updateData = Object.fromEntries(change.changes.map(({ field }) => [field, data[field]]));
+      if (updateData.schedule !== undefined) {
+        updateData.next_check_at = getNextCheckAt({ schedule: updateData.schedule });
+      }
+      // Turning a site back on gives it a fresh start
+      if (updateData.is_active && !existing.is_active) Object.assign(updateData, getReactivationUpdates());
+      db.updateSite(existing.id, updateData);
+      updated++;
+    }
+
+    const configChanges = diff.config.filter(({ key }) => !selectedKeys || selectedKeys.has(key));
+    for (const { key, to } of configChanges) {
+      db.setConfig(key, to);
+    }
+    if (configChanges.some(({ key }) => key === 'schedule' || key === 'backup_schedule')) {
+      // Import cron manager dynamically to avoid circular dependencies
+      const cronManager = await import('../cron.js');
+      if (configChanges.some(({ key }) => key === 'schedule')) cronManager.updateSchedule(bundle.config.schedule);
+      if (configChanges.some(({ key }) => key === 'backup_schedule')) {
+        cronManager.updateBackupSchedule(bundle.config.backup_schedule);
+      }
+    }
+
+    logger.info('Site bundle imported', { created, updated, config: configChanges.length });
+    return { created, updated, config_updated: configChanges.length };
+  } catch (error) {
+    logger.error('Failed to import site bundle', { error: error.message });
+    return reply.code(500).send({ error: 'Failed to import site bundle' });
+  }
+}
+
 /**
  * POST /api/sites/test-extraction - Test CSS selector rules
  */
@@ -170,14 +514,17 @@ export async function testLLMExtraction(req, reply) {
       type: 'html_llm',
     };
 
-    const posts = await fetchHTMLWithLLM(tempSite);
+    // Collects token usage of the extraction call
+    const usage = {};
+    const posts = await fetchHTMLWithLLM(tempSite, { purpose: 'test_llm_extraction', usage });
 
     return {
       success: true,
       count: posts.length,
       posts: posts, // Return all posts
-      estimated_cost: 0.02, // Placeholder - will be calculated in extractor
-      tokens_used: 4500, // Placeholder
+      estimated_cost: usage.cost || 0,
+      tokens_used: usage.total_tokens || 0,
+      model: usage.model || null,
     };
   } catch (error) {
     logger.error('Failed to test LLM extraction', { error: error.message });
@@ -185,6 +532,153 @@ export async function testLLMExtraction(req, reply) {
   }
 }
 
+/**
+ * POST /api/sites/test-json-feed - Test a JSON Feed with the site's lookback settings
+ * Body: url, lookback_days (optional, empty = global setting), trust_feed_order (optional)
+ */
+export async function testJSONFeed(req, reply) {
+  try {
+    const { url, lookback_days, trust_feed_order } = req.body;
+
+    if (!url) {
+      return reply.code(400).send({ error: 'URL is required' });
+    }
+
+    const lookbackDays = lookback_days === undefined ? null : parseLookbackDays(lookback_days);
+    if (lookbackDays === undefined) {
+      return reply.code(400).send({ error: `Invalid lookback days: ${lookback_days}` });
+    }
+
+    // Import extractors dynamically
+    const { fetchJSONFeed, getRSSLookbackDays } = await import('../extractors.js');
+
+    const posts = await fetchJSONFeed(url, {
+      lookbackDays: getRSSLookbackDays({ lookback_days: lookbackDays }),
+      trustFeedOrder: Boolean(trust_feed_order),
+    });
+
+    return {
+      success: true,
+      count: posts.length,
+      posts: posts, // Return all posts
+    };
+  } catch (error) {
+    logger.error('Failed to test JSON Feed', { error: error.message });
+    return reply.code(500).send({ error: error.message });
+  }
+}
+
+/**
+ * POST /api/sites/test-link-list - Test link list extraction with the configured exclude patterns
+ * Body: url
+ */
+export async function testLinkList(req, reply) {
+  try {
+    const { url } = req.body;
+
+    if (!url) {
+      return reply.code(400).send({ error: 'URL is required' });
+    }
+
+    // Import extractors dynamically
+    const { fetchHTMLWithLinkList } = await import('../extractors.js');
+
+    const posts = await fetchHTMLWithLinkList({ url, title: url, type: 'html_links' });
+
+    return {
+      success: true,
+      count: posts.length,
+      posts: posts, // Return all posts
+    };
+  } catch (error) {
+    logger.error('Failed to test link list extraction', { error: error.message });
+    return reply.code(500).send({ error: error.message });
+  }
+}
+
+/**
+ * POST /api/sites/discover - Find the feeds of a site and recommend how to follow it
+ * Body: url, generate_selectors (optional, default true) - ask the LLM for CSS rules when there is no feed
+ */
+export async function discover(req, reply) {
+  try {
+    const { url, generate_selectors } = req.body;
+
+    if (!url) {
+      return reply.code(400).send({ error: 'URL is required' });
+    }
+
+    const { discoverSite } = await import('../discovery.js');
+
+    return await discoverSite(url, { generateSelectors: generate_selectors !== false });
+  } catch (error) {
+    logger.error('Failed to discover site feeds', { error: error.message });
+    return reply.code(500).send({ error: error.message });
+  }
+}
+
+/**
+ * POST /api/sites/:id/backfill - Import the full history of a feed (RSS or JSON Feed) once, ignoring the lookback window
+ * Body: summarize (optional) - queue imported posts for summarization on the next cron run,
+ *   force (optional) - backfill a site that was already backfilled
+ */
+export async function backfill(req, reply) {
+  try {
+    const site = db.getSite(req.params.id);
+    if (!site) {
+      return reply.code(404).send({ error: 'Site not found' });
+    }
+
+    if (site.type !== 'rss' && site.type !== 'json_feed') {
+      return reply.code(400).send({ error: 'Backfill is only available for RSS and JSON feeds' });
+    }
+
+    const { summarize = false, force = false } = req.body || {};
+    if (site.backfilled_at && !force) {
+      return reply.code(409).send({ error: `Site was already backfilled on ${site.backfilled_at}` });
+    }
+
+    // Import extractors dynamically
+    const { fetchRSSFeed, fetchJSONFeed } = await import('../extractors.js');
+    const fetchFeed = site.type === 'json_feed' ? fetchJSONFeed : fetchRSSFeed;
+    const fetched = await fetchFeed(site.url, {
+      lookbackDays: 0,
+      trustFeedOrder: Boolean(site.trust_feed_order),
+      siteId: site.id,
+    });
+    // Same URL resolution as a check, so backfilled posts are deduplicated and clustered alike
+    const posts = await resolvePostUrls(fetched);
+
+    let imported = 0;
+    for (const post of posts) {
+      // Duplicates return null, so a forced backfill only imports new items
+      const savedPost = db.createPost({
+        site_id: site.id,
+        date: post.date,
+        url: post.url,
+        original_url: post.original_url,
+        canonical_url: post.canonical_url,
+        title: post.title,
+        author: post.author,
+        content: post.content,
+        tags: post.tags,
+        summary: null,
+        notified: 0,
+        needs_summary: summarize && post.content && post.content.length > 100 ? 1 : 0,
+      });
+      if (savedPost) imported++;
+    }
+
+    db.updateSite(site.id, { backfilled_at: new Date().toISOString() });
+    logger.info(`Backfilled ${imported} posts for ${site.title}`, { site_id: site.id, fetched: posts.length });
+
+    return { success: true, fetched: posts.length, imported };
+  } catch (error) {
+    logger.error('Failed to backfill site', { error: error.message });
+    return reply.code(500).send({ error: `Failed to backfill site: ${error.message}` });
+  }
+}
+
 /**
  * POST /api/sites/:id/toggle - Toggle site active status
  */
@@ -198,7 +692,11 @@ export async function toggleActive(req, reply) {
     }
 
     const newActiveStatus = site.is_active ? 0 : 1;
-    db.updateSite(id, { is_active: newActiveStatus });
+    db.updateSite(id, {
+      is_active: newActiveStatus,
+      // Turning a site back on gives it a fresh start
+      ...(newActiveStatus ? getReactivationUpdates() : {}),
+    });
 
     return { success: true, is_active: newActiveStatus };
   } catch (error) {
@@ -251,72 +749,24 @@ export async function generateSelectors(req, reply) {
       return reply.code(400).send({ error: 'HTML is required' });
     }
 
-    // Import OpenAI client and cleanHTML function
-    const { OpenAIClient } = await import('../openai-client.js');
-    const { cleanHTML } = await import('../extractors.js');
-
-    const openaiClient = new OpenAIClient();
-
-    // Clean HTML using the same method as HTML LLM extraction
-    logger.info(`Received HTML (${html.length} chars)`);
-    const cleanedHTML = cleanHTML(html);
-    logger.info(`Cleaned HTML (${cleanedHTML.length} chars)`);
-
-    // Get base prompt from config
-    const basePrompt = db.getConfig('prompt_selector_generation') || `You are a web scraping expert. Analyze the HTML structure and identify the best CSS selectors to extract post information.
-
-Return ONLY a JSON object with this exact structure:
-{
-  "postContainer": "CSS selector for each post container",
-  "title": "CSS selector for title (relative to container)",
-  "link": "CSS selector for link (relative to container)",
-  "date": "CSS selector for date (relative to container, empty string if not found)",
-  "content": "CSS selector for content (relative to container, empty string if not found)"
-}`;
-
-    // Build final prompt by appending additional instructions if provided
-    let systemPrompt = basePrompt;
-    if (additional_instructions && additional_instructions.trim()) {
-      systemPrompt += `\n\nAdditional site-specific instructions:\n${additional_instructions}`;
-    }
-
-    // Call OpenAI using the wrapper (same truncation as HTML LLM extraction)
-    const content = await openaiClient.createChatCompletion([
-      { role: 'system', content: systemPrompt },
-      {
-        role: 'user',
-        content: `Base URL: ${url || 'N/A'}\n\nHTML (truncated to first 10000 chars):\n${cleanedHTML.substring(0, 10000)}`,
-      },
-    ]);
-
-    // Try to parse as JSON
-    let selectors;
-    try {
-      // Extract JSON from markdown code blocks if present
-      let jsonContent = content;
-      const jsonMatch = content.match(/```(?:json)?\s*\n?([\s\S]*?)\n?```/);
-      if (jsonMatch) {
-        jsonContent = jsonMatch[1];
-      }
+    // Import extractors dynamically
+    const { generateSelectorsWithLLM } = await import('../extractors.js');
 
-      selectors = JSON.parse(jsonContent);
-    } catch (e) {
-      logger.error('Failed to parse LLM response for selector generation', {
-        error: e.message,
-        content,
-      });
-      return reply.code(500).send({
-        error: 'Failed to parse LLM response as JSON',
-        raw_response: content
-      });
-    }
+    const { selectors, raw_response } = await generateSelectorsWithLLM(html, {
+      url,
+      additionalInstructions: additional_instructions,
+    });
 
     return {
       success: true,
       selectors,
-      raw_response: content,
+      raw_response,
     };
   } catch (error) {
+    if (error.raw_response !== undefined) {
+      return reply.code(500).send({ error: error.message, raw_response: error.raw_response });
+    }
+
     logger.error('Failed to generate selectors', {
       error: error.message,
       stack: error.stack,
@@ -328,7 +778,7 @@ Return ONLY a JSON object with this exact structure:
     if (error.message.includes('ECONNREFUSED') || error.message.includes('Connection error')) {
       errorMessage = `Cannot connect to LLM endpoint. Please check that your LLM server is running and the base URL in Settings is correct.`;
     } else if (error.message.includes('API key')) {
-      errorMessage = 'Invalid API key. Please check your OpenAI API key in Settings.';
+      errorMessage = 'Invalid API key. Please check your LLM provider API key in Settings.';
     }
 
     return reply.code(500).send({ error: errorMessage, details: error.message });
@@ -0,0 +1,14 @@
+import * as db from '../db.js';
+import { logger } from '../utils.js';
+
+/**
+ * GET /api/tags - All tags in use, with their number of posts and sites
+ */
+export async function getAll(req, reply) {
+  try {
+    return db.getTags();
+  } catch (error) {
+    logger.error('Failed to get tags', { error: error.message });
+    return reply.code(500).send({ error: 'Failed to fetch tags' });
+  }
+}
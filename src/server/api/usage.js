@@ -0,0 +1,50 @@
+import * as db from '../db.js';
+import { logger } from '../utils.js';
+import { getBudgetStatus } from '../openai-client.js';
+
+// Longest usage window, keeps the start date a valid date
+const MAX_DAYS = 3650;
+// Most recent calls returned at once
+const MAX_LIMIT = 500;
+
+/**
+ * Whether a query value is a whole number from 1 to max
+ */
+function isInRange(value, max) {
+  return /^\d+$/.test(String(value)) && parseInt(value) >= 1 && parseInt(value) <= max;
+}
+
+/**
+ * GET /api/usage - Get aggregated LLM usage and cost
+ * Query: days (default 30), site_id, purpose, limit (recent calls, default 50)
+ * Also returns the current daily/monthly budget status
+ */
+export async function getSummary(req, reply) {
+  try {
+    const { days = 30, site_id, purpose, limit = 50 } = req.query;
+
+    if (!isInRange(days, MAX_DAYS)) {
+      return reply.code(400).send({ error: `days must be a whole number from 1 to ${MAX_DAYS}` });
+    }
+    if (!isInRange(limit, MAX_LIMIT)) {
+      return reply.code(400).send({ error: `limit must be a whole number from 1 to ${MAX_LIMIT}` });
+    }
+
+    const since = new Date();
+    since.setDate(since.getDate() - parseInt(days));
+
+    const filters = {
+      since: since.toISOString(),
+      site_id: site_id ? parseInt(site_id) : undefined,
+      purpose,
+    };
+
+    const summary = db.getLLMUsageSummary(filters);
+    const recent = db.getLLMUsage({ ...filters, limit: parseInt(limit) });
+
+    return { days: parseInt(days), ...summary, recent, budget: getBudgetStatus() };
+  } catch (error) {
+    logger.error('Failed to get LLM usage', { error: error.message });
+    return reply.code(500).send({ error: 'Failed to fetch usage' });
+  }
+}
@@ -0,0 +1,184 @@
+import fs from 'fs';
+import path from 'path';
+import Database from 'better-sqlite3';
+import * as db from './db.js';
+import { getSchemaVersion } from './migrate.js';
+import migrations from './migrations/index.js';
+
+// Scheduled snapshots are named data-<UTC time>.db, only these are rotated
+const SNAPSHOT_PATTERN = /^data-(\d{4}-\d{2}-\d{2})T\d{2}-\d{2}-\d{2}Z\.db$/;
+
+// Snapshots taken before a restore (data-pre-restore-<UTC time>.db), older ones are deleted
+const SAFETY_SNAPSHOT_PATTERN = /^data-pre-restore-\d{4}-\d{2}-\d{2}T\d{2}-\d{2}-\d{2}Z\.db$/;
+const MAX_SAFETY_SNAPSHOTS = 3;
+
+// Largest database file accepted by restore
+export const MAX_RESTORE_SIZE = 1024 * 1024 * 1024;
+
+// Tables every backup of this app has, whatever its schema version
+const REQUIRED_TABLES = ['sites', 'posts', 'config'];
+
+function timestamp(date = new Date()) {
+  return date.toISOString().replace(/\.\d+Z$/, 'Z').replace(/:/g, '-');
+}
+
+/**
+ * Directory of database snapshots: backup_dir, or backups/ next to the database file
+ */
+export function getBackupDir() {
+  const configured = db.getConfig('backup_dir');
+  if (configured) return configured;
+
+  const dbPath = db.getDb().name;
+  const base = db.getDb().memory ? process.cwd() : path.dirname(dbPath);
+  return path.join(base, 'backups');
+}
+
+/**
+ * Copy the live database to a file with SQLite's online backup API (consistent while the app keeps writing)
+ */
+export async function backupTo(file) {
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  await db.getDb().backup(file);
+  return file;
+}
+
+/**
+ * Write a snapshot to the backup directory and rotate old snapshots
+ * @returns {Object} - { file, size, deleted: [names of rotated snapshots] }
+ */
+export async function createSnapshot(now = new Date()) {
+  const dir = getBackupDir();
+  const file = await backupTo(path.join(dir, `data-${timestamp(now)}.db`));
+
+  const deleted = rotateSnapshots(dir, {
+    daily: parseInt(db.getConfig('backup_keep_daily') || '7'),
+    weekly: parseInt(db.getConfig('backup_keep_weekly') || '4'),
+  });
+
+  return { file, size: fs.statSync(file).size, deleted };
+}
+
+/**
+ * Snapshots to keep: the newest of each of the last `daily` days and of each of the last `weekly` weeks
+ * @param {Array} names - snapshot file names
+ * @returns {Set} - names to keep
+ */
+export function selectSnapshotsToKeep(names, { daily = 7, weekly = 4 } = {}) {
+  const snapshots = names
+    .map((name) => ({ name, match: name.match(SNAPSHOT_PATTERN) }))
+    .filter((snapshot) => snapshot.match)
+    .sort((a, b) => b.name.localeCompare(a.name));
+
+  const keep = new Set();
+  const keepNewestPer = (periodOf, count) => {
+    const periods = new Set();
+    for (const snapshot of snapshots) {
+      const period = periodOf(snapshot.match[1]);
+      if (periods.has(period)) continue;
+      if (periods.size >= count) break;
+      periods.add(period);
+      keep.add(snapshot.name);
+    }
+  };
+
+  keepNewestPer((day) => day, daily);
+  keepNewestPer(weekStart, weekly);
+  return keep;
+}
+
+// Monday of the week of a YYYY-MM-DD day
+function weekStart(day) {
+  const date = new Date(`${day}T00:00:00Z`);
+  date.setUTCDate(date.getUTCDate() - ((date.getUTCDay() + 6) % 7));
+  return date.toISOString().slice(0, 10);
+}
+
+/**
+ * Delete the snapshots selectSnapshotsToKeep() doesn't keep
+ * @returns {Array} - names of the deleted snapshots
+ */
+export function rotateSnapshots(dir, options) {
+  const names = fs.readdirSync(dir).filter((name) => SNAPSHOT_PATTERN.test(name));
+  const keep = selectSnapshotsToKeep(names, options);
+  const deleted = names.filter((name) => !keep.has(name));
+
+  for (const name of deleted) {
+    fs.unlinkSync(path.join(dir, name));
+  }
+  return deleted;
+}
+
+/**
+ * Check that a file is a database of this app that can be restored
+ * Backups of older schema versions are fine (they are migrated), newer ones are not
+ * @returns {Object} - { error, schema_version, sites, posts }, error null when valid
+ */
+export function validateBackupFile(file) {
+  let backup;
+  try {
+    backup = new Database(file, { readonly: true, fileMustExist: true });
+    if (backup.pragma('quick_check', { simple: true }) !== 'ok') {
+      return { error: 'Backup file is corrupted' };
+    }
+
+    const tables = backup.prepare("SELECT name FROM sqlite_master WHERE type = 'table'").all().map((row) => row.name);
+    const missing = REQUIRED_TABLES.filter((table) => !tables.includes(table));
+    if (missing.length > 0) {
+      return { error: `Not a backup of this app (missing tables: ${missing.join(', ')})` };
+    }
+
+    const version = getSchemaVersion(backup);
+    const latest = migrations[migrations.length - 1].version;
+    if (version > latest) {
+      return { error: `Backup schema version ${version} is newer than this app supports (${latest})`, schema_version: version };
+    }
+
+    return {
+      error: null,
+      schema_version: version,
+      sites: backup.prepare('SELECT COUNT(*) AS count FROM sites').get().count,
+      posts: backup.prepare('SELECT COUNT(*) AS count FROM posts').get().count,
+    };
+  } catch (error) {
+    return { error: `Not an SQLite database: ${error.message}` };
+  } finally {
+    if (backup) backup.close();
+  }
+}
+
+/**
+ * Replace the live database with a validated backup file
+ * The current database is snapshotted first (the last MAX_SAFETY_SNAPSHOTS are kept) and put back if the backup
+ * fails to open
+ * @returns {Object} - { safety_backup: path of the snapshot taken before restoring }
+ */
+export async function restoreBackup(file) {
+  const current = db.getDb();
+  if (current.memory) {
+    throw new Error('Only a file database can be restored');
+  }
+
+  const dbPath = current.name;
+  const dir = getBackupDir();
+  const safetyBackup = await backupTo(path.join(dir, `data-pre-restore-${timestamp()}.db`));
+
+  const safetySnapshots = fs.readdirSync(dir).filter((name) => SAFETY_SNAPSHOT_PATTERN.test(name)).sort();
+  for (const name of safetySnapshots.slice(0, -MAX_SAFETY_SNAPSHOTS)) {
+    fs.unlinkSync(path.join(dir, name));
+  }
+
+  db.closeDb();
+  try {
+    // Copied over the file (not renamed), so a bind-mounted data.db keeps pointing at it
+    fs.copyFileSync(file, dbPath);
+    db.initDb(dbPath); // Migrates a backup of an older schema version
+  } catch (error) {
+    db.closeDb();
+    fs.copyFileSync(safetyBackup, dbPath);
+    db.initDb(dbPath);
+    throw error;
+  }
+
+  return { safety_backup: safetyBackup };
+}
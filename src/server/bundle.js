@@ -0,0 +1,228 @@
+import cron from 'node-cron';
+import { isValidSchedule } from './schedule.js';
+import { EMAIL_MODES } from './email.js';
+
+// Identifies site bundles, the version changes when the format does
+export const BUNDLE_FORMAT = 'newsletter-digester-sites';
+export const BUNDLE_VERSION = 1;
+
+const SITE_TYPES = ['rss', 'json_feed', 'html_rules', 'html_llm', 'html_links', 'email'];
+
+// Site settings a bundle carries (check state, health and validators stay with the instance)
+const SITE_FIELDS = [
+  'title',
+  'type',
+  'category',
+  'is_active',
+  'extraction_rules',
+  'extraction_instructions',
+  'schedule',
+  'lookback_days',
+  'trust_feed_order',
+  'email_folder',
+  'email_from',
+  'email_subject',
+  'email_mode',
+  'email_tag',
+  'tags',
+];
+
+// Site settings stored as text, a bundle may leave them out or set them to null
+const TEXT_FIELDS = [
+  'category',
+  'extraction_instructions',
+  'schedule',
+  'email_folder',
+  'email_from',
+  'email_subject',
+  'email_mode',
+  'email_tag',
+];
+
+// Config that stays with the instance, never exported nor imported: credentials, the endpoints and mail server
+// they are sent to (a bundle repointing them would leak the importer's keys), filesystem paths, listeners and
+// internal state
+const LOCAL_CONFIG_KEYS = ['slack_webhook_url', 'backup_dir', 'llm_budget_last_alert'];
+const LOCAL_CONFIG_PREFIXES = ['imap_', 'inbound_'];
+
+function isLocalConfigKey(key) {
+  return key.endsWith('_api_key')
+    || key.endsWith('_base_url')
+    || LOCAL_CONFIG_PREFIXES.some((prefix) => key.startsWith(prefix))
+    || LOCAL_CONFIG_KEYS.includes(key);
+}
+
+/**
+ * extraction_rules as stored (JSON string) to the bundle form (array), invalid JSON is kept as is
+ */
+function parseRules(value) {
+  if (!value || typeof value !== 'string') return value || null;
+  try {
+    return JSON.parse(value);
+  } catch (error) {
+    return value;
+  }
+}
+
+/**
+ * Comparable form of a site setting: empty values are null, rules are compared as JSON, tags in any order and case
+ */
+function comparable(field, value) {
+  if (value === undefined || value === null || value === '') return null;
+  if (field === 'extraction_rules') return JSON.stringify(parseRules(value));
+  if (field === 'is_active' || field === 'trust_feed_order') return value ? 1 : 0;
+  if (field === 'tags') return value.length > 0 ? JSON.stringify(value.map((tag) => tag.toLowerCase()).sort()) : null;
+  return value;
+}
+
+/**
+ * Versioned JSON bundle of sites and, optionally, config without instance-local settings (see isLocalConfigKey)
+ * @param {Array} sites - Sites from the database
+ * @param {Object} options - config: all config (key/value) to include
+ */
+export function buildBundle(sites, options = {}) {
+  const bundle = {
+    format: BUNDLE_FORMAT,
+    version: BUNDLE_VERSION,
+    exported_at: new Date().toISOString(),
+    sites: sites.map((site) => {
+      const exported = { url: site.url };
+      for (const field of SITE_FIELDS) {
+        exported[field] = field === 'extraction_rules' ? parseRules(site[field]) : (site[field] ?? null);
+      }
+      return exported;
+    }),
+  };
+
+  if (options.config) {
+    bundle.config = Object.fromEntries(Object.entries(options.config).filter(([key]) => !isLocalConfigKey(key)));
+  }
+
+  return bundle;
+}
+
+/**
+ * Problems that prevent importing a bundle
+ * @returns {string[]} - empty when the bundle is valid
+ */
+export function validateBundle(bundle) {
+  if (!bundle || typeof bundle !== 'object' || Array.isArray(bundle)) return ['Bundle must be a JSON object'];
+  if (bundle.format !== BUNDLE_FORMAT) return [`Not a site bundle (format must be "${BUNDLE_FORMAT}")`];
+  if (!Number.isInteger(bundle.version) || bundle.version > BUNDLE_VERSION) {
+    return [`Unsupported bundle version: ${bundle.version} (supported up to ${BUNDLE_VERSION})`];
+  }
+  if (!Array.isArray(bundle.sites)) return ['Bundle has no sites array'];
+
+  const errors = [];
+  const urls = new Set();
+
+  bundle.sites.forEach((site, index) => {
+    const label = `Site ${index + 1}${site?.url ? ` (${site.url})` : ''}`;
+    if (!site || typeof site.url !== 'string' || !site.url) {
+      errors.push(`${label}: url is required`);
+      return;
+    }
+    if (urls.has(site.url)) errors.push(`${label}: duplicate url`);
+    urls.add(site.url);
+
+    if (typeof site.title !== 'string' || !site.title) errors.push(`${label}: title is required`);
+    if (site.type !== undefined && !SITE_TYPES.includes(site.type)) errors.push(`${label}: invalid type ${site.type}`);
+    for (const field of TEXT_FIELDS) {
+      if (site[field] != null && typeof site[field] !== 'string') errors.push(`${label}: ${field} must be a string`);
+    }
+    if (typeof site.email_mode === 'string' && site.email_mode && !EMAIL_MODES.includes(site.email_mode)) {
+      errors.push(`${label}: invalid email mode ${site.email_mode}`);
+    }
+    if (typeof site.schedule === 'string' && site.schedule && !isValidSchedule(site.schedule)) {
+      errors.push(`${label}: invalid schedule ${site.schedule}`);
+    }
+    if (site.lookback_days != null && !(Number.isInteger(site.lookback_days) && site.lookback_days >= 0)) {
+      errors.push(`${label}: invalid lookback days ${site.lookback_days}`);
+    }
+    if (site.extraction_rules != null && typeof site.extraction_rules !== 'string' && !Array.isArray(site.extraction_rules)) {
+      errors.push(`${label}: extraction_rules must be an array`);
+    }
+    if (site.tags != null && !(Array.isArray(site.tags) && site.tags.every((tag) => typeof tag === 'string'))) {
+      errors.push(`${label}: tags must be an array of names`);
+    }
+  });
+
+  if (bundle.config !== undefined) {
+    if (!bundle.config || typeof bundle.config !== 'object' || Array.isArray(bundle.config)) {
+      errors.push('config must be an object');
+    } else {
+      for (const [key, value] of Object.entries(bundle.config)) {
+        if (typeof value !== 'string') errors.push(`Config ${key}: value must be a string`);
+        if (isLocalConfigKey(key)) errors.push(`Config ${key}: instance settings (credentials, endpoints, paths) can't be imported`);
+      }
+      // Applied to the scheduler right away
+      const { schedule, backup_schedule } = bundle.config;
+      if (typeof schedule === 'string' && !(cron.validate(schedule) && isValidSchedule(schedule))) {
+        errors.push(`Config schedule: invalid cron expression ${schedule}`);
+      }
+      if (backup_schedule && typeof backup_schedule === 'string' && !cron.validate(backup_schedule)) {
+        errors.push(`Config backup_schedule: invalid cron expression ${backup_schedule}`);
+      }
+      if (typeof bundle.config.llm_pricing === 'string') {
+        try {
+          JSON.parse(bundle.config.llm_pricing);
+        } catch (error) {
+          errors.push(`Config llm_pricing: invalid JSON (${error.message})`);
+        }
+      }
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * Changes a bundle would make, sites matched by URL
+ * @param {Object} bundle - Valid bundle
+ * @param {Array} existingSites - Sites from the database
+ * @param {Object} existingConfig - Current config (key/value)
+ * @returns {{ sites: Array, config: Array }} - sites with action create / update / unchanged and their changes
+ *   ({ field, from, to }); config keys whose value differs ({ key, from, to })
+ */
+export function diffBundle(bundle, existingSites, existingConfig = {}) {
+  const byUrl = new Map(existingSites.map((site) => [site.url, site]));
+
+  const sites = bundle.sites.map((site) => {
+    const existing = byUrl.get(site.url);
+    if (!existing) return { url: site.url, title: site.title, action: 'create', changes: [] };
+
+    const changes = SITE_FIELDS.filter((field) => site[field] !== undefined)
+      .filter((field) => comparable(field, site[field]) !== comparable(field, existing[field]))
+      .map((field) => ({
+        field,
+        from: field === 'extraction_rules' ? parseRules(existing[field]) : (existing[field] ?? null),
+        to: site[field],
+      }));
+
+    return { url: site.url, title: site.title, action: changes.length > 0 ? 'update' : 'unchanged', changes };
+  });
+
+  const config = Object.entries(bundle.config || {})
+    .filter(([key, value]) => existingConfig[key] !== value)
+    .map(([key, value]) => ({ key, from: existingConfig[key] ?? null, to: value }));
+
+  return { sites, config };
+}
+
+/**
+ * Database fields of a bundle site (only the settings it has)
+ */
+export function toSiteData(site) {
+  const data = { url: site.url };
+  for (const field of SITE_FIELDS) {
+    if (site[field] === undefined) continue;
+    if (field === 'extraction_rules') {
+      data[field] = site[field] == null || typeof site[field] === 'string' ? site[field] : JSON.stringify(site[field]);
+    } else if (field === 'is_active' || field === 'trust_feed_order') {
+      data[field] = site[field] ? 1 : 0;
+    } else {
+      data[field] = site[field] === '' ? null : site[field];
+    }
+  }
+  return data;
+}
@@ -0,0 +1,83 @@
+// Titles with fewer words are too generic to match on ("Weekly update", "Links")
+const MIN_TITLE_WORDS = 4;
+
+/**
+ * Distinct words of a title (lowercase, without punctuation)
+ */
+export function titleWords(title) {
+  const words = (title || '')
+    .toLowerCase()
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '') // Accents
+    .replace(/[^\p{L}\p{N}\s]+/gu, ' ')
+    .split(/\s+/)
+    .filter(Boolean);
+  return new Set(words);
+}
+
+/**
+ * Similarity of two titles from 0 to 1 (Dice coefficient of their word sets)
+ * Titles shorter than MIN_TITLE_WORDS words only match when identical
+ */
+export function titleSimilarity(a, b) {
+  const wordsA = titleWords(a);
+  const wordsB = titleWords(b);
+  if (wordsA.size === 0 || wordsB.size === 0) return 0;
+
+  let shared = 0;
+  wordsA.forEach((word) => {
+    if (wordsB.has(word)) shared++;
+  });
+  const similarity = (2 * shared) / (wordsA.size + wordsB.size);
+
+  if (Math.min(wordsA.size, wordsB.size) < MIN_TITLE_WORDS) return similarity === 1 ? 1 : 0;
+  return similarity;
+}
+
+/**
+ * Earlier post telling the same story as a new one: same (canonical) URL, else the most similar title
+ * @param {Object} post - New post (url, canonical_url, title)
+ * @param {Array} candidates - Recent posts (url, canonical_url, title)
+ * @param {number} threshold - Minimum title similarity, 0 = URL matches only
+ * @returns {Object|null}
+ */
+export function findDuplicate(post, candidates, threshold) {
+  const urls = new Set([post.url, post.canonical_url].filter(Boolean));
+  const byUrl = candidates.find((candidate) => urls.has(candidate.url) || urls.has(candidate.canonical_url));
+  if (byUrl) return byUrl;
+  if (!(threshold > 0)) return null;
+
+  let best = null;
+  let bestSimilarity = 0;
+  for (const candidate of candidates) {
+    const similarity = titleSimilarity(post.title, candidate.title);
+    if (similarity >= threshold && similarity > bestSimilarity) {
+      best = candidate;
+      bestSimilarity = similarity;
+    }
+  }
+  return best;
+}
+
+/**
+ * One post per story cluster, in order of first appearance
+ * The kept post gets the site titles of its dropped duplicates in also_seen_in
+ */
+export function dedupeByCluster(posts) {
+  const kept = new Map();
+  const result = [];
+
+  for (const post of posts) {
+    const key = post.cluster_id || `post-${post.id}`;
+    const first = kept.get(key);
+    if (!first) {
+      const copy = { ...post, also_seen_in: [...(post.also_seen_in || [])] };
+      kept.set(key, copy);
+      result.push(copy);
+    } else if (post.site_title && post.site_title !== first.site_title && !first.also_seen_in.includes(post.site_title)) {
+      first.also_seen_in.push(post.site_title);
+    }
+  }
+
+  return result;
+}
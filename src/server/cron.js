@@ -1,13 +1,26 @@
 import cron from 'node-cron';
 import * as db from './db.js';
-import { logger, sendToSlack } from './utils.js';
+import { logger, sendToSlack, sendSlackAlert, runWithConcurrency } from './utils.js';
 import {
   fetchSiteContent,
   summarizePost,
   cleanupOldContent,
+  extractEmailPosts,
+  emailToPost,
 } from './extractors.js';
+import { getBudgetStatus } from './openai-client.js';
+import { getNextCheckAt, getSiteSchedule, isValidSchedule } from './schedule.js';
+import { resolvePostUrls } from './urls.js';
+import { dedupeByCluster } from './clusters.js';
+import { getSuccessUpdates, getFailureUpdates } from './site-health.js';
+import { createSnapshot } from './backup.js';
 
 let cronTask = null;
+let backupTask = null;
+let activeCheck = null; // Promise of the running check
+let restoreLock = null; // Promise of a database restore in progress, no check starts until it settles
+// Schedules of sites found to never come due (e.g. "0 0 31 2 *" saved before such schedules were rejected), by site id
+const neverDueSchedules = new Map();
 
 /**
  * Cron job status tracking
@@ -17,6 +30,10 @@ let cronTask = null;
  *   sites: { processed: number, total: number },
  *   newPosts: number,
  *   summaries: { processed: number, total: number },
+ *   budget: ReturnType<typeof getBudgetStatus> | null,
+ *   budgetExceeded: boolean,
+ *   skippedForBudget: { sites: number, summaries: number },
+ *   runId: number | null,
  *   startedAt: string | null,
  *   completedAt: string | null,
  *   error: string | null
@@ -28,6 +45,10 @@ let cronStatus = {
   sites: { processed: 0, total: 0 },
   newPosts: 0, // Total new posts found
   summaries: { processed: 0, total: 0 }, // Posts that needed summarization
+  budget: null, // Latest LLM budget snapshot (used/limit/remaining per period)
+  budgetExceeded: false,
+  skippedForBudget: { sites: 0, summaries: 0 }, // AI work skipped because budget was hit
+  runId: null, // Row in the runs table for the current/last check
   startedAt: null,
   completedAt: null,
   error: null,
@@ -51,6 +72,10 @@ function resetStatus() {
     sites: { processed: 0, total: 0 },
     newPosts: 0,
     summaries: { processed: 0, total: 0 },
+    budget: null,
+    budgetExceeded: false,
+    skippedForBudget: { sites: 0, summaries: 0 },
+    runId: null,
     startedAt: null,
     completedAt: null,
     error: null,
@@ -58,131 +83,448 @@ function resetStatus() {
 }
 
 /**
- * Main cron job function - checks all active sites and processes new posts
+ * Send a one-off Slack alert when an LLM budget is hit
+ * Only alerts once per budget period (tracked in llm_budget_last_alert)
+ */
+async function alertBudgetExceeded(budget) {
+  if (db.getConfig('llm_budget_slack_alert') !== '1') return;
+
+  const webhookUrl = db.getConfig('slack_webhook_url');
+  if (!webhookUrl) return;
+
+  const exceededPeriod = ['monthly', 'daily'].find((name) => budget[name].exceeded);
+  const alertKey = budget[exceededPeriod].period;
+  if (db.getConfig('llm_budget_last_alert') === alertKey) return;
+
+  try {
+    await sendSlackAlert(
+      `*⚠️ LLM budget reached*\n${budget.reasons.map((r) => `• ${r}`).join('\n')}\n` +
+        'Summarization and HTML LLM extraction are paused; new posts are still saved without summaries.',
+      {
+        webhookUrl,
+        botName: db.getConfig('slack_bot_name'),
+        botIcon: db.getConfig('slack_bot_icon'),
+      },
+    );
+    db.setConfig('llm_budget_last_alert', alertKey);
+  } catch (error) {
+    logger.error('Failed to send budget alert to Slack', { error: error.message });
+  }
+}
+
+/**
+ * Refresh the budget snapshot in cronStatus
+ * Logs a warning (and optionally alerts Slack) the first time the budget is hit in a run
+ * @returns {Promise<boolean>} - true when AI work must be skipped
+ */
+async function isBudgetExceeded() {
+  const budget = getBudgetStatus();
+  cronStatus.budget = budget;
+
+  if (budget.exceeded && !cronStatus.budgetExceeded) {
+    cronStatus.budgetExceeded = true;
+    logger.warn('LLM budget exceeded, skipping summarization and HTML LLM extraction', {
+      reasons: budget.reasons,
+    });
+    await alertBudgetExceeded(budget);
+  }
+
+  return budget.exceeded;
+}
+
+/**
+ * Read a positive integer concurrency setting from config
+ */
+function getConcurrencyConfig(key, fallback) {
+  const value = parseInt(db.getConfig(key));
+  return value > 0 ? value : fallback;
+}
+
+/**
+ * Host used for per-host fetch limits (sites without a parseable URL share one slot)
+ */
+function getSiteHost(site) {
+  try {
+    return new URL(site.url).hostname;
+  } catch (error) {
+    return site.url;
+  }
+}
+
+/**
+ * Record one site's outcome in run_sites
+ * History is best-effort, a failing insert must not fail the check
+ */
+function recordRunSite(site, outcome) {
+  if (!cronStatus.runId) return;
+
+  try {
+    db.createRunSite({
+      run_id: cronStatus.runId,
+      site_id: site.id,
+      site_title: site.title,
+      ...outcome,
+    });
+  } catch (error) {
+    logger.error(`Failed to record run outcome for ${site.title}`, {
+      error: error.message,
+      site_id: site.id,
+    });
+  }
+}
+
+/**
+ * Phase 1 worker: fetch one site and save its new posts
+ * Never throws so one failing site doesn't stop the others
+ * @param {Function} fetchPosts - Optional async (site) => posts used instead of fetching the site
+ * @returns {Promise<{ savedPosts: Array, queueItems: Array, failed: boolean }>}
+ */
+async function processSite(site, fetchPosts = null) {
+  const savedPosts = [];
+  const queueItems = [];
+  const startTime = Date.now();
+
+  // html_llm sites (and email sites using LLM extraction) need the LLM to extract anything, skip them when over budget.
+  // Posts handed in by fetchPosts can't be fetched again later, so those are never skipped.
+  const usesLLMExtraction = site.type === 'html_llm' || (site.type === 'email' && site.email_mode === 'html_llm');
+  if (!fetchPosts && usesLLMExtraction && (await isBudgetExceeded())) {
+    logger.warn(`Skipping LLM extraction for ${site.title}: budget exceeded`, { site_id: site.id });
+    cronStatus.skippedForBudget.sites++;
+    recordRunSite(site, { status: 'skipped', error: 'LLM budget exceeded', duration_ms: 0 });
+    finishSite(site);
+    return { savedPosts, queueItems, failed: false };
+  }
+
+  let postsFetched = 0;
+  let error = null;
+  const fetchInfo = {};
+
+  try {
+    logger.info(`Checking site: ${site.title}`, { site_id: site.id });
+
+    // Fetch posts from site (errors are recorded in the run history), unchanged content is skipped
+    const fetched = fetchPosts
+      ? await fetchPosts(site)
+      : await fetchSiteContent(site, { throwErrors: true, conditional: true, fetchInfo });
+    // Click-tracking links that couldn't be unwrapped offline (when following redirects is enabled)
+    const posts = await resolvePostUrls(fetched);
+
+    postsFetched = posts.length;
+    logger.info(`Fetched ${posts.length} posts from ${site.title}`);
+
+    // Process each post - save to DB and queue for summarization
+    for (const post of posts) {
+      const needsSummary = post.content && post.content.length > 100;
+
+      // Try to create post (will return null if duplicate)
+      const savedPost = db.createPost({
+        site_id: site.id,
+        date: post.date,
+        url: post.url,
+        original_url: post.original_url,
+        canonical_url: post.canonical_url,
+        title: post.title,
+        author: post.author,
+        content: post.content,
+        tags: post.tags,
+        summary: null, // Will be filled in summarization phase
+        notified: 0,
+        // Persisted so a failed summary is retried on the next run
+        needs_summary: needsSummary ? 1 : 0,
+      });
+
+      // If post was saved (not duplicate)
+      if (savedPost) {
+        // Track new posts count
+        cronStatus.newPosts++;
+
+        // Add site title for Slack message
+        savedPost.site_title = site.title;
+        savedPosts.push(savedPost);
+
+        // Queue for summarization if we have enough content
+        if (needsSummary) {
+          queueItems.push({
+            postId: savedPost.id,
+            siteId: site.id,
+            content: post.content,
+            title: post.title,
+          });
+        }
+
+        logger.info(`Saved new post: ${post.title}`, {
+          site_id: site.id,
+          post_id: savedPost.id,
+        });
+      }
+    }
+  } catch (err) {
+    error = err;
+    logger.error(`Failed to process site ${site.title}`, {
+      error: err.message,
+      site_id: site.id,
+    });
+  }
+
+  recordRunSite(site, {
+    status: error ? 'error' : fetchInfo.notModified ? 'not_modified' : 'success',
+    posts_fetched: postsFetched,
+    new_posts: savedPosts.length,
+    error: error ? error.message : null,
+    duration_ms: Date.now() - startTime,
+  });
+
+  // Failed fetches still count as a check, health tracking decides when to check again
+  const now = new Date();
+  const healthUpdates = error
+    ? getFailureUpdates(site, error, now)
+    : getSuccessUpdates(site, postsFetched, now, { notModified: fetchInfo.notModified });
+  if (healthUpdates.auto_disabled) {
+    logger.warn(`Disabled site ${site.title} after ${healthUpdates.consecutive_failures} failed checks`, {
+      site_id: site.id,
+      error: error.message,
+    });
+  }
+
+  // Validators and content hash only once the posts are stored, else the next conditional fetch would skip them
+  const fetchState = error ? {} : fetchInfo.state;
+  finishSite(site, { last_checked: now.toISOString(), ...healthUpdates, ...fetchState });
+  return { savedPosts, queueItems, failed: !!error };
+}
+
+/**
+ * Schedule the site's next check and update sites progress
+ * Failed and skipped sites are rescheduled too so they aren't retried every scheduler tick
+ * @param {Object} updates - Extra site fields to save (e.g. last_checked, health, a backed-off next_check_at)
+ */
+function finishSite(site, updates = {}) {
+  try {
+    db.updateSite(site.id, { next_check_at: getNextCheckAt(site), ...updates });
+  } catch (error) {
+    logger.error(`Failed to schedule next check for ${site.title}`, {
+      error: error.message,
+      site_id: site.id,
+    });
+  }
+
+  cronStatus.sites.processed++;
+}
+
+/**
+ * Phase 2 worker: summarize one queued post
+ * Failed posts stay queued for the next run until they run out of attempts
+ * @returns {Promise<'succeeded' | 'failed' | 'skipped'>}
+ */
+async function summarizeQueuedPost(item, newPostsForSlack, maxAttempts) {
+  // Posts stay saved (and queued for the next run) without a summary when the budget is hit.
+  // Summaries already in flight may overshoot the budget by at most summary_concurrency calls.
+  if (await isBudgetExceeded()) {
+    cronStatus.skippedForBudget.summaries++;
+    cronStatus.summaries.processed++;
+    return 'skipped';
+  }
+
+  let summary = null;
+  try {
+    summary = await summarizePost(item.content, {
+      post_id: item.postId,
+      site_id: item.siteId,
+    });
+    if (summary) {
+      db.updatePost(item.postId, { summary, needs_summary: 0 });
+
+      // Update the post in newPostsForSlack with the summary
+      const slackPost = newPostsForSlack.find((p) => p.id === item.postId);
+      if (slackPost) {
+        slackPost.summary = summary;
+      }
+    }
+  } catch (error) {
+    logger.error(`Failed to summarize post ${item.postId}`, {
+      error: error.message,
+    });
+  }
+
+  if (!summary) {
+    const attempts = (item.attempts || 0) + 1;
+    const giveUp = attempts >= maxAttempts;
+    db.updatePost(item.postId, { summary_attempts: attempts, needs_summary: giveUp ? 0 : 1 });
+
+    if (giveUp) {
+      logger.warn(`Giving up on summarizing post ${item.postId} after ${attempts} attempts`, {
+        post_id: item.postId,
+        site_id: item.siteId,
+      });
+    }
+  }
+
+  // Update summaries progress
+  cronStatus.summaries.processed++;
+  return summary ? 'succeeded' : 'failed';
+}
+
+/**
+ * Start a runs row for this check
+ * @returns {number|null} - Run ID, null if it couldn't be recorded
+ */
+function startRun(trigger) {
+  try {
+    return db.createRun({ trigger, started_at: cronStatus.startedAt }).id;
+  } catch (error) {
+    logger.error('Failed to record cron run', { error: error.message });
+    return null;
+  }
+}
+
+/**
+ * Main cron job function - checks active sites and processes new posts
  * Phase 1: Fetch all sites and save posts to DB
  * Phase 2: Summarize all queued posts with LLM
+ * @param {Object} options - Optional sites to check (defaults to all active sites),
+ *   trigger ('manual' for /api/cron/run, 'scheduled' for the scheduler tick, 'inbound' for forwarded emails)
+ *   and fetchPosts: async (site) => posts to use instead of fetching the sites
  */
-export async function runCheck() {
+export async function runCheck(options = {}) {
   if (cronStatus.running) {
     logger.warn('Cron check already running, skipping');
     return;
   }
+  if (restoreLock) {
+    logger.warn('Database restore in progress, skipping check');
+    return;
+  }
+
+  activeCheck = executeCheck(options);
+  return activeCheck;
+}
+
+/**
+ * Run the extraction, summarization and Slack pipeline for one email pushed to the server
+ * (inbound SMTP or POST /api/inbound/email) right away
+ * Waits for a running check or database restore to finish instead of being skipped like runCheck()
+ * @param {Object} site - Email site the message was matched to
+ * @param {Object} email - Email as returned by parseEmail()
+ */
+export async function processInboundEmail(site, email) {
+  while (cronStatus.running || restoreLock) {
+    await (restoreLock || activeCheck);
+  }
+
+  await runCheck({
+    sites: [site],
+    trigger: 'inbound',
+    fetchPosts: async (target) => {
+      // Forwarded emails can't be fetched again, so over budget they are imported without LLM extraction
+      if (target.email_mode === 'html_llm' && (await isBudgetExceeded())) {
+        logger.warn(`LLM budget exceeded, importing email "${email.subject}" as a single post`, { site_id: target.id });
+        return [emailToPost(email, target)];
+      }
+      return extractEmailPosts(target, email);
+    },
+  });
+}
+
+/**
+ * Keep checks from starting while the database is replaced by a backup
+ * Checks asked for meanwhile are skipped, inbound emails wait for the restore
+ * @returns {(() => void) | null} - releases the lock, null when a check is running or another restore holds it
+ */
+export function lockForRestore() {
+  if (cronStatus.running || restoreLock) return null;
 
+  let release;
+  restoreLock = new Promise((resolve) => {
+    release = resolve;
+  });
+  return () => {
+    restoreLock = null;
+    release();
+  };
+}
+
+/**
+ * Body of runCheck(), status is set up synchronously so a second call sees the check running
+ */
+async function executeCheck(options) {
   // Initialize status
   resetStatus();
   cronStatus.running = true;
   cronStatus.phase = 'fetching';
   cronStatus.startedAt = new Date().toISOString();
+  cronStatus.runId = startRun(options.trigger || 'manual');
   logger.info('Starting cron check');
 
+  // Outcome persisted to the runs table when the check ends
+  const run = {
+    sites_failed: 0,
+    summaries_succeeded: 0,
+    summaries_failed: 0,
+    slack_status: 'none', // No new posts to send
+    slack_error: null,
+  };
+
   try {
-    const sites = db.getActiveSites();
+    const sites = options.sites || db.getActiveSites();
     cronStatus.sites.total = sites.length;
+    if (cronStatus.runId) db.updateRun(cronStatus.runId, { sites_total: sites.length });
     logger.info(`Checking ${sites.length} active sites`);
 
-    // Queue for posts that need summarization
-    const summarizationQueue = [];
-    const newPostsForSlack = [];
-
     // ============================================
     // PHASE 1: Fetch all sites and save posts
     // ============================================
-    for (const site of sites) {
-      try {
-        logger.info(`Checking site: ${site.title}`, { site_id: site.id });
-
-        // Fetch posts from site
-        const posts = await fetchSiteContent(site);
-
-        // Update last_checked timestamp
-        db.updateSite(site.id, {
-          last_checked: new Date().toISOString(),
-        });
-
-        logger.info(`Fetched ${posts.length} posts from ${site.title}`);
-
-        // Process each post - save to DB and queue for summarization
-        for (const post of posts) {
-          // Try to create post (will return null if duplicate)
-          const savedPost = db.createPost({
-            site_id: site.id,
-            date: post.date,
-            url: post.url,
-            title: post.title,
-            content: post.content,
-            summary: null, // Will be filled in summarization phase
-            notified: 0,
-          });
-
-          // If post was saved (not duplicate)
-          if (savedPost) {
-            // Track new posts count
-            cronStatus.newPosts++;
-
-            // Add site title for Slack message
-            savedPost.site_title = site.title;
-            newPostsForSlack.push(savedPost);
-
-            // Queue for summarization if we have enough content
-            if (post.content && post.content.length > 100) {
-              summarizationQueue.push({
-                postId: savedPost.id,
-                content: post.content,
-                title: post.title,
-              });
-            }
-
-            logger.info(`Saved new post: ${post.title}`, {
-              site_id: site.id,
-              post_id: savedPost.id,
-            });
-          }
-        }
-      } catch (error) {
-        logger.error(`Failed to process site ${site.title}`, {
-          error: error.message,
-          site_id: site.id,
-        });
-      }
+    // Sites are fetched in parallel (bounded globally and per host), results are
+    // collected per site so the Slack digest keeps the site order of a sequential run
+    const siteResults = await runWithConcurrency(sites, (site) => processSite(site, options.fetchPosts), {
+      concurrency: getConcurrencyConfig('fetch_concurrency', 4),
+      perKeyConcurrency: getConcurrencyConfig('fetch_per_host_concurrency', 1),
+      getKey: getSiteHost,
+    });
 
-      // Update sites progress
-      cronStatus.sites.processed++;
-    }
+    run.sites_failed = siteResults.filter((result) => result.failed).length;
+    const newPostsForSlack = siteResults.flatMap((result) => result.savedPosts);
+    // Queue for posts that need summarization
+    const summarizationQueue = siteResults.flatMap((result) => result.queueItems);
 
     logger.info(
       `Phase 1 complete: ${newPostsForSlack.length} new posts found, ${summarizationQueue.length} queued for summarization`,
     );
 
+    // Retry posts whose summarization failed (or was skipped) in earlier runs
+    const queuedIds = new Set(summarizationQueue.map((item) => item.postId));
+    const retryPosts = db.getPostsNeedingSummary().filter((post) => !queuedIds.has(post.id));
+    for (const post of retryPosts) {
+      summarizationQueue.push({
+        postId: post.id,
+        siteId: post.site_id,
+        content: post.content,
+        title: post.title,
+        attempts: post.summary_attempts,
+      });
+    }
+    if (retryPosts.length > 0) {
+      logger.info(`Retrying summarization for ${retryPosts.length} posts from earlier runs`);
+    }
+
     // ============================================
     // PHASE 2: Summarize all queued posts
     // ============================================
     cronStatus.phase = 'summarizing';
     cronStatus.summaries.total = summarizationQueue.length;
+    const maxAttempts = parseInt(db.getConfig('summary_max_attempts')) || 5;
 
-    for (const item of summarizationQueue) {
-      try {
-        const summary = await summarizePost(item.content);
-        if (summary) {
-          db.updatePost(item.postId, { summary });
-
-          // Update the post in newPostsForSlack with the summary
-          const slackPost = newPostsForSlack.find((p) => p.id === item.postId);
-          if (slackPost) {
-            slackPost.summary = summary;
-          }
-        }
-      } catch (error) {
-        logger.error(`Failed to summarize post ${item.postId}`, {
-          error: error.message,
-        });
-      }
-
-      // Update summaries progress
-      cronStatus.summaries.processed++;
-    }
+    const summaryResults = await runWithConcurrency(
+      summarizationQueue,
+      (item) => summarizeQueuedPost(item, newPostsForSlack, maxAttempts),
+      { concurrency: getConcurrencyConfig('summary_concurrency', 2) },
+    );
+    run.summaries_succeeded = summaryResults.filter((result) => result === 'succeeded').length;
+    run.summaries_failed = summaryResults.filter((result) => result === 'failed').length;
 
     logger.info(
-      `Phase 2 complete: ${cronStatus.summaries.processed} posts summarized`,
+      `Phase 2 complete: ${cronStatus.summaries.processed - cronStatus.skippedForBudget.summaries} posts summarized`,
+      cronStatus.skippedForBudget.summaries > 0
+        ? { skipped_for_budget: cronStatus.skippedForBudget.summaries }
+        : null,
     );
 
     // ============================================
@@ -196,26 +538,45 @@ export async function runCheck() {
           const webhookUrl = db.getConfig('slack_webhook_url');
           const botName = db.getConfig('slack_bot_name');
           const botIcon = db.getConfig('slack_bot_icon');
+          const groupBy = db.getConfig('slack_digest_group_by');
 
-          const sent = await sendToSlack(newPostsForSlack, {
+          // One entry per story: later duplicates (in this run or of a story sent before) are left out.
+          // Clusters are re-read, they may have grown since the posts were saved
+          const clustered = newPostsForSlack.map((post) => {
+            const { cluster_id, also_seen_in } = db.getPost(post.id) || {};
+            return { ...post, cluster_id, also_seen_in };
+          });
+          const slackPosts = dedupeByCluster(clustered).filter((post) => !db.isClusterNotified(post.cluster_id));
+          if (slackPosts.length < newPostsForSlack.length) {
+            logger.info(`Left ${newPostsForSlack.length - slackPosts.length} duplicate stories out of the Slack digest`);
+          }
+
+          const sent = slackPosts.length === 0 || (await sendToSlack(slackPosts, {
             webhookUrl,
             botName,
             botIcon,
-          });
+            groupBy,
+          }));
 
           if (sent) {
             // Mark posts as notified
             newPostsForSlack.forEach((post) => {
               db.updatePost(post.id, { notified: 1 });
             });
+            run.slack_status = 'sent';
+          } else {
+            run.slack_status = 'failed';
           }
         } catch (error) {
           logger.error('Failed to send Slack notification', {
             error: error.message,
           });
+          run.slack_status = 'failed';
+          run.slack_error = error.message;
         }
       } else {
         logger.info('Cron Slack digest disabled, skipping notification');
+        run.slack_status = 'disabled';
       }
     }
 
@@ -226,19 +587,82 @@ export async function runCheck() {
     logger.error('Cron check failed', { error: error.message });
     cronStatus.error = error.message;
   } finally {
+    try {
+      cronStatus.budget = getBudgetStatus();
+    } catch (error) {
+      logger.error('Failed to read LLM budget', { error: error.message });
+    }
     cronStatus.running = false;
     cronStatus.phase = 'complete';
     cronStatus.completedAt = new Date().toISOString();
+    finishRun(run);
+  }
+}
+
+/**
+ * Persist the final outcome of the current check to its runs row
+ */
+function finishRun(run) {
+  if (!cronStatus.runId) return;
+
+  try {
+    db.updateRun(cronStatus.runId, {
+      ...run,
+      status: cronStatus.error ? 'failed' : 'completed',
+      completed_at: cronStatus.completedAt,
+      duration_ms: new Date(cronStatus.completedAt) - new Date(cronStatus.startedAt),
+      new_posts: cronStatus.newPosts,
+      summaries_total: cronStatus.summaries.total,
+      summaries_skipped: cronStatus.skippedForBudget.summaries,
+      error: cronStatus.error,
+    });
+  } catch (error) {
+    logger.error('Failed to record cron run', { error: error.message });
+  }
+}
+
+/**
+ * Scheduler tick (every minute) - checks the active sites whose next_check_at has passed
+ * Sites without next_check_at (new, or the global schedule changed) only get it computed
+ */
+export async function runScheduledCheck(now = new Date()) {
+  // A long check (or a restore) spans several ticks, due sites are picked up once it finishes
+  if (cronStatus.running || restoreLock) return;
+
+  const dueSites = [];
+  for (const site of db.getActiveSites()) {
+    if (!site.next_check_at) {
+      // Only looked at again once the schedule changes
+      const schedule = getSiteSchedule(site);
+      if (neverDueSchedules.get(site.id) === schedule) continue;
+
+      const nextCheckAt = getNextCheckAt(site, now);
+      if (nextCheckAt) {
+        neverDueSchedules.delete(site.id);
+        db.updateSite(site.id, { next_check_at: nextCheckAt });
+      } else {
+        neverDueSchedules.set(site.id, schedule);
+        logger.warn(`Schedule of ${site.title} never comes due, the site isn't checked: ${schedule}`, { site_id: site.id });
+      }
+    } else if (new Date(site.next_check_at) <= now) {
+      dueSites.push(site);
+    }
+  }
+
+  if (dueSites.length > 0) {
+    logger.info(`${dueSites.length} sites due for checking`);
+    await runCheck({ sites: dueSites, trigger: 'scheduled' });
   }
 }
 
 /**
- * Update cron schedule
+ * Update the global schedule (used by sites without their own schedule)
+ * and (re)start the per-minute scheduler tick
  */
 export function updateSchedule(schedule) {
   try {
-    // Validate cron expression
-    if (!cron.validate(schedule)) {
+    // Validate cron expression (and that it comes due)
+    if (!cron.validate(schedule) || !isValidSchedule(schedule)) {
       throw new Error(`Invalid cron expression: ${schedule}`);
     }
 
@@ -248,9 +672,12 @@ export function updateSchedule(schedule) {
       logger.info('Stopped existing cron task');
     }
 
-    // Create new cron task
-    cronTask = cron.schedule(schedule, () => {
-      runCheck().catch((err) => {
+    // Sites on the global schedule get their next check recomputed on the next tick
+    db.resetGlobalScheduleNextChecks();
+
+    // Create new scheduler task, it decides every minute which sites are due
+    cronTask = cron.schedule('* * * * *', () => {
+      runScheduledCheck().catch((err) => {
         logger.error('Scheduled cron check failed', { error: err.message });
       });
     });
@@ -262,10 +689,50 @@ export function updateSchedule(schedule) {
   }
 }
 
+/**
+ * (Re)start the database snapshot job, an empty schedule turns it off
+ */
+export function updateBackupSchedule(schedule) {
+  if (schedule && !cron.validate(schedule)) {
+    throw new Error(`Invalid cron expression: ${schedule}`);
+  }
+
+  if (backupTask) {
+    backupTask.stop();
+    backupTask = null;
+  }
+
+  if (!schedule) {
+    logger.info('Scheduled database backups disabled');
+    return;
+  }
+
+  backupTask = cron.schedule(schedule, () => {
+    if (restoreLock) {
+      logger.warn('Database restore in progress, skipping backup');
+      return;
+    }
+    createSnapshot()
+      .then((result) => logger.info('Database backup completed', result))
+      .catch((err) => logger.error('Database backup failed', { error: err.message }));
+  });
+
+  logger.info(`Database backup schedule updated: ${schedule}`);
+}
+
 /**
  * Initialize cron with schedule from config
  */
 export function initCron() {
+  try {
+    const interrupted = db.interruptRuns();
+    if (interrupted > 0) {
+      logger.warn(`Marked ${interrupted} unfinished run(s) as interrupted`);
+    }
+  } catch (error) {
+    logger.error('Failed to close unfinished runs', { error: error.message });
+  }
+
   try {
     const schedule = db.getConfig('schedule');
     if (schedule) {
@@ -277,6 +744,12 @@ export function initCron() {
   } catch (error) {
     logger.error('Failed to initialize cron', { error: error.message });
   }
+
+  try {
+    updateBackupSchedule(db.getConfig('backup_schedule'));
+  } catch (error) {
+    logger.error('Failed to initialize database backups', { error: error.message });
+  }
 }
 
 /**
@@ -301,4 +774,4 @@ if (process.env.NODE_ENV !== 'test') {
   startCleanupJob();
 }
 
-export default { runCheck, updateSchedule, initCron, getStatus };
+export default { runCheck, runScheduledCheck, lockForRestore, updateSchedule, updateBackupSchedule, initCron, getStatus };
@@ -1,14 +1,24 @@
 import Database from 'better-sqlite3';
 import path from 'path';
 import { fileURLToPath } from 'url';
+import { findDuplicate } from './clusters.js';
+import { toFtsQuery, highlightSnippet, HIGHLIGHT_START, HIGHLIGHT_END } from './search.js';
+import { migrate } from './migrate.js';
+import { normalizeTags } from './tags.js';
+import migrations from './migrations/index.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
 let db = null;
+let lastMigration = null;
+
+// New posts are only linked to duplicates by title within this window (URL matches have no limit)
+const CLUSTER_WINDOW_DAYS = 14;
+const MAX_CLUSTER_CANDIDATES = 2000;
 
 /**
- * Initialize database connection and create tables
+ * Initialize database connection and bring its schema up to date (see migrations/)
  */
 export function initDb(dbPath = null) {
   const finalPath = dbPath || path.join(__dirname, '../../data.db');
@@ -33,8 +43,7 @@ export function initDb(dbPath = null) {
   // Enable automatic index creation for better query performance
   db.pragma('automatic_index = ON');
 
-  createTables();
-  runMigrations();
+  lastMigration = migrate(db, migrations);
   seedDefaultConfig();
 
   return db;
@@ -51,155 +60,10 @@ export function getDb() {
 }
 
 /**
- * Create database tables
+ * Outcome of the schema migrations run by the last initDb() (see migrate)
  */
-function createTables() {
-  // Sites table
-  db.exec(`
-    CREATE TABLE IF NOT EXISTS sites (
-      id INTEGER PRIMARY KEY AUTOINCREMENT,
-      url TEXT NOT NULL UNIQUE,
-      title TEXT NOT NULL,
-      type TEXT DEFAULT 'rss',
-      extraction_rules TEXT,
-      extraction_instructions TEXT,
-      is_active INTEGER DEFAULT 1,
-      last_checked TEXT,
-      created_at TEXT DEFAULT CURRENT_TIMESTAMP
-    )
-  `);
-
-  // Posts table
-  db.exec(`
-    CREATE TABLE IF NOT EXISTS posts (
-      id INTEGER PRIMARY KEY AUTOINCREMENT,
-      site_id INTEGER NOT NULL,
-      date TEXT,
-      url TEXT NOT NULL,
-      title TEXT NOT NULL,
-      content TEXT,
-      content_full TEXT,
-      summary TEXT,
-      notified INTEGER DEFAULT 0,
-      created_at TEXT DEFAULT CURRENT_TIMESTAMP,
-      UNIQUE(url, title),
-      FOREIGN KEY (site_id) REFERENCES sites(id) ON DELETE CASCADE
-    )
-  `);
-
-  // Config table
-  db.exec(`
-    CREATE TABLE IF NOT EXISTS config (
-      key TEXT PRIMARY KEY,
-      value TEXT NOT NULL
-    )
-  `);
-
-  // Logs table
-  db.exec(`
-    CREATE TABLE IF NOT EXISTS logs (
-      id INTEGER PRIMARY KEY AUTOINCREMENT,
-      level TEXT NOT NULL,
-      message TEXT NOT NULL,
-      details TEXT,
-      created_at TEXT DEFAULT CURRENT_TIMESTAMP
-    )
-  `);
-}
-
-/**
- * Run database migrations
- */
-function runMigrations() {
-  // Add is_active column to sites table if it doesn't exist
-  try {
-    const columns = db.prepare('PRAGMA table_info(sites)').all();
-    const hasIsActive = columns.some(col => col.name === 'is_active');
-
-    if (!hasIsActive) {
-      db.exec('ALTER TABLE sites ADD COLUMN is_active INTEGER DEFAULT 1');
-    }
-  } catch (error) {
-    // Column might already exist or table doesn't exist yet
-  }
-
-  // Add content_full column to posts table if it doesn't exist
-  try {
-    const columns = db.prepare('PRAGMA table_info(posts)').all();
-    const hasContentFull = columns.some(col => col.name === 'content_full');
-
-    if (!hasContentFull) {
-      db.exec('ALTER TABLE posts ADD COLUMN content_full TEXT');
-    }
-  } catch (error) {
-    // Column might already exist or table doesn't exist yet
-  }
-
-  // This migration has been disabled as it was running on every restart and losing data
-  // The unique constraint change has already been applied to existing databases
-  // Keeping this here as a comment for historical reference
-  /*
-  // Update posts table unique constraint to remove date
-  // SQLite doesn't support DROP CONSTRAINT, so we need to recreate the table
-  try {
-    const tableInfo = db.prepare('PRAGMA table_info(posts)').all();
-    const indexes = db.prepare("SELECT sql FROM sqlite_master WHERE type='index' AND tbl_name='posts'").all();
-
-    // Check if we need to migrate (check if old constraint exists)
-    const existingData = db.prepare('SELECT * FROM posts LIMIT 1').all();
-
-    // Only migrate if table exists and has the old structure
-    if (tableInfo.length > 0) {
-      // Create new table with updated constraint
-      db.exec(`
-        CREATE TABLE IF NOT EXISTS posts_new (
-          id INTEGER PRIMARY KEY AUTOINCREMENT,
-          site_id INTEGER NOT NULL,
-          date TEXT,
-          url TEXT NOT NULL,
-          title TEXT NOT NULL,
-          content TEXT,
-          content_full TEXT,
-          summary TEXT,
-          notified INTEGER DEFAULT 0,
-          created_at TEXT DEFAULT CURRENT_TIMESTAMP,
-          UNIQUE(url, title),
-          FOREIGN KEY (site_id) REFERENCES sites(id) ON DELETE CASCADE
-        )
-      `);
-
-      // Copy data from old table to new table, removing duplicates by url+title
-      db.exec(`
-        INSERT OR IGNORE INTO posts_new (id, site_id, date, url, title, content, content_full, summary, notified, created_at)
-        SELECT id, site_id, date, url, title, content,
-               CASE WHEN EXISTS(SELECT 1 FROM pragma_table_info('posts') WHERE name='content_full')
-                    THEN content_full ELSE NULL END,
-               summary, notified, created_at FROM posts
-      `);
-
-      // Drop old table
-      db.exec('DROP TABLE posts');
-
-      // Rename new table to posts
-      db.exec('ALTER TABLE posts_new RENAME TO posts');
-    }
-  } catch (error) {
-    // Migration might fail if table structure is already correct
-    // This is fine, we just skip it
-  }
-  */
-
-  // Add flagged column to posts table if it doesn't exist
-  try {
-    const columns = db.prepare('PRAGMA table_info(posts)').all();
-    const hasFlagged = columns.some(col => col.name === 'flagged');
-
-    if (!hasFlagged) {
-      db.exec('ALTER TABLE posts ADD COLUMN flagged INTEGER DEFAULT 0');
-    }
-  } catch (error) {
-    // Column might already exist or table doesn't exist yet
-  }
+export function getLastMigration() {
+  return lastMigration;
 }
 
 /**
@@ -211,11 +75,28 @@ function seedDefaultConfig() {
     openai_api_key: '',
     openai_base_url: 'https://api.openai.com/v1',
     openai_model: 'gpt-3.5-turbo',
+    llm_provider: 'openai', // openai (any OpenAI-compatible endpoint), anthropic or ollama
+    anthropic_api_key: '',
+    anthropic_base_url: 'https://api.anthropic.com',
+    anthropic_model: 'claude-3-5-haiku-latest',
+    ollama_base_url: 'http://localhost:11434',
+    ollama_model: 'llama3.1',
+    // Per-purpose model overrides of each provider, empty = use the provider's model
+    openai_model_summarization: '',
+    openai_model_extraction: '',
+    openai_model_selector_generation: '',
+    anthropic_model_summarization: '',
+    anthropic_model_extraction: '',
+    anthropic_model_selector_generation: '',
+    ollama_model_summarization: '',
+    ollama_model_extraction: '',
+    ollama_model_selector_generation: '',
     slack_webhook_url: '',
     slack_channels: '', // Comma-separated list of channel names, first is default
     slack_bot_name: '', // Bot display name (optional, uses webhook default if empty)
     slack_bot_icon: '', // Bot icon emoji like :robot_face: (optional, uses webhook default if empty)
     enable_cron_slack_digest: '0', // 0 = disabled, 1 = enabled
+    slack_digest_group_by: 'site', // Digest sections: site or tag
     prompt_summarization: `You are a content summarizer. Summarize the following article content in 2-3 concise sentences. Focus on the main points and key takeaways.`,
     prompt_html_extract_base: `You are an HTML parser. Extract all posts/articles/links from the provided HTML.
 Return ONLY a JSON array with this exact structure, no additional text:
@@ -260,6 +141,73 @@ Guidelines:
 - Return empty string for date/content if they don't exist or are unreliable`,
     cleanup_content_days: '7',
     cleanup_delete_days: '365',
+    // Database snapshots (SQLite online backup), rotated to the newest per day and per week
+    backup_schedule: '0 3 * * *', // Cron expression, empty = no scheduled backups
+    backup_keep_daily: '7',
+    backup_keep_weekly: '4',
+    backup_dir: '', // Empty = backups/ next to data.db
+    // USD per 1M tokens, matched by exact model name or longest prefix
+    llm_pricing: JSON.stringify({
+      'gpt-3.5-turbo': { input: 0.5, output: 1.5 },
+      'gpt-4o-mini': { input: 0.15, output: 0.6 },
+      'gpt-4o': { input: 2.5, output: 10 },
+      'gpt-4-turbo': { input: 10, output: 30 },
+      'gpt-4': { input: 30, output: 60 },
+      'claude-3-5-haiku': { input: 0.8, output: 4 },
+      'claude-3-5-sonnet': { input: 3, output: 15 },
+      'claude-3-haiku': { input: 0.25, output: 1.25 },
+      'claude-3-opus': { input: 15, output: 75 },
+    }, null, 2),
+    // LLM budget ceilings, empty or 0 = unlimited
+    llm_budget_daily_tokens: '',
+    llm_budget_daily_cost: '',
+    llm_budget_monthly_tokens: '',
+    llm_budget_monthly_cost: '',
+    llm_budget_slack_alert: '0', // 0 = disabled, 1 = alert Slack when a budget is hit
+    llm_budget_last_alert: '', // Period key of the last Slack alert (e.g. daily:2025-01-31)
+    llm_max_retries: '3', // Retries for rate limited (429) / overloaded (5xx) / network errors
+    llm_requests_per_minute: '', // Empty or 0 = no client-side rate limit
+    summary_max_attempts: '5', // Cron runs that retry a failed summary before giving up
+    fetch_concurrency: '4', // Sites fetched in parallel during a cron run
+    fetch_per_host_concurrency: '1', // Parallel fetches against the same host
+    summary_concurrency: '2', // Posts summarized in parallel during a cron run
+    site_backoff_base_minutes: '30', // Delay after the first failed check, doubled for each further failure
+    site_backoff_max_hours: '24', // Longest delay between checks of a failing site
+    site_auto_disable_failures: '', // Empty or 0 = never auto-disable failing sites
+    site_empty_runs_threshold: '3', // Successful checks in a row with zero posts before flagging the site
+    rss_lookback_days: '7', // Feed items older than this are ignored (0 = no limit), sites can override it
+    llm_extraction_diff_mode: '0', // 1 = only send the part of a page that changed since the last extraction
+    // Links dropped by link list extraction, one case-insensitive regex per line (matched against link text and URL)
+    link_list_exclude_patterns: [
+      'unsubscribe',
+      'sponsor',
+      'advertise',
+      'manage (your )?(preferences|subscription)',
+      'update (your )?(profile|preferences)',
+      'view (this email )?(in (your )?browser|online)',
+      'privacy policy',
+      'terms of (service|use)',
+      'refer a friend',
+      'referral',
+      'twitter\\.com/intent|x\\.com/intent|facebook\\.com/sharer|linkedin\\.com/share',
+    ].join('\n'),
+    // Query parameters removed from post URLs, one per line, a trailing * matches by prefix
+    url_strip_params: [
+      'utm_*', 'ref', 'reflink', 'mod', 'ref_src', 'fbclid', 'gclid', 'dclid', 'msclkid', 'igshid',
+      'mc_cid', 'mc_eid', '_hsenc', '_hsmi', 'mkt_tok', 'ck_subscriber_id', 'oly_enc_id', 'oly_anon_id', 'vero_id',
+    ].join('\n'),
+    url_follow_redirects: '0', // 1 = resolve known click-tracking redirectors (Mailchimp, beehiiv, ...) with HEAD requests
+    duplicate_title_similarity: '0.85', // Title similarity (0-1) that links posts into one story, 0 = same URL only
+    // Mailbox polled by email sites
+    imap_host: '',
+    imap_port: '993',
+    imap_secure: '1', // 1 = TLS, 0 = plain connection (STARTTLS is used when offered)
+    imap_user: '',
+    imap_password: '',
+    // Newsletters forwarded to the server (POST /api/inbound/email or the SMTP listener)
+    inbound_email_enabled: '0', // 1 = accept forwarded emails
+    inbound_email_token: '', // Required as ?token= or X-Inbound-Token on the HTTP route when set
+    inbound_smtp_port: '', // Empty = no SMTP listener, applied on server start
   };
 
   const stmt = db.prepare('INSERT OR IGNORE INTO config (key, value) VALUES (?, ?)');
@@ -269,28 +217,41 @@ Guidelines:
   }
 }
 
+// Site columns plus its default tags (JSON array, sorted by name)
+const SITE_SELECT = `
+  SELECT s.*,
+    (SELECT json_group_array(name) FROM (
+      SELECT t.name FROM site_tags st JOIN tags t ON t.id = st.tag_id WHERE st.site_id = s.id ORDER BY t.name
+    )) as tags
+  FROM sites s
+`;
+
+function parseSite(row) {
+  return row ? { ...row, tags: JSON.parse(row.tags || '[]') } : row;
+}
+
 /**
  * Get all sites
  */
 export function getAllSites() {
-  const stmt = db.prepare('SELECT * FROM sites ORDER BY created_at DESC');
-  return stmt.all();
+  const stmt = db.prepare(`${SITE_SELECT} ORDER BY s.created_at DESC`);
+  return stmt.all().map(parseSite);
 }
 
 /**
  * Get active sites only
  */
 export function getActiveSites() {
-  const stmt = db.prepare('SELECT * FROM sites WHERE is_active = 1 ORDER BY created_at DESC');
-  return stmt.all();
+  const stmt = db.prepare(`${SITE_SELECT} WHERE s.is_active = 1 ORDER BY s.created_at DESC`);
+  return stmt.all().map(parseSite);
 }
 
 /**
  * Get single site by ID
  */
 export function getSite(id) {
-  const stmt = db.prepare('SELECT * FROM sites WHERE id = ?');
-  return stmt.get(id);
+  const stmt = db.prepare(`${SITE_SELECT} WHERE s.id = ?`);
+  return parseSite(stmt.get(id));
 }
 
 /**
@@ -298,8 +259,9 @@ export function getSite(id) {
  */
 export function createSite(data) {
   const stmt = db.prepare(`
-    INSERT INTO sites (url, title, type, extraction_rules, extraction_instructions, is_active)
-    VALUES (?, ?, ?, ?, ?, ?)
+    INSERT INTO sites (url, title, type, extraction_rules, extraction_instructions, is_active, schedule, next_check_at,
+      lookback_days, trust_feed_order, email_folder, email_from, email_subject, email_mode, email_tag, category)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
   `);
 
   const info = stmt.run(
@@ -309,11 +271,34 @@ export function createSite(data) {
     data.extraction_rules || null,
     data.extraction_instructions || null,
     data.is_active !== undefined ? data.is_active : 1,
+    data.schedule || null,
+    data.next_check_at || null,
+    data.lookback_days ?? null,
+    data.trust_feed_order ? 1 : 0,
+    data.email_folder || null,
+    data.email_from || null,
+    data.email_subject || null,
+    data.email_mode || 'single',
+    data.email_tag || null,
+    data.category || null,
   );
 
+  if (data.tags !== undefined) {
+    setSiteTags(info.lastInsertRowid, data.tags);
+  }
+
   return getSite(info.lastInsertRowid);
 }
 
+/**
+ * Reset next_check_at for sites without their own schedule (after the global schedule changed)
+ * The scheduler recomputes it on its next tick
+ */
+export function resetGlobalScheduleNextChecks() {
+  const stmt = db.prepare("UPDATE sites SET next_check_at = NULL WHERE schedule IS NULL OR schedule = ''");
+  return stmt.run().changes;
+}
+
 /**
  * Update site
  */
@@ -349,6 +334,45 @@ export function updateSite(id, data) {
     fields.push('last_checked = ?');
     values.push(data.last_checked);
   }
+  if (data.schedule !== undefined) {
+    fields.push('schedule = ?');
+    values.push(data.schedule || null);
+  }
+  if (data.next_check_at !== undefined) {
+    fields.push('next_check_at = ?');
+    values.push(data.next_check_at);
+  }
+  for (const column of [
+    'consecutive_failures',
+    'last_error',
+    'last_success_at',
+    'last_nonzero_at',
+    'consecutive_empty_runs',
+    'auto_disabled',
+    'http_etag',
+    'http_last_modified',
+    'content_hash',
+    'lookback_days',
+    'trust_feed_order',
+    'backfilled_at',
+    'email_folder',
+    'email_from',
+    'email_subject',
+    'email_mode',
+    'email_uidvalidity',
+    'email_last_uid',
+    'email_tag',
+    'category',
+  ]) {
+    if (data[column] !== undefined) {
+      fields.push(`${column} = ?`);
+      values.push(data[column]);
+    }
+  }
+
+  if (data.tags !== undefined) {
+    setSiteTags(id, data.tags);
+  }
 
   if (fields.length === 0) {
     return getSite(id);
@@ -370,11 +394,37 @@ export function deleteSite(id) {
   return stmt.run(id);
 }
 
+// Post columns plus its site title, the other sites its story cluster was seen in and its tags (JSON arrays)
+const POST_COLUMNS = `
+  p.*, s.title as site_title,
+    (SELECT json_group_array(DISTINCT s2.title) FROM posts p2 JOIN sites s2 ON p2.site_id = s2.id
+     WHERE p.cluster_id IS NOT NULL AND p2.cluster_id = p.cluster_id AND p2.site_id != p.site_id) as also_seen_in,
+    (SELECT json_group_array(name) FROM (
+      SELECT t.name FROM post_tags pt JOIN tags t ON t.id = pt.tag_id WHERE pt.post_id = p.id ORDER BY t.name
+    )) as tags
+`;
+const POST_SELECT = `SELECT ${POST_COLUMNS} FROM posts p LEFT JOIN sites s ON p.site_id = s.id`;
+
+// Search rank weights of the posts_fts columns: title, summary, content, content_full
+const SEARCH_WEIGHTS = '10.0, 4.0, 2.0, 1.0';
+
+function parsePost(row) {
+  return row ? { ...row, also_seen_in: JSON.parse(row.also_seen_in || '[]'), tags: JSON.parse(row.tags || '[]') } : row;
+}
+
+// Posts having every one of the tags (names, case-insensitive)
+function tagsCondition(tags, params) {
+  params.push(...tags);
+  return tags.map(() => `
+    AND EXISTS (SELECT 1 FROM post_tags pt JOIN tags t ON t.id = pt.tag_id WHERE pt.post_id = p.id AND t.name = ?)
+  `).join('');
+}
+
 /**
  * Get posts with optional filters
  */
 export function getPosts(filters = {}) {
-  let query = 'SELECT p.*, s.title as site_title FROM posts p LEFT JOIN sites s ON p.site_id = s.id WHERE 1=1';
+  let query = `${POST_SELECT} WHERE 1=1`;
   const params = [];
 
   if (filters.site_id) {
@@ -382,9 +432,10 @@ export function getPosts(filters = {}) {
     params.push(filters.site_id);
   }
 
-  if (filters.search) {
-    query += ' AND p.title LIKE ?';
-    params.push(`%${filters.search}%`);
+  const match = toFtsQuery(filters.search);
+  if (match) {
+    query += ' AND p.id IN (SELECT rowid FROM posts_fts WHERE posts_fts MATCH ?)';
+    params.push(match);
   }
 
   if (filters.notified !== undefined) {
@@ -392,6 +443,14 @@ export function getPosts(filters = {}) {
     params.push(filters.notified);
   }
 
+  if (filters.unread) {
+    query += ' AND p.read_at IS NULL';
+  }
+
+  if (filters.tags?.length > 0) {
+    query += tagsCondition(filters.tags, params);
+  }
+
   query += ' ORDER BY p.date DESC, p.created_at DESC';
 
   if (filters.limit) {
@@ -400,40 +459,159 @@ export function getPosts(filters = {}) {
   }
 
   const stmt = db.prepare(query);
-  return stmt.all(...params);
+  return stmt.all(...params).map(parsePost);
+}
+
+/**
+ * Full-text search of titles, summaries and content, best matches first
+ * @param {string} search - Search box query (see toFtsQuery)
+ * @param {Object} filters - site_id, unread, tags (posts having all of them), limit
+ * @returns {Array} - posts with rank (lower is better) and snippet (HTML, matches in <mark>)
+ */
+export function searchPosts(search, filters = {}) {
+  const match = toFtsQuery(search);
+  if (!match) return [];
+
+  let query = `
+    SELECT ${POST_COLUMNS}, f.rank, f.snippet
+    FROM (
+      SELECT rowid, bm25(posts_fts, ${SEARCH_WEIGHTS}) AS rank,
+        snippet(posts_fts, -1, '${HIGHLIGHT_START}', '${HIGHLIGHT_END}', '…', 24) AS snippet
+      FROM posts_fts WHERE posts_fts MATCH ?
+    ) f
+    JOIN posts p ON p.id = f.rowid
+    LEFT JOIN sites s ON p.site_id = s.id
+    WHERE 1=1
+  `;
+  const params = [match];
+
+  if (filters.site_id) {
+    query += ' AND p.site_id = ?';
+    params.push(filters.site_id);
+  }
+
+  if (filters.unread) {
+    query += ' AND p.read_at IS NULL';
+  }
+
+  if (filters.tags?.length > 0) {
+    query += tagsCondition(filters.tags, params);
+  }
+
+  query += ' ORDER BY f.rank, p.date DESC LIMIT ?';
+  params.push(filters.limit || 50);
+
+  const stmt = db.prepare(query);
+  return stmt.all(...params).map((row) => ({ ...parsePost(row), snippet: highlightSnippet(row.snippet) }));
 }
 
 /**
  * Get single post
  */
 export function getPost(id) {
-  const stmt = db.prepare(
-    'SELECT p.*, s.title as site_title FROM posts p LEFT JOIN sites s ON p.site_id = s.id WHERE p.id = ?',
-  );
-  return stmt.get(id);
+  const stmt = db.prepare(`${POST_SELECT} WHERE p.id = ?`);
+  return parsePost(stmt.get(id));
+}
+
+/**
+ * Dates of a site's saved posts, by url and original_url
+ * @returns {Map<string, string>} - URL to the date the post was first seen
+ */
+export function getPostDatesByUrl(siteId, urls) {
+  const dates = new Map();
+  const unique = [...new Set(urls.filter(Boolean))];
+  if (unique.length === 0) return dates;
+
+  const placeholders = unique.map(() => '?').join(', ');
+  const stmt = db.prepare(`
+    SELECT url, original_url, date FROM posts
+    WHERE site_id = ? AND (url IN (${placeholders}) OR original_url IN (${placeholders}))
+  `);
+  for (const row of stmt.all(siteId, ...unique, ...unique)) {
+    dates.set(row.url, row.date);
+    if (row.original_url) dates.set(row.original_url, row.date);
+  }
+  return dates;
+}
+
+/**
+ * Link a new post to an earlier post of the same story (see findDuplicate)
+ * Both posts get the cluster id, the id of the cluster's first post
+ * Titles are only compared with posts of other sites: recurring titles of one site ("Weekly Issue #45", "#46")
+ * are different stories
+ */
+function clusterPost(id, data) {
+  const post = { url: data.url, canonical_url: data.canonical_url || data.url, title: data.title };
+
+  const sameUrl = db.prepare(`
+    SELECT id, url, canonical_url, title, cluster_id FROM posts
+    WHERE id != ? AND (url IN (?, ?) OR canonical_url IN (?, ?))
+    ORDER BY id ASC LIMIT 1
+  `).all(id, post.url, post.canonical_url, post.url, post.canonical_url);
+
+  const threshold = parseFloat(getConfig('duplicate_title_similarity')) || 0;
+  const recent = sameUrl.length || !threshold ? [] : db.prepare(`
+    SELECT id, url, canonical_url, title, cluster_id FROM posts
+    WHERE id != ? AND site_id != ? AND created_at >= datetime('now', ?)
+    ORDER BY id DESC LIMIT ?
+  `).all(id, data.site_id, `-${CLUSTER_WINDOW_DAYS} days`, MAX_CLUSTER_CANDIDATES).reverse();
+
+  const duplicate = findDuplicate(post, [...sameUrl, ...recent], threshold);
+  if (!duplicate) return;
+
+  const clusterId = duplicate.cluster_id || duplicate.id;
+  db.prepare('UPDATE posts SET cluster_id = ? WHERE id IN (?, ?)').run(clusterId, duplicate.id, id);
+}
+
+/**
+ * Whether a post of a story cluster was already sent to Slack
+ */
+export function isClusterNotified(clusterId) {
+  if (!clusterId) return false;
+  const stmt = db.prepare('SELECT 1 FROM posts WHERE cluster_id = ? AND notified = 1 LIMIT 1');
+  return Boolean(stmt.get(clusterId));
 }
 
 /**
  * Create post (with duplicate check)
+ * A post that isn't a duplicate of url + title but tells a story seen before is linked to it (cluster_id)
+ * New posts get the tags of their site, plus their own (data.tags, e.g. from the feed)
  */
 export function createPost(data) {
   try {
-    const stmt = db.prepare(`
-      INSERT INTO posts (site_id, date, url, title, content, summary, notified)
-      VALUES (?, ?, ?, ?, ?, ?, ?)
-    `);
-
-    const info = stmt.run(
-      data.site_id,
-      data.date || new Date().toISOString(),
-      data.url,
-      data.title,
-      data.content || null,
-      data.summary || null,
-      data.notified || 0,
-    );
-
-    return getPost(info.lastInsertRowid);
+    // Tags and cluster are saved together with the post, a failure leaves no post behind
+    const id = db.transaction(() => {
+      const stmt = db.prepare(`
+        INSERT INTO posts (site_id, date, url, original_url, canonical_url, title, author, content, summary, notified, needs_summary)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+      `);
+
+      const info = stmt.run(
+        data.site_id,
+        data.date || new Date().toISOString(),
+        data.url,
+        data.original_url || data.url,
+        data.canonical_url || data.url,
+        data.title,
+        data.author || null,
+        data.content || null,
+        data.summary || null,
+        data.notified || 0,
+        data.needs_summary || 0,
+      );
+
+      db.prepare('INSERT INTO post_tags (post_id, tag_id) SELECT ?, tag_id FROM site_tags WHERE site_id = ?')
+        .run(info.lastInsertRowid, data.site_id);
+      if (data.tags?.length > 0) {
+        const insertTag = db.prepare('INSERT OR IGNORE INTO post_tags (post_id, tag_id) VALUES (?, ?)');
+        for (const tagId of getTagIds(data.tags)) {
+          insertTag.run(info.lastInsertRowid, tagId);
+        }
+      }
+      clusterPost(info.lastInsertRowid, data);
+      return info.lastInsertRowid;
+    })();
+    return getPost(id);
   } catch (error) {
     // Check if it's a duplicate error
     if (error.message.includes('UNIQUE constraint failed')) {
@@ -466,10 +644,26 @@ export function updatePost(id, data) {
     fields.push('content_full = ?');
     values.push(data.content_full);
   }
+  if (data.canonical_url !== undefined) {
+    fields.push('canonical_url = ?');
+    values.push(data.canonical_url);
+  }
   if (data.flagged !== undefined) {
     fields.push('flagged = ?');
     values.push(data.flagged);
   }
+  if (data.read_at !== undefined) {
+    fields.push('read_at = ?');
+    values.push(data.read_at);
+  }
+  if (data.needs_summary !== undefined) {
+    fields.push('needs_summary = ?');
+    values.push(data.needs_summary);
+  }
+  if (data.summary_attempts !== undefined) {
+    fields.push('summary_attempts = ?');
+    values.push(data.summary_attempts);
+  }
 
   if (fields.length === 0) {
     return getPost(id);
@@ -483,6 +677,128 @@ export function updatePost(id, data) {
   return getPost(id);
 }
 
+/**
+ * Ids of tags by name, creating the missing ones (names match case-insensitively)
+ */
+function getTagIds(names) {
+  const insert = db.prepare('INSERT OR IGNORE INTO tags (name) VALUES (?)');
+  const select = db.prepare('SELECT id FROM tags WHERE name = ?');
+  return normalizeTags(names).map((name) => {
+    insert.run(name);
+    return select.get(name).id;
+  });
+}
+
+// Tags no post or site has anymore
+function deleteUnusedTags() {
+  db.prepare(`
+    DELETE FROM tags
+    WHERE id NOT IN (SELECT tag_id FROM post_tags) AND id NOT IN (SELECT tag_id FROM site_tags)
+  `).run();
+}
+
+/**
+ * Replace the tags of a post
+ * @param {Array|string} names - tag names, or a comma-separated string (see normalizeTags)
+ */
+export function setPostTags(postId, names) {
+  db.transaction(() => {
+    db.prepare('DELETE FROM post_tags WHERE post_id = ?').run(postId);
+    const insert = db.prepare('INSERT OR IGNORE INTO post_tags (post_id, tag_id) VALUES (?, ?)');
+    for (const tagId of getTagIds(names)) {
+      insert.run(postId, tagId);
+    }
+    deleteUnusedTags();
+  })();
+
+  return getPost(postId);
+}
+
+/**
+ * Replace the default tags of a site (tags of its posts from now on, existing posts keep theirs)
+ * @param {Array|string} names - tag names, or a comma-separated string (see normalizeTags)
+ */
+export function setSiteTags(siteId, names) {
+  db.transaction(() => {
+    db.prepare('DELETE FROM site_tags WHERE site_id = ?').run(siteId);
+    const insert = db.prepare('INSERT OR IGNORE INTO site_tags (site_id, tag_id) VALUES (?, ?)');
+    for (const tagId of getTagIds(names)) {
+      insert.run(siteId, tagId);
+    }
+    deleteUnusedTags();
+  })();
+}
+
+/**
+ * All tags with the number of posts and sites having them, sorted by name
+ */
+export function getTags() {
+  const stmt = db.prepare(`
+    SELECT t.id, t.name,
+      (SELECT COUNT(*) FROM post_tags pt WHERE pt.tag_id = t.id) as post_count,
+      (SELECT COUNT(*) FROM site_tags st WHERE st.tag_id = t.id) as site_count
+    FROM tags t
+    WHERE t.id IN (SELECT tag_id FROM post_tags) OR t.id IN (SELECT tag_id FROM site_tags)
+    ORDER BY t.name
+  `);
+  return stmt.all();
+}
+
+/**
+ * Mark unread posts as read
+ * @param {Object} filters - ids (posts of a date group), site_id, none = every post
+ * @returns {number} - number of posts marked as read
+ */
+export function markPostsRead(filters = {}) {
+  let query = 'UPDATE posts SET read_at = ? WHERE read_at IS NULL';
+  const params = [new Date().toISOString()];
+
+  if (filters.ids) {
+    if (filters.ids.length === 0) return 0;
+    query += ` AND id IN (${filters.ids.map(() => '?').join(', ')})`;
+    params.push(...filters.ids);
+  }
+
+  if (filters.site_id) {
+    query += ' AND site_id = ?';
+    params.push(filters.site_id);
+  }
+
+  return db.prepare(query).run(...params).changes;
+}
+
+/**
+ * Number of unread posts per site
+ * @returns {Object} - { total, sites: { [site_id]: count } }, sites without unread posts left out
+ */
+export function getUnreadCounts() {
+  const rows = db.prepare(`
+    SELECT site_id, COUNT(*) as count FROM posts WHERE read_at IS NULL GROUP BY site_id
+  `).all();
+
+  const sites = {};
+  let total = 0;
+  for (const row of rows) {
+    sites[row.site_id] = row.count;
+    total += row.count;
+  }
+  return { total, sites };
+}
+
+/**
+ * Get posts waiting for a (re)try of summarization, oldest first
+ * Posts whose content was already cleaned up can't be summarized and are skipped
+ */
+export function getPostsNeedingSummary(limit = 100) {
+  const stmt = db.prepare(`
+    SELECT * FROM posts
+    WHERE needs_summary = 1 AND content IS NOT NULL
+    ORDER BY id ASC
+    LIMIT ?
+  `);
+  return stmt.all(limit);
+}
+
 /**
  * Get all config
  */
@@ -587,6 +903,344 @@ export function deletePost(id) {
   return stmt.run(id);
 }
 
+/**
+ * Record a single LLM call in the usage table
+ */
+export function createLLMUsage(data) {
+  const stmt = db.prepare(`
+    INSERT INTO llm_usage (purpose, model, prompt_tokens, completion_tokens, total_tokens, cost, site_id, post_id)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+  `);
+
+  const promptTokens = data.prompt_tokens || 0;
+  const completionTokens = data.completion_tokens || 0;
+
+  const info = stmt.run(
+    data.purpose,
+    data.model || null,
+    promptTokens,
+    completionTokens,
+    data.total_tokens || promptTokens + completionTokens,
+    data.cost || 0,
+    data.site_id || null,
+    data.post_id || null,
+  );
+
+  return db.prepare('SELECT * FROM llm_usage WHERE id = ?').get(info.lastInsertRowid);
+}
+
+/**
+ * Get summed LLM usage (calls, tokens, cost) with optional since/site_id filters
+ */
+export function getLLMUsageTotals(filters = {}) {
+  let query = `
+    SELECT
+      COUNT(*) as calls,
+      COALESCE(SUM(prompt_tokens), 0) as prompt_tokens,
+      COALESCE(SUM(completion_tokens), 0) as completion_tokens,
+      COALESCE(SUM(total_tokens), 0) as total_tokens,
+      COALESCE(SUM(cost), 0) as cost
+    FROM llm_usage WHERE 1=1
+  `;
+  const params = [];
+
+  if (filters.since) {
+    query += ' AND created_at >= datetime(?)';
+    params.push(filters.since);
+  }
+
+  if (filters.site_id) {
+    query += ' AND site_id = ?';
+    params.push(filters.site_id);
+  }
+
+  if (filters.purpose) {
+    query += ' AND purpose = ?';
+    params.push(filters.purpose);
+  }
+
+  const stmt = db.prepare(query);
+  return stmt.get(...params);
+}
+
+/**
+ * Get aggregated LLM usage (totals, per day, per site, per purpose, per model)
+ */
+export function getLLMUsageSummary(filters = {}) {
+  let where = 'WHERE 1=1';
+  const params = [];
+
+  if (filters.since) {
+    where += ' AND u.created_at >= datetime(?)';
+    params.push(filters.since);
+  }
+
+  if (filters.site_id) {
+    where += ' AND u.site_id = ?';
+    params.push(filters.site_id);
+  }
+
+  if (filters.purpose) {
+    where += ' AND u.purpose = ?';
+    params.push(filters.purpose);
+  }
+
+  const aggregates = `
+    COUNT(*) as calls,
+    COALESCE(SUM(u.prompt_tokens), 0) as prompt_tokens,
+    COALESCE(SUM(u.completion_tokens), 0) as completion_tokens,
+    COALESCE(SUM(u.total_tokens), 0) as total_tokens,
+    COALESCE(SUM(u.cost), 0) as cost
+  `;
+
+  const totals = getLLMUsageTotals(filters);
+
+  const byDay = db.prepare(`
+    SELECT date(u.created_at) as day, ${aggregates}
+    FROM llm_usage u ${where}
+    GROUP BY day ORDER BY day DESC
+  `).all(...params);
+
+  const bySite = db.prepare(`
+    SELECT u.site_id, s.title as site_title, ${aggregates}
+    FROM llm_usage u LEFT JOIN sites s ON u.site_id = s.id ${where}
+    GROUP BY u.site_id ORDER BY cost DESC
+  `).all(...params);
+
+  const byPurpose = db.prepare(`
+    SELECT u.purpose, ${aggregates}
+    FROM llm_usage u ${where}
+    GROUP BY u.purpose ORDER BY cost DESC
+  `).all(...params);
+
+  const byModel = db.prepare(`
+    SELECT u.model, ${aggregates}
+    FROM llm_usage u ${where}
+    GROUP BY u.model ORDER BY cost DESC
+  `).all(...params);
+
+  return {
+    totals,
+    by_day: byDay,
+    by_site: bySite,
+    by_purpose: byPurpose,
+    by_model: byModel,
+  };
+}
+
+/**
+ * Get most recent LLM usage rows
+ */
+export function getLLMUsage(filters = {}) {
+  let query = 'SELECT u.*, s.title as site_title FROM llm_usage u LEFT JOIN sites s ON u.site_id = s.id WHERE 1=1';
+  const params = [];
+
+  if (filters.since) {
+    query += ' AND u.created_at >= datetime(?)';
+    params.push(filters.since);
+  }
+
+  if (filters.site_id) {
+    query += ' AND u.site_id = ?';
+    params.push(filters.site_id);
+  }
+
+  if (filters.purpose) {
+    query += ' AND u.purpose = ?';
+    params.push(filters.purpose);
+  }
+
+  query += ' ORDER BY u.created_at DESC, u.id DESC';
+
+  if (filters.limit) {
+    query += ' LIMIT ?';
+    params.push(filters.limit);
+  }
+
+  const stmt = db.prepare(query);
+  return stmt.all(...params);
+}
+
+/**
+ * Start a run record
+ */
+export function createRun(data) {
+  const stmt = db.prepare(`
+    INSERT INTO runs (trigger, status, started_at, sites_total)
+    VALUES (?, 'running', ?, ?)
+  `);
+
+  const info = stmt.run(
+    data.trigger,
+    data.started_at || new Date().toISOString(),
+    data.sites_total || 0,
+  );
+
+  return getRun(info.lastInsertRowid);
+}
+
+/**
+ * Update run
+ */
+export function updateRun(id, data) {
+  const columns = [
+    'status',
+    'completed_at',
+    'duration_ms',
+    'sites_total',
+    'sites_failed',
+    'new_posts',
+    'summaries_total',
+    'summaries_succeeded',
+    'summaries_failed',
+    'summaries_skipped',
+    'slack_status',
+    'slack_error',
+    'error',
+  ];
+
+  const fields = [];
+  const values = [];
+
+  for (const column of columns) {
+    if (data[column] !== undefined) {
+      fields.push(`${column} = ?`);
+      values.push(data[column]);
+    }
+  }
+
+  if (fields.length === 0) {
+    return getRun(id);
+  }
+
+  values.push(id);
+
+  const stmt = db.prepare(`UPDATE runs SET ${fields.join(', ')} WHERE id = ?`);
+  stmt.run(...values);
+
+  return getRun(id);
+}
+
+/**
+ * Close runs left 'running' by a crash or restart as 'interrupted'
+ * @returns {number} - Number of runs closed
+ */
+export function interruptRuns() {
+  const stmt = db.prepare(`
+    UPDATE runs
+    SET status = 'interrupted', completed_at = ?, error = COALESCE(error, 'Interrupted by a server restart')
+    WHERE status = 'running'
+  `);
+  return stmt.run(new Date().toISOString()).changes;
+}
+
+/**
+ * Record the outcome of one site in a run
+ */
+export function createRunSite(data) {
+  const stmt = db.prepare(`
+    INSERT INTO run_sites (run_id, site_id, site_title, status, posts_fetched, new_posts, error, duration_ms)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+  `);
+
+  stmt.run(
+    data.run_id,
+    data.site_id || null,
+    data.site_title || null,
+    data.status,
+    data.posts_fetched || 0,
+    data.new_posts || 0,
+    data.error || null,
+    data.duration_ms ?? null,
+  );
+}
+
+/**
+ * Get single run
+ */
+export function getRun(id) {
+  const stmt = db.prepare('SELECT * FROM runs WHERE id = ?');
+  return stmt.get(id);
+}
+
+/**
+ * Get per-site outcomes of a run, in the order sites were checked
+ */
+export function getRunSites(runId) {
+  const stmt = db.prepare('SELECT * FROM run_sites WHERE run_id = ? ORDER BY id ASC');
+  return stmt.all(runId);
+}
+
+/**
+ * Get runs, newest first
+ * Filters: trigger, status, limit, offset
+ */
+export function getRuns(filters = {}) {
+  let where = ' WHERE 1=1';
+  const params = [];
+
+  if (filters.trigger) {
+    where += ' AND trigger = ?';
+    params.push(filters.trigger);
+  }
+  if (filters.status) {
+    where += ' AND status = ?';
+    params.push(filters.status);
+  }
+
+  const total = db.prepare(`SELECT COUNT(*) as count FROM runs${where}`).get(...params).count;
+
+  const runs = db
+    .prepare(`SELECT * FROM runs${where} ORDER BY id DESC LIMIT ? OFFSET ?`)
+    .all(...params, filters.limit || 50, filters.offset || 0);
+
+  return { runs, total };
+}
+
+// Cached extractions kept per site (the latest one is the base for diff mode)
+const LLM_EXTRACTIONS_PER_SITE = 5;
+
+/**
+ * Get a cached LLM extraction by cache key
+ * @returns {Object|undefined} - Row with posts parsed
+ */
+export function getLLMExtraction(cacheKey) {
+  const row = db.prepare('SELECT * FROM llm_extractions WHERE cache_key = ?').get(cacheKey);
+  return parseLLMExtraction(row);
+}
+
+/**
+ * Get the latest LLM extraction of a site made with the same prompt/model
+ * @returns {Object|undefined} - Row with posts parsed
+ */
+export function getLatestLLMExtraction(siteId, promptHash) {
+  const row = db
+    .prepare('SELECT * FROM llm_extractions WHERE site_id = ? AND prompt_hash = ? ORDER BY id DESC LIMIT 1')
+    .get(siteId, promptHash);
+  return parseLLMExtraction(row);
+}
+
+function parseLLMExtraction(row) {
+  return row ? { ...row, blocks: JSON.parse(row.blocks), posts: JSON.parse(row.posts) } : undefined;
+}
+
+/**
+ * Save an LLM extraction, keeping only the latest few per site
+ */
+export function saveLLMExtraction(data) {
+  db.prepare(`
+    INSERT OR REPLACE INTO llm_extractions (cache_key, site_id, prompt_hash, blocks, posts)
+    VALUES (?, ?, ?, ?, ?)
+  `).run(data.cache_key, data.site_id, data.prompt_hash, JSON.stringify(data.blocks), JSON.stringify(data.posts));
+
+  db.prepare(`
+    DELETE FROM llm_extractions
+    WHERE site_id = ? AND id NOT IN (
+      SELECT id FROM llm_extractions WHERE site_id = ? ORDER BY id DESC LIMIT ?
+    )
+  `).run(data.site_id, data.site_id, LLM_EXTRACTIONS_PER_SITE);
+}
+
 /**
  * Close database connection
  */
@@ -0,0 +1,187 @@
+import axios from 'axios';
+import Parser from 'rss-parser';
+import * as cheerio from 'cheerio';
+import { logger } from './utils.js';
+import { generateSelectorsWithLLM } from './extractors.js';
+
+const rssParser = new Parser();
+
+const USER_AGENT = 'Mozilla/5.0 (compatible; NewsletterDigester/1.0; +https://github.com/yourrepo)';
+
+// <link rel="alternate"> types that are feeds, with the site type that reads them
+const FEED_LINK_TYPES = {
+  'application/rss+xml': 'rss',
+  'application/atom+xml': 'rss',
+  'application/rdf+xml': 'rss',
+  'application/feed+json': 'json_feed',
+  'application/json': 'json_feed',
+};
+
+// Probed when the page doesn't declare any feed
+const COMMON_FEED_PATHS = ['/feed', '/rss', '/feed.xml', '/rss.xml', '/atom.xml', '/index.xml', '/feed.json', '/blog/feed'];
+
+// Candidate feeds inspected per discovery (each one is a request)
+const MAX_CANDIDATES = 10;
+
+const XML_FEED_PATTERN = /^\s*(<\?xml[^>]*>\s*)?(<!--[\s\S]*?-->\s*|<\?[^>]*>\s*|<!DOCTYPE[^>]*>\s*)*<(rss|feed|rdf:RDF)\b/i;
+
+async function fetchText(url) {
+  const response = await axios.get(url, {
+    headers: { 'User-Agent': USER_AGENT },
+    timeout: 15000,
+    responseType: 'text',
+  });
+  return typeof response.data === 'string' ? response.data : JSON.stringify(response.data);
+}
+
+/**
+ * Site type that reads a response body, null if it isn't a feed
+ */
+export function detectFeedType(body) {
+  if (XML_FEED_PATTERN.test(body)) return 'rss';
+
+  if (/^\s*\{/.test(body)) {
+    try {
+      const json = JSON.parse(body);
+      if (Array.isArray(json.items) && /jsonfeed\.org/.test(json.version || '')) return 'json_feed';
+    } catch (error) {
+      // Not JSON
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Feeds a page declares with <link rel="alternate">
+ * @returns {Array<{ url: string, type: string, title: string|null }>}
+ */
+export function findFeedLinks(html, pageUrl) {
+  const $ = cheerio.load(html);
+  const feeds = [];
+
+  $('link[rel~="alternate"][href]').each((i, el) => {
+    const type = FEED_LINK_TYPES[($(el).attr('type') || '').toLowerCase().split(';')[0].trim()];
+    if (!type) return;
+
+    try {
+      feeds.push({ url: new URL($(el).attr('href'), pageUrl).href, type, title: $(el).attr('title') || null });
+    } catch (error) {
+      // Invalid href
+    }
+  });
+
+  return feeds;
+}
+
+/**
+ * Name of a site from its homepage
+ */
+function getPageTitle(html) {
+  const $ = cheerio.load(html);
+  return ($('meta[property="og:site_name"]').attr('content') || $('title').first().text() || '').trim() || null;
+}
+
+/**
+ * Title, item count and newest item date of a feed body
+ */
+async function readFeed(body, type) {
+  if (type === 'json_feed') {
+    const feed = JSON.parse(body);
+    const dates = feed.items.map((item) => item.date_published || item.date_modified).filter(Boolean);
+    return { title: feed.title || null, item_count: feed.items.length, latest_item_date: latestDate(dates) };
+  }
+
+  const feed = await rssParser.parseString(body);
+  const dates = feed.items.map((item) => item.isoDate || item.pubDate).filter(Boolean);
+  return { title: feed.title || null, item_count: feed.items.length, latest_item_date: latestDate(dates) };
+}
+
+function latestDate(dates) {
+  const times = dates.map((date) => new Date(date).getTime()).filter((time) => !isNaN(time));
+  return times.length > 0 ? new Date(Math.max(...times)).toISOString() : null;
+}
+
+/**
+ * Fetch a candidate feed URL and describe it
+ * @returns {Promise<Object|null>} - null when the URL doesn't serve a feed
+ */
+async function inspectFeed(url, source) {
+  try {
+    const body = await fetchText(url);
+    const type = detectFeedType(body);
+    if (!type) return null;
+
+    return { url, type, source, ...(await readFeed(body, type)) };
+  } catch (error) {
+    logger.info(`No feed at ${url}`, { error: error.message });
+    return null;
+  }
+}
+
+/**
+ * Find out how to follow a site
+ * Feeds the page declares (or the URL itself, if it is a feed), else common feed paths. Without any feed,
+ * html_rules is recommended with CSS rules suggested by the LLM (when generateSelectors is set)
+ * @param {string} url - Homepage or feed URL
+ * @param {Object} options - generateSelectors: ask the LLM for CSS rules when there is no feed
+ * @returns {Promise<{ url, title, feeds: Array, recommendation: Object }>} - feeds with type, source
+ *   (self / link / path), title, item_count, latest_item_date; recommendation has the SiteEdit fields
+ *   (type, url, title, extraction_rules) plus selector_error when the LLM failed
+ */
+export async function discoverSite(url, options = {}) {
+  const html = await fetchText(url);
+
+  // The URL may already be a feed
+  const selfType = detectFeedType(html);
+  if (selfType) {
+    const feed = { url, type: selfType, source: 'self', ...(await readFeed(html, selfType)) };
+    return { url, title: feed.title, feeds: [feed], recommendation: { type: feed.type, url, title: feed.title } };
+  }
+
+  const title = getPageTitle(html);
+  const declared = findFeedLinks(html, url);
+  const candidates = declared.length > 0
+    ? declared.map((feed) => ({ url: feed.url, source: 'link', linkTitle: feed.title }))
+    : COMMON_FEED_PATHS.map((path) => ({ url: new URL(path, url).href, source: 'path' }));
+
+  const feeds = [];
+  const seen = new Set();
+  for (const candidate of candidates.slice(0, MAX_CANDIDATES)) {
+    if (seen.has(candidate.url)) continue;
+    seen.add(candidate.url);
+
+    const feed = await inspectFeed(candidate.url, candidate.source);
+    if (feed) feeds.push({ ...feed, title: feed.title || candidate.linkTitle || null });
+  }
+
+  logger.info(`Discovered ${feeds.length} feeds for ${url}`);
+
+  // Sites list their main feed first (comment feeds etc. come later), empty feeds only as a last resort
+  const best = feeds.find((feed) => feed.item_count > 0) || feeds[0];
+  if (best) {
+    return { url, title, feeds, recommendation: { type: best.type, url: best.url, title: title || best.title } };
+  }
+
+  const recommendation = { type: 'html_rules', url, title, extraction_rules: null };
+  if (options.generateSelectors) {
+    try {
+      const { selectors } = await generateSelectorsWithLLM(html, { url });
+      recommendation.extraction_rules = [
+        {
+          name: 'AI Generated Rule 1',
+          container: selectors.postContainer,
+          title: selectors.title,
+          url: selectors.link || selectors.url,
+          date: selectors.date || '',
+          content: selectors.content || '',
+        },
+      ];
+    } catch (error) {
+      logger.warn(`Failed to generate selectors for ${url}`, { error: error.message });
+      recommendation.selector_error = error.message;
+    }
+  }
+
+  return { url, title, feeds, recommendation };
+}
@@ -0,0 +1,154 @@
+import { ImapFlow } from 'imapflow';
+import { simpleParser } from 'mailparser';
+import * as db from './db.js';
+import { logger } from './utils.js';
+
+// How an email site turns a newsletter into posts
+export const EMAIL_MODES = ['single', 'html_rules', 'html_llm', 'html_links'];
+
+// Matching messages handled per check (oldest first), the rest are picked up by the next check
+const MAX_EMAILS_PER_CHECK = 50;
+
+/**
+ * Mailbox settings from config
+ */
+export function getImapConfig() {
+  return {
+    host: db.getConfig('imap_host') || '',
+    port: parseInt(db.getConfig('imap_port')) || 993,
+    secure: db.getConfig('imap_secure') !== '0',
+    user: db.getConfig('imap_user') || '',
+    password: db.getConfig('imap_password') || '',
+  };
+}
+
+/**
+ * IMAP client for the configured mailbox (not connected yet)
+ */
+export function createImapClient(config = getImapConfig()) {
+  if (!config.host || !config.user) {
+    throw new Error('IMAP mailbox is not configured');
+  }
+
+  return new ImapFlow({
+    host: config.host,
+    port: config.port,
+    secure: config.secure,
+    auth: { user: config.user, pass: config.password },
+    logger: false,
+  });
+}
+
+/**
+ * Parse a raw RFC 822 message into the email object handed to extraction
+ * @param {Buffer|string} source - Raw message
+ * @param {number|null} uid - IMAP UID, null for emails that were not read from the mailbox
+ * @returns {Promise<{ uid, message_id, subject, from, to: string[], date, html, text }>}
+ */
+export async function parseEmail(source, uid = null) {
+  const parsed = await simpleParser(source);
+  const to = [parsed.to, parsed.cc]
+    .flatMap((field) => (Array.isArray(field) ? field : field ? [field] : []))
+    .flatMap((field) => field.value.map((address) => address.address))
+    .filter(Boolean);
+
+  return {
+    uid,
+    message_id: parsed.messageId || null,
+    subject: parsed.subject || '',
+    from: parsed.from?.text || '',
+    to,
+    date: (parsed.date || new Date()).toISOString(),
+    html: parsed.html || '',
+    text: parsed.text || '',
+  };
+}
+
+/**
+ * Search criteria for a site's new messages
+ * Messages after the last processed UID (while the folder's UIDVALIDITY is unchanged), within the lookback window
+ */
+function getSearchCriteria(site, lastUid, lookbackDays) {
+  const criteria = { uid: `${lastUid + 1}:*` };
+  if (site.email_from) criteria.from = site.email_from;
+  if (site.email_subject) criteria.subject = site.email_subject;
+  if (lookbackDays > 0) {
+    const since = new Date();
+    since.setDate(since.getDate() - lookbackDays);
+    criteria.since = since;
+  }
+  return criteria;
+}
+
+/**
+ * Read the new newsletter emails of an email site and turn them into posts
+ * Processed messages are flagged \Seen, the UID cursor decides which emails are read again
+ * @param {Object} site - Email site (email_folder, email_from, email_subject filters)
+ * @param {Function} toPosts - async (email) => posts, email as returned by parseEmail()
+ * @param {Object} options - lookbackDays: ignore older messages (0 = no limit),
+ *   fetchInfo: receives notModified: true when there were no new messages, and state: the UID cursor
+ *   (email_uidvalidity, email_last_uid) for the caller to save once the posts are stored
+ * @returns {Promise<Array>} - Posts of all new emails
+ */
+export async function readNewEmails(site, toPosts, options = {}) {
+  const folder = site.email_folder || 'INBOX';
+  const client = createImapClient();
+
+  try {
+    await client.connect();
+  } catch (error) {
+    // A rejected login leaves the socket open
+    client.close();
+    throw error.responseText ? new Error(`IMAP connection failed: ${error.responseText}`) : error;
+  }
+
+  try {
+    const lock = await client.getMailboxLock(folder);
+    try {
+      const uidValidity = String(client.mailbox.uidValidity);
+      // A new UIDVALIDITY means the folder was recreated and old UIDs mean nothing
+      const lastUid = site.email_uidvalidity === uidValidity ? site.email_last_uid || 0 : 0;
+
+      const found = await client.search(getSearchCriteria(site, lastUid, options.lookbackDays || 0), { uid: true });
+      // "n:*" always matches the last message, even when its UID is below n
+      const uids = (found || []).filter((uid) => uid > lastUid).sort((a, b) => a - b);
+
+      if (uids.length === 0) {
+        logger.info(`No new emails for ${site.title}`, { site_id: site.id, folder });
+        if (options.fetchInfo) {
+          options.fetchInfo.notModified = true;
+          options.fetchInfo.state = { email_uidvalidity: uidValidity, email_last_uid: lastUid };
+        }
+        return [];
+      }
+
+      // Oldest first, so the UID cursor only moves past messages that were handled
+      const batch = uids.slice(0, MAX_EMAILS_PER_CHECK);
+      logger.info(`Found ${uids.length} new emails for ${site.title}, processing ${batch.length}`, {
+        site_id: site.id,
+        folder,
+      });
+
+      const posts = [];
+      for (const uid of batch) {
+        const message = await client.fetchOne(String(uid), { source: true }, { uid: true });
+        if (!message) continue;
+
+        posts.push(...(await toPosts(await parseEmail(message.source, uid))));
+      }
+
+      // Only once every email was converted, so a failed extraction is retried next check.
+      // \Seen is for the mail client, emails whose posts weren't stored are read again as the cursor stays put
+      await client.messageFlagsAdd(batch, ['\\Seen'], { uid: true });
+      if (options.fetchInfo) {
+        options.fetchInfo.state = { email_uidvalidity: uidValidity, email_last_uid: batch[batch.length - 1] };
+      }
+
+      return posts;
+    } finally {
+      lock.release();
+    }
+  } finally {
+    await client.logout();
+  }
+}
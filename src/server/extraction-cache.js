@@ -0,0 +1,160 @@
+import crypto from 'crypto';
+
+// Block-level tags (opening or closing) that start a new block when splitting a page for diffing.
+// Splitting at closing tags too keeps a block the same when the element after it disappears.
+const BLOCK_TAG_PATTERN = /(?=<\/?(?:article|section|div|li|tr|p|h[1-6]|header|footer|ul|ol|table)\b)/i;
+
+// Pages with more blocks than this are always extracted in full (the diff is O(n·m))
+const MAX_DIFF_BLOCKS = 3000;
+
+// Diff mode only pays off when most of the page is unchanged
+const MAX_CHANGED_RATIO = 0.5;
+
+// Unchanged blocks kept around each changed region so the LLM sees complete posts
+const CONTEXT_BLOCKS = 1;
+
+// Characters of cleaned HTML the LLM sees, cache keys and diffs only cover this part of the page
+export const EXTRACTION_WINDOW = 10000;
+
+/**
+ * sha256 of the parts joined by newlines
+ */
+function hash(parts) {
+  return crypto.createHash('sha256').update(parts.join('\n')).digest('hex');
+}
+
+/**
+ * Fingerprint of the extraction setup (previous extractions are only reused under the same setup)
+ */
+export function getPromptHash({ provider, model, prompt }) {
+  return hash([provider || '', model || '', prompt || '']);
+}
+
+/**
+ * Cache key for an LLM extraction: cleaned HTML plus prompt and model
+ */
+export function getExtractionCacheKey({ provider, model, prompt, html }) {
+  return hash([getPromptHash({ provider, model, prompt }), html]);
+}
+
+/**
+ * Split cleaned HTML into blocks at block-level tags
+ */
+export function splitBlocks(html) {
+  return html
+    .split(BLOCK_TAG_PATTERN)
+    .map((block) => block.trim())
+    .filter(Boolean);
+}
+
+/**
+ * Short hashes of the blocks of cleaned HTML, stored instead of the page to diff the next version against
+ */
+export function getBlockHashes(html) {
+  return splitBlocks(html).map(hashBlock);
+}
+
+function hashBlock(block) {
+  return hash([block]).slice(0, 16);
+}
+
+/**
+ * For each block of `after`, whether it also appears in `before` (longest common subsequence)
+ */
+function matchBlocks(before, after) {
+  const n = before.length;
+  const m = after.length;
+
+  // lengths[i][j] = LCS length of before[i..] and after[j..]
+  const lengths = Array.from({ length: n + 1 }, () => new Uint16Array(m + 1));
+  for (let i = n - 1; i >= 0; i--) {
+    for (let j = m - 1; j >= 0; j--) {
+      lengths[i][j] = before[i] === after[j]
+        ? lengths[i + 1][j + 1] + 1
+        : Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+    }
+  }
+
+  const matched = new Array(m).fill(false);
+  let i = 0;
+  let j = 0;
+  while (i < n && j < m) {
+    if (before[i] === after[j]) {
+      matched[j] = true;
+      i++;
+      j++;
+    } else if (lengths[i + 1][j] >= lengths[i][j + 1]) {
+      i++;
+    } else {
+      j++;
+    }
+  }
+
+  return matched;
+}
+
+/**
+ * Part of the page that is new since the previous version
+ * Blocks added since the version with `previousBlocks` (with a little context) are joined, separated by "..."
+ * @param {string[]} previousBlocks - getBlockHashes() of the previous version
+ * @returns {string|null} - Changed HTML, '' if nothing was added, or null when the whole page
+ *   should be extracted (too large, or too much changed for a diff to help)
+ */
+export function getChangedRegion(previousBlocks, html) {
+  const blocks = splitBlocks(html);
+  if (previousBlocks.length === 0 || blocks.length === 0) return null;
+  if (previousBlocks.length > MAX_DIFF_BLOCKS || blocks.length > MAX_DIFF_BLOCKS) return null;
+
+  const matched = matchBlocks(previousBlocks, blocks.map(hashBlock));
+
+  const include = new Array(blocks.length).fill(false);
+  matched.forEach((isMatched, index) => {
+    if (isMatched) return;
+    const start = Math.max(0, index - CONTEXT_BLOCKS);
+    const end = Math.min(blocks.length - 1, index + CONTEXT_BLOCKS);
+    for (let k = start; k <= end; k++) include[k] = true;
+  });
+
+  if (!matched.includes(false)) return '';
+
+  const regions = [];
+  let current = [];
+  blocks.forEach((block, index) => {
+    if (include[index]) {
+      current.push(block);
+    } else if (current.length > 0) {
+      regions.push(current.join('\n'));
+      current = [];
+    }
+  });
+  if (current.length > 0) regions.push(current.join('\n'));
+
+  const fragment = regions.join('\n...\n');
+  return fragment.length > html.length * MAX_CHANGED_RATIO ? null : fragment;
+}
+
+/**
+ * Hash of the block a post links from: the first block with a link to one of its URLs
+ * (as the LLM returned it, or resolved), null when no block has one
+ * Kept with the cached posts, so a post is forgotten once its block has left the page
+ * @param {string[]} blocks - splitBlocks() of the HTML the post was extracted from
+ */
+export function findSourceBlock(blocks, urls) {
+  const links = urls
+    .filter(Boolean)
+    .flatMap((url) => [url, url.replace(/&/g, '&amp;')])
+    .flatMap((url) => [`"${url}"`, `'${url}'`]);
+  const block = blocks.find((text) => links.some((link) => text.includes(link)));
+  return block ? hashBlock(block) : null;
+}
+
+/**
+ * Posts extracted from the changed region first, then previous posts whose block is still on the page
+ * @param {string[]} blocks - getBlockHashes() of the current page
+ * @returns {Array} - Posts de-duplicated by URL
+ */
+export function mergeExtractedPosts(newPosts, previousPosts, blocks) {
+  const onPage = new Set(blocks);
+  const seen = new Set(newPosts.map((post) => post.url));
+  return [...newPosts, ...previousPosts.filter((post) => !seen.has(post.url) && onPage.has(post.source_block))];
+}
@@ -1,16 +1,32 @@
 import axios from 'axios';
+import crypto from 'crypto';
 import Parser from 'rss-parser';
 import * as cheerio from 'cheerio';
 import * as db from './db.js';
+import { NodeHtmlMarkdown } from 'node-html-markdown';
 import { logger, toAbsoluteUrl, sendToSlack } from './utils.js';
+import { readNewEmails } from './email.js';
+import { extractLinkList, parseExcludePatterns } from './link-list.js';
+import { normalizeUrl } from './urls.js';
 import { OpenAIClient } from './openai-client.js';
+import {
+  EXTRACTION_WINDOW,
+  getPromptHash,
+  getExtractionCacheKey,
+  getBlockHashes,
+  splitBlocks,
+  getChangedRegion,
+  findSourceBlock,
+  mergeExtractedPosts,
+} from './extraction-cache.js';
 
 const rssParser = new Parser();
 
 /**
  * Transform/clean post data before processing
  * - Remove reading time from titles (e.g., "(7 minute read)")
- * - Clean URLs by removing tracking parameters
+ * - Normalize URLs: unwrap click-tracking redirects, remove tracking parameters (see normalizeUrl)
+ * - Keep the URL as found in original_url
  */
 export function transformPost(post) {
   // Clean title: remove reading time patterns like "(7 minute read)", "(3 min read)", etc.
@@ -20,29 +36,11 @@ export function transformPost(post) {
     cleanTitle = cleanTitle.replace(/\s*\(\d+[\s-]?min(ute)?s?\s+read\)/gi, '').trim();
   }
 
-  // Clean URL: remove tracking and unwanted query parameters
-  let cleanUrl = post.url;
-  if (cleanUrl) {
-    try {
-      const urlObj = new URL(cleanUrl);
-      const paramsToRemove = ['utm_source', 'utm_medium', 'utm_campaign', 'utm_term', 'utm_content', 'ref', 'reflink', 'mod'];
-
-      // Remove unwanted params
-      paramsToRemove.forEach(param => {
-        urlObj.searchParams.delete(param);
-      });
-
-      cleanUrl = urlObj.toString();
-    } catch (e) {
-      // If URL parsing fails, keep original
-      logger.warn('Failed to parse URL for cleaning', { url: post.url, error: e.message });
-    }
-  }
-
   return {
     ...post,
     title: cleanTitle,
-    url: cleanUrl
+    url: normalizeUrl(post.url),
+    original_url: post.original_url || post.url
   };
 }
 
@@ -57,17 +55,120 @@ export function cleanHTML(html) {
   return html;
 }
 
+const USER_AGENT = 'Mozilla/5.0 (compatible; NewsletterDigester/1.0; +https://github.com/yourrepo)';
+
+/**
+ * Fingerprint of everything that decides what a fetch extracts
+ * (page content plus the site's extraction settings)
+ */
+function getContentHash(site, content) {
+  return crypto
+    .createHash('sha256')
+    .update([site.type, site.extraction_rules || '', site.extraction_instructions || '', content].join('\n'))
+    .digest('hex');
+}
+
+/**
+ * GET a saved site's URL as a conditional request
+ * Sends the stored ETag / Last-Modified and compares the content hash with the last fetch
+ * @param {Object} site - Saved site row
+ * @param {Object} fetchInfo - Receives notModified: true when there is nothing new
+ * @param {Function} getHashInput - Part of the response that matters for extraction
+ * @returns {Promise<{ data: string, state: Object } | null>} - null when unchanged, state is handed to the
+ *   caller with setFetchState() once extraction succeeded
+ */
+async function fetchConditional(site, fetchInfo = {}, getHashInput = (data) => data) {
+  const headers = { 'User-Agent': USER_AGENT };
+  if (site.http_etag) headers['If-None-Match'] = site.http_etag;
+  if (site.http_last_modified) headers['If-Modified-Since'] = site.http_last_modified;
+
+  const response = await axios.get(site.url, {
+    headers,
+    timeout: 30000,
+    responseType: 'text',
+    validateStatus: (status) => (status >= 200 && status < 300) || status === 304,
+  });
+
+  if (response.status === 304) {
+    logger.info(`Not modified since last check: ${site.title}`, { site_id: site.id });
+    fetchInfo.notModified = true;
+    return null;
+  }
+
+  const state = {
+    http_etag: response.headers?.etag || null,
+    http_last_modified: response.headers?.['last-modified'] || null,
+    content_hash: getContentHash(site, getHashInput(response.data)),
+  };
+
+  if (site.content_hash && state.content_hash === site.content_hash) {
+    logger.info(`Content unchanged since last check: ${site.title}`, { site_id: site.id });
+    fetchInfo.notModified = true;
+    setFetchState(fetchInfo, state); // Validators may have changed even if the content didn't
+    return null;
+  }
+
+  return { data: response.data, state };
+}
+
+/**
+ * Hand validators and content hash for the next conditional request to the caller (fetchInfo.state)
+ * The caller saves them once the posts are stored, content whose posts weren't stored is fetched again
+ */
+function setFetchState(fetchInfo, state) {
+  if (fetchInfo) fetchInfo.state = state;
+}
+
+/**
+ * Cache the posts extracted from a page (also the base for the next diff)
+ */
+function saveLLMExtraction(site, cache, html, posts) {
+  db.saveLLMExtraction({ ...cache, site_id: site.id, blocks: getBlockHashes(html), posts });
+}
+
+/**
+ * Posts of an LLM extraction as returned to the caller, without the source blocks kept for the cache
+ */
+function toExtractedPosts(posts) {
+  return posts.map(({ source_block, ...post }) => transformPost(post));
+}
+
 /**
  * Main function to fetch content from a site based on its type
+ * @param {Object} options - throwErrors: rethrow fetch errors instead of returning no posts,
+ *   conditional: skip unchanged content (ETag / Last-Modified / content hash, saved sites only),
+ *   fetchInfo: object that receives notModified: true when a conditional fetch found nothing new,
+ *   and state: the site's validators and content hash, to save once the posts are stored
  */
-export async function fetchSiteContent(site) {
+export async function fetchSiteContent(site, options = {}) {
+  const fetchOptions = options.conditional && site.id ? { site, fetchInfo: options.fetchInfo || {} } : {};
+
   try {
     if (site.type === 'rss') {
-      return await fetchRSSFeed(site.url);
+      return await fetchRSSFeed(site.url, {
+        ...fetchOptions,
+        lookbackDays: getRSSLookbackDays(site),
+        trustFeedOrder: Boolean(site.trust_feed_order),
+        siteId: site.id,
+      });
+    } else if (site.type === 'json_feed') {
+      return await fetchJSONFeed(site.url, {
+        ...fetchOptions,
+        lookbackDays: getRSSLookbackDays(site),
+        trustFeedOrder: Boolean(site.trust_feed_order),
+        siteId: site.id,
+      });
+    } else if (site.type === 'email') {
+      return await fetchEmailNewsletters(site, {
+        fetchInfo: options.fetchInfo,
+        lookbackDays: getRSSLookbackDays(site),
+      });
     } else if (site.type === 'html_rules') {
-      return await fetchHTMLWithRules(site);
+      return await fetchHTMLWithRules(site, fetchOptions);
     } else if (site.type === 'html_llm') {
-      return await fetchHTMLWithLLM(site);
+      return await fetchHTMLWithLLM(site, fetchOptions);
+    } else if (site.type === 'html_links') {
+      return await fetchHTMLWithLinkList(site, fetchOptions);
     } else {
       logger.warn(`Unknown site type: ${site.type}`, { site_id: site.id });
       return [];
@@ -77,17 +178,15 @@ export async function fetchSiteContent(site) {
       error: error.message,
       site_id: site.id,
     });
+    if (options.throwErrors) throw error;
     return [];
   }
 }
 
 /**
- * Parse RSS date to ISO string
+ * Parse a feed date to ISO string (now if missing or invalid)
  */
-function parseRSSDate(item) {
-  // Try various date fields in order of preference
-  const dateString = item.pubDate || item.isoDate || item.date || item.published || item.updated;
-
+function parseFeedDate(dateString) {
   if (!dateString) {
     return new Date().toISOString();
   }
@@ -106,57 +205,275 @@ function parseRSSDate(item) {
   }
 }
 
+/**
+ * Parse RSS date to ISO string
+ */
+function parseRSSDate(item) {
+  // Try various date fields in order of preference
+  return parseFeedDate(item.pubDate || item.isoDate || item.date || item.published || item.updated);
+}
+
+/**
+ * Feed order mode: date the posts by their position in the feed instead of their own (broken) dates
+ * Posts already saved keep the date they were first seen, the others count down in feed order from the
+ * saved post above them (from now at the top), so items listed below old posts fall out of the lookback window
+ * @param {number} [siteId] - Saved site whose posts were seen before
+ */
+function dateByFeedOrder(posts, siteId) {
+  const urls = posts.flatMap((post) => [post.url, normalizeUrl(post.url)]);
+  const firstSeen = siteId ? db.getPostDatesByUrl(siteId, urls) : new Map();
+
+  let anchor = Date.now();
+  let anchorIndex = 0;
+  posts.forEach((post, index) => {
+    const seen = firstSeen.get(post.url) || firstSeen.get(normalizeUrl(post.url));
+    if (seen) {
+      anchor = new Date(seen).getTime();
+      anchorIndex = index;
+    }
+    post.date = new Date(anchor - (index - anchorIndex) * 1000).toISOString();
+  });
+}
+
+/**
+ * Keep the feed posts from the lookback window, newest first (in feed order with trustFeedOrder)
+ * @param {string} label - Feed kind and URL for the log line
+ */
+function selectRecentPosts(allPosts, label, options) {
+  const lookbackDays = options.lookbackDays ?? getRSSLookbackDays();
+
+  if (options.trustFeedOrder) {
+    dateByFeedOrder(allPosts, options.siteId);
+  }
+
+  let recentPosts = allPosts;
+  // Filter posts from the lookback window only
+  if (lookbackDays > 0) {
+    const cutoff = new Date();
+    cutoff.setDate(cutoff.getDate() - lookbackDays);
+    recentPosts = allPosts.filter((post) => new Date(post.date) >= cutoff);
+  }
+
+  if (!options.trustFeedOrder) {
+    // Sort by date (newest first)
+    recentPosts.sort((a, b) => new Date(b.date) - new Date(a.date));
+  }
+
+  logger.info(
+    lookbackDays === 0
+      ? `${label}: ${allPosts.length} total posts`
+      : `${label}: ${allPosts.length} total posts, ${recentPosts.length} from last ${lookbackDays} days`,
+  );
+
+  return recentPosts;
+}
+
+/**
+ * Feed lookback window of a site in days: its own setting, else rss_lookback_days (0 = no limit)
+ */
+export function getRSSLookbackDays(site = {}) {
+  if (site.lookback_days !== null && site.lookback_days !== undefined && site.lookback_days !== '') {
+    return Math.max(0, parseInt(site.lookback_days) || 0);
+  }
+  const globalDays = parseInt(db.getConfig('rss_lookback_days'));
+  return Number.isNaN(globalDays) ? 7 : Math.max(0, globalDays);
+}
+
 /**
  * Fetch and parse RSS/Atom feed
+ * @param {Object} options - site: saved site to fetch conditionally (see fetchConditional), fetchInfo,
+ *   lookbackDays: ignore items older than this (0 = keep all, default rss_lookback_days),
+ *   trustFeedOrder: ignore item dates and keep the feed's own (newest first) order, for feeds with broken dates,
+ *   siteId: saved site, so feed order mode keeps the dates its posts were first seen
  */
-export async function fetchRSSFeed(url) {
+export async function fetchRSSFeed(url, options = {}) {
   try {
-    const feed = await rssParser.parseURL(url);
+    let feed;
+    let fetchState = null;
+    if (options.site) {
+      const page = await fetchConditional(options.site, options.fetchInfo);
+      if (!page) return [];
+      feed = await rssParser.parseString(page.data);
+      fetchState = page.state;
+    } else {
+      feed = await rssParser.parseURL(url);
+    }
 
-    // Parse all items with proper date handling
+    // Parse all items with proper date handling (feed order mode dates them in selectRecentPosts)
     const allPosts = feed.items.map((item) => ({
       title: item.title || 'Untitled',
       url: item.link || item.guid || '',
       content: item.content || item.contentSnippet || item.description || '',
-      date: parseRSSDate(item),
+      date: options.trustFeedOrder ? null : parseRSSDate(item),
     }));
 
-    // Filter posts from last 7 days only
-    const sevenDaysAgo = new Date();
-    sevenDaysAgo.setDate(sevenDaysAgo.getDate() - 7);
+    const recentPosts = selectRecentPosts(allPosts, `RSS feed ${url}`, options);
 
-    const recentPosts = allPosts.filter((post) => {
-      const postDate = new Date(post.date);
-      return postDate >= sevenDaysAgo;
-    });
+    if (fetchState) setFetchState(options.fetchInfo, fetchState);
 
-    // Sort by date (newest first)
-    recentPosts.sort((a, b) => new Date(b.date) - new Date(a.date));
+    // Transform posts (clean titles and URLs)
+    return recentPosts.map(transformPost);
+  } catch (error) {
+    logger.error(`Failed to parse RSS feed: ${url}`, { error: error.message });
+    throw error;
+  }
+}
 
-    logger.info(`RSS feed ${url}: ${allPosts.length} total posts, ${recentPosts.length} from last 7 days`);
+/**
+ * Author names of a JSON Feed item (1.1 `authors`, 1.0 `author`), else the feed's own
+ */
+function getJSONFeedAuthors(item, feed) {
+  const authors = item.authors || (item.author && [item.author]) || feed.authors || (feed.author && [feed.author]) || [];
+  return authors.map((author) => author?.name).filter(Boolean);
+}
+
+/**
+ * Title of a JSON Feed item; microblog items have none, so fall back to the start of the text
+ */
+function getJSONFeedTitle(item) {
+  if (item.title) return item.title;
+
+  const text = (item.summary || item.content_text || '').replace(/\s+/g, ' ').trim();
+  if (!text) return 'Untitled';
+  return text.length > 100 ? `${text.slice(0, 100).trim()}…` : text;
+}
+
+/**
+ * Fetch and parse a JSON Feed (https://jsonfeed.org, versions 1.0 and 1.1)
+ * Posts also carry `canonical_url` (the linked article of link-blog items, `external_url`), `author` and `tags`
+ * @param {Object} options - Same as fetchRSSFeed()
+ */
+export async function fetchJSONFeed(url, options = {}) {
+  try {
+    let data;
+    let fetchState = null;
+    if (options.site) {
+      const page = await fetchConditional(options.site, options.fetchInfo);
+      if (!page) return [];
+      data = page.data;
+      fetchState = page.state;
+    } else {
+      const response = await axios.get(url, {
+        headers: { 'User-Agent': USER_AGENT, Accept: 'application/feed+json, application/json' },
+        timeout: 30000,
+        responseType: 'text',
+      });
+      data = response.data;
+    }
+
+    const feed = typeof data === 'string' ? JSON.parse(data) : data;
+    if (!feed || !Array.isArray(feed.items)) {
+      throw new Error('Invalid JSON Feed: missing items');
+    }
+
+    const allPosts = feed.items.map((item) => ({
+      title: getJSONFeedTitle(item),
+      url: item.url || item.external_url || '',
+      // Link-blog items are about the linked article, so it identifies the story (see findDuplicate)
+      canonical_url: item.external_url ? normalizeUrl(item.external_url) : null,
+      content: item.content_html || item.content_text || item.summary || '',
+      date: options.trustFeedOrder ? null : parseFeedDate(item.date_published || item.date_modified),
+      author: getJSONFeedAuthors(item, feed).join(', ') || null,
+      tags: Array.isArray(item.tags) ? item.tags.filter((tag) => typeof tag === 'string') : [],
+    }));
+
+    const recentPosts = selectRecentPosts(allPosts, `JSON Feed ${url}`, options);
+
+    if (fetchState) setFetchState(options.fetchInfo, fetchState);
 
     // Transform posts (clean titles and URLs)
     return recentPosts.map(transformPost);
   } catch (error) {
-    logger.error(`Failed to parse RSS feed: ${url}`, { error: error.message });
+    logger.error(`Failed to parse JSON Feed: ${url}`, { error: error.message });
     throw error;
   }
 }
 
+// Link text of the "View in browser" link most newsletters put at the top
+const WEB_VERSION_LINK_PATTERN =
+  /view (it |this (email|newsletter|message) )?(in (your |a )?browser|online)|read (it )?online|web version/i;
+
+/**
+ * URL of the web version of a newsletter email, if it links to one
+ */
+function findWebVersionLink(html) {
+  const $ = cheerio.load(html);
+  const link = $('a[href^="http"]')
+    .filter((i, el) => WEB_VERSION_LINK_PATTERN.test($(el).text()))
+    .first();
+  return link.attr('href') || null;
+}
+
+/**
+ * One post for a whole newsletter email
+ * Links to the web version when there is one, else to the message itself (mid: URL, RFC 2392)
+ */
+export function emailToPost(email, site = {}) {
+  const messageId = (email.message_id || '').replace(/^<|>$/g, '');
+  const url = (email.html && findWebVersionLink(email.html))
+    || (messageId ? `mid:${encodeURIComponent(messageId)}` : `${site.url}#email-${email.uid}`);
+
+  return transformPost({
+    title: email.subject || 'Untitled',
+    url,
+    content: email.html ? NodeHtmlMarkdown.translate(cleanHTML(email.html)) : email.text,
+    date: email.date,
+  });
+}
+
+/**
+ * Posts of one newsletter email for an email site
+ * email_mode single turns the email into one post, html_rules / html_llm / html_links run the
+ * site's CSS rules, LLM extraction or link list extraction against the email's HTML body
+ * @param {Object} email - Email as returned by parseEmail()
+ */
+export async function extractEmailPosts(site, email) {
+  const mode = site.email_mode || 'single';
+  if (mode === 'single') return [emailToPost(email, site)];
+
+  if (!email.html) {
+    logger.warn(`Email "${email.subject}" has no HTML body, importing it as a single post`, { site_id: site.id });
+    return [emailToPost(email, site)];
+  }
+
+  if (mode === 'html_llm') return fetchHTMLWithLLM(site, { html: email.html });
+  if (mode === 'html_links') return fetchHTMLWithLinkList(site, { html: email.html, date: email.date });
+  return fetchHTMLWithRules(site, { html: email.html });
+}
+
+/**
+ * Fetch new newsletter emails of an email site from the IMAP mailbox
+ * @param {Object} options - lookbackDays, fetchInfo (see readNewEmails)
+ */
+export async function fetchEmailNewsletters(site, options = {}) {
+  return readNewEmails(site, (email) => extractEmailPosts(site, email), options);
+}
+
 /**
  * Fetch HTML and extract using CSS selector rules
+ * @param {Object} options - site: fetch conditionally (see fetchConditional), fetchInfo,
+ *   html: extract from this HTML instead of fetching site.url (e.g. a newsletter email)
  */
-export async function fetchHTMLWithRules(site) {
+export async function fetchHTMLWithRules(site, options = {}) {
   try {
-    const response = await axios.get(site.url, {
-      headers: {
-        'User-Agent':
-          'Mozilla/5.0 (compatible; NewsletterDigester/1.0; +https://github.com/yourrepo)',
-      },
-      timeout: 30000,
-    });
+    let html;
+    let fetchState = null;
+    if (options.html !== undefined) {
+      html = options.html;
+    } else if (options.site) {
+      const page = await fetchConditional(options.site, options.fetchInfo);
+      if (!page) return [];
+      html = page.data;
+      fetchState = page.state;
+    } else {
+      const response = await axios.get(site.url, {
+        headers: { 'User-Agent': USER_AGENT },
+        timeout: 30000,
+      });
+      html = response.data;
+    }
 
-    const $ = cheerio.load(response.data);
+    const $ = cheerio.load(html);
     const posts = [];
 
     // Parse extraction rules from JSON
@@ -262,8 +579,10 @@ export async function fetchHTMLWithRules(site) {
       });
     });
 
+    if (fetchState) setFetchState(options.fetchInfo, fetchState);
+
     // Transform posts (clean titles and URLs)
-    return posts.map(transformPost);
+    return toExtractedPosts(posts);
   } catch (error) {
     logger.error(`Failed to fetch HTML with rules: ${site.url}`, {
       error: error.message,
@@ -272,6 +591,48 @@ export async function fetchHTMLWithRules(site) {
   }
 }
 
+/**
+ * Fetch HTML and turn every linked item into a post (digest newsletters, link roundups)
+ * Links matching the link_list_exclude_patterns config are dropped
+ * @param {Object} options - site, fetchInfo, html (see fetchHTMLWithRules),
+ *   date: date of the posts (e.g. the email's), defaults to now
+ */
+export async function fetchHTMLWithLinkList(site, options = {}) {
+  try {
+    let html;
+    let fetchState = null;
+    if (options.html !== undefined) {
+      html = options.html;
+    } else if (options.site) {
+      const page = await fetchConditional(options.site, options.fetchInfo);
+      if (!page) return [];
+      html = page.data;
+      fetchState = page.state;
+    } else {
+      const response = await axios.get(site.url, {
+        headers: { 'User-Agent': USER_AGENT },
+        timeout: 30000,
+      });
+      html = response.data;
+    }
+
+    const date = options.date || new Date().toISOString();
+    const items = extractLinkList(html, site.url, {
+      excludePatterns: parseExcludePatterns(db.getConfig('link_list_exclude_patterns')),
+    });
+    logger.info(`Link list: ${items.length} links found for ${site.title}`, { site_id: site.id });
+
+    if (fetchState) setFetchState(options.fetchInfo, fetchState);
+
+    return items.map((item) => transformPost({ ...item, date }));
+  } catch (error) {
+    logger.error(`Failed to fetch HTML link list: ${site.url}`, {
+      error: error.message,
+    });
+    throw error;
+  }
+}
+
 /**
  * Strip markdown code blocks from LLM response
  */
@@ -292,8 +653,13 @@ function stripCodeBlocks(content) {
 
 /**
  * Fetch HTML and extract using LLM
+ * @param {Object} site - Site row (or temporary site object)
+ * @param {Object} options - Optional purpose for usage tracking, a usage object to receive token counts,
+ *   and site/fetchInfo to fetch conditionally (an unchanged page never reaches the LLM, extractions are
+ *   cached and, in diff mode, only the changed part of the page is sent), or html to extract from
+ *   instead of fetching site.url
  */
-export async function fetchHTMLWithLLM(site) {
+export async function fetchHTMLWithLLM(site, options = {}) {
   try {
     logger.info(`Starting LLM extraction for site: ${site.title}`, {
       site_id: site.id,
@@ -303,17 +669,33 @@ export async function fetchHTMLWithLLM(site) {
     // Create OpenAI client
     const openaiClient = new OpenAIClient();
 
-    // Fetch HTML
-    logger.info(`Fetching HTML from: ${site.url}`, { site_id: site.id });
-    const response = await axios.get(site.url, {
-      headers: {
-        'User-Agent':
-          'Mozilla/5.0 (compatible; NewsletterDigester/1.0; +https://github.com/yourrepo)',
-      },
-      timeout: 30000,
-    });
+    // Always use base prompt
+    const basePrompt = db.getConfig('prompt_html_extract_base');
 
-    const html = response.data;
+    // Fetch HTML
+    let html;
+    let fetchState = null;
+    if (options.html !== undefined) {
+      html = options.html;
+    } else if (options.site) {
+      logger.info(`Fetching HTML from: ${site.url}`, { site_id: site.id });
+      // Hash what the LLM would see, so script nonces or markup after the cut-off don't count as changes
+      const page = await fetchConditional(
+        options.site,
+        options.fetchInfo,
+        (data) => `${basePrompt}\n${cleanHTML(data).substring(0, EXTRACTION_WINDOW)}`,
+      );
+      if (!page) return [];
+      html = page.data;
+      fetchState = page.state;
+    } else {
+      logger.info(`Fetching HTML from: ${site.url}`, { site_id: site.id });
+      const response = await axios.get(site.url, {
+        headers: { 'User-Agent': USER_AGENT },
+        timeout: 30000,
+      });
+      html = response.data;
+    }
     logger.info(`Fetched HTML (${html.length} chars)`, { site_id: site.id });
 
     // Clean HTML to remove script and style tags
@@ -322,9 +704,6 @@ export async function fetchHTMLWithLLM(site) {
       site_id: site.id,
     });
 
-    // Always use base prompt
-    const basePrompt = db.getConfig('prompt_html_extract_base');
-
     // Append site-specific instructions if provided
     let fullPrompt = basePrompt;
     if (site.extraction_instructions) {
@@ -334,15 +713,74 @@ export async function fetchHTMLWithLLM(site) {
       });
     }
 
+    const purpose = options.purpose || 'html_llm_extraction';
+    // The part of the page the LLM sees, also what extractions are cached and diffed by
+    const pageWindow = cleanedHTML.substring(0, EXTRACTION_WINDOW);
+    let userContent = `Base URL: ${site.url}\n\nHTML (truncated to first ${EXTRACTION_WINDOW} chars):\n${pageWindow}`;
+    let systemPrompt = fullPrompt;
+    let previousPosts = null;
+
+    // Conditional (cron) fetches reuse earlier extractions of the same page with the same prompt and model
+    let cache = null;
+    if (options.site) {
+      const setup = {
+        provider: openaiClient.providerName,
+        model: openaiClient.getModelForPurpose(purpose),
+        prompt: fullPrompt,
+      };
+      const promptHash = getPromptHash(setup);
+      cache = {
+        prompt_hash: promptHash,
+        cache_key: getExtractionCacheKey({ ...setup, html: pageWindow }),
+      };
+
+      const cached = db.getLLMExtraction(cache.cache_key);
+      if (cached) {
+        logger.info(`Reusing cached LLM extraction (${cached.posts.length} posts)`, { site_id: site.id });
+        saveLLMExtraction(site, cache, pageWindow, cached.posts);
+        if (fetchState) setFetchState(options.fetchInfo, fetchState);
+        return toExtractedPosts(cached.posts);
+      }
+
+      // Diff mode: only send what changed since the last extraction
+      const previous = db.getConfig('llm_extraction_diff_mode') === '1'
+        ? db.getLatestLLMExtraction(site.id, promptHash)
+        : null;
+      const changed = previous ? getChangedRegion(previous.blocks, pageWindow) : null;
+
+      if (changed === '') {
+        logger.info('No new content since the last LLM extraction', { site_id: site.id });
+        // Blocks may have been removed, their posts are dropped
+        const posts = mergeExtractedPosts([], previous.posts, getBlockHashes(pageWindow));
+        saveLLMExtraction(site, cache, pageWindow, posts);
+        if (fetchState) setFetchState(options.fetchInfo, fetchState);
+        return toExtractedPosts(posts);
+      }
+
+      if (changed) {
+        logger.info(`Sending changed part of the page to the LLM (${changed.length} of ${pageWindow.length} chars)`, {
+          site_id: site.id,
+        });
+        previousPosts = previous.posts;
+        systemPrompt += '\n\nOnly the parts of the page that changed since the last check are included, separated by "...". Extract the posts found in them.';
+        userContent = `Base URL: ${site.url}\n\nChanged HTML (from the first ${EXTRACTION_WINDOW} chars):\n${changed}`;
+      }
+    }
+
     // Call OpenAI
-    logger.info('Calling OpenAI API for extraction', { site_id: site.id });
-    const rawContent = await openaiClient.createChatCompletion([
-      { role: 'system', content: fullPrompt },
-      {
-        role: 'user',
-        content: `Base URL: ${site.url}\n\nHTML (truncated to first 10000 chars):\n${cleanedHTML.substring(0, 10000)}`,
-      },
-    ]);
+    logger.info('Calling LLM for extraction', { site_id: site.id });
+    const rawContent = await openaiClient.createChatCompletion(
+      [
+        { role: 'system', content: systemPrompt },
+        { role: 'user', content: userContent },
+      ],
+      { purpose, site_id: site.id },
+    );
+
+    // Expose token usage of this call to the caller (e.g. test extraction preview)
+    if (options.usage && openaiClient.lastUsage) {
+      Object.assign(options.usage, openaiClient.lastUsage);
+    }
 
     logger.info(`Received LLM response (${rawContent.length} chars)`, {
       site_id: site.id,
@@ -392,18 +830,30 @@ export async function fetchHTMLWithLLM(site) {
     }
 
     // Validate and normalize posts
-    const posts = result
+    const pageBlocks = splitBlocks(pageWindow);
+    const extracted = result
       .filter((post) => post.title && post.url)
-      .map((post) => ({
-        title: post.title,
-        url: toAbsoluteUrl(post.url, site.url),
-        content: post.content || '',
-        date: post.date || new Date().toISOString(),
-      }));
-
-    logger.info(`LLM extracted ${posts.length} posts from ${site.title}`, {
+      .map((post) => {
+        const url = toAbsoluteUrl(post.url, site.url);
+        return {
+          title: post.title,
+          url,
+          content: post.content || '',
+          date: post.date || new Date().toISOString(),
+          source_block: findSourceBlock(pageBlocks, [post.url, url]),
+        };
+      });
+
+    // A diff extraction only sees new posts, the rest of the page is known from last time
+    const posts = previousPosts ? mergeExtractedPosts(extracted, previousPosts, getBlockHashes(pageWindow)) : extracted;
+
+    // Only remembered after a successful extraction, so a failed LLM call is retried next run
+    if (cache) saveLLMExtraction(site, cache, pageWindow, posts);
+    if (fetchState) setFetchState(options.fetchInfo, fetchState);
+
+    logger.info(`LLM extracted ${extracted.length} posts from ${site.title}`, {
       site_id: site.id,
-      filtered_count: result.length - posts.length,
+      filtered_count: result.length - extracted.length,
     });
 
     // Log sample of extracted posts for debugging
@@ -415,7 +865,7 @@ export async function fetchHTMLWithLLM(site) {
     }
 
     // Transform posts (clean titles and URLs)
-    return posts.map(transformPost);
+    return toExtractedPosts(posts);
   } catch (error) {
     logger.error(`LLM extraction failed for site ${site.title}`, {
       error: error.message,
@@ -426,6 +876,72 @@ export async function fetchHTMLWithLLM(site) {
   }
 }
 
+/**
+ * Suggest CSS selectors for the posts of a page with the LLM
+ * @param {string} html - Page HTML
+ * @param {Object} options - url: page URL given to the LLM, additionalInstructions: appended to the prompt
+ * @returns {Promise<{ selectors: Object, raw_response: string }>} - selectors as { postContainer, title, link,
+ *   date, content }; an unparseable response throws an error carrying raw_response
+ */
+export async function generateSelectorsWithLLM(html, options = {}) {
+  const openaiClient = new OpenAIClient();
+
+  // Clean HTML using the same method as HTML LLM extraction
+  logger.info(`Received HTML (${html.length} chars)`);
+  const cleanedHTML = cleanHTML(html);
+  logger.info(`Cleaned HTML (${cleanedHTML.length} chars)`);
+
+  // Get base prompt from config
+  const basePrompt = db.getConfig('prompt_selector_generation') || `You are a web scraping expert. Analyze the HTML structure and identify the best CSS selectors to extract post information.
+
+Return ONLY a JSON object with this exact structure:
+{
+  "postContainer": "CSS selector for each post container",
+  "title": "CSS selector for title (relative to container)",
+  "link": "CSS selector for link (relative to container)",
+  "date": "CSS selector for date (relative to container, empty string if not found)",
+  "content": "CSS selector for content (relative to container, empty string if not found)"
+}`;
+
+  // Build final prompt by appending additional instructions if provided
+  let systemPrompt = basePrompt;
+  if (options.additionalInstructions && options.additionalInstructions.trim()) {
+    systemPrompt += `\n\nAdditional site-specific instructions:\n${options.additionalInstructions}`;
+  }
+
+  // Call OpenAI using the wrapper (same truncation as HTML LLM extraction)
+  const content = await openaiClient.createChatCompletion(
+    [
+      { role: 'system', content: systemPrompt },
+      {
+        role: 'user',
+        content: `Base URL: ${options.url || 'N/A'}\n\nHTML (truncated to first 10000 chars):\n${cleanedHTML.substring(0, 10000)}`,
+      },
+    ],
+    { purpose: 'selector_generation' },
+  );
+
+  // Try to parse as JSON
+  try {
+    // Extract JSON from markdown code blocks if present
+    let jsonContent = content;
+    const jsonMatch = content.match(/```(?:json)?\s*\n?([\s\S]*?)\n?```/);
+    if (jsonMatch) {
+      jsonContent = jsonMatch[1];
+    }
+
+    return { selectors: JSON.parse(jsonContent), raw_response: content };
+  } catch (e) {
+    logger.error('Failed to parse LLM response for selector generation', {
+      error: e.message,
+      content,
+    });
+    const error = new Error('Failed to parse LLM response as JSON');
+    error.raw_response = content;
+    throw error;
+  }
+}
+
 /**
  * Post-process AI-generated summary to clean up formatting
  */
@@ -455,9 +971,11 @@ function cleanupSummary(summary) {
 }
 
 /**
- * Summarize post content using OpenAI
+ * Summarize post content using the configured LLM provider
+ * @param {string} content - Post content to summarize
+ * @param {Object} options - Optional post_id/site_id recorded with the LLM usage
  */
-export async function summarizePost(content) {
+export async function summarizePost(content, options = {}) {
   try {
     // Create OpenAI client
     const openaiClient = new OpenAIClient();
@@ -470,7 +988,12 @@ export async function summarizePost(content) {
         { role: 'system', content: prompt },
         { role: 'user', content: content.substring(0, 10000) }, // Limit content size
       ],
-      { max_tokens: 200 },
+      {
+        max_tokens: 200,
+        purpose: 'summarization',
+        post_id: options.post_id,
+        site_id: options.site_id,
+      },
     );
 
     // Clean up the AI-generated summary
@@ -0,0 +1,159 @@
+import crypto from 'crypto';
+import { SMTPServer } from 'smtp-server';
+import * as db from './db.js';
+import { logger } from './utils.js';
+import { parseEmail } from './email.js';
+import { processInboundEmail } from './cron.js';
+
+// Largest forwarded message accepted (HTTP route and SMTP listener)
+export const MAX_INBOUND_EMAIL_SIZE = 10 * 1024 * 1024;
+
+let smtpServer = null;
+
+/**
+ * Plus-address parts of an address (digest+weekly@example.com → ["weekly"], digest+t0k3n+weekly@… → ["t0k3n", "weekly"])
+ */
+function getPlusParts(address) {
+  const match = /^[^@+]+\+([^@]+)@/.exec(address || '');
+  return match ? match[1].toLowerCase().split('+').filter(Boolean) : [];
+}
+
+/**
+ * Whether a recipient address carries the inbound token as a plus-address part (digest+<token>+weekly@example.com)
+ * Compared case-insensitively, mail servers may lowercase addresses
+ */
+export function hasInboundToken(address, token = db.getConfig('inbound_email_token')) {
+  return Boolean(token) && getPlusParts(address).includes(token.toLowerCase());
+}
+
+/**
+ * Whether a token sent to the HTTP route is the inbound token
+ * Compared in constant time (as digests, timingSafeEqual needs equal lengths)
+ */
+export function isInboundToken(value, token = db.getConfig('inbound_email_token')) {
+  if (!token || typeof value !== 'string') return false;
+  const digest = (text) => crypto.createHash('sha256').update(text).digest();
+  return crypto.timingSafeEqual(digest(value), digest(token));
+}
+
+/**
+ * Active email site a forwarded email belongs to
+ * A plus-address tag in the recipients (site email_tag) wins, else the first site whose
+ * sender (and subject) filters match
+ * @param {Object} email - Email as returned by parseEmail()
+ * @param {string[]} recipients - Envelope recipients (SMTP RCPT TO), on top of the To / Cc headers
+ * @returns {Object|null}
+ */
+export function matchInboundSite(email, recipients = [], sites = db.getActiveSites()) {
+  const emailSites = sites.filter((site) => site.type === 'email');
+
+  const tags = [...recipients, ...email.to].flatMap(getPlusParts);
+  const tagged = emailSites.find((site) => site.email_tag && tags.includes(site.email_tag.toLowerCase()));
+  if (tagged) return tagged;
+
+  const from = email.from.toLowerCase();
+  const subject = email.subject.toLowerCase();
+  return emailSites.find(
+    (site) =>
+      site.email_from &&
+      from.includes(site.email_from.toLowerCase()) &&
+      (!site.email_subject || subject.includes(site.email_subject.toLowerCase())),
+  ) || null;
+}
+
+/**
+ * Accept a forwarded newsletter: match it to a site and start the pipeline for it in the background
+ * @param {Buffer|string} source - Raw RFC 822 message
+ * @param {Object} options - recipients: envelope recipients used for plus-address matching
+ * @returns {Promise<{ email: Object, site: Object|null, processing: Promise|null }>} - processing settles
+ *   once the posts were saved, summarized and sent
+ */
+export async function receiveInboundEmail(source, options = {}) {
+  const email = await parseEmail(source);
+  const site = matchInboundSite(email, options.recipients);
+
+  if (!site) {
+    logger.warn(`No email site matches inbound email "${email.subject}"`, { from: email.from });
+    return { email, site: null, processing: null };
+  }
+
+  logger.info(`Inbound email "${email.subject}" matched site ${site.title}`, { site_id: site.id });
+  const processing = processInboundEmail(site, email).catch((error) => {
+    logger.error(`Failed to process inbound email for ${site.title}`, { error: error.message, site_id: site.id });
+  });
+
+  return { email, site, processing };
+}
+
+/**
+ * Start the SMTP listener for forwarded newsletters
+ * Only when inbound email is enabled, an inbound token is set and inbound_smtp_port is set (or a port is passed)
+ * The listener has no login, so it only accepts mail to recipients carrying the token (see hasInboundToken)
+ * @returns {Promise<SMTPServer|null>}
+ */
+export async function startSMTPServer(port = parseInt(db.getConfig('inbound_smtp_port'))) {
+  if (db.getConfig('inbound_email_enabled') !== '1' || !Number.isInteger(port)) return null;
+  if (!db.getConfig('inbound_email_token')) {
+    logger.warn('SMTP listener not started: it needs an inbound token (sent as digest+<token>@your-domain)');
+    return null;
+  }
+
+  smtpServer = new SMTPServer({
+    authOptional: true,
+    disabledCommands: ['AUTH', 'STARTTLS'],
+    size: MAX_INBOUND_EMAIL_SIZE,
+    logger: false,
+    onRcptTo(address, session, callback) {
+      if (!hasInboundToken(address.address)) {
+        const error = new Error('Recipient not accepted');
+        error.responseCode = 550;
+        return callback(error);
+      }
+      callback();
+    },
+    onData(stream, session, callback) {
+      const chunks = [];
+      stream.on('data', (chunk) => chunks.push(chunk));
+      stream.on('end', async () => {
+        if (stream.sizeExceeded) {
+          const error = new Error('Message exceeds the size limit');
+          error.responseCode = 552;
+          return callback(error);
+        }
+
+        try {
+          const { site } = await receiveInboundEmail(Buffer.concat(chunks), {
+            recipients: session.envelope.rcptTo.map((recipient) => recipient.address),
+          });
+          if (!site) {
+            const error = new Error('No site matches this newsletter');
+            error.responseCode = 550;
+            return callback(error);
+          }
+          callback();
+        } catch (error) {
+          logger.error('Failed to receive inbound email', { error: error.message });
+          callback(error);
+        }
+      });
+    },
+  });
+
+  smtpServer.on('error', (error) => {
+    logger.error('SMTP listener error', { error: error.message });
+  });
+
+  await new Promise((resolve) => smtpServer.listen(port, resolve));
+  logger.info(`SMTP listener for forwarded newsletters on port ${smtpServer.server.address().port}`);
+  return smtpServer;
+}
+
+/**
+ * Stop the SMTP listener (if running)
+ */
+export async function stopSMTPServer() {
+  if (!smtpServer) return;
+
+  await new Promise((resolve) => smtpServer.close(resolve));
+  smtpServer = null;
+}
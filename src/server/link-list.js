@@ -0,0 +1,107 @@
+import * as cheerio from 'cheerio';
+import { toAbsoluteUrl } from './utils.js';
+import { unwrapRedirectUrl } from './urls.js';
+
+// Blocks a link's blurb is taken from
+const BLOCK_SELECTOR = 'p, li, td, div, article, section, blockquote, h1, h2, h3, h4, h5, h6';
+
+// Links with shorter text are navigation ("Read more", "Home"), not items
+const MIN_TITLE_LENGTH = 12;
+
+// Blurbs shorter than this (e.g. a bare heading) pick up the following block instead
+const MIN_BLURB_LENGTH = 40;
+
+const MAX_BLURB_LENGTH = 1000;
+
+/**
+ * Exclude patterns as regexes
+ * One case-insensitive regex per line, lines that aren't valid regexes match literally
+ * @param {string} patterns - Newline-separated patterns (config link_list_exclude_patterns)
+ */
+export function parseExcludePatterns(patterns) {
+  return (patterns || '')
+    .split('\n')
+    .map((line) => line.trim())
+    .filter(Boolean)
+    .map((line) => {
+      try {
+        return new RegExp(line, 'i');
+      } catch (error) {
+        return new RegExp(line.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), 'i');
+      }
+    });
+}
+
+function normalizeText(text) {
+  return text.replace(/\s+/g, ' ').trim();
+}
+
+function truncate(text) {
+  return text.length > MAX_BLURB_LENGTH ? `${text.slice(0, MAX_BLURB_LENGTH).trim()}…` : text;
+}
+
+/**
+ * Number of links in an element that look like items (long enough link text)
+ */
+function countItemLinks($, el) {
+  return $(el)
+    .find('a[href]')
+    .filter((i, a) => normalizeText($(a).text()).length >= MIN_TITLE_LENGTH).length;
+}
+
+/**
+ * Text describing a link: its block without the link text, or the following block when the
+ * link sits alone in a heading (blocks holding several items are never used)
+ */
+function getBlurb($, link, title) {
+  const block = link.closest(BLOCK_SELECTOR);
+  if (!block.length || countItemLinks($, block) > 1) return '';
+
+  let blurb = normalizeText(normalizeText(block.text()).replace(title, ''));
+  if (blurb.length < MIN_BLURB_LENGTH) {
+    const next = block.next();
+    if (next.length && countItemLinks($, next) === 0) {
+      blurb = normalizeText(`${blurb} ${next.text()}`);
+    }
+  }
+
+  return truncate(blurb);
+}
+
+/**
+ * Split a digest-style newsletter (or any link list page) into one item per link
+ * Tracking redirects are unwrapped, links matching an exclude pattern (title or URL) and
+ * repeated links are dropped
+ * @param {string} html - Newsletter HTML
+ * @param {string} baseUrl - Base for relative links
+ * @param {Object} options - excludePatterns: RegExp[] (see parseExcludePatterns)
+ * @returns {Array<{ title: string, url: string, original_url: string, content: string }>}
+ */
+export function extractLinkList(html, baseUrl, options = {}) {
+  const excludePatterns = options.excludePatterns || [];
+  const $ = cheerio.load(html);
+  $('script, style, head, noscript').remove();
+
+  const items = [];
+  const seen = new Set();
+
+  $('a[href]').each((i, el) => {
+    const link = $(el);
+    const href = (link.attr('href') || '').trim();
+    if (!href || /^(#|mailto:|tel:|javascript:)/i.test(href)) return;
+
+    const title = normalizeText(link.text());
+    if (title.length < MIN_TITLE_LENGTH) return;
+
+    const originalUrl = toAbsoluteUrl(href, baseUrl);
+    const url = unwrapRedirectUrl(originalUrl);
+    if (!/^https?:\/\//i.test(url)) return;
+    if (excludePatterns.some((pattern) => pattern.test(title) || pattern.test(url))) return;
+    if (seen.has(url)) return;
+    seen.add(url);
+
+    items.push({ title, url, original_url: originalUrl, content: getBlurb($, link, title) });
+  });
+
+  return items;
+}
@@ -0,0 +1,178 @@
+import axios from 'axios';
+import OpenAI from 'openai';
+
+/**
+ * Supported LLM providers
+ * Each provider reads its settings from `<configPrefix>_api_key`, `<configPrefix>_base_url`
+ * and `<configPrefix>_model` in the config table
+ */
+export const LLM_PROVIDERS = {
+  openai: {
+    label: 'OpenAI-compatible',
+    configPrefix: 'openai',
+    requiresApiKey: true,
+    defaultBaseURL: 'https://api.openai.com/v1',
+    defaultModel: 'gpt-3.5-turbo',
+  },
+  anthropic: {
+    label: 'Anthropic',
+    configPrefix: 'anthropic',
+    requiresApiKey: true,
+    defaultBaseURL: 'https://api.anthropic.com',
+    defaultModel: 'claude-3-5-haiku-latest',
+  },
+  ollama: {
+    label: 'Ollama',
+    configPrefix: 'ollama',
+    requiresApiKey: false,
+    defaultBaseURL: 'http://localhost:11434',
+    defaultModel: 'llama3.1',
+  },
+};
+
+const REQUEST_TIMEOUT = 120000; // Local models can be slow on long prompts
+
+/**
+ * Turn an axios error into an Error with the provider's own error message
+ */
+function toProviderError(label, error) {
+  if (!error.response) return error;
+
+  const data = error.response.data;
+  const detail = data?.error?.message || (typeof data?.error === 'string' ? data.error : null) || error.message;
+  const wrapped = new Error(`${label} API error (${error.response.status}): ${detail}`);
+  wrapped.status = error.response.status;
+  wrapped.headers = error.response.headers; // Kept for Retry-After handling
+  return wrapped;
+}
+
+/**
+ * Any endpoint implementing the OpenAI chat completions API
+ * (OpenAI, LM Studio, vLLM, OpenRouter, Ollama's /v1 shim, ...)
+ */
+export class OpenAICompatibleProvider {
+  constructor({ apiKey, baseURL }) {
+    // Retries are handled by OpenAIClient for all providers alike
+    this.client = new OpenAI({ apiKey, baseURL, maxRetries: 0 });
+  }
+
+  async chat(messages, { model, temperature, max_tokens }) {
+    const response = await this.client.chat.completions.create({
+      model,
+      messages,
+      temperature,
+      max_tokens,
+    });
+
+    const usage = response.usage || {};
+    return {
+      content: response.choices[0].message.content,
+      model: response.model || model,
+      prompt_tokens: usage.prompt_tokens || 0,
+      completion_tokens: usage.completion_tokens || 0,
+    };
+  }
+}
+
+/**
+ * Anthropic Messages API (POST /v1/messages)
+ */
+export class AnthropicProvider {
+  constructor({ apiKey, baseURL }) {
+    this.apiKey = apiKey;
+    this.baseURL = baseURL.replace(/\/+$/, '');
+  }
+
+  async chat(messages, { model, temperature, max_tokens }) {
+    // System prompts are a top-level field, not a message role
+    const system = messages
+      .filter((m) => m.role === 'system')
+      .map((m) => m.content)
+      .join('\n\n');
+
+    const body = {
+      model,
+      max_tokens: max_tokens || 4096, // Required by the Messages API
+      temperature,
+      messages: messages.filter((m) => m.role !== 'system'),
+    };
+    if (system) body.system = system;
+
+    let response;
+    try {
+      response = await axios.post(`${this.baseURL}/v1/messages`, body, {
+        headers: {
+          'x-api-key': this.apiKey,
+          'anthropic-version': '2023-06-01',
+          'content-type': 'application/json',
+        },
+        timeout: REQUEST_TIMEOUT,
+      });
+    } catch (error) {
+      throw toProviderError('Anthropic', error);
+    }
+
+    const data = response.data;
+    return {
+      content: (data.content || [])
+        .filter((block) => block.type === 'text')
+        .map((block) => block.text)
+        .join(''),
+      model: data.model || model,
+      prompt_tokens: data.usage?.input_tokens || 0,
+      completion_tokens: data.usage?.output_tokens || 0,
+    };
+  }
+}
+
+/**
+ * Ollama native chat API (POST /api/chat)
+ */
+export class OllamaProvider {
+  constructor({ baseURL }) {
+    // Accept the OpenAI-style ".../v1" URL people often paste from other tools
+    this.baseURL = baseURL.replace(/\/+$/, '').replace(/\/v1$/, '');
+  }
+
+  async chat(messages, { model, temperature, max_tokens }) {
+    const options = { temperature };
+    if (max_tokens) options.num_predict = max_tokens;
+
+    let response;
+    try {
+      response = await axios.post(
+        `${this.baseURL}/api/chat`,
+        { model, messages, stream: false, options },
+        { timeout: REQUEST_TIMEOUT },
+      );
+    } catch (error) {
+      throw toProviderError('Ollama', error);
+    }
+
+    const data = response.data;
+    return {
+      content: data.message?.content || '',
+      model: data.model || model,
+      prompt_tokens: data.prompt_eval_count || 0,
+      completion_tokens: data.eval_count || 0,
+    };
+  }
+}
+
+/**
+ * Create a provider adapter by name
+ * @param {string} name - openai, anthropic or ollama
+ * @param {Object} settings - apiKey and baseURL
+ */
+export function createProvider(name, settings) {
+  switch (name) {
+    case 'openai':
+      return new OpenAICompatibleProvider(settings);
+    case 'anthropic':
+      return new AnthropicProvider(settings);
+    case 'ollama':
+      return new OllamaProvider(settings);
+    default:
+      throw new Error(`Unknown LLM provider: ${name}`);
+  }
+}
@@ -0,0 +1,180 @@
+import fs from 'fs';
+import path from 'path';
+
+// Pre-migration backups kept next to the database file, older ones are deleted
+const MAX_MIGRATION_BACKUPS = 3;
+
+/**
+ * Schema version of a database: the highest applied migration, 0 before the first migration
+ */
+export function getSchemaVersion(db) {
+  if (!hasTable(db, 'schema_migrations')) return 0;
+  return db.prepare('SELECT MAX(version) AS version FROM schema_migrations').get().version || 0;
+}
+
+/**
+ * Apply the migrations a database hasn't seen yet, in version order
+ * Each migration runs in its own transaction and is recorded in schema_migrations, so it runs exactly once.
+ * A file database that already has tables is copied to <file>.pre-migration-v<version>-<time> first.
+ * @param {Array} migrations - { version, name, up(db), foreignKeys: false for table rebuilds }
+ * @returns {Object} - { from, to, applied: ['002_sites_is_active', ...], backup_path }
+ */
+export function migrate(db, migrations) {
+  checkOrder(migrations);
+
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS schema_migrations (
+      version INTEGER PRIMARY KEY,
+      name TEXT NOT NULL,
+      applied_at TEXT DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+
+  const from = getSchemaVersion(db);
+  const latest = migrations.length > 0 ? migrations[migrations.length - 1].version : 0;
+  if (from > latest) {
+    throw new Error(`Database schema version ${from} is newer than the latest known migration (${latest})`);
+  }
+
+  const applied = new Set(db.prepare('SELECT version FROM schema_migrations').all().map((row) => row.version));
+  const pending = migrations.filter((migration) => !applied.has(migration.version));
+  if (pending.length === 0) {
+    return { from, to: from, applied: [], backup_path: null };
+  }
+
+  const backupPath = hasUserTables(db) ? backupBeforeMigration(db, from) : null;
+
+  for (const migration of pending) {
+    runMigration(db, migration);
+  }
+
+  return { from, to: latest, applied: pending.map(migrationId), backup_path: backupPath };
+}
+
+function migrationId(migration) {
+  return `${String(migration.version).padStart(3, '0')}_${migration.name}`;
+}
+
+function checkOrder(migrations) {
+  migrations.forEach((migration, index) => {
+    if (!Number.isInteger(migration.version) || typeof migration.up !== 'function') {
+      throw new Error(`Invalid migration at position ${index + 1}`);
+    }
+    if (index > 0 && migration.version <= migrations[index - 1].version) {
+      throw new Error(`Migration ${migrationId(migration)} is out of order`);
+    }
+  });
+}
+
+function runMigration(db, migration) {
+  // Table rebuilds need foreign keys off, which can't be changed inside a transaction
+  const rebuild = migration.foreignKeys === false;
+  const foreignKeys = db.pragma('foreign_keys', { simple: true });
+  if (rebuild && foreignKeys) db.pragma('foreign_keys = OFF');
+
+  try {
+    db.transaction(() => {
+      migration.up(db);
+
+      if (rebuild) {
+        const violations = db.pragma('foreign_key_check');
+        if (violations.length > 0) {
+          throw new Error(`${violations.length} foreign key violations (first in ${violations[0].table})`);
+        }
+      }
+
+      db.prepare('INSERT INTO schema_migrations (version, name) VALUES (?, ?)').run(migration.version, migration.name);
+    })();
+  } catch (error) {
+    throw new Error(`Migration ${migrationId(migration)} failed: ${error.message}`, { cause: error });
+  } finally {
+    if (rebuild && foreignKeys) db.pragma('foreign_keys = ON');
+  }
+}
+
+function hasUserTables(db) {
+  const row = db.prepare(`
+    SELECT COUNT(*) AS count FROM sqlite_master
+    WHERE type = 'table' AND name NOT LIKE 'sqlite_%' AND name != 'schema_migrations'
+  `).get();
+  return row.count > 0;
+}
+
+/**
+ * Copy a file database before migrating it (in-memory databases are skipped)
+ * @returns {string|null} - path of the copy
+ */
+function backupBeforeMigration(db, version) {
+  if (db.memory) return null;
+
+  const stamp = new Date().toISOString().replace(/[:.]/g, '-');
+  const prefix = `${path.basename(db.name)}.pre-migration-`;
+  const backupPath = path.join(path.dirname(db.name), `${prefix}v${version}-${stamp}`);
+
+  // VACUUM INTO writes a consistent, compacted copy through the open connection
+  db.prepare('VACUUM INTO ?').run(backupPath);
+
+  const dir = path.dirname(db.name);
+  const backups = fs.readdirSync(dir).filter((file) => file.startsWith(prefix)).sort((a, b) => {
+    return fs.statSync(path.join(dir, a)).mtimeMs - fs.statSync(path.join(dir, b)).mtimeMs;
+  });
+  for (const file of backups.slice(0, -MAX_MIGRATION_BACKUPS)) {
+    fs.unlinkSync(path.join(dir, file));
+  }
+
+  return backupPath;
+}
+
+// ========== Helpers for migrations ==========
+
+export function hasTable(db, table) {
+  return Boolean(db.prepare("SELECT 1 FROM sqlite_master WHERE type = 'table' AND name = ?").get(table));
+}
+
+export function getColumns(db, table) {
+  return db.prepare(`PRAGMA table_info(${table})`).all().map((column) => column.name);
+}
+
+/**
+ * Add the columns a table doesn't have yet
+ * Databases from before versioned migrations may already have some of them
+ * @param {Object} columns - { name: 'TYPE DEFAULT ...' }
+ * @returns {Array} - names of the added columns
+ */
+export function addColumns(db, table, columns) {
+  const existing = getColumns(db, table);
+  const added = [];
+
+  for (const [name, definition] of Object.entries(columns)) {
+    if (existing.includes(name)) continue;
+    db.exec(`ALTER TABLE ${table} ADD COLUMN ${name} ${definition}`);
+    added.push(name);
+  }
+
+  return added;
+}
+
+/**
+ * Recreate a table with a new definition, for changes ALTER TABLE can't make (constraints, column types)
+ * createSql creates the table as <table>_new; rows are copied for the columns both definitions have,
+ * and the table's indexes and triggers are recreated. Use from a migration with foreignKeys: false.
+ * @param {Object} options - ignoreConflicts: skip rows violating a new unique constraint
+ */
+export function rebuildTable(db, table, createSql, options = {}) {
+  const newTable = `${table}_new`;
+  const dependents = db.prepare(`
+    SELECT sql FROM sqlite_master WHERE tbl_name = ? AND type IN ('index', 'trigger') AND sql IS NOT NULL
+  `).all(table);
+
+  db.exec(createSql);
+  const newColumns = getColumns(db, newTable);
+  const columns = getColumns(db, table).filter((column) => newColumns.includes(column)).join(', ');
+
+  db.exec(`INSERT ${options.ignoreConflicts ? 'OR IGNORE ' : ''}INTO ${newTable} (${columns}) SELECT ${columns} FROM ${table}`);
+  db.exec(`DROP TABLE ${table}`);
+  db.exec(`ALTER TABLE ${newTable} RENAME TO ${table}`);
+
+  for (const { sql } of dependents) {
+    db.exec(sql);
+  }
+}
@@ -0,0 +1,58 @@
+// Tables of the original schema, CREATE IF NOT EXISTS keeps existing databases as they are
+export default {
+  version: 1,
+  name: 'initial_schema',
+  up(db) {
+    // Sites table
+    db.exec(`
+      CREATE TABLE IF NOT EXISTS sites (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        url TEXT NOT NULL UNIQUE,
+        title TEXT NOT NULL,
+        type TEXT DEFAULT 'rss',
+        extraction_rules TEXT,
+        extraction_instructions TEXT,
+        is_active INTEGER DEFAULT 1,
+        last_checked TEXT,
+        created_at TEXT DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    // Posts table
+    db.exec(`
+      CREATE TABLE IF NOT EXISTS posts (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        site_id INTEGER NOT NULL,
+        date TEXT,
+        url TEXT NOT NULL,
+        title TEXT NOT NULL,
+        content TEXT,
+        content_full TEXT,
+        summary TEXT,
+        notified INTEGER DEFAULT 0,
+        created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE(url, title),
+        FOREIGN KEY (site_id) REFERENCES sites(id) ON DELETE CASCADE
+      )
+    `);
+
+    // Config table
+    db.exec(`
+      CREATE TABLE IF NOT EXISTS config (
+        key TEXT PRIMARY KEY,
+        value TEXT NOT NULL
+      )
+    `);
+
+    // Logs table
+    db.exec(`
+      CREATE TABLE IF NOT EXISTS logs (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        level TEXT NOT NULL,
+        message TEXT NOT NULL,
+        details TEXT,
+        created_at TEXT DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+  },
+};
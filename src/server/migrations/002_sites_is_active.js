@@ -0,0 +1,10 @@
+import { addColumns } from '../migrate.js';
+
+// Active / paused sites
+export default {
+  version: 2,
+  name: 'sites_is_active',
+  up(db) {
+    addColumns(db, 'sites', { is_active: 'INTEGER DEFAULT 1' });
+  },
+};
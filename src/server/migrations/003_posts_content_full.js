@@ -0,0 +1,10 @@
+import { addColumns } from '../migrate.js';
+
+// Full content of a post, fetched from its URL
+export default {
+  version: 3,
+  name: 'posts_content_full',
+  up(db) {
+    addColumns(db, 'posts', { content_full: 'TEXT' });
+  },
+};
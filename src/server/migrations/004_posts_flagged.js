@@ -0,0 +1,10 @@
+import { addColumns } from '../migrate.js';
+
+// Flagged (starred) posts
+export default {
+  version: 4,
+  name: 'posts_flagged',
+  up(db) {
+    addColumns(db, 'posts', { flagged: 'INTEGER DEFAULT 0' });
+  },
+};
@@ -0,0 +1,24 @@
+// Token usage and cost of LLM calls (one row per chat completion)
+// Databases from before versioned migrations may have the table already
+export default {
+  version: 5,
+  name: 'llm_usage',
+  up(db) {
+    db.exec(`
+      CREATE TABLE IF NOT EXISTS llm_usage (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        purpose TEXT NOT NULL,
+        model TEXT,
+        prompt_tokens INTEGER DEFAULT 0,
+        completion_tokens INTEGER DEFAULT 0,
+        total_tokens INTEGER DEFAULT 0,
+        cost REAL DEFAULT 0,
+        site_id INTEGER,
+        post_id INTEGER,
+        created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (site_id) REFERENCES sites(id) ON DELETE SET NULL,
+        FOREIGN KEY (post_id) REFERENCES posts(id) ON DELETE SET NULL
+      )
+    `);
+  },
+};
@@ -0,0 +1,10 @@
+import { addColumns } from '../migrate.js';
+
+// Per-site schedules (cron expression or interval) and the next due check
+export default {
+  version: 6,
+  name: 'site_schedules',
+  up(db) {
+    addColumns(db, 'sites', { schedule: 'TEXT', next_check_at: 'TEXT' });
+  },
+};
@@ -0,0 +1,10 @@
+import { addColumns } from '../migrate.js';
+
+// Posts waiting for a (re)try of summarization
+export default {
+  version: 7,
+  name: 'summary_retry_queue',
+  up(db) {
+    addColumns(db, 'posts', { needs_summary: 'INTEGER DEFAULT 0', summary_attempts: 'INTEGER DEFAULT 0' });
+  },
+};
@@ -0,0 +1,45 @@
+// History of cron checks (scheduled, manual or inbound) and the outcome per site
+// Databases from before versioned migrations may have the tables already
+export default {
+  version: 8,
+  name: 'run_history',
+  up(db) {
+    db.exec(`
+      CREATE TABLE IF NOT EXISTS runs (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        trigger TEXT NOT NULL,
+        status TEXT NOT NULL DEFAULT 'running',
+        started_at TEXT NOT NULL,
+        completed_at TEXT,
+        duration_ms INTEGER,
+        sites_total INTEGER DEFAULT 0,
+        sites_failed INTEGER DEFAULT 0,
+        new_posts INTEGER DEFAULT 0,
+        summaries_total INTEGER DEFAULT 0,
+        summaries_succeeded INTEGER DEFAULT 0,
+        summaries_failed INTEGER DEFAULT 0,
+        summaries_skipped INTEGER DEFAULT 0,
+        slack_status TEXT,
+        slack_error TEXT,
+        error TEXT
+      )
+    `);
+
+    // Per-site outcome of a run
+    db.exec(`
+      CREATE TABLE IF NOT EXISTS run_sites (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        run_id INTEGER NOT NULL,
+        site_id INTEGER,
+        site_title TEXT,
+        status TEXT NOT NULL,
+        posts_fetched INTEGER DEFAULT 0,
+        new_posts INTEGER DEFAULT 0,
+        error TEXT,
+        duration_ms INTEGER,
+        FOREIGN KEY (run_id) REFERENCES runs(id) ON DELETE CASCADE,
+        FOREIGN KEY (site_id) REFERENCES sites(id) ON DELETE SET NULL
+      )
+    `);
+  },
+};
@@ -0,0 +1,17 @@
+import { addColumns } from '../migrate.js';
+
+// Site health: failures, last error and success, zero-post runs, auto-disable
+export default {
+  version: 9,
+  name: 'site_health',
+  up(db) {
+    addColumns(db, 'sites', {
+      consecutive_failures: 'INTEGER DEFAULT 0',
+      last_error: 'TEXT',
+      last_success_at: 'TEXT',
+      last_nonzero_at: 'TEXT',
+      consecutive_empty_runs: 'INTEGER DEFAULT 0',
+      auto_disabled: 'INTEGER DEFAULT 0',
+    });
+  },
+};
@@ -0,0 +1,10 @@
+import { addColumns } from '../migrate.js';
+
+// Conditional request state: HTTP validators and a content hash of the last fetch
+export default {
+  version: 10,
+  name: 'conditional_fetching',
+  up(db) {
+    addColumns(db, 'sites', { http_etag: 'TEXT', http_last_modified: 'TEXT', content_hash: 'TEXT' });
+  },
+};
@@ -0,0 +1,20 @@
+// Cache of the posts the LLM extracted from a page (keyed by page + prompt + model)
+// Databases from before versioned migrations may have the table already
+export default {
+  version: 11,
+  name: 'llm_extractions',
+  up(db) {
+    db.exec(`
+      CREATE TABLE IF NOT EXISTS llm_extractions (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        cache_key TEXT NOT NULL UNIQUE,
+        site_id INTEGER NOT NULL,
+        prompt_hash TEXT NOT NULL,
+        html TEXT NOT NULL,
+        posts TEXT NOT NULL,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (site_id) REFERENCES sites(id) ON DELETE CASCADE
+      )
+    `);
+  },
+};
@@ -0,0 +1,10 @@
+import { addColumns } from '../migrate.js';
+
+// RSS lookback window, feed order mode and backfill time
+export default {
+  version: 12,
+  name: 'rss_lookback',
+  up(db) {
+    addColumns(db, 'sites', { lookback_days: 'INTEGER', trust_feed_order: 'INTEGER DEFAULT 0', backfilled_at: 'TEXT' });
+  },
+};
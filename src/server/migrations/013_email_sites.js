@@ -0,0 +1,17 @@
+import { addColumns } from '../migrate.js';
+
+// Email (IMAP) sites: mailbox filters, extraction mode and the last seen message
+export default {
+  version: 13,
+  name: 'email_sites',
+  up(db) {
+    addColumns(db, 'sites', {
+      email_folder: 'TEXT',
+      email_from: 'TEXT',
+      email_subject: 'TEXT',
+      email_mode: "TEXT DEFAULT 'single'",
+      email_uidvalidity: 'TEXT',
+      email_last_uid: 'INTEGER',
+    });
+  },
+};
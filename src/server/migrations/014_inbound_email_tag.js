@@ -0,0 +1,10 @@
+import { addColumns } from '../migrate.js';
+
+// Plus-address tag of forwarded (inbound) newsletters
+export default {
+  version: 14,
+  name: 'inbound_email_tag',
+  up(db) {
+    addColumns(db, 'sites', { email_tag: 'TEXT' });
+  },
+};
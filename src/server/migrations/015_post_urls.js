@@ -0,0 +1,13 @@
+import { addColumns } from '../migrate.js';
+
+// URL of a post as found and the canonical URL its page declares
+export default {
+  version: 15,
+  name: 'post_urls',
+  up(db) {
+    const added = addColumns(db, 'posts', { original_url: 'TEXT', canonical_url: 'TEXT' });
+    if (added.includes('canonical_url')) {
+      db.exec('UPDATE posts SET canonical_url = url');
+    }
+  },
+};
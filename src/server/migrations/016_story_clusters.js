@@ -0,0 +1,12 @@
+import { addColumns } from '../migrate.js';
+
+// Story clusters: posts of the same story from different sources
+export default {
+  version: 16,
+  name: 'story_clusters',
+  up(db) {
+    addColumns(db, 'posts', { cluster_id: 'INTEGER' });
+    db.exec('CREATE INDEX IF NOT EXISTS idx_posts_cluster_id ON posts(cluster_id)');
+    db.exec('CREATE INDEX IF NOT EXISTS idx_posts_canonical_url ON posts(canonical_url)');
+  },
+};
@@ -0,0 +1,36 @@
+import { hasTable } from '../migrate.js';
+
+// Full-text search index of posts (external content table, kept in sync by triggers)
+export default {
+  version: 17,
+  name: 'posts_fts',
+  up(db) {
+    if (hasTable(db, 'posts_fts')) return;
+
+    db.exec(`
+      CREATE VIRTUAL TABLE posts_fts USING fts5(
+        title, summary, content, content_full,
+        content = 'posts', content_rowid = 'id',
+        tokenize = 'porter unicode61 remove_diacritics 2'
+      );
+
+      CREATE TRIGGER posts_fts_insert AFTER INSERT ON posts BEGIN
+        INSERT INTO posts_fts (rowid, title, summary, content, content_full)
+        VALUES (new.id, new.title, new.summary, new.content, new.content_full);
+      END;
+
+      CREATE TRIGGER posts_fts_delete AFTER DELETE ON posts BEGIN
+        INSERT INTO posts_fts (posts_fts, rowid, title, summary, content, content_full)
+        VALUES ('delete', old.id, old.title, old.summary, old.content, old.content_full);
+      END;
+
+      CREATE TRIGGER posts_fts_update AFTER UPDATE OF title, summary, content, content_full ON posts BEGIN
+        INSERT INTO posts_fts (posts_fts, rowid, title, summary, content, content_full)
+        VALUES ('delete', old.id, old.title, old.summary, old.content, old.content_full);
+        INSERT INTO posts_fts (rowid, title, summary, content, content_full)
+        VALUES (new.id, new.title, new.summary, new.content, new.content_full);
+      END;
+    `);
+    db.exec("INSERT INTO posts_fts (posts_fts) VALUES ('rebuild')");
+  },
+};
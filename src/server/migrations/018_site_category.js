@@ -0,0 +1,10 @@
+import { addColumns } from '../migrate.js';
+
+// Site category (OPML folder)
+export default {
+  version: 18,
+  name: 'site_category',
+  up(db) {
+    addColumns(db, 'sites', { category: 'TEXT' });
+  },
+};
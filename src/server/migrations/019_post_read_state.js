@@ -0,0 +1,11 @@
+import { addColumns } from '../migrate.js';
+
+// Read state of posts (NULL = unread)
+export default {
+  version: 19,
+  name: 'post_read_state',
+  up(db) {
+    addColumns(db, 'posts', { read_at: 'DATETIME' });
+    db.exec('CREATE INDEX IF NOT EXISTS idx_posts_site_read ON posts(site_id, read_at)');
+  },
+};
@@ -0,0 +1,47 @@
+import { rebuildTable } from '../migrate.js';
+
+// Posts are unique by url + title. Databases from before that change (date was part of the
+// constraint) get the posts table rebuilt, keeping the first of the posts that now collide.
+export default {
+  version: 20,
+  name: 'posts_unique_url_title',
+  foreignKeys: false,
+  up(db) {
+    if (hasUniqueIndex(db, 'posts', ['url', 'title'])) return;
+
+    rebuildTable(db, 'posts', `
+      CREATE TABLE posts_new (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        site_id INTEGER NOT NULL,
+        date TEXT,
+        url TEXT NOT NULL,
+        title TEXT NOT NULL,
+        content TEXT,
+        content_full TEXT,
+        summary TEXT,
+        notified INTEGER DEFAULT 0,
+        created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+        flagged INTEGER DEFAULT 0,
+        needs_summary INTEGER DEFAULT 0,
+        summary_attempts INTEGER DEFAULT 0,
+        original_url TEXT,
+        canonical_url TEXT,
+        cluster_id INTEGER,
+        read_at DATETIME,
+        UNIQUE(url, title),
+        FOREIGN KEY (site_id) REFERENCES sites(id) ON DELETE CASCADE
+      )
+    `, { ignoreConflicts: true });
+
+    // Dropped duplicates are still in the search index
+    db.exec("INSERT INTO posts_fts (posts_fts) VALUES ('rebuild')");
+  },
+};
+
+function hasUniqueIndex(db, table, columns) {
+  return db.prepare(`PRAGMA index_list(${table})`).all().some((index) => {
+    if (!index.unique) return false;
+    const indexColumns = db.prepare(`PRAGMA index_info(${index.name})`).all().map((column) => column.name);
+    return indexColumns.join(',') === columns.join(',');
+  });
+}
@@ -0,0 +1,21 @@
+// Cached LLM extractions keep hashes of the page's blocks (for diff mode) instead of its HTML.
+// Earlier rows can't be converted without the pages, so the cache starts over.
+export default {
+  version: 22,
+  name: 'llm_extraction_blocks',
+  up(db) {
+    db.exec('DROP TABLE IF EXISTS llm_extractions');
+    db.exec(`
+      CREATE TABLE llm_extractions (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        cache_key TEXT NOT NULL UNIQUE,
+        site_id INTEGER NOT NULL,
+        prompt_hash TEXT NOT NULL,
+        blocks TEXT NOT NULL,
+        posts TEXT NOT NULL,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (site_id) REFERENCES sites(id) ON DELETE CASCADE
+      )
+    `);
+  },
+};
@@ -0,0 +1,20 @@
+// Per-task model overrides are kept per LLM provider (openai_model_summarization, ...) so switching
+// providers never sends one provider's model name to another. Existing overrides move to the selected provider.
+const TASKS = ['summarization', 'extraction', 'selector_generation'];
+
+export default {
+  version: 23,
+  name: 'provider_model_overrides',
+  up(db) {
+    const get = db.prepare('SELECT value FROM config WHERE key = ?');
+    const provider = get.get('llm_provider')?.value || 'openai';
+    const insert = db.prepare('INSERT OR REPLACE INTO config (key, value) VALUES (?, ?)');
+    const remove = db.prepare('DELETE FROM config WHERE key = ?');
+
+    for (const task of TASKS) {
+      const override = get.get(`llm_model_${task}`)?.value;
+      if (override) insert.run(`${provider}_model_${task}`, override);
+      remove.run(`llm_model_${task}`);
+    }
+  },
+};
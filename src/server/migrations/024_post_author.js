@@ -0,0 +1,10 @@
+import { addColumns } from '../migrate.js';
+
+// Author of a post, when its feed names one (JSON Feed authors)
+export default {
+  version: 24,
+  name: 'post_author',
+  up(db) {
+    addColumns(db, 'posts', { author: 'TEXT' });
+  },
+};
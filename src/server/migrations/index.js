@@ -0,0 +1,52 @@
+import initialSchema from './001_initial_schema.js';
+import sitesIsActive from './002_sites_is_active.js';
+import postsContentFull from './003_posts_content_full.js';
+import postsFlagged from './004_posts_flagged.js';
+import llmUsage from './005_llm_usage.js';
+import siteSchedules from './006_site_schedules.js';
+import summaryRetryQueue from './007_summary_retry_queue.js';
+import runHistory from './008_run_history.js';
+import siteHealth from './009_site_health.js';
+import conditionalFetching from './010_conditional_fetching.js';
+import llmExtractions from './011_llm_extractions.js';
+import rssLookback from './012_rss_lookback.js';
+import emailSites from './013_email_sites.js';
+import inboundEmailTag from './014_inbound_email_tag.js';
+import postUrls from './015_post_urls.js';
+import storyClusters from './016_story_clusters.js';
+import postsFts from './017_posts_fts.js';
+import siteCategory from './018_site_category.js';
+import postReadState from './019_post_read_state.js';
+import postsUniqueUrlTitle from './020_posts_unique_url_title.js';
+import tags from './021_tags.js';
+import llmExtractionBlocks from './022_llm_extraction_blocks.js';
+import providerModelOverrides from './023_provider_model_overrides.js';
+import postAuthor from './024_post_author.js';
+
+// Schema migrations in version order, a new migration is a new NNN_name.js file added at the end
+export default [
+  initialSchema,
+  sitesIsActive,
+  postsContentFull,
+  postsFlagged,
+  llmUsage,
+  siteSchedules,
+  summaryRetryQueue,
+  runHistory,
+  siteHealth,
+  conditionalFetching,
+  llmExtractions,
+  rssLookback,
+  emailSites,
+  inboundEmailTag,
+  postUrls,
+  storyClusters,
+  postsFts,
+  siteCategory,
+  postReadState,
+  postsUniqueUrlTitle,
+  tags,
+  llmExtractionBlocks,
+  providerModelOverrides,
+  postAuthor,
+];
@@ -1,32 +1,305 @@
-import OpenAI from 'openai';
+import { APIConnectionError } from 'openai';
 import * as db from './db.js';
+import { logger } from './utils.js';
+import { LLM_PROVIDERS, createProvider } from './llm-providers.js';
 
 /**
- * Wrapper class for OpenAI client to make it easier to test
+ * Look up the price entry for a model from the llm_pricing config
+ * Exact model name wins, otherwise the longest matching prefix is used
+ * (e.g. "gpt-4o-2024-08-06" resolves to "gpt-4o")
  */
-export class OpenAIClient {
+function getModelPricing(model) {
+  if (!model) return null;
+
+  let pricing;
+  try {
+    pricing = JSON.parse(db.getConfig('llm_pricing') || '{}');
+  } catch (error) {
+    logger.warn('Failed to parse llm_pricing config', { error: error.message });
+    return null;
+  }
+
+  if (pricing[model]) return pricing[model];
+
+  const prefix = Object.keys(pricing)
+    .filter((key) => model.startsWith(key))
+    .sort((a, b) => b.length - a.length)[0];
+
+  return prefix ? pricing[prefix] : null;
+}
+
+/**
+ * Calculate the USD cost of a call from the per-model price table
+ * Prices are configured per 1M tokens; unknown models cost 0
+ */
+export function calculateCost(model, promptTokens = 0, completionTokens = 0) {
+  const price = getModelPricing(model);
+  if (!price) return 0;
+
+  const inputCost = (promptTokens / 1_000_000) * (Number(price.input) || 0);
+  const outputCost = (completionTokens / 1_000_000) * (Number(price.output) || 0);
+
+  return inputCost + outputCost;
+}
+
+/**
+ * Parse a budget limit config value, empty/zero/invalid means unlimited (null)
+ */
+function parseBudgetLimit(value) {
+  const limit = parseFloat(value);
+  return Number.isFinite(limit) && limit > 0 ? limit : null;
+}
+
+/**
+ * Get LLM spend against the configured daily and monthly ceilings
+ * Periods start at local midnight / the 1st of the month
+ * @returns {{
+ *   exceeded: boolean,
+ *   reasons: string[],
+ *   daily: { period: string, exceeded: boolean, tokens_used: number, tokens_limit: number|null, tokens_remaining: number|null, cost_used: number, cost_limit: number|null, cost_remaining: number|null },
+ *   monthly: { period: string, exceeded: boolean, tokens_used: number, tokens_limit: number|null, tokens_remaining: number|null, cost_used: number, cost_limit: number|null, cost_remaining: number|null }
+ * }}
+ */
+export function getBudgetStatus(now = new Date()) {
+  const pad = (n) => String(n).padStart(2, '0');
+  const periods = {
+    daily: {
+      since: new Date(now.getFullYear(), now.getMonth(), now.getDate()),
+      key: `${now.getFullYear()}-${pad(now.getMonth() + 1)}-${pad(now.getDate())}`,
+    },
+    monthly: {
+      since: new Date(now.getFullYear(), now.getMonth(), 1),
+      key: `${now.getFullYear()}-${pad(now.getMonth() + 1)}`,
+    },
+  };
+
+  const status = { exceeded: false, reasons: [] };
+
+  for (const [name, { since, key }] of Object.entries(periods)) {
+    const totals = db.getLLMUsageTotals({ since: since.toISOString() });
+    const tokensLimit = parseBudgetLimit(db.getConfig(`llm_budget_${name}_tokens`));
+    const costLimit = parseBudgetLimit(db.getConfig(`llm_budget_${name}_cost`));
+
+    status[name] = {
+      period: `${name}:${key}`,
+      exceeded: false,
+      tokens_used: totals.total_tokens,
+      tokens_limit: tokensLimit,
+      tokens_remaining: tokensLimit === null ? null : Math.max(0, tokensLimit - totals.total_tokens),
+      cost_used: totals.cost,
+      cost_limit: costLimit,
+      cost_remaining: costLimit === null ? null : Math.max(0, costLimit - totals.cost),
+    };
+
+    if (tokensLimit !== null && totals.total_tokens >= tokensLimit) {
+      status[name].exceeded = true;
+      status.reasons.push(`${name} token budget reached (${totals.total_tokens}/${tokensLimit})`);
+    }
+    if (costLimit !== null && totals.cost >= costLimit) {
+      status[name].exceeded = true;
+      status.reasons.push(`${name} cost budget reached ($${totals.cost.toFixed(4)}/$${costLimit})`);
+    }
+  }
+
+  status.exceeded = status.reasons.length > 0;
+  return status;
+}
+
+const RETRY_BASE_DELAY = 1000;
+const MAX_RETRY_DELAY = 60000;
+const RETRYABLE_ERROR_CODES = ['ECONNRESET', 'ETIMEDOUT', 'ECONNABORTED', 'EAI_AGAIN', 'EPIPE'];
+
+/**
+ * Whether a failed LLM call is worth retrying
+ * Rate limits, timeouts, server/overload errors and dropped connections are; auth and bad requests are not
+ */
+export function isRetryableError(error) {
+  if (error.status) {
+    return error.status === 408 || error.status === 429 || error.status >= 500;
+  }
+  // The OpenAI SDK wraps network failures and timeouts (APIConnectionTimeoutError) without a status
+  return RETRYABLE_ERROR_CODES.includes(error.code) || error instanceof APIConnectionError;
+}
+
+/**
+ * Delay before the next attempt in ms
+ * Honors Retry-After (seconds or HTTP date) / retry-after-ms headers, otherwise exponential backoff with jitter
+ */
+export function getRetryDelay(error, attempt) {
+  const headers = error.headers || {};
+
+  const retryAfterMs = parseFloat(headers['retry-after-ms']);
+  if (Number.isFinite(retryAfterMs)) {
+    return Math.min(Math.max(0, retryAfterMs), MAX_RETRY_DELAY);
+  }
+
+  const retryAfter = headers['retry-after'];
+  if (retryAfter) {
+    const seconds = Number(retryAfter);
+    const ms = Number.isFinite(seconds) ? seconds * 1000 : Date.parse(retryAfter) - Date.now();
+    if (Number.isFinite(ms)) {
+      return Math.min(Math.max(0, ms), MAX_RETRY_DELAY);
+    }
+  }
+
+  const backoff = RETRY_BASE_DELAY * 2 ** attempt;
+  return Math.min(backoff + Math.floor(Math.random() * 250), MAX_RETRY_DELAY);
+}
+
+/**
+ * Sliding window requests-per-minute limiter
+ * One instance is shared by every OpenAIClient so the limit holds across the whole process
+ */
+export class RateLimiter {
   constructor() {
-    const apiKey = db.getConfig('openai_api_key');
-    if (!apiKey) {
-      throw new Error('OpenAI API key not configured');
+    this.timestamps = [];
+  }
+
+  /**
+   * Wait until a request slot is free
+   * @param {number|null} limit - Requests per minute, falsy = unlimited
+   * @param {Function} sleep - Async delay function
+   */
+  async acquire(limit, sleep) {
+    if (!limit) return;
+
+    for (;;) {
+      const now = Date.now();
+      this.timestamps = this.timestamps.filter((t) => now - t < 60000);
+
+      if (this.timestamps.length < limit) {
+        this.timestamps.push(now);
+        return;
+      }
+
+      await sleep(60000 - (now - this.timestamps[0]));
+    }
+  }
+
+  reset() {
+    this.timestamps = [];
+  }
+}
+
+export const llmRateLimiter = new RateLimiter();
+
+/**
+ * Task of each call purpose with a model override, stored per provider as <prefix>_model_<task>
+ * (e.g. anthropic_model_summarization). Empty config value = use the provider's model
+ */
+const PURPOSE_MODEL_TASKS = {
+  summarization: 'summarization',
+  html_llm_extraction: 'extraction',
+  test_llm_extraction: 'extraction',
+  selector_generation: 'selector_generation',
+};
+
+/**
+ * LLM client used by the rest of the app
+ * Dispatches to the provider selected in config (llm_provider) and records usage for every call
+ */
+export class OpenAIClient {
+  /**
+   * @param {Object} overrides - Optional provider/apiKey/baseURL/model to use instead of saved config
+   */
+  constructor(overrides = {}) {
+    this.providerName = overrides.provider || db.getConfig('llm_provider') || 'openai';
+    const provider = LLM_PROVIDERS[this.providerName];
+    if (!provider) {
+      throw new Error(`Unknown LLM provider: ${this.providerName}`);
+    }
+
+    const prefix = provider.configPrefix;
+    this.configPrefix = prefix;
+    const apiKey = overrides.apiKey ?? db.getConfig(`${prefix}_api_key`);
+    if (provider.requiresApiKey && !apiKey) {
+      throw new Error(`${provider.label} API key not configured`);
     }
 
-    const baseURL = db.getConfig('openai_base_url') || 'https://api.openai.com/v1';
-    this.client = new OpenAI({ apiKey, baseURL });
-    this.model = db.getConfig('openai_model') || 'gpt-3.5-turbo';
+    const baseURL = overrides.baseURL || db.getConfig(`${prefix}_base_url`) || provider.defaultBaseURL;
+    this.provider = createProvider(this.providerName, { apiKey, baseURL });
+    this.model = overrides.model || db.getConfig(`${prefix}_model`) || provider.defaultModel;
+    this.lastUsage = null;
+  }
+
+  /**
+   * Resolve the model for a call purpose (the provider's override for it, else the provider model)
+   */
+  getModelForPurpose(purpose) {
+    const task = PURPOSE_MODEL_TASKS[purpose];
+    return (task && db.getConfig(`${this.configPrefix}_model_${task}`)) || this.model;
   }
 
   /**
    * Create a chat completion
+   * @param {Array} messages - Chat messages
+   * @param {Object} options - model, temperature, max_tokens, plus purpose/site_id/post_id for usage tracking
+   * @returns {Promise<string>} - The assistant message content
    */
   async createChatCompletion(messages, options = {}) {
-    const response = await this.client.chat.completions.create({
-      model: options.model || this.model,
-      messages,
-      temperature: options.temperature ?? 0.3,
-      max_tokens: options.max_tokens,
-    });
-
-    return response.choices[0].message.content;
+    const model = options.model || this.getModelForPurpose(options.purpose);
+    const maxRetries = Math.max(0, parseInt(db.getConfig('llm_max_retries') ?? '3') || 0);
+    const requestsPerMinute = parseInt(db.getConfig('llm_requests_per_minute')) || null;
+
+    let response;
+    for (let attempt = 0; ; attempt++) {
+      await llmRateLimiter.acquire(requestsPerMinute, this.sleep);
+
+      try {
+        response = await this.provider.chat(messages, {
+          model,
+          temperature: options.temperature ?? 0.3,
+          max_tokens: options.max_tokens,
+        });
+        break;
+      } catch (error) {
+        if (attempt >= maxRetries || !isRetryableError(error)) {
+          throw error;
+        }
+
+        const delay = getRetryDelay(error, attempt);
+        logger.warn(`LLM call failed, retrying in ${delay}ms (attempt ${attempt + 1}/${maxRetries})`, {
+          error: error.message,
+          status: error.status,
+          purpose: options.purpose,
+        });
+        await this.sleep(delay);
+      }
+    }
+
+    this.lastUsage = this.recordUsage(response, options);
+
+    return response.content;
+  }
+
+  /**
+   * Async delay between retries (separate method so tests can skip the wait)
+   */
+  sleep(ms) {
+    return new Promise((resolve) => setTimeout(resolve, ms));
+  }
+
+  /**
+   * Store the token counts of a provider response in the llm_usage table
+   * Never throws - usage tracking must not break the actual LLM call
+   */
+  recordUsage(response, options = {}) {
+    const { model, prompt_tokens: promptTokens, completion_tokens: completionTokens } = response;
+
+    try {
+      return db.createLLMUsage({
+        purpose: options.purpose || 'other',
+        model,
+        prompt_tokens: promptTokens,
+        completion_tokens: completionTokens,
+        total_tokens: promptTokens + completionTokens,
+        cost: calculateCost(model, promptTokens, completionTokens),
+        site_id: options.site_id,
+        post_id: options.post_id,
+      });
+    } catch (error) {
+      logger.warn('Failed to record LLM usage', { error: error.message, purpose: options.purpose });
+      return null;
+    }
   }
 }
@@ -0,0 +1,138 @@
+import * as cheerio from 'cheerio';
+import { normalizeTags } from './tags.js';
+
+// Site types exported as feed subscriptions (xmlUrl), the others as plain links
+const FEED_TYPES = ['rss', 'json_feed'];
+
+// version attribute of JSON Feed subscriptions (OPML only defines RSS versions, type stays "rss" for readers)
+const JSON_FEED_VERSION = 'JSONFeed';
+
+function escapeXml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * Site type of a feed outline: JSON Feed when the version attribute or a .json URL says so, else RSS
+ */
+function getFeedType(version, url) {
+  if (/json/i.test(version)) return 'json_feed';
+  try {
+    return new URL(url).pathname.toLowerCase().endsWith('.json') ? 'json_feed' : 'rss';
+  } catch (error) {
+    return 'rss';
+  }
+}
+
+/**
+ * Tag names of an OPML category attribute: comma-separated, slash-delimited paths ("/Tech/AI,/News")
+ */
+function parseCategoryAttribute(category) {
+  return category.split(',').flatMap((path) => path.split('/')).map((name) => name.trim()).filter(Boolean);
+}
+
+/**
+ * Feed subscriptions of an OPML document
+ * Folders (outlines without xmlUrl) and the category attribute become tags of the feeds, a feed in a nested
+ * folder gets a tag per level. Duplicate feed URLs are only returned once
+ * @param {string} xml - OPML document
+ * @returns {Array<{ url: string, title: string, html_url: string|null, type: string, tags: string[] }>}
+ */
+export function parseOpml(xml) {
+  const $ = cheerio.load(xml, { xmlMode: true });
+  if ($('opml').length === 0) {
+    throw new Error('Invalid OPML: missing <opml> element');
+  }
+
+  const feeds = [];
+  const seen = new Set();
+
+  const walk = (outlines, folders) => {
+    outlines.each((i, el) => {
+      const outline = $(el);
+      const name = (outline.attr('title') || outline.attr('text') || '').trim();
+      const xmlUrl = (outline.attr('xmlUrl') || outline.attr('xmlurl') || '').trim();
+
+      if (!xmlUrl) {
+        walk(outline.children('outline'), name ? [...folders, name] : folders);
+        return;
+      }
+      if (seen.has(xmlUrl)) return;
+      seen.add(xmlUrl);
+
+      feeds.push({
+        url: xmlUrl,
+        title: name || xmlUrl,
+        html_url: (outline.attr('htmlUrl') || outline.attr('htmlurl') || '').trim() || null,
+        type: getFeedType(outline.attr('version') || '', xmlUrl),
+        tags: normalizeTags([...folders, ...parseCategoryAttribute(outline.attr('category') || '')]),
+      });
+    });
+  };
+
+  walk($('opml > body').children('outline'), []);
+  return feeds;
+}
+
+/**
+ * OPML 2.0 document of sites, in a folder per first tag (all tags are in the category attribute)
+ * Feed sites are subscriptions (type="rss" with xmlUrl, version="JSONFeed" for JSON Feeds), other sites
+ * links (type="link" with url)
+ * @param {Array} sites - Sites (url, title, type, tags)
+ * @param {Object} options - title: document title
+ */
+export function buildOpml(sites, options = {}) {
+  const outline = (site, indent) => {
+    const title = `text="${escapeXml(site.title)}" title="${escapeXml(site.title)}"`;
+    const attributes = [
+      FEED_TYPES.includes(site.type)
+        ? `type="rss" ${title} xmlUrl="${escapeXml(site.url)}"`
+        : `type="link" ${title} url="${escapeXml(site.url)}"`,
+    ];
+    if (site.type === 'json_feed') attributes.push(`version="${JSON_FEED_VERSION}"`);
+    if (site.tags?.length > 0) {
+      attributes.push(`category="${escapeXml(site.tags.map((tag) => `/${tag.replace(/[/,]/g, ' ')}`).join(','))}"`);
+    }
+    return `${indent}<outline ${attributes.join(' ')}/>`;
+  };
+
+  // One folder per tag, sites without tags at the top level
+  const root = { folders: new Map(), sites: [] };
+  for (const site of sites) {
+    let folder = root;
+    const name = site.tags?.[0];
+    if (name) {
+      if (!root.folders.has(name)) root.folders.set(name, { folders: new Map(), sites: [] });
+      folder = root.folders.get(name);
+    }
+    folder.sites.push(site);
+  }
+
+  const render = (folder, indent) => {
+    const lines = [];
+    for (const [name, child] of folder.folders) {
+      lines.push(`${indent}<outline text="${escapeXml(name)}" title="${escapeXml(name)}">`);
+      lines.push(...render(child, `${indent}  `));
+      lines.push(`${indent}</outline>`);
+    }
+    lines.push(...folder.sites.map((site) => outline(site, indent)));
+    return lines;
+  };
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<opml version="2.0">',
+    '  <head>',
+    `    <title>${escapeXml(options.title || 'Newsletter Digester sites')}</title>`,
+    `    <dateCreated>${new Date().toUTCString()}</dateCreated>`,
+    '  </head>',
+    '  <body>',
+    ...render(root, '    '),
+    '  </body>',
+    '</opml>',
+    '',
+  ].join('\n');
+}
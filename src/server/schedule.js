@@ -0,0 +1,76 @@
+import cron from 'node-cron';
+import { CronExpressionParser } from 'cron-parser';
+import * as db from './db.js';
+
+const INTERVAL_UNITS = {
+  m: 60 * 1000,
+  h: 60 * 60 * 1000,
+  d: 24 * 60 * 60 * 1000,
+  w: 7 * 24 * 60 * 60 * 1000,
+};
+
+/**
+ * Parse an interval schedule like "30m", "6h", "1d" or "2w"
+ * @returns {number|null} - Interval in ms, or null if not an interval
+ */
+export function parseInterval(schedule) {
+  const match = /^(\d+)\s*([mhdw])$/i.exec((schedule || '').trim());
+  if (!match) return null;
+
+  const amount = parseInt(match[1]);
+  return amount > 0 ? amount * INTERVAL_UNITS[match[2].toLowerCase()] : null;
+}
+
+/**
+ * Next time a cron expression matches after `from`
+ * @returns {Date|null} - null when the expression never matches (e.g. "0 0 31 2 *")
+ */
+function getNextCronTime(expression, from) {
+  try {
+    return CronExpressionParser.parse(expression, { currentDate: from }).next().toDate();
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Whether a schedule is a valid interval, or a valid cron expression that comes due
+ */
+export function isValidSchedule(schedule) {
+  if (!schedule || !schedule.trim()) return false;
+  if (parseInterval(schedule) !== null) return true;
+  return cron.validate(schedule.trim()) && getNextCronTime(schedule.trim(), new Date()) !== null;
+}
+
+/**
+ * Schedule that applies to a site: its own, else the global one
+ */
+export function getSiteSchedule(site) {
+  return (site.schedule && site.schedule.trim()) || db.getConfig('schedule');
+}
+
+/**
+ * Next time a schedule is due after `from`
+ * Intervals are relative to `from`, cron expressions use the next matching minute
+ * @returns {Date|null} - null for invalid schedules or cron expressions that never match
+ */
+export function getNextRunTime(schedule, from = new Date()) {
+  if (!schedule || !schedule.trim()) return null;
+
+  const interval = parseInterval(schedule);
+  if (interval !== null) {
+    return new Date(from.getTime() + interval);
+  }
+
+  if (!cron.validate(schedule.trim())) return null;
+  return getNextCronTime(schedule.trim(), from);
+}
+
+/**
+ * next_check_at value for a site checked (or scheduled) at `from`
+ * @returns {string|null} - ISO timestamp
+ */
+export function getNextCheckAt(site, from = new Date()) {
+  const next = getNextRunTime(getSiteSchedule(site), from);
+  return next ? next.toISOString() : null;
+}
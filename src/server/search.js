@@ -0,0 +1,86 @@
+// Marks around matched terms in FTS snippets (control characters can't appear in the indexed text)
+export const HIGHLIGHT_START = '\u0001';
+export const HIGHLIGHT_END = '\u0002';
+
+const OPERATORS = ['AND', 'OR', 'NOT'];
+
+function quote(text) {
+  return `"${text.replace(/"/g, '""')}"`;
+}
+
+/**
+ * FTS5 MATCH expression for a search box query
+ * Supports "exact phrases", prefix* terms, AND / OR / NOT and -excluded terms; everything else is
+ * quoted, so punctuation in the query (c++, foo-bar, unbalanced quotes) never causes a syntax error
+ * @returns {string} - empty when the query has no terms
+ */
+export function toFtsQuery(input) {
+  const parts = [];
+  const isTerm = (part) => part && !OPERATORS.includes(part);
+
+  for (const token of (input || '').match(/-?"[^"]*"?|\S+/g) || []) {
+    if (OPERATORS.includes(token)) {
+      // Operators only go between terms
+      if (isTerm(parts[parts.length - 1])) parts.push(token);
+      continue;
+    }
+
+    const exclude = token.startsWith('-') && token.length > 1;
+    const text = exclude ? token.slice(1) : token;
+    let term;
+    if (text.startsWith('"')) {
+      const phrase = text.replace(/^"|"$/g, '').trim();
+      if (!phrase) continue;
+      term = quote(phrase);
+    } else if (text.endsWith('*') && text.length > 1) {
+      term = `${quote(text.slice(0, -1))}*`;
+    } else {
+      term = quote(text);
+    }
+
+    if (exclude) {
+      // NOT needs a term before it, a query can't only exclude
+      if (!isTerm(parts[parts.length - 1])) continue;
+      parts.push('NOT');
+    } else if (isTerm(parts[parts.length - 1])) {
+      parts.push('AND');
+    }
+    parts.push(term);
+  }
+
+  while (parts.length > 0 && !isTerm(parts[parts.length - 1])) parts.pop();
+  return parts.join(' ');
+}
+
+const ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ' };
+
+function escapeHtml(text) {
+  return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
+
+/**
+ * Text of an HTML fragment cut out of a post (tags cut at the ends of the snippet included)
+ */
+function stripHtml(fragment) {
+  return fragment
+    .replace(/<[^>]*>/g, ' ')
+    .replace(/<[^>]*$/, '') // Tag cut at the end
+    .replace(/^[^<>]*["']\s*\/?>/, ' ') // Attributes of a tag cut at the start
+    .replace(/&(#\d+|#x[\da-f]+|\w+);/gi, (entity, name) => {
+      if (name[0] !== '#') return ENTITIES[name.toLowerCase()] ?? entity;
+      const code = name[1].toLowerCase() === 'x' ? parseInt(name.slice(2), 16) : parseInt(name.slice(1), 10);
+      return code <= 0x10ffff ? String.fromCodePoint(code) : entity;
+    });
+}
+
+/**
+ * HTML of an FTS snippet: the post text (tags removed) escaped, matched terms in <mark>
+ */
+export function highlightSnippet(snippet) {
+  if (!snippet) return null;
+  return escapeHtml(stripHtml(snippet).replace(/\s+/g, ' ').trim())
+    .split(HIGHLIGHT_START)
+    .join('<mark>')
+    .split(HIGHLIGHT_END)
+    .join('</mark>');
+}
@@ -2,7 +2,7 @@ import Fastify from 'fastify';
 import fastifyStatic from '@fastify/static';
 import path from 'path';
 import { fileURLToPath } from 'url';
-import { initDb } from './db.js';
+import { initDb, getLastMigration } from './db.js';
 import { logger } from './utils.js';
 
 const __filename = fileURLToPath(import.meta.url);
@@ -12,6 +12,14 @@ const __dirname = path.dirname(__filename);
 initDb();
 logger.info('Database initialized successfully');
 
+const migration = getLastMigration();
+if (migration.applied.length > 0) {
+  logger.info(`Migrated database schema from version ${migration.from} to ${migration.to}`, {
+    applied: migration.applied,
+    backup: migration.backup_path,
+  });
+}
+
 // Initialize cron scheduler
 import { initCron } from './cron.js';
 initCron();
@@ -41,33 +49,63 @@ import * as postsAPI from './api/posts.js';
 import * as configAPI from './api/config.js';
 import * as logsAPI from './api/logs.js';
 import * as cronAPI from './api/cron.js';
+import * as usageAPI from './api/usage.js';
+import * as runsAPI from './api/runs.js';
+import * as inboundAPI from './api/inbound.js';
+import * as adminAPI from './api/admin.js';
+import * as tagsAPI from './api/tags.js';
+import { startSMTPServer, stopSMTPServer, MAX_INBOUND_EMAIL_SIZE } from './inbound.js';
+
+// Forwarded newsletters are posted as raw RFC 822 messages
+fastify.addContentTypeParser('message/rfc822', { parseAs: 'string' }, (req, body, done) => done(null, body));
+
+// Database backups are uploaded as the raw file, handed over as a stream (written to disk by the restore handler)
+fastify.addContentTypeParser('application/octet-stream', (req, payload, done) => done(null, payload));
 
 // Health check endpoint
 fastify.get('/health', async (request, reply) => {
   return { status: 'ok', timestamp: new Date().toISOString() };
 });
 
-// Sites routes (10 endpoints)
+// Sites routes (20 endpoints)
 fastify.get('/api/sites', sitesAPI.getAll);
 fastify.post('/api/sites', sitesAPI.create);
 fastify.get('/api/sites/:id', sitesAPI.getOne);
 fastify.put('/api/sites/:id', sitesAPI.update);
 fastify.delete('/api/sites/:id', sitesAPI.remove);
 fastify.post('/api/sites/:id/toggle', sitesAPI.toggleActive);
+fastify.post('/api/sites/:id/backfill', sitesAPI.backfill);
+fastify.get('/api/sites/opml', sitesAPI.exportOpml);
+fastify.post('/api/sites/opml/preview', sitesAPI.previewOpml);
+fastify.post('/api/sites/opml/import', sitesAPI.importOpml);
+fastify.get('/api/sites/bundle', sitesAPI.exportBundle);
+fastify.post('/api/sites/bundle/preview', sitesAPI.previewBundle);
+fastify.post('/api/sites/bundle/import', sitesAPI.importBundle);
 fastify.post('/api/sites/test-extraction', sitesAPI.testExtraction);
 fastify.post('/api/sites/test-llm-extraction', sitesAPI.testLLMExtraction);
+fastify.post('/api/sites/test-json-feed', sitesAPI.testJSONFeed);
+fastify.post('/api/sites/test-link-list', sitesAPI.testLinkList);
+fastify.post('/api/sites/discover', sitesAPI.discover);
 fastify.post('/api/sites/fetch-html', sitesAPI.fetchHTML);
 fastify.post('/api/sites/generate-selectors', sitesAPI.generateSelectors);
 
-// Posts routes (7 endpoints)
+// Posts routes (12 endpoints)
 fastify.get('/api/posts', postsAPI.getAll);
+fastify.get('/api/posts/search', postsAPI.search);
+fastify.get('/api/posts/unread-counts', postsAPI.unreadCounts);
+fastify.post('/api/posts/mark-read', postsAPI.markAllRead);
 fastify.get('/api/posts/:id', postsAPI.getOne);
 fastify.post('/api/posts/truncate', postsAPI.truncate);
 fastify.post('/api/posts/:id/fetch-and-summarize', postsAPI.fetchAndSummarize);
 fastify.post('/api/posts/:id/notify', postsAPI.notify);
 fastify.put('/api/posts/:id/flag', postsAPI.toggleFlag);
+fastify.put('/api/posts/:id/read', postsAPI.setRead);
+fastify.put('/api/posts/:id/tags', postsAPI.setTags);
 fastify.delete('/api/posts/:id', postsAPI.remove);
 
+// Tags routes (1 endpoint)
+fastify.get('/api/tags', tagsAPI.getAll);
+
 // Config routes (3 endpoints)
 fastify.get('/api/config', configAPI.getAll);
 fastify.put('/api/config', configAPI.update);
@@ -80,6 +118,20 @@ fastify.get('/api/logs', logsAPI.getAll);
 fastify.post('/api/cron/run', cronAPI.runNow);
 fastify.get('/api/cron/status', cronAPI.getStatus);
 
+// Usage routes (1 endpoint)
+fastify.get('/api/usage', usageAPI.getSummary);
+
+// Runs routes (2 endpoints)
+fastify.get('/api/runs', runsAPI.getAll);
+fastify.get('/api/runs/:id', runsAPI.getOne);
+
+// Inbound email routes (1 endpoint)
+fastify.post('/api/inbound/email', { bodyLimit: MAX_INBOUND_EMAIL_SIZE }, inboundAPI.receiveEmail);
+
+// Admin routes (2 endpoints)
+fastify.get('/api/admin/backup', adminAPI.downloadBackup);
+fastify.post('/api/admin/restore', adminAPI.restore);
+
 // Start server
 const start = async () => {
   try {
@@ -88,6 +140,8 @@ const start = async () => {
 
     await fastify.listen({ port, host });
     fastify.log.info(`Server running on http://${host}:${port}`);
+
+    await startSMTPServer();
   } catch (err) {
     fastify.log.error(err);
     process.exit(1);
@@ -101,6 +155,7 @@ const gracefulShutdown = async (signal) => {
   try {
     // Stop accepting new connections
     await fastify.close();
+    await stopSMTPServer();
     logger.info('Fastify server closed');
 
     // Close database connection properly
@@ -0,0 +1,93 @@
+import * as db from './db.js';
+import { getNextCheckAt } from './schedule.js';
+
+/**
+ * Read a non-negative number setting from config, empty means `fallback`
+ */
+function getNumberConfig(key, fallback) {
+  const value = parseFloat(db.getConfig(key));
+  return Number.isFinite(value) && value >= 0 ? value : fallback;
+}
+
+/**
+ * Delay before re-checking a site that failed `failures` checks in a row
+ * Doubles with every failure, starting at site_backoff_base_minutes, capped at site_backoff_max_hours
+ * @returns {number} - Delay in ms
+ */
+export function getBackoffDelay(failures) {
+  const base = getNumberConfig('site_backoff_base_minutes', 30) * 60 * 1000;
+  const max = getNumberConfig('site_backoff_max_hours', 24) * 60 * 60 * 1000;
+  if (failures < 1) return 0;
+
+  return Math.min(base * 2 ** (failures - 1), max);
+}
+
+/**
+ * Site fields to save after a successful check
+ * @param {number} postCount - Posts extracted (new or not)
+ * @param {Object} options - notModified: the content was unchanged, so zero posts says nothing about extraction
+ */
+export function getSuccessUpdates(site, postCount, now = new Date(), options = {}) {
+  const updates = {
+    consecutive_failures: 0,
+    last_error: null,
+    last_success_at: now.toISOString(),
+    next_check_at: getNextCheckAt(site, now),
+  };
+  if (!options.notModified) {
+    updates.consecutive_empty_runs = postCount > 0 ? 0 : (site.consecutive_empty_runs || 0) + 1;
+  }
+  if (postCount > 0) updates.last_nonzero_at = now.toISOString();
+
+  return updates;
+}
+
+/**
+ * Site fields to save after a failed check
+ * The next check is pushed back by the backoff delay, and the site is disabled
+ * once it reaches site_auto_disable_failures failures in a row
+ */
+export function getFailureUpdates(site, error, now = new Date()) {
+  const failures = (site.consecutive_failures || 0) + 1;
+
+  // Never check sooner than the site's own schedule would
+  const scheduled = getNextCheckAt(site, now);
+  const backoff = new Date(now.getTime() + getBackoffDelay(failures)).toISOString();
+
+  const updates = {
+    consecutive_failures: failures,
+    last_error: error.message,
+    next_check_at: scheduled && scheduled > backoff ? scheduled : backoff,
+  };
+
+  const disableAfter = getNumberConfig('site_auto_disable_failures', 0);
+  if (disableAfter > 0 && failures >= disableAfter) {
+    updates.is_active = 0;
+    updates.auto_disabled = 1;
+  }
+
+  return updates;
+}
+
+/**
+ * Site fields to reset when a site is (re-)activated by hand
+ */
+export function getReactivationUpdates() {
+  return { consecutive_failures: 0, auto_disabled: 0 };
+}
+
+/**
+ * Health of a site for the Sites page badge
+ * @returns {'healthy' | 'failing' | 'disabled' | 'empty' | 'unknown'}
+ *   empty = checks succeed but keep returning zero posts (probably a broken selector)
+ */
+export function getSiteHealth(site) {
+  if (site.auto_disabled) return 'disabled';
+  if (site.consecutive_failures > 0) return 'failing';
+
+  const emptyThreshold = getNumberConfig('site_empty_runs_threshold', 3);
+  if (emptyThreshold > 0 && site.consecutive_empty_runs >= emptyThreshold) return 'empty';
+
+  if (!site.last_checked) return 'unknown';
+  return 'healthy';
+}
@@ -0,0 +1,52 @@
+// Longest tag name kept, longer names are cut
+const MAX_TAG_LENGTH = 50;
+
+/**
+ * Clean list of tag names from user input
+ * Whitespace is collapsed, empty names dropped and duplicates (case-insensitive) removed, first spelling wins
+ * @param {Array|string} input - names, or a comma-separated string
+ * @returns {Array}
+ */
+export function normalizeTags(input) {
+  const names = Array.isArray(input) ? input : String(input || '').split(',');
+  const seen = new Set();
+  const tags = [];
+
+  for (const name of names) {
+    if (typeof name !== 'string') continue;
+    const tag = name.replace(/\s+/g, ' ').trim().slice(0, MAX_TAG_LENGTH);
+    if (!tag || seen.has(tag.toLowerCase())) continue;
+    seen.add(tag.toLowerCase());
+    tags.push(tag);
+  }
+
+  return tags;
+}
+
+/**
+ * Whether tags input is a comma-separated string or an array of names
+ */
+export function isValidTags(input) {
+  return typeof input === 'string' || (Array.isArray(input) && input.every((name) => typeof name === 'string'));
+}
+
+/**
+ * Digest sections by tag: each post is listed once, under its first tag (tags are sorted by name)
+ * @returns {Array} - [{ tag, posts }] sorted by tag name, untagged posts last with tag null
+ */
+export function groupPostsByTag(posts) {
+  const groups = new Map();
+
+  for (const post of posts) {
+    const tag = post.tags?.length > 0 ? post.tags[0] : null;
+    if (!groups.has(tag)) groups.set(tag, []);
+    groups.get(tag).push(post);
+  }
+
+  return [...groups.entries()]
+    .map(([tag, groupPosts]) => ({ tag, posts: groupPosts }))
+    .sort((a, b) => {
+      if (a.tag === null || b.tag === null) return a.tag === null ? 1 : -1;
+      return a.tag.localeCompare(b.tag, undefined, { sensitivity: 'base' });
+    });
+}
@@ -0,0 +1,208 @@
+import axios from 'axios';
+import * as db from './db.js';
+import { logger } from './utils.js';
+
+// Redirect pages that carry the destination in a query parameter. Only these hosts are unwrapped,
+// elsewhere ?url= or ?q= is just as likely a share link or a search
+const QUERY_REDIRECTORS = [
+  { host: /^(www\.)?google\.[a-z.]+$/, path: /^\/url$/, params: ['q', 'url'] },
+  { host: /^(l|lm)\.facebook\.com$/, path: /^\/l\.php$/, params: ['u'] },
+  { host: /^l\.instagram\.com$/, params: ['u'] },
+  { host: /^out\.reddit\.com$/, params: ['url'] },
+  { host: /^(www\.)?youtube\.com$/, path: /^\/redirect$/, params: ['q'] },
+  { host: /^(www\.)?linkedin\.com$/, path: /^\/redir\/redirect/, params: ['url'] },
+  { host: /^medium\.com$/, path: /^\/r\/?$/, params: ['url'] },
+  { host: /^duckduckgo\.com$/, path: /^\/l\/?$/, params: ['uddg'] },
+  { host: /^slack-redir\.net$/, path: /^\/link$/, params: ['url'] },
+  { host: /^t\.umblr\.com$/, path: /^\/redirect$/, params: ['z'] },
+  { host: /(^|\.)safelinks\.protection\.outlook\.com$/, params: ['url'] }, // Outlook Safe Links
+];
+
+// Levels of nested redirects that are unwrapped (or hops followed)
+const MAX_REDIRECT_DEPTH = 5;
+
+// Click-tracking hosts whose destination can only be found by following the redirect
+const KNOWN_REDIRECTORS = [
+  { host: /(^|\.)substack\.com$/, path: /^\/redirect\// },
+  { host: /(^|\.)list-manage\.com$/, path: /^\/track\/click/ }, // Mailchimp
+  { host: /^link\.mail\.beehiiv\.com$/ },
+  { host: /(^|\.)convertkit-mail\d*\.com$/ },
+  { host: /(^|\.)ct\.sendgrid\.net$/ },
+  { host: /(^|\.)hubspotlinks\.com$/ },
+  { host: /(^|\.)(cmail\d+|createsend\d*)\.com$/ }, // Campaign Monitor
+  { host: /(^|\.)mlsend\.com$/ }, // MailerLite
+  { host: /^(t\.co|lnkd\.in|bit\.ly|buff\.ly|ow\.ly)$/ },
+];
+
+const USER_AGENT = 'Mozilla/5.0 (compatible; NewsletterDigester/1.0)';
+
+function isHttpUrl(value) {
+  return typeof value === 'string' && /^https?:\/\/[^/]/i.test(value);
+}
+
+/**
+ * Destination of a Substack redirect (/redirect/2/<base64url JSON with the URL in "e">.<signature>)
+ */
+function decodeSubstackRedirect(parsed) {
+  const match = /^\/redirect\/2\/([A-Za-z0-9_-]+)/.exec(parsed.pathname);
+  if (!match || !/(^|\.)substack\.com$/.test(parsed.hostname)) return null;
+
+  try {
+    const payload = JSON.parse(Buffer.from(match[1], 'base64url').toString('utf8'));
+    return isHttpUrl(payload.e) ? payload.e : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Destination of a click-tracking redirect, if it can be read from the URL itself
+ * An http(s) URL in a query parameter of a known redirect page (google.com/url?q=..., see QUERY_REDIRECTORS),
+ * a URL-encoded path segment (e.g. tracking.tldrnewsletter.com/CL0/https:%2F%2Fexample.com%2Fpost/1/...)
+ * or a Substack redirect
+ */
+function getRedirectTarget(url) {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch (error) {
+    return null;
+  }
+
+  const redirector = QUERY_REDIRECTORS.find(
+    (candidate) => candidate.host.test(parsed.hostname) && (!candidate.path || candidate.path.test(parsed.pathname)),
+  );
+  for (const param of redirector?.params || []) {
+    const value = parsed.searchParams.get(param);
+    if (isHttpUrl(value)) return value;
+  }
+
+  const segment = parsed.pathname.split('/').find((part) => /^https?(:|%3A)/i.test(part));
+  if (segment) {
+    try {
+      const target = decodeURIComponent(segment);
+      if (isHttpUrl(target)) return new URL(target).href;
+    } catch (error) {
+      // Not a URL after all
+    }
+  }
+
+  return decodeSubstackRedirect(parsed);
+}
+
+/**
+ * Unwrap click-tracking redirect URLs to the real destination (without any network request)
+ * URLs that aren't recognizable redirects are returned unchanged
+ */
+export function unwrapRedirectUrl(url) {
+  let current = url;
+  for (let depth = 0; depth < MAX_REDIRECT_DEPTH; depth++) {
+    const target = getRedirectTarget(current);
+    if (!target || target === current) break;
+    current = target;
+  }
+  return current;
+}
+
+/**
+ * Whether a URL points to a known click-tracking redirector
+ */
+export function isKnownRedirector(url) {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch (error) {
+    return false;
+  }
+
+  return KNOWN_REDIRECTORS.some(
+    (redirector) => redirector.host.test(parsed.hostname) && (!redirector.path || redirector.path.test(parsed.pathname)),
+  );
+}
+
+/**
+ * Query parameters removed from post URLs
+ * Names separated by newlines or commas, a trailing * matches by prefix (utm_*)
+ * @param {string} value - Config url_strip_params
+ */
+export function parseStripParams(value) {
+  return (value || '')
+    .split(/[\s,]+/)
+    .map((param) => param.trim().toLowerCase())
+    .filter(Boolean);
+}
+
+function shouldStripParam(name, stripParams) {
+  const key = name.toLowerCase();
+  return stripParams.some((param) => (param.endsWith('*') ? key.startsWith(param.slice(0, -1)) : key === param));
+}
+
+/**
+ * Normalize a post URL: unwrap click-tracking redirects and remove tracking parameters
+ * Invalid URLs are returned unchanged
+ * @param {Object} options - stripParams: parameters to remove (default: config url_strip_params)
+ */
+export function normalizeUrl(url, options = {}) {
+  if (!url) return url;
+
+  let parsed;
+  try {
+    parsed = new URL(unwrapRedirectUrl(url));
+  } catch (error) {
+    logger.warn('Failed to parse URL for cleaning', { url, error: error.message });
+    return url;
+  }
+
+  const stripParams = options.stripParams || parseStripParams(db.getConfig('url_strip_params'));
+  for (const name of [...parsed.searchParams.keys()]) {
+    if (shouldStripParam(name, stripParams)) parsed.searchParams.delete(name);
+  }
+
+  return parsed.toString();
+}
+
+/**
+ * Follow a known redirector's redirects (HEAD requests, up to MAX_REDIRECT_DEPTH hops)
+ * Stops at the first URL that isn't a known redirector, errors keep the URL reached so far
+ */
+export async function followRedirects(url) {
+  let current = url;
+
+  for (let hop = 0; hop < MAX_REDIRECT_DEPTH && isKnownRedirector(current); hop++) {
+    try {
+      const response = await axios.head(current, {
+        headers: { 'User-Agent': USER_AGENT },
+        timeout: 10000,
+        maxRedirects: 0,
+        validateStatus: (status) => status >= 200 && status < 400,
+      });
+
+      const location = response.headers?.location;
+      if (!location) break;
+      current = unwrapRedirectUrl(new URL(location, current).href);
+    } catch (error) {
+      logger.warn('Failed to follow redirect', { url: current, error: error.message });
+      break;
+    }
+  }
+
+  return current;
+}
+
+/**
+ * Resolve posts whose URL is still a known redirector by following it, when url_follow_redirects is on
+ * The URL found in the newsletter stays in original_url
+ */
+export async function resolvePostUrls(posts) {
+  if (db.getConfig('url_follow_redirects') !== '1') return posts;
+
+  const resolved = [];
+  for (const post of posts) {
+    if (post.url && isKnownRedirector(post.url)) {
+      resolved.push({ ...post, url: normalizeUrl(await followRedirects(post.url)) });
+    } else {
+      resolved.push(post);
+    }
+  }
+  return resolved;
+}
@@ -2,6 +2,7 @@ import { getDb } from './db.js';
 import { NodeHtmlMarkdown } from 'node-html-markdown';
 import * as cheerio from 'cheerio';
 import axios from 'axios';
+import { groupPostsByTag } from './tags.js';
 
 /**
  * Logger utility that logs to both console and database
@@ -71,6 +72,67 @@ export function timeAgo(date) {
   return `${Math.floor(seconds / 31536000)} years ago`;
 }
 
+/**
+ * Run an async worker over items with a bounded number in flight
+ * Results keep the order of the input regardless of completion order.
+ * Rejects with the first worker error (workers should catch their own errors when others must continue).
+ * @param {Array} items - Items to process
+ * @param {Function} worker - async (item, index) => result
+ * @param {Object} options
+ * @param {number} options.concurrency - Max workers running at once (default 1)
+ * @param {Function} options.getKey - Optional item => key (e.g. hostname) for per-key limits
+ * @param {number} options.perKeyConcurrency - Max workers running at once for the same key
+ * @returns {Promise<Array>} - Worker results in input order
+ */
+export function runWithConcurrency(items, worker, options = {}) {
+  const concurrency = Math.max(1, options.concurrency || 1);
+  const perKeyConcurrency = Math.max(1, options.perKeyConcurrency || Infinity);
+  const getKey = options.getKey || (() => null);
+
+  const results = new Array(items.length);
+  const pending = items.map((item, index) => ({ item, index, key: getKey(item) }));
+  const activeByKey = new Map();
+  let active = 0;
+  let failed = false;
+
+  return new Promise((resolve, reject) => {
+    const schedule = () => {
+      if (failed) return;
+      if (pending.length === 0 && active === 0) {
+        resolve(results);
+        return;
+      }
+
+      while (active < concurrency) {
+        // First pending item whose key still has a free slot
+        const position = pending.findIndex(({ key }) => (activeByKey.get(key) || 0) < perKeyConcurrency);
+        if (position === -1) break;
+
+        const { item, index, key } = pending.splice(position, 1)[0];
+        active++;
+        activeByKey.set(key, (activeByKey.get(key) || 0) + 1);
+
+        Promise.resolve()
+          .then(() => worker(item, index))
+          .then(
+            (result) => {
+              results[index] = result;
+              active--;
+              activeByKey.set(key, activeByKey.get(key) - 1);
+              schedule();
+            },
+            (error) => {
+              failed = true;
+              reject(error);
+            },
+          );
+      }
+    };
+
+    schedule();
+  });
+}
+
 /**
  * Sanitize HTML by removing script, style, and other non-content elements
  */
@@ -94,11 +156,28 @@ export function sanitizeHtml(html, selector = null) {
   return $.html();
 }
 
+/**
+ * <link rel="canonical"> URL of a page (absolute), null if it has none
+ */
+export function getCanonicalLink(html, pageUrl) {
+  const $ = cheerio.load(html);
+  const href = ($('link[rel~="canonical"]').first().attr('href') || '').trim();
+  if (!href) return null;
+
+  try {
+    const canonical = new URL(href, pageUrl).href;
+    return /^https?:\/\//i.test(canonical) ? canonical : null;
+  } catch (error) {
+    return null;
+  }
+}
+
 /**
  * Fetch URL and convert HTML to markdown
  * @param {string} url - The URL to fetch
  * @param {string} selector - Optional CSS selector to extract specific content
- * @returns {Promise<{url: string, html: string, markdown: string}>}
+ * @returns {Promise<{url: string, canonicalUrl: string, html: string, markdown: string}>} - canonicalUrl is
+ *   the page's rel=canonical link, else the URL after redirects
  */
 export async function fetchUrlAsMarkdown(url, selector = null) {
   try {
@@ -114,6 +193,7 @@ export async function fetchUrlAsMarkdown(url, selector = null) {
     }
 
     const html = await response.text();
+    const finalUrl = response.url || url;
 
     // Sanitize HTML
     const cleanedHtml = sanitizeHtml(html, selector);
@@ -123,6 +203,7 @@ export async function fetchUrlAsMarkdown(url, selector = null) {
 
     return {
       url,
+      canonicalUrl: getCanonicalLink(html, finalUrl) || finalUrl,
       html: cleanedHtml,
       markdown,
     };
@@ -168,11 +249,12 @@ function convertToSlackMrkdwn(text) {
  * @param {string} options.channel - Optional channel name (without #)
  * @param {string} options.botName - Optional bot username override
  * @param {string} options.botIcon - Optional bot icon emoji (e.g., :robot_face:)
+ * @param {string} options.groupBy - Digest sections: 'site' (default) or 'tag' (see groupPostsByTag)
  * @returns {Promise<boolean>} - Returns true if successful
  * @throws {Error} - Throws error if webhook call fails
  */
 export async function sendToSlack(posts, options = {}) {
-  const { webhookUrl, channel, botName, botIcon } = options;
+  const { webhookUrl, channel, botName, botIcon, groupBy = 'site' } = options;
 
   if (!webhookUrl) {
     throw new Error('Slack webhook URL not provided');
@@ -208,6 +290,11 @@ export async function sendToSlack(posts, options = {}) {
       // Add blockquote with bold title
       messageText += `\n> *${cleanTitle}*`;
 
+      // Other sites the same story came from
+      if (post.also_seen_in?.length > 0) {
+        messageText += `\n> _Also seen in ${post.also_seen_in.join(', ')}_`;
+      }
+
       // Add summary in blockquote if exists
       if (post.summary) {
         const slackFormattedSummary = convertToSlackMrkdwn(post.summary);
@@ -253,23 +340,34 @@ export async function sendToSlack(posts, options = {}) {
       logger.info('Successfully sent post to Slack');
       return true;
     } else {
-      // Multiple posts: use digest format
-      const postsBySite = {};
-      postsArray.forEach((post) => {
-        const siteTitle = post.site_title || 'Unknown Source';
-        if (!postsBySite[siteTitle]) {
-          postsBySite[siteTitle] = [];
-        }
-        postsBySite[siteTitle].push(post);
-      });
+      // Multiple posts: use digest format, one section per site or per tag
+      let sections;
+      if (groupBy === 'tag') {
+        sections = groupPostsByTag(postsArray).map(({ tag, posts: tagPosts }) => [tag || 'Untagged', tagPosts]);
+      } else {
+        const postsBySite = {};
+        postsArray.forEach((post) => {
+          const siteTitle = post.site_title || 'Unknown Source';
+          if (!postsBySite[siteTitle]) {
+            postsBySite[siteTitle] = [];
+          }
+          postsBySite[siteTitle].push(post);
+        });
+        sections = Object.entries(postsBySite);
+      }
 
       let message = `*📬 New Posts Digest* (${postsArray.length} new posts)\n\n`;
 
-      for (const [siteTitle, sitePosts] of Object.entries(postsBySite)) {
-        message += `*${siteTitle}* (${sitePosts.length})\n`;
+      for (const [heading, sectionPosts] of sections) {
+        message += `*${heading}* (${sectionPosts.length})\n`;
 
-        sitePosts.forEach((post) => {
-          message += `• <${post.url}|${post.title}>\n`;
+        sectionPosts.forEach((post) => {
+          // Tag sections mix sites, so each post names its own
+          const source = groupBy === 'tag' && post.site_title ? ` — ${post.site_title}` : '';
+          message += `• <${post.url}|${post.title}>${source}\n`;
+          if (post.also_seen_in?.length > 0) {
+            message += `  _Also seen in ${post.also_seen_in.join(', ')}_\n`;
+          }
           if (post.summary) {
             message += `  _${post.summary}_\n`;
           }
@@ -324,6 +422,50 @@ export async function sendToSlack(posts, options = {}) {
   }
 }
 
+/**
+ * Send a plain text alert message to Slack (not tied to any post)
+ * @param {string} text - Message text (Slack mrkdwn)
+ * @param {Object} options - Same webhookUrl/channel/botName/botIcon options as sendToSlack
+ * @returns {Promise<boolean>} - Returns true if successful
+ * @throws {Error} - Throws error if webhook call fails
+ */
+export async function sendSlackAlert(text, options = {}) {
+  const { webhookUrl, channel, botName, botIcon } = options;
+
+  if (!webhookUrl) {
+    throw new Error('Slack webhook URL not provided');
+  }
+
+  const payload = {
+    text,
+    mrkdwn: true,
+  };
+
+  if (channel) {
+    payload.channel = channel.startsWith('#') ? channel : `#${channel}`;
+  }
+
+  if (botName && botName.trim()) {
+    payload.username = botName.trim();
+  }
+
+  if (botIcon && botIcon.trim()) {
+    payload.icon_emoji = botIcon.trim();
+  }
+
+  try {
+    await axios.post(webhookUrl, payload);
+    logger.info('Sent alert to Slack');
+    return true;
+  } catch (error) {
+    logger.error('Failed to send alert to Slack', {
+      error: error.message,
+      status: error.response?.status,
+    });
+    throw error;
+  }
+}
+
 /**
  * Legacy wrapper for backwards compatibility
  * @deprecated Use sendToSlack instead